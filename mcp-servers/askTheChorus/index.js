@@ -37,6 +37,30 @@ const fetchWithPayment = wrapFetchWithPayment(fetch, paymentClient);
 const SUBMIT_URL = 'https://milo3.life.conway.tech/api/submitChorusStudy';
 const STATUS_URL = 'https://milo3.life.conway.tech/api/chorusStudyStatus';
 
+// --- Progress summary for running studies ---
+
+const describeProgress = (progress) => {
+	if (!progress) {
+		return '';
+	}
+	const perspectives = progress.perspectives || [];
+	const finished = perspectives.filter(p => ['done', 'failed', 'skipped'].includes(p.status)).length;
+	const failed = perspectives.filter(p => p.status === 'failed').length;
+	const skipped = perspectives.filter(p => p.status === 'skipped').length;
+	const lines = [
+		`Stage: ${progress.stage}, elapsed ${Math.round(progress.elapsedSeconds || 0)}s, `
+			+ `cost so far $${((progress.costSoFar && progress.costSoFar.usd) || 0).toFixed(4)}.`,
+	];
+	if (perspectives.length > 0) {
+		const notes = [failed && `${failed} failed`, skipped && `${skipped} skipped for cost limit`].filter(Boolean);
+		lines.push(`Agents returned: ${finished} of ${perspectives.length}${notes.length ? ` (${notes.join(', ')})` : ''}.`);
+		perspectives.forEach(p => {
+			lines.push(`  ${p.id}. [${p.perspective}] ${p.status}`);
+		});
+	}
+	return `\n${lines.join('\n')}\n`;
+};
+
 // --- MCP server ---
 
 const server = new McpServer({
@@ -66,10 +90,14 @@ server.tool(
 			.describe('Use mock responses — no API calls, for testing'),
 		serialFanOut: z.boolean().optional().default(true)
 			.describe('Run agents sequentially (avoids rate limits)'),
+		fanOutConcurrency: z.number().optional()
+			.describe('Keep at most N agents in flight (use with serialFanOut: false)'),
+		maxRunCostUsd: z.number().optional()
+			.describe('Stop starting agents/synthesis once the projected run spend would exceed this many USD'),
 		sessionName: z.string().optional()
 			.describe('Existing session name for multi-turn (omit for new session)'),
 	},
-	async ({ prompt, perspectives, summarize, model, dryRun, serialFanOut, sessionName }) => {
+	async ({ prompt, perspectives, summarize, model, dryRun, serialFanOut, fanOutConcurrency, maxRunCostUsd, sessionName }) => {
 
 		const requestBody = {
 			switches: {
@@ -80,6 +108,8 @@ server.tool(
 			values: {
 				perspectives: [String(perspectives)],
 				model: [model],
+				...(fanOutConcurrency && { fanOutConcurrency: [String(fanOutConcurrency)] }),
+				...(maxRunCostUsd && { maxRunCostUsd: [String(maxRunCostUsd)] }),
 				...(sessionName && { sessionName: [sessionName] }),
 			},
 			fileList: [prompt],
@@ -176,6 +206,7 @@ server.tool(
 						type: 'text',
 						text: `Study '${sessionName}' is still running. `
 							+ `Completed turns: ${statusResult.completedTurns || 0}. `
+							+ describeProgress(statusResult.progress)
 							+ `Check again in 60 seconds.`,
 					}],
 				};
@@ -0,0 +1,129 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ACCESS POINT: ANNOTATE CHORUS SESSION
+ *
+ * Adds or removes tags, sets or clears the notes, and pins or unpins a saved
+ * askMilo session. Pinned sessions are never removed by -pruneSessions. The
+ * session's updatedAt is not changed.
+ *
+ * requestBody: { sessionName, addTags?, removeTags?, notes?, pinned? }
+ *   addTags/removeTags: an array or a comma-separated string; notes: '' clears them
+ * Result: { annotation: { sessionName, tags, notes, pinned } }
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+const sessionManager = require('../../lib/ask-milo-multitool/lib/sessionManager');
+const sessionBundle = require('../../lib/ask-milo-multitool/lib/sessionBundle');
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({ dotD, passThroughParameters }) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (requestBody, callback) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: VALIDATE INPUT
+
+		taskList.push((args, next) => {
+			const { requestBody } = args;
+
+			const sessionName = requestBody.qtGetSurePath('sessionName', '');
+			const pinned = requestBody.qtGetSurePath('pinned');
+			const notes = requestBody.qtGetSurePath('notes');
+
+			if (!sessionName) {
+				next('Missing required parameter: sessionName', args);
+				return;
+			}
+			// The name becomes a file path in the json session store: no path separators or '..'
+			if (!sessionBundle.isValidSessionName(sessionName)) {
+				next(`Invalid sessionName: "${sessionName}" (letters, digits, _ . and -)`, args);
+				return;
+			}
+			if (pinned !== undefined && typeof pinned !== 'boolean') {
+				next('pinned must be true or false', args);
+				return;
+			}
+			if (notes !== undefined && typeof notes !== 'string') {
+				next('notes must be a string', args);
+				return;
+			}
+
+			let changes;
+			try {
+				changes = {
+					addTags: sessionManager.normalizeTags(requestBody.qtGetSurePath('addTags', [])),
+					removeTags: sessionManager.normalizeTags(requestBody.qtGetSurePath('removeTags', [])),
+					notes,
+					pinned,
+				};
+			} catch (err) {
+				next(err.message, args);
+				return;
+			}
+
+			next('', { ...args, sessionName, changes });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: SAVE THE ANNOTATION
+
+		taskList.push((args, next) => {
+			const { sessionName, changes } = args;
+
+			let annotation;
+			try {
+				annotation = sessionManager.annotateSession(sessionName, changes);
+			} catch (err) {
+				next(`Session annotation failed: ${err.message}`, args);
+				return;
+			}
+			xLog.status(`Annotated session ${sessionName}: tags [${annotation.tags.join(', ')}], pinned ${annotation.pinned}`);
+			next('', { ...args, annotation });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION
+
+		const initialData = { requestBody };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { annotation } = args;
+
+			if (err) {
+				callback(err, {});
+				return;
+			}
+
+			callback('', { annotation });
+		});
+	};
+
+	// ================================================================================
+	// REGISTRATION
+
+	const addEndpoint = ({ name, serviceFunction, dotD }) => {
+		dotD.logList.push(name);
+		dotD.library.add(name, serviceFunction);
+	};
+
+	const name = moduleName;
+	addEndpoint({ name, serviceFunction, dotD });
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
@@ -9,6 +9,8 @@
  *
  * askMilo handles its own config loading (askMilo.ini) and process.global setup.
  * We just need to pass it the right JSON input and collect its JSON output.
+ * A maxRunCostUsd in this access point's config section caps each request's spend
+ * (the public route is paid per request, so its cost must be bounded).
  */
 
 const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
@@ -20,10 +22,15 @@ const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
 const path = require('path');
 const { spawn } = require('child_process');
 
+const sessionManager = require('../../lib/ask-milo-multitool/lib/sessionManager');
+const attachments = require('../../lib/ask-milo-multitool/lib/attachments');
+const { applyRunCostCeiling } = require('../../lib/ask-milo-multitool/lib/runCostCeiling');
+
 //START OF moduleFunction() ============================================================
 
 const moduleFunction = function ({ dotD, passThroughParameters }) {
 	const { xLog, getConfig, rawConfig, commandLineParameters } = process.global;
+	const localConfig = getConfig(moduleName) || {};
 
 	const { sqlDb, hxAccess, dataMapping } = passThroughParameters;
 
@@ -40,7 +47,7 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 			const { requestBody } = args;
 
 			// The request body IS the askMilo JSON format:
-			// { switches: {}, values: {}, fileList: ["the prompt"] }
+			// { switches: {}, values: {}, fileList: ["the prompt"], attachments?: [], perspectives?: [] }
 			// We validate that fileList has at least one element (the prompt).
 
 			const fileList = requestBody.qtGetSurePath('fileList', []);
@@ -49,15 +56,30 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 				return;
 			}
 
+			// Session commands read and write server files and every session: command line only
+			const sessionCommands = sessionManager.sessionCommandOptions({
+				switches: requestBody.qtGetSurePath('switches', {}),
+				values: requestBody.qtGetSurePath('values', {}),
+			});
+			if (sessionCommands.length) {
+				next(`Not allowed in a web request: ${sessionCommands.join(', ')} (session commands are command line only)`, args);
+				return;
+			}
+
 			// Force -json. noSave is controlled by the caller —
 			// existing blocking endpoint passes noSave:true, async endpoint does not.
+			// --attach, --record and --replay name files on this server, so requests may not set them;
+			// attachments may only be sent inline.
+			const { attach, record, replay, ...values } = requestBody.qtGetSurePath('values', {});
 			const askMiloInput = {
 				switches: {
 					...requestBody.qtGetSurePath('switches', {}),
 					json: true,
 				},
-				values: requestBody.qtGetSurePath('values', {}),
+				values: applyRunCostCeiling({ values, ceiling: localConfig.maxRunCostUsd }),
 				fileList: fileList,
+				attachments: attachments.inlineOnly(requestBody.qtGetSurePath('attachments', [])),
+				...(requestBody.perspectives && { perspectives: requestBody.perspectives }),
 			};
 
 			next('', { ...args, askMiloInput });
@@ -4,15 +4,24 @@
 /**
  * ACCESS POINT: CHORUS STUDY STATUS
  *
- * Reads a session file from the askMilo sessions directory and returns
- * structured status information. Pure filesystem reads — no child processes.
+ * Reads a session from the askMilo session store (lib/sessionStore.js, chosen by
+ * the [sessionStore] ini section) and returns structured status information.
+ * Direct reads — no child processes.
+ *
+ * While a turn is running, askMilo keeps a progress sidecar record (stage,
+ * per-perspective status, elapsed time, cost so far). Running responses
+ * include it as `progress` when it belongs to the requested turn.
  *
  * Status logic:
- *   - File not found → { status: "running", completedTurns: 0 }
- *   - File found, session.status === "error" → { status: "error", message }
- *   - File found, turns.length >= turnNumber → { status: "complete", result }
- *   - File found, turns.length < turnNumber → { status: "running", completedTurns }
- *   - Parse error → { status: "error", message: "corrupt session file" }
+ *   - Session not stored → { status: "running", completedTurns: 0, progress? }
+ *   - Stored, session.status === "error", or session.error is for this
+ *     unfinished turn → { status: "error", message, error: { stage, code, ... } }
+ *   - Stored, turns.length >= turnNumber → { status: "complete", result }
+ *     (unless that turn's progress record says it is being re-run, e.g. --retryFailed)
+ *     With format "markdown", "html" or "text" the turn is rendered by askMilo's
+ *     report formatters instead → { status: "complete", format, report }
+ *   - Stored, turns.length < turnNumber → { status: "running", completedTurns, progress? }
+ *   - Unreadable → { status: "error", message: "corrupt session file" }
  */
 
 const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
@@ -21,17 +30,20 @@ const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
 	'qtools-asynchronous-pipe-plus',
 )();
 
-const os = require('os');
-const path = require('path');
-const fs = require('fs');
-
-const SESSION_DIR = path.join(os.homedir(), 'Library', 'Application Support', 'askMilo', 'sessions');
+const sessionManager = require('../../lib/ask-milo-multitool/lib/sessionManager');
+const { renderTurn, REPORT_FORMATS } = require('../../lib/ask-milo-multitool/stages/collect');
 
 //START OF moduleFunction() ============================================================
 
 const moduleFunction = function ({ dotD, passThroughParameters }) {
 	const { xLog, getConfig, commandLineParameters } = process.global;
 
+	// Progress record for the requested turn, or undefined if none has been written yet
+	const getTurnProgress = (sessionName, turnNumber) => {
+		const progress = sessionManager.loadProgress(sessionName);
+		return progress && progress.turnNumber === turnNumber ? progress : undefined;
+	};
+
 	// ================================================================================
 	// SERVICE FUNCTION
 
@@ -46,6 +58,7 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 
 			const sessionName = requestBody.qtGetSurePath('sessionName', '');
 			const turnNumber = parseInt(requestBody.qtGetSurePath('turnNumber', '0'));
+			const format = String(requestBody.qtGetSurePath('format', 'json')).toLowerCase();
 
 			if (!sessionName) {
 				next('Missing required parameter: sessionName', args);
@@ -57,34 +70,36 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 				return;
 			}
 
-			next('', { ...args, sessionName, turnNumber });
+			if (!REPORT_FORMATS.includes(format)) {
+				next(`Invalid parameter: format (must be one of ${REPORT_FORMATS.join(', ')})`, args);
+				return;
+			}
+
+			next('', { ...args, sessionName, turnNumber, format });
 		});
 
 		// --------------------------------------------------------------------------------
-		// PIPELINE STAGE 2: CHECK SESSION FILE AND BUILD STATUS
+		// PIPELINE STAGE 2: LOOK UP THE SESSION AND BUILD STATUS
 
 		taskList.push((args, next) => {
-			const { sessionName, turnNumber } = args;
-
-			const sessionFilePath = path.join(SESSION_DIR, `${sessionName}.json`);
+			const { sessionName, turnNumber, format } = args;
 
-			// File not found — session is still running (no output yet)
-			if (!fs.existsSync(sessionFilePath)) {
+			// Not stored yet — session is still running (no output yet)
+			if (!sessionManager.sessionExists(sessionName)) {
 				const statusResult = {
 					status: 'running',
 					sessionName,
 					expectedTurn: turnNumber,
 					completedTurns: 0,
+					progress: getTurnProgress(sessionName, turnNumber),
 				};
 				next('', { ...args, statusResult });
 				return;
 			}
 
-			// File exists — read and parse
 			let sessionData;
 			try {
-				const raw = fs.readFileSync(sessionFilePath, 'utf8');
-				sessionData = JSON.parse(raw);
+				sessionData = sessionManager.loadSession(sessionName);
 			} catch (parseErr) {
 				xLog.error(`Corrupt session file for ${sessionName}: ${parseErr.message}`);
 				const statusResult = {
@@ -96,27 +111,35 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 				return;
 			}
 
-			// Check for error status (written by submit endpoint on askMilo crash)
-			if (sessionData.status === 'error') {
+			const turns = sessionData.turns || [];
+			const turnProgress = getTurnProgress(sessionName, turnNumber);
+			const beingReworked = !!turnProgress && turnProgress.status === 'running';
+
+			// Failed run: askMilo records { turnNumber, stage, code, message, details } in
+			// session.error (older crash files hold a plain string). Ignored while a new
+			// attempt at the turn is running.
+			const sessionError = sessionData.error;
+			const structuredError = sessionError && typeof sessionError === 'object' ? sessionError : null;
+			const turnFailed = sessionData.status === 'error'
+				|| (!!structuredError && structuredError.turnNumber === turnNumber && turns.length < turnNumber);
+			if (turnFailed && !beingReworked) {
 				const statusResult = {
 					status: 'error',
 					sessionName,
-					message: sessionData.error || 'unknown error',
+					turnNumber,
+					message: structuredError ? structuredError.message : sessionError || 'unknown error',
+					...(structuredError && { error: structuredError }),
 				};
 				next('', { ...args, statusResult });
 				return;
 			}
 
-			const turns = sessionData.turns || [];
-
 			// Turn complete — return result
-			if (turns.length >= turnNumber) {
-				const statusResult = {
-					status: 'complete',
-					sessionName,
-					turnNumber,
-					result: turns[turnNumber - 1],
-				};
+			if (turns.length >= turnNumber && !beingReworked) {
+				const turn = turns[turnNumber - 1];
+				const statusResult = format === 'json'
+					? { status: 'complete', sessionName, turnNumber, result: turn }
+					: { status: 'complete', sessionName, turnNumber, format, report: renderTurn({ turn, format, sessionName }) };
 				next('', { ...args, statusResult });
 				return;
 			}
@@ -127,6 +150,7 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 				sessionName,
 				expectedTurn: turnNumber,
 				completedTurns: turns.length,
+				progress: turnProgress,
 			};
 			next('', { ...args, statusResult });
 		});
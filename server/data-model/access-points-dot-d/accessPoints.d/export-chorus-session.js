@@ -0,0 +1,111 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ACCESS POINT: EXPORT CHORUS SESSION
+ *
+ * Builds a session bundle (lib/sessionBundle.js) from the askMilo session store:
+ * the session JSON, its Markdown report, the attachment manifest, the prompt
+ * texts its turns recorded and a checksum. The same file --exportSession writes
+ * and --importSession (or import-chorus-session) installs.
+ *
+ * requestBody: { sessionName }
+ * Result: { bundle }
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+const sessionManager = require('../../lib/ask-milo-multitool/lib/sessionManager');
+const sessionBundle = require('../../lib/ask-milo-multitool/lib/sessionBundle');
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({ dotD, passThroughParameters }) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (requestBody, callback) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: VALIDATE INPUT
+
+		taskList.push((args, next) => {
+			const { requestBody } = args;
+
+			const sessionName = requestBody.qtGetSurePath('sessionName', '');
+
+			if (!sessionName) {
+				next('Missing required parameter: sessionName', args);
+				return;
+			}
+			// The name becomes a file path in the json session store: no path separators or '..'
+			if (!sessionBundle.isValidSessionName(sessionName)) {
+				next(`Invalid sessionName: "${sessionName}" (letters, digits, _ . and -)`, args);
+				return;
+			}
+
+			if (!sessionManager.sessionExists(sessionName)) {
+				next(`Session not found: ${sessionName}`, args);
+				return;
+			}
+
+			next('', { ...args, sessionName });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: BUILD THE BUNDLE
+
+		taskList.push((args, next) => {
+			const { sessionName } = args;
+
+			let bundle;
+			try {
+				bundle = sessionManager.exportSession(sessionName);
+			} catch (err) {
+				xLog.error(`Export of ${sessionName} failed: ${err.message}`);
+				next(`Session export failed: ${err.message}`, args);
+				return;
+			}
+			next('', { ...args, bundle });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION
+
+		const initialData = { requestBody };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { bundle } = args;
+
+			if (err) {
+				callback(err, {});
+				return;
+			}
+
+			callback('', { bundle });
+		});
+	};
+
+	// ================================================================================
+	// REGISTRATION
+
+	const addEndpoint = ({ name, serviceFunction, dotD }) => {
+		dotD.logList.push(name);
+		dotD.library.add(name, serviceFunction);
+	};
+
+	const name = moduleName;
+	addEndpoint({ name, serviceFunction, dotD });
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ACCESS POINT: IMPORT CHORUS SESSION
+ *
+ * Verifies a session bundle (format, version, checksum, session name) and installs
+ * its session in the askMilo session store, keeping its timestamps. If the name is
+ * taken the session is stored as NAME_2, NAME_3, ...
+ *
+ * requestBody: { bundle, sessionName? }  (sessionName replaces the exported name)
+ * Result: { imported: { sessionName, originalName, renamed } }
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+const sessionManager = require('../../lib/ask-milo-multitool/lib/sessionManager');
+const sessionBundle = require('../../lib/ask-milo-multitool/lib/sessionBundle');
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({ dotD, passThroughParameters }) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (requestBody, callback) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: VALIDATE INPUT
+
+		taskList.push((args, next) => {
+			const { requestBody } = args;
+
+			const bundle = requestBody.qtGetSurePath('bundle', null);
+			const sessionName = requestBody.qtGetSurePath('sessionName', '') || undefined;
+
+			if (!bundle) {
+				next('Missing required parameter: bundle', args);
+				return;
+			}
+
+			try {
+				sessionBundle.verifyBundle(bundle);
+			} catch (err) {
+				next(`Invalid bundle: ${err.message}`, args);
+				return;
+			}
+
+			next('', { ...args, bundle, sessionName });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: INSTALL THE SESSION
+
+		taskList.push((args, next) => {
+			const { bundle, sessionName } = args;
+
+			let imported;
+			try {
+				imported = sessionManager.importSessionBundle(bundle, { sessionName });
+			} catch (err) {
+				xLog.error(`Import of bundle "${bundle.sessionName}" failed: ${err.message}`);
+				next(`Session import failed: ${err.message}`, args);
+				return;
+			}
+			xLog.status(`Imported session bundle "${imported.originalName}" as ${imported.sessionName}`);
+			next('', { ...args, imported });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION
+
+		const initialData = { requestBody };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { imported } = args;
+
+			if (err) {
+				callback(err, {});
+				return;
+			}
+
+			callback('', { imported });
+		});
+	};
+
+	// ================================================================================
+	// REGISTRATION
+
+	const addEndpoint = ({ name, serviceFunction, dotD }) => {
+		dotD.logList.push(name);
+		dotD.library.add(name, serviceFunction);
+	};
+
+	const name = moduleName;
+	addEndpoint({ name, serviceFunction, dotD });
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
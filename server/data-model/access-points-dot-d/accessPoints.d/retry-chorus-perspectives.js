@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ACCESS POINT: RETRY CHORUS PERSPECTIVES
+ *
+ * Re-runs only the failed perspectives of a completed chorus turn by
+ * spawning `askMilo --retryFailed=NAME` as a detached child process.
+ * askMilo reuses the turn's stored expansion instructions, splices the new
+ * findings into the turn, optionally re-runs synthesis (switches.summarize),
+ * and adds the retry cost to the turn and session totals.
+ *
+ * Request body:
+ *   { sessionName, turnNumber?, switches?: {...}, values?: {...}, attachments?: [...] }
+ *   turnNumber defaults to the last chorus turn of the session. A turn that
+ *   was run with attachments needs them sent again (inline) to be reproduced.
+ *
+ * Returns immediately with { status: "accepted", sessionName, turnNumber,
+ * failedPerspectives, checkUrl }. The turn's progress record is written as
+ * "running" (naming the child's pid) before the reply, and askMilo keeps it
+ * current, so the status endpoint and a second retry request see the turn as
+ * running from the moment it is accepted until the updated turn is saved.
+ *
+ * A maxRunCostUsd in this access point's config section caps the retry spend.
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+const os = require('os');
+const path = require('path');
+const { spawn } = require('child_process');
+
+const sessionManager = require('../../lib/ask-milo-multitool/lib/sessionManager');
+const { zeroCost } = require('../../lib/ask-milo-multitool/lib/costs');
+const attachments = require('../../lib/ask-milo-multitool/lib/attachments');
+const { applyRunCostCeiling } = require('../../lib/ask-milo-multitool/lib/runCostCeiling');
+
+// Module-level Set to track sessions with a retry in progress
+const inFlightRetries = new Set();
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({ dotD, passThroughParameters }) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+	const localConfig = getConfig(moduleName) || {};
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (requestBody, callback) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: VALIDATE INPUT AND FIND THE FAILED PERSPECTIVES
+
+		taskList.push((args, next) => {
+			const { requestBody } = args;
+
+			const sessionName = requestBody.qtGetSurePath('sessionName', '');
+			if (!sessionName) {
+				next('Missing required parameter: sessionName', args);
+				return;
+			}
+
+			// Session commands read and write server files and every session: command line only
+			const sessionCommands = sessionManager.sessionCommandOptions({
+				switches: requestBody.qtGetSurePath('switches', {}),
+				values: requestBody.qtGetSurePath('values', {}),
+			});
+			if (sessionCommands.length) {
+				next(`Not allowed in a web request: ${sessionCommands.join(', ')} (session commands are command line only)`, args);
+				return;
+			}
+
+			let session;
+			try {
+				session = sessionManager.loadSession(sessionName);
+			} catch (loadErr) {
+				next(loadErr.message, args);
+				return;
+			}
+
+			const requestedTurnNumber = parseInt(requestBody.qtGetSurePath('turnNumber', '0'));
+			const chorusTurns = (session.turns || []).filter(t => t.expansion && t.perspectives);
+			const turn = requestedTurnNumber
+				? chorusTurns.find(t => t.turnNumber === requestedTurnNumber)
+				: chorusTurns[chorusTurns.length - 1];
+
+			if (!turn) {
+				next(requestedTurnNumber
+					? `Turn ${requestedTurnNumber} of session "${sessionName}" is not a chorus turn`
+					: `Session "${sessionName}" has no chorus turns to retry`, args);
+				return;
+			}
+
+			const failedPerspectives = sessionManager.findFailedPerspectives(turn)
+				.map(p => ({ id: p.id, perspective: p.perspective }));
+
+			if (!failedPerspectives.length) {
+				next(`Turn ${turn.turnNumber} of session "${sessionName}" has no failed perspectives`, args);
+				return;
+			}
+
+			next('', { ...args, sessionName, turnNumber: turn.turnNumber, failedPerspectives });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: CHECK IN-FLIGHT PROTECTION
+
+		taskList.push((args, next) => {
+			const { sessionName } = args;
+
+			const progress = sessionManager.loadProgress(sessionName);
+			if (inFlightRetries.has(sessionName) || (progress && progress.status === 'running')) {
+				next(`Session "${sessionName}" already has a turn in progress`, args);
+				return;
+			}
+
+			inFlightRetries.add(sessionName);
+			next('', args);
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 3: SPAWN ASKMILO --retryFailed DETACHED
+
+		taskList.push((args, next) => {
+			const { requestBody, sessionName, turnNumber, failedPerspectives } = args;
+
+			// --attach, --record and --replay name files on this server, so requests may not set them;
+			// attachments may only be sent inline
+			const { attach, record, replay, ...values } = requestBody.qtGetSurePath('values', {});
+			const askMiloInput = {
+				switches: {
+					...requestBody.qtGetSurePath('switches', {}),
+					json: true,
+				},
+				values: {
+					...applyRunCostCeiling({ values, ceiling: localConfig.maxRunCostUsd }),
+					retryFailed: [sessionName],
+					turnNumber: [String(turnNumber)],
+				},
+				fileList: [],
+				attachments: attachments.inlineOnly(requestBody.qtGetSurePath('attachments', [])),
+			};
+
+			const askMiloPath = path.join(
+				__dirname,
+				'../../lib/ask-milo-multitool/askMilo.js',
+			);
+
+			const child = spawn('node', [askMiloPath], {
+				cwd: path.dirname(askMiloPath),
+				stdio: ['pipe', 'ignore', 'pipe'],
+				detached: true,
+				env: { ...process.env, ...sessionManager.sessionStoreEnvironment() },
+			});
+
+			let stderrBuffer = '';
+			child.stderr.on('data', (chunk) => {
+				stderrBuffer += chunk.toString();
+			});
+
+			child.on('close', (code) => {
+				inFlightRetries.delete(sessionName);
+				if (code !== 0) {
+					// Leave the session file alone (its turns are intact); mark the progress record instead
+					const progress = sessionManager.loadProgress(sessionName);
+					if (progress && progress.status !== 'complete') {
+						sessionManager.saveProgress({
+							...progress,
+							status: 'error',
+							stage: 'error',
+							error: `askMilo exited with code ${code}: ${stderrBuffer.slice(0, 2000)}`,
+						});
+					}
+					xLog.error(`askMilo retry failed for session ${sessionName}: exit code ${code}`);
+				} else {
+					xLog.status(`askMilo retry completed for session ${sessionName}`);
+				}
+			});
+
+			child.on('error', (spawnErr) => {
+				inFlightRetries.delete(sessionName);
+				xLog.error(`Failed to spawn askMilo retry for ${sessionName}: ${spawnErr.message}`);
+			});
+
+			if (!child.pid) {
+				next(`Failed to start the askMilo retry for session "${sessionName}"`, args);
+				return;
+			}
+
+			// The record askMilo will keep current, written now so the turn reads as running
+			// (to status polling and to the in-flight check above) before askMilo starts up
+			const now = new Date().toISOString();
+			sessionManager.saveProgress({
+				sessionName,
+				turnNumber,
+				status: 'running',
+				stage: 'starting',
+				pid: child.pid,
+				host: os.hostname(),
+				startedAt: now,
+				updatedAt: now,
+				elapsedSeconds: 0,
+				costSoFar: zeroCost(),
+				perspectives: failedPerspectives.map(p => ({ ...p, status: 'pending', startedAt: null, elapsedSeconds: null, cost: null })),
+				events: [{ at: now, stage: 'starting', message: `Retry of ${failedPerspectives.length} failed perspective(s) accepted` }],
+			});
+
+			// Send input and detach
+			child.stdin.write(JSON.stringify(askMiloInput));
+			child.stdin.end();
+			child.unref();
+
+			const retryResult = {
+				status: 'accepted',
+				sessionName,
+				turnNumber,
+				failedPerspectives,
+				checkUrl: `/api/chorusStudyStatus?sessionName=${encodeURIComponent(sessionName)}&turnNumber=${turnNumber}`,
+				estimatedSeconds: failedPerspectives.length * 120,
+				pollAdvice: 'Wait 2 minutes per retried perspective before first check, then every 60 seconds.',
+			};
+
+			next('', { ...args, retryResult });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION
+
+		const initialData = { requestBody };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { retryResult } = args;
+
+			if (err) {
+				callback(err, {});
+				return;
+			}
+
+			callback('', { retryResult });
+		});
+	};
+
+	// ================================================================================
+	// REGISTRATION
+
+	const addEndpoint = ({ name, serviceFunction, dotD }) => {
+		dotD.logList.push(name);
+		dotD.library.add(name, serviceFunction);
+	};
+
+	const name = moduleName;
+	addEndpoint({ name, serviceFunction, dotD });
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
@@ -0,0 +1,108 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ACCESS POINT: SEARCH CHORUS SESSIONS
+ *
+ * Full-text search of the askMilo session store (sessionManager.searchSessions).
+ * Both backends keep an SQLite FTS index that is rewritten on every session save,
+ * so results include studies finished a moment ago. Direct reads — no child processes.
+ *
+ * requestBody: { query, limit? }  (limit defaults to 20, at most MAX_LIMIT)
+ * Result: { hits: [{ sessionName, turnNumber, kind, perspectiveId?, perspective?, snippet, score }] }
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+const sessionManager = require('../../lib/ask-milo-multitool/lib/sessionManager');
+
+const MAX_LIMIT = 100;
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({ dotD, passThroughParameters }) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (requestBody, callback) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: VALIDATE INPUT
+
+		taskList.push((args, next) => {
+			const { requestBody } = args;
+
+			const query = String(requestBody.qtGetSurePath('query', '')).trim();
+			const limitText = String(requestBody.qtGetSurePath('limit', '') || '');
+			const limit = limitText ? parseInt(limitText, 10) : undefined;
+
+			if (!query) {
+				next('Missing required parameter: q', args);
+				return;
+			}
+
+			if (limitText && !(limit >= 1 && limit <= MAX_LIMIT)) {
+				next(`Invalid parameter: limit (must be 1 to ${MAX_LIMIT})`, args);
+				return;
+			}
+
+			next('', { ...args, query, limit });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: SEARCH
+
+		taskList.push((args, next) => {
+			const { query, limit } = args;
+
+			let hits;
+			try {
+				hits = sessionManager.searchSessions(query, { limit });
+			} catch (err) {
+				xLog.error(`Session search failed for "${query}": ${err.message}`);
+				next(`Session search failed: ${err.message}`, args);
+				return;
+			}
+			next('', { ...args, hits });
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION
+
+		const initialData = { requestBody };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { hits } = args;
+
+			if (err) {
+				callback(err, {});
+				return;
+			}
+
+			callback('', { hits });
+		});
+	};
+
+	// ================================================================================
+	// REGISTRATION
+
+	const addEndpoint = ({ name, serviceFunction, dotD }) => {
+		dotD.logList.push(name);
+		dotD.library.add(name, serviceFunction);
+	};
+
+	const name = moduleName;
+	addEndpoint({ name, serviceFunction, dotD });
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
@@ -14,7 +14,12 @@
  *   - Passes a server-generated sessionName to askMilo
  *   - Returns immediately with { status: "accepted", sessionName, turnNumber, ... }
  *   - Tracks in-flight sessions to prevent concurrent turns on same session
- *   - Writes error session file if askMilo crashes (via child.on('close'))
+ *   - Records a structured error in the session file if askMilo crashes before
+ *     recording its own (via child.on('close')); existing turns are never overwritten
+ *   - Applies the maxRunCostUsd ceiling from this access point's config section
+ *   - Passes only inline attachments ({ name, content|contentBase64 }), never server paths,
+ *     and drops --record/--replay, which also name server directories
+ *   - Passes caller-chosen perspectives (body "perspectives") through to askMilo
  */
 
 const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
@@ -23,14 +28,12 @@ const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
 	'qtools-asynchronous-pipe-plus',
 )();
 
-const os = require('os');
 const path = require('path');
-const fs = require('fs');
 const { spawn } = require('child_process');
 
 const sessionManager = require('../../lib/ask-milo-multitool/lib/sessionManager');
-
-const SESSION_DIR = path.join(os.homedir(), 'Library', 'Application Support', 'askMilo', 'sessions');
+const attachments = require('../../lib/ask-milo-multitool/lib/attachments');
+const { applyRunCostCeiling } = require('../../lib/ask-milo-multitool/lib/runCostCeiling');
 
 // Module-level Set to track sessions with pending turns
 const inFlightSessions = new Set();
@@ -39,6 +42,7 @@ const inFlightSessions = new Set();
 
 const moduleFunction = function ({ dotD, passThroughParameters }) {
 	const { xLog, getConfig, commandLineParameters } = process.global;
+	const localConfig = getConfig(moduleName) || {};
 
 	// ================================================================================
 	// SERVICE FUNCTION
@@ -58,6 +62,16 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 				return;
 			}
 
+			// Session commands read and write server files and every session: command line only
+			const sessionCommands = sessionManager.sessionCommandOptions({
+				switches: requestBody.qtGetSurePath('switches', {}),
+				values: requestBody.qtGetSurePath('values', {}),
+			});
+			if (sessionCommands.length) {
+				next(`Not allowed in a web request: ${sessionCommands.join(', ')} (session commands are command line only)`, args);
+				return;
+			}
+
 			// Determine session name and turn number
 			const providedSessionName = requestBody.qtGetSurePath('values.sessionName', [undefined])[0];
 
@@ -65,15 +79,14 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 			let turnNumber;
 
 			if (providedSessionName) {
-				// Multi-turn: check existing file for turn count
+				// Multi-turn: check the stored session for turn count
 				sessionName = providedSessionName;
-				const sessionFilePath = path.join(SESSION_DIR, `${sessionName}.json`);
-				if (fs.existsSync(sessionFilePath)) {
+				if (sessionManager.sessionExists(sessionName)) {
 					try {
 						const existing = sessionManager.loadSession(sessionName);
 						turnNumber = (existing.turns || []).length + 1;
 					} catch (loadErr) {
-						// File exists but can't be read — treat as turn 1
+						// Stored but can't be read — treat as turn 1
 						xLog.error(`Could not load existing session ${sessionName}: ${loadErr.message}`);
 						turnNumber = 1;
 					}
@@ -109,7 +122,10 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 		taskList.push((args, next) => {
 			const { requestBody, fileList, sessionName, turnNumber } = args;
 
-			// Build askMilo input — NO noSave, WITH sessionName
+			// Build askMilo input — NO noSave, WITH sessionName.
+			// --attach, --record and --replay name files on this server, so requests may not set them;
+			// attachments may only be sent inline.
+			const { attach, record, replay, ...values } = requestBody.qtGetSurePath('values', {});
 			const askMiloInput = {
 				switches: {
 					...requestBody.qtGetSurePath('switches', {}),
@@ -117,10 +133,12 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 					// NO noSave — we want the session file written
 				},
 				values: {
-					...requestBody.qtGetSurePath('values', {}),
+					...applyRunCostCeiling({ values, ceiling: localConfig.maxRunCostUsd }),
 					sessionName: [sessionName],
 				},
 				fileList: fileList,
+				attachments: attachments.inlineOnly(requestBody.qtGetSurePath('attachments', [])),
+				...(requestBody.perspectives && { perspectives: requestBody.perspectives }),
 			};
 
 			const askMiloPath = path.join(
@@ -132,6 +150,8 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 				cwd: path.dirname(askMiloPath),
 				stdio: ['pipe', 'ignore', 'pipe'],
 				detached: true,
+				// The child writes to the store this server reads
+				env: { ...process.env, ...sessionManager.sessionStoreEnvironment() },
 			});
 
 			let stderrBuffer = '';
@@ -142,19 +162,25 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 			child.on('close', (code) => {
 				inFlightSessions.delete(sessionName);
 				if (code !== 0) {
-					// Write error session file for status endpoint to find
-					fs.mkdirSync(SESSION_DIR, { recursive: true });
-					const errorSession = {
-						sessionName,
-						status: 'error',
-						error: `askMilo exited with code ${code}: ${stderrBuffer.slice(0, 2000)}`,
-						failedAt: new Date().toISOString(),
-						turns: [],
-					};
-					fs.writeFileSync(
-						path.join(SESSION_DIR, `${sessionName}.json`),
-						JSON.stringify(errorSession, null, 2),
-					);
+					// askMilo records stage failures itself; only a crash before that needs an
+					// error written here. Existing turns are kept either way.
+					let recorded = null;
+					try {
+						recorded = sessionManager.loadSession(sessionName).error;
+					} catch (loadErr) {
+						// no session file yet
+					}
+					if (!(recorded && recorded.turnNumber === turnNumber)) {
+						sessionManager.recordRunError({
+							sessionName,
+							turnNumber,
+							error: {
+								stage: 'process',
+								code: `EXIT_${code}`,
+								message: `askMilo exited with code ${code}: ${stderrBuffer.slice(0, 2000)}`,
+							},
+						});
+					}
 					xLog.error(`askMilo failed for session ${sessionName}: exit code ${code}`);
 				} else {
 					xLog.status(`askMilo completed for session ${sessionName}`);
@@ -172,7 +198,8 @@ const moduleFunction = function ({ dotD, passThroughParameters }) {
 			child.unref();
 
 			// Return immediately — do not wait for askMilo
-			const perspectives = parseInt(requestBody.qtGetSurePath('values.perspectives', ['3'])[0]) || 3;
+			const seedCount = Array.isArray(requestBody.perspectives) ? requestBody.perspectives.length : 0;
+			const perspectives = Math.max(parseInt(requestBody.qtGetSurePath('values.perspectives', ['3'])[0]) || 3, seedCount);
 			const estimatedSeconds = perspectives * 120;
 
 			const submitResult = {
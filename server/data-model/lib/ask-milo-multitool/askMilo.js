@@ -36,25 +36,84 @@ Pipeline control:
   --perspectives=N       Number of chorus perspectives. 0 = single-call (default: 0)
   --firstPrompt=NAME     Select prompt from [prompts] section of .ini
   -summarize             Add synthesis stage after chorus (requires perspectives>0)
+  -crossExamine          After fan-out, each agent reads the other perspectives' findings
+                         and writes rebuttals and concessions; stored per perspective and
+                         given to the synthesizer ([prompts] crossExaminer overrides the
+                         built-in instructions)
+  -extractClaims         After fan-out (and cross-examination), list each perspective's
+                         claims with rationale, confidence (0-1) and kind (factual or
+                         opinion); stored per perspective, and the synthesizer cites them
+                         by id ([prompts] claimExtractor overrides the built-in instructions)
+  --rounds=N             Research rounds (requires -summarize, default: 1). After each synthesis
+                         the open gaps it lists become follow-up instructions for another
+                         fan-out and a fresh synthesis over all perspectives; stops early when
+                         the synthesizer reports no material gaps or --maxRunCostUsd is near
+  -synthesisMatrix       After synthesis, restate it as JSON (synthesis.matrix): themes, the
+                         perspective ids that agree or disagree on each, strength of support
+                         and open questions (requires -summarize; [prompts] synthesisMatrix
+                         overrides the built-in instructions)
   -serialFanOut          Run chorus agents sequentially instead of in parallel
                          (avoids 429 rate-limit errors on concurrent connections)
+  --fanOutConcurrency=N  Keep at most N chorus agents in flight at once (direct driver)
+                         (0 = all at once; ignored when -serialFanOut is set)
+  --rateLimitRetries=N   Retries per request on 429/overloaded errors, with exponential
+                         backoff honoring retry-after (direct driver, default: 4)
+  --maxRunCostUsd=USD    Whole-run spend limit across expand, fan-out and synthesis.
+                         A call is not started when spent plus its worst-case cost
+                         would pass it; skips are recorded (default: 0 = none)
   -interrogate           Set prompt to interrogator + prepend analysis framing
+  --expansionRepairAttempts=N  Re-prompt the expander with the validation error up to N
+                         times when its JSON is invalid or short of perspectives
+                         (direct driver, default: 1, 0 = fail at once)
+  --attach=PATH          Attach a document (.txt, .md, .json, .pdf via pdftotext) for the
+                         expansion, agents and synthesis; repeat or comma-separate for more.
+                         Names and sha256 hashes are recorded in the session turn
+  --attachmentChunkChars=N  Split attachments into labeled parts of at most N chars (default: 40000)
+  --maxAttachmentChars=N    Refuse attachments totalling more than N chars (default: 300000)
 
 Model & driver:
   --driver=DRIVER        API driver: direct|sdk (default: direct)
   --model=MODEL          Model for agents/single-call: opus|sonnet|haiku (default: sonnet)
   --expandModel=MODEL    Model for expansion stage: opus|sonnet|haiku (default: opus)
+  --synthModel=MODEL     Model for synthesis and the synthesis matrix (default: expandModel)
+  --expandMaxTokens=N, --agentMaxTokens=N, --synthMaxTokens=N
+                         max_tokens for that stage group (default: 16384, 8192 for follow-up calls)
+  --expandTemperature=T, --agentTemperature=T, --synthTemperature=T
+                         Sampling temperature 0..1 (default: the API's; ignored while thinking)
+  --expandThinkingBudget=B, --agentThinkingBudget=B, --synthThinkingBudget=B
+                         Thinking: a token budget, adaptive or off (default: per model registry).
+                         Groups: expand (+gap expansion), agent (+cross-exam, claims, single call),
+                         synth (+matrix). Direct driver only; all can be set in askMilo.ini
+  -noPromptCache         Do not mark system prompts and session context as cacheable
+                         (direct driver; cache reads/writes show in the cost breakdown)
+  --provider=NAME        LLM provider for every stage (direct driver, default: anthropic).
+                         Other providers are [providers.NAME] sections; type=openai talks to
+                         any OpenAI-compatible chat-completions server (llama.cpp, vLLM, ...)
+  --expandProvider=NAME, --agentProvider=NAME[,NAME...], --synthesizeProvider=NAME,
+  --singleCallProvider=NAME
+                         Provider for one stage; a list for agents is dealt out by perspective id
 
   SDK driver only (ignored by direct driver):
   --budget=USD           Max budget per agent in USD (default: 1.00)
   --maxTurns=N           Max conversation turns per agent (default: 10)
   --tools=LIST           Comma-separated tools for agents (use "none" to disable)
 
+  Registry toolsets (lib/tools/*.js, e.g. --tools=confluence):
+  --maxToolIterations=N  Max tool_use round trips per agent/single call (default: 10)
+  -synthesizerTools      Let the synthesizer use the tools too (default: agents only)
+
 Output control:
   -verbose               Show detailed progress and cost info per stage
-  -json                  Output raw JSON instead of formatted text report
+  -json                  Output raw JSON instead of formatted text report (same as --format=json)
+  --format=FORMAT        Report format: text|json|markdown|html (default: text). markdown and
+                         html give a navigable report: contents, synthesis first, one section
+                         per perspective, cost appendix. html is a standalone page
   -dryRun                Run with mock responses, no API calls (alias for -mockApi)
   -mockApi               Same as -dryRun: return canned responses for testing
+  --record=DIR           Make real API calls and save every request/response pair to DIR
+                         (direct driver, one file per request hash)
+  --replay=DIR           Answer API requests from a --record directory: no network, no API
+                         key, deterministic; a request that was not recorded fails
   -noSave                Do not save this run as a session
   -restoreSwitches       On --resumeSession, restore saved CLI args as defaults
   -help                  Show this help message
@@ -62,20 +121,63 @@ Output control:
 Session management:
   --resumeSession=NAME   Continue a previous session with a follow-up prompt
                          (auto-creates session if NAME doesn't exist)
+  --contextTurns=LIST    Prior turns to send with a resumed prompt, e.g. 2,4 or 1-3 (default: all)
+  --contextBudgetTokens=N  Above ~N tokens, older turns in the resume context are replaced by
+                         summaries cached on the turn (default: a quarter of the smallest
+                         context window of the expand and agent models)
+  --contextRecentTurns=N The latest N included turns always go in verbatim (default: 2)
   --sessionName=NAME     Name this session (default: auto-generated)
   -listSessions          List all saved sessions with date, size, prompt preview
+                         (--filter=TEXT keeps those whose name or first prompt contains TEXT,
+                         --tag=a,b those with every listed tag, --since=/--until= those last
+                         updated in a range: a date like 2026-01-31 or Nd for N days ago,
+                         --minCost=/--maxCost= those whose total cost in USD is in a range)
+  --searchSessions=QUERY Full-text search of prompts, perspectives, findings and syntheses
+                         across all sessions; ranked hits with a highlighted snippet.
+                         Words must all match; "quoted words" match as a phrase.
+                         --limit=N caps the hits (default: 20); -json prints them as JSON
   --viewSession=NAME     Display full session content
   --deleteSession=NAME   Delete a saved session
   --renameSession=NAME   Rename a session (use with --sessionName=NEW_NAME)
+  --forkSession=NAME     Copy turns 1..N of a session into a new session that records it as
+                         its parent, to try other follow-ups without changing the original.
+                         --fromTurn=N (default: the last turn), --sessionName=NEW (default:
+                         auto-generated). -listSessions and --viewSession show the lineage
+  --annotateSession=NAME Tag, note or pin a session: --addTags=a,b, --removeTags=c,
+                         --note=TEXT (--note= clears it), -pin or -unpin. Pinned sessions
+                         are never pruned; notes are included in --searchSessions
+  -pruneSessions         Apply the [retention] policy in askMilo.ini: delete or archive old
+                         sessions (archives are bundles in archiveDir). -dryRun lists what
+                         would be pruned without changing anything
+  --retryFailed=NAME     Re-run only the failed perspectives of a saved chorus turn
+                         using its stored expansion instructions, splice the new
+                         findings into the turn and add their cost to its totals.
+                         --turnNumber=N picks the turn (default: last chorus turn);
+                         add -summarize to re-run synthesis over all perspectives.
+  -migrateSessions       Import JSON session files into the configured session store
+                         ([sessionStore] in the ini); --from=DIR names the directory
+                         (default: the JSON store's, else ~/Library/Application Support/askMilo/sessions).
+                         Sessions already in the store are skipped
+  --exportSession=NAME   Write the session as a self-contained bundle: session JSON, Markdown
+                         report, attachment manifest, prompt texts and a checksum
+                         (--out=FILE, default: ./NAME.askmilo.json)
+  --importSession=FILE   Check a bundle's checksum and install its session, under
+                         --sessionName=NAME if given; a taken name gets a _2, _3... suffix
 
 JSON input (programmatic):
   Accepts a JSON object via stdin or as the first argument, replacing
   CLI flag parsing entirely. The JSON must have the structure:
-    { "switches": {...}, "values": {...}, "fileList": [...] }
-
-  switches   Boolean flags (e.g. mockApi, noSave, verbose, summarize, serialFanOut)
-  values     Keyed arrays    (e.g. model: ["haiku"], perspectives: ["3"])
-  fileList   Positional args (the prompt goes here as the first element)
+    { "switches": {...}, "values": {...}, "fileList": [...], "attachments": [...], "perspectives": [...] }
+
+  switches     Boolean flags (e.g. mockApi, noSave, verbose, summarize, serialFanOut)
+  values       Keyed arrays    (e.g. model: ["haiku"], perspectives: ["3"])
+  fileList     Positional args (the prompt goes here as the first element)
+  attachments  Optional documents: "path", { "path": "..." }, { "name": "notes.md", "content": "..." }
+               or { "name": "spec.pdf", "contentBase64": "..." }
+  perspectives Optional chosen perspectives: "CFO" or { "name": "...", "methodology": "...", "instruction": "..." }.
+               They become perspectives 1..K (values.perspectives is raised to K if lower). When
+               all are complete and cover the count they replace the expansion; otherwise the
+               expander writes only what is missing and any further perspectives.
 
 Examples:
   askMilo "What is quantum computing?"
@@ -85,7 +187,16 @@ Examples:
   askMilo --resumeSession=amber_ridge "How does this affect developing nations?"
   askMilo --resumeSession=amber_ridge -interrogate "Expand on the economic impacts"
   askMilo -listSessions
+  askMilo --searchSessions='"supply chain" tariffs'
   askMilo --viewSession=amber_ridge
+  askMilo --forkSession=amber_ridge --fromTurn=2 --sessionName=amber_ridge_alt
+  askMilo --annotateSession=amber_ridge --addTags=trade,q3 --note="Basis for the Q3 memo" -pin
+  askMilo -listSessions --tag=trade --since=30d --minCost=0.50
+  askMilo -pruneSessions -dryRun
+  askMilo -migrateSessions --from=/old/askMilo/sessions
+  askMilo --exportSession=amber_ridge --out=/tmp/amber_ridge.askmilo.json
+  askMilo --importSession=/tmp/amber_ridge.askmilo.json
+  askMilo --retryFailed=amber_ridge --turnNumber=2 -summarize
 
   JSON via stdin (for piping from scripts or AI agents):
   echo '{"switches":{"noSave":true},"values":{},"fileList":["What is 2+2?"]}' | askMilo
@@ -110,19 +221,100 @@ Examples:
 
 	// -- session CLI commands (early exit, no pipeline needed) --
 
-	// -listSessions
+	// -listSessions [--filter=TEXT] [--tag=a,b] [--since=WHEN] [--until=WHEN] [--minCost=USD] [--maxCost=USD]
 	if (commandLineParameters.switches.listSessions) {
-		const sessions = sessionManager.listSessions();
+		const listValue = (name) => (commandLineParameters.values[name] || [])[0];
+		// "2026-01-31" or "2026-01-31T12:00:00Z" as given; "7d" is seven days before now
+		const timeBound = (flag) => {
+			const text = listValue(flag);
+			if (text === undefined) {
+				return undefined;
+			}
+			const daysAgo = /^(\d+)d$/.exec(text);
+			const time = daysAgo ? Date.now() - Number(daysAgo[1]) * 24 * 60 * 60 * 1000 : Date.parse(text);
+			if (Number.isNaN(time)) {
+				throw new Error(`Error: --${flag} must be a date (2026-01-31) or a number of days ago (7d), got "${text}"`);
+			}
+			return new Date(time).toISOString();
+		};
+		const costBound = (flag) => {
+			const text = listValue(flag);
+			if (text === undefined) {
+				return undefined;
+			}
+			const usd = Number(text);
+			if (text.trim() === '' || !(usd >= 0)) {
+				throw new Error(`Error: --${flag} must be a non-negative amount in USD, got "${text}"`);
+			}
+			return usd;
+		};
+		const filterText = listValue('filter');
+		let filtered;
+		let sessions;
+		try {
+			const filter = {
+				text: filterText,
+				tags: sessionManager.normalizeTags(listValue('tag')),
+				since: timeBound('since'),
+				until: timeBound('until'),
+				minCost: costBound('minCost'),
+				maxCost: costBound('maxCost'),
+			};
+			filtered = Object.values(filter).some(v => v !== undefined && !(Array.isArray(v) && v.length === 0));
+			sessions = sessionManager.listSessions(filter);
+		} catch (e) {
+			xLog.error(e.message);
+			return;
+		}
 		if (sessions.length === 0) {
-			xLog.result('No saved sessions found.');
+			xLog.result(filtered ? 'No saved sessions match the filter.' : 'No saved sessions found.');
 		} else {
-			const header = `${'NAME'.padEnd(25)} ${'UPDATED'.padEnd(22)} ${'TURNS'.padEnd(6)} ${'SIZE'.padEnd(10)} PROMPT`;
+			// The lineage column appears only when some listed session is a fork: "parent@turn"
+			const showLineage = sessions.some(s => s.parent);
+			const lineageOf = (s) => (s.parent ? `${s.parent.sessionName}@${s.parent.turnNumber}` : '');
+			// The tags column appears only when some listed session is tagged or pinned
+			const showTags = sessions.some(s => s.tags.length > 0 || s.pinned);
+			const tagsOf = (s) => [s.pinned ? '(pinned)' : '', s.tags.join(',')].filter(Boolean).join(' ');
+			const header = `${'NAME'.padEnd(25)} ${'UPDATED'.padEnd(22)} ${'TURNS'.padEnd(6)} ${'SIZE'.padEnd(10)} ${showLineage ? `${'FORKED FROM'.padEnd(28)} ` : ''}${showTags ? `${'TAGS'.padEnd(24)} ` : ''}PROMPT`;
 			xLog.result(header);
 			xLog.result('-'.repeat(header.length + 20));
 			sessions.forEach(s => {
 				const sizeKb = (s.sizeBytes / 1024).toFixed(1) + ' KB';
 				const date = s.updatedAt.slice(0, 19).replace('T', ' ');
-				xLog.result(`${s.name.padEnd(25)} ${date.padEnd(22)} ${String(s.turnCount).padEnd(6)} ${sizeKb.padEnd(10)} ${s.promptPreview}`);
+				xLog.result(`${s.name.padEnd(25)} ${date.padEnd(22)} ${String(s.turnCount).padEnd(6)} ${sizeKb.padEnd(10)} ${showLineage ? `${lineageOf(s).padEnd(28)} ` : ''}${showTags ? `${tagsOf(s).padEnd(24)} ` : ''}${s.promptPreview}`);
+			});
+		}
+		return;
+	}
+
+	// --searchSessions=QUERY [--limit=N] [-json]
+	const searchQuery = (commandLineParameters.values.searchSessions || [])[0];
+	if (searchQuery) {
+		const limitText = (commandLineParameters.values.limit || [])[0];
+		const limit = limitText === undefined ? undefined : parseInt(limitText, 10);
+		if (limitText !== undefined && !(limit > 0)) {
+			xLog.error(`Error: --limit must be a positive whole number, got "${limitText}"`);
+			return;
+		}
+		let hits;
+		try {
+			hits = sessionManager.searchSessions(searchQuery, { limit });
+		} catch (e) {
+			xLog.error(e.message);
+			return;
+		}
+		if (commandLineParameters.switches.json) {
+			xLog.result(JSON.stringify(hits, null, 2));
+		} else if (hits.length === 0) {
+			xLog.result(`No saved sessions match "${searchQuery}".`);
+		} else {
+			const header = `${'SESSION'.padEnd(25)} ${'TURN'.padEnd(5)} ${'WHERE'.padEnd(30)} SNIPPET`;
+			xLog.result(header);
+			xLog.result('-'.repeat(header.length + 40));
+			hits.forEach(hit => {
+				const where = hit.kind === 'perspective' ? `[${hit.perspective}]` : hit.kind;
+				const snippet = hit.snippet.replace(/\s+/g, ' ');
+				xLog.result(`${hit.sessionName.padEnd(25)} ${String(hit.turnNumber === null ? '-' : hit.turnNumber).padEnd(5)} ${where.slice(0, 30).padEnd(30)} ${snippet}`);
 			});
 		}
 		return;
@@ -137,9 +329,29 @@ Examples:
 			xLog.result(`Created: ${session.createdAt}`);
 			xLog.result(`Updated: ${session.updatedAt}`);
 			xLog.result(`Turns: ${(session.turns || []).length}`);
+			const lineage = sessionManager.sessionLineage(session);
+			if (lineage.length > 0) {
+				xLog.result(`Forked from: ${lineage.map(p => `${p.sessionName} (turn ${p.turnNumber})`).join(' <- ')}`);
+			}
+			const forks = sessionManager.listSessions().filter(s => s.parent && s.parent.sessionName === session.sessionName);
+			if (forks.length > 0) {
+				xLog.result(`Forks: ${forks.map(f => `${f.name} (at turn ${f.parent.turnNumber})`).join(', ')}`);
+			}
 			if (session.totalCost) {
 				xLog.result(`Total cost: $${(session.totalCost.usd || 0).toFixed(4)}`);
 			}
+			if (session.tags && session.tags.length > 0) {
+				xLog.result(`Tags: ${session.tags.join(', ')}`);
+			}
+			if (session.pinned) {
+				xLog.result('Pinned: yes (never pruned)');
+			}
+			if (session.notes) {
+				xLog.result(`Notes: ${session.notes}`);
+			}
+			if (session.error && typeof session.error === 'object') {
+				xLog.result(`Error: turn ${session.error.turnNumber} failed in ${session.error.stage} (${session.error.code}): ${session.error.message}`);
+			}
 			xLog.result('');
 			(session.turns || []).forEach(turn => {
 				const turnLabel = turn.turnType === 'singleCall' ? 'SingleCall'
@@ -210,28 +422,173 @@ Examples:
 		return;
 	}
 
-	// -- API key check --
-	const apiKey = localConfig.anthropicApiKey;
-	if (!apiKey || apiKey === 'YOUR_API_KEY_HERE') {
-		xLog.error(`Error: Set anthropicApiKey in ${moduleName}.ini`);
-		xLog.error('Get an API key from https://platform.claude.com/');
+	// --forkSession=NAME [--fromTurn=N] [--sessionName=NEW]
+	const forkSessionName = (commandLineParameters.values.forkSession || [])[0];
+	if (forkSessionName) {
+		const fromTurnText = (commandLineParameters.values.fromTurn || [])[0];
+		const fromTurn = fromTurnText === undefined ? undefined : Number(fromTurnText);
+		try {
+			const fork = sessionManager.forkSession({
+				sourceName: forkSessionName,
+				fromTurn,
+				sessionName: (commandLineParameters.values.sessionName || [])[0],
+			});
+			xLog.result(`Session forked: ${forkSessionName} (turns 1-${fork.parent.turnNumber}) -> ${fork.sessionName}`);
+			xLog.result(`Continue it with: askMilo --resumeSession=${fork.sessionName} "Your follow-up question"`);
+		} catch (e) {
+			xLog.error(e.message);
+		}
 		return;
 	}
 
-	// -- resolve model shorthand --
-	const resolveModel = (shorthand) => {
-		const substitutions = getConfig('_substitutions') || {};
-		const modelMap = substitutions.modelMap || {};
-		return modelMap[shorthand] || shorthand;
-	};
+	// --annotateSession=NAME [--addTags=a,b] [--removeTags=c] [--note=TEXT] [-pin | -unpin]
+	const annotateSessionName = (commandLineParameters.values.annotateSession || [])[0];
+	if (annotateSessionName) {
+		const { pin, unpin } = commandLineParameters.switches;
+		if (pin && unpin) {
+			xLog.error('Error: use -pin or -unpin, not both');
+			return;
+		}
+		const addTags = (commandLineParameters.values.addTags || [])[0];
+		const removeTags = (commandLineParameters.values.removeTags || [])[0];
+		const notes = (commandLineParameters.values.note || [])[0];
+		if (addTags === undefined && removeTags === undefined && notes === undefined && !pin && !unpin) {
+			xLog.error('Error: --annotateSession needs --addTags, --removeTags, --note, -pin or -unpin');
+			xLog.error('Usage: askMilo --annotateSession=NAME --addTags=a,b --note="..." -pin');
+			return;
+		}
+		try {
+			const annotated = sessionManager.annotateSession(annotateSessionName, {
+				addTags,
+				removeTags,
+				notes,
+				pinned: pin ? true : unpin ? false : undefined,
+			});
+			xLog.result(`Session annotated: ${annotated.sessionName}`);
+			xLog.result(`  Tags: ${annotated.tags.length > 0 ? annotated.tags.join(', ') : '(none)'}`);
+			xLog.result(`  Pinned: ${annotated.pinned ? 'yes' : 'no'}`);
+			xLog.result(`  Notes: ${annotated.notes || '(none)'}`);
+		} catch (e) {
+			xLog.error(e.message);
+		}
+		return;
+	}
+
+	// -pruneSessions [-dryRun]
+	if (commandLineParameters.switches.pruneSessions) {
+		const retention = require('./lib/retention');
+		const preview = !!commandLineParameters.switches.dryRun;
+		let report;
+		try {
+			report = sessionManager.pruneSessions({ apply: !preview });
+		} catch (e) {
+			xLog.error(e.message);
+			return;
+		}
+		const { policy, plan } = report;
+		if (!retention.hasRules(policy)) {
+			xLog.result('No retention rules are set: add deleteDryRunAfterDays, deleteAfterDays or archiveAfterDays to [retention] in askMilo.ini.');
+			return;
+		}
+		xLog.result(`Retention policy: ${retention.describePolicy(policy)}${policy.archiveAfterDays > 0 ? ` (archive: ${policy.archiveDir})` : ''}`);
+		if (plan.length === 0) {
+			xLog.result('Nothing to prune.');
+			return;
+		}
+		if (preview) {
+			xLog.result(`Would prune ${plan.length} session(s) (-dryRun, nothing changed):`);
+			plan.forEach(p => xLog.result(`  ${p.action.padEnd(8)} ${p.name.padEnd(25)} ${p.reason}`));
+			return;
+		}
+		xLog.result(`  Deleted: ${report.deleted.length}${report.deleted.length > 0 ? ` (${report.deleted.join(', ')})` : ''}`);
+		xLog.result(`  Archived: ${report.archived.length}`);
+		report.archived.forEach(a => xLog.result(`    ${a.name} -> ${a.file}`));
+		xLog.result(`  Failed: ${report.failed.length}`);
+		report.failed.forEach(f => xLog.error(`  ${f.name}: ${f.message}`));
+		return;
+	}
+
+	// -migrateSessions [--from=DIR]
+	if (commandLineParameters.switches.migrateSessions) {
+		let report;
+		try {
+			report = sessionManager.importSessions({ fromDir: (commandLineParameters.values.from || [])[0] });
+		} catch (e) {
+			xLog.error(e.message);
+			return;
+		}
+		xLog.result(`Imported from ${report.fromDir} into ${sessionManager.describeSessionStore()}`);
+		xLog.result(`  Imported: ${report.imported.length}`);
+		xLog.result(`  Skipped (already stored): ${report.skipped.length}${report.skipped.length > 0 ? ` (${report.skipped.join(', ')})` : ''}`);
+		xLog.result(`  Failed: ${report.failed.length}`);
+		report.failed.forEach(f => xLog.error(`  ${f.file}: ${f.message}`));
+		return;
+	}
+
+	// --exportSession=NAME [--out=FILE]
+	const exportSessionName = (commandLineParameters.values.exportSession || [])[0];
+	if (exportSessionName) {
+		const outPath = path.resolve((commandLineParameters.values.out || [])[0] || `${exportSessionName}.askmilo.json`);
+		try {
+			const bundle = sessionManager.exportSession(exportSessionName);
+			fs.writeFileSync(outPath, JSON.stringify(bundle, null, 2), 'utf8');
+			xLog.result(`Session exported: ${exportSessionName} -> ${outPath}`);
+			xLog.result(`  Turns: ${bundle.session.turns.length}, attachments: ${bundle.attachments.length}, prompts: ${bundle.prompts.length}, sha256: ${bundle.checksum.value}`);
+		} catch (e) {
+			xLog.error(e.message);
+		}
+		return;
+	}
+
+	// --importSession=FILE [--sessionName=NAME]
+	const importSessionFile = (commandLineParameters.values.importSession || [])[0];
+	if (importSessionFile) {
+		const sessionBundle = require('./lib/sessionBundle');
+		try {
+			const bundle = sessionBundle.parseBundle(fs.readFileSync(path.resolve(importSessionFile), 'utf8'));
+			const installed = sessionManager.importSessionBundle(bundle, { sessionName: (commandLineParameters.values.sessionName || [])[0] });
+			xLog.result(`Session imported: ${installed.sessionName}${installed.renamed ? ` (exported as ${installed.originalName})` : ''}`);
+		} catch (e) {
+			xLog.error(e.message);
+		}
+		return;
+	}
+
+	// -- resolve model shorthand ([_substitutions] modelMap, then model registry aliases) --
+	const modelRegistry = require('./lib/modelRegistry');
+	const resolveModel = (shorthand) => modelRegistry.resolveModel(shorthand);
+
+	// -- JSON "perspectives": caller-chosen perspectives (lib/seedPerspectives.js) --
+	const seedPerspectives = require('./lib/seedPerspectives');
+	let perspectiveSeeds;
+	try {
+		perspectiveSeeds = seedPerspectives.normalizeSeeds(commandLineParameters.perspectives);
+	} catch (err) {
+		xLog.error(`Error: ${err.message}`);
+		return;
+	}
+
+	// -- per-stage max_tokens, temperature and thinking (lib/stageSettings.js) --
+	const stageSettings = require('./lib/stageSettings');
 
 	// -- build config from .ini + CLI args --
 	const buildConfig = () => {
 		let prompt = commandLineParameters.fileList.join(' ');
 		const cfg = localConfig;
+
+		// CLI --key=value wins over the .ini value for settings without a substitution tag
+		const cliOrIni = (key) => {
+			const cliValue = (commandLineParameters.values[key] || [])[0];
+			return cliValue !== undefined ? cliValue : cfg[key];
+		};
+		const parsedRetries = parseInt(cliOrIni('rateLimitRetries'), 10);
+		const parsedRepairs = parseInt(cliOrIni('expansionRepairAttempts'), 10);
+		const parsedRounds = parseInt(cliOrIni('rounds'), 10);
+		const parsedRecentTurns = parseInt(cliOrIni('contextRecentTurns'), 10);
 		const parsedPerspectives = parseInt(cfg.perspectives, 10);
-		const perspectives = isNaN(parsedPerspectives) ? 0 : parsedPerspectives;
+		const perspectives = Math.max(isNaN(parsedPerspectives) ? 0 : parsedPerspectives, perspectiveSeeds.length);
 		const interrogate = !!commandLineParameters.switches.interrogate;
+		const format = String(cliOrIni('format') || (commandLineParameters.switches.json ? 'json' : 'text')).toLowerCase();
 
 		// Read [prompts] section
 		const prompts = getConfig('prompts') || {};
@@ -273,28 +630,71 @@ Examples:
 			perspectives,
 			agentModel: resolveModel(cfg.agentModel || 'sonnet'),
 			expandModel: resolveModel(cfg.expandModel || 'opus'),
+			synthModel: resolveModel(cliOrIni('synthModel') || cfg.expandModel || 'opus'),
+			...stageSettings.readStageSettings(cliOrIni),
 			budget: parseFloat(cfg.budget) || 1.00,
 			maxTurns: parseInt(cfg.maxTurns, 10) || 10,
 			tools: (cfg.tools || 'WebSearch,WebFetch,Read,Glob,Grep').toLowerCase() === 'none'
 				? []
 				: (cfg.tools || 'WebSearch,WebFetch,Read,Glob,Grep').split(',').map(t => t.trim()),
 			verbose: !!commandLineParameters.switches.verbose,
-			json: !!commandLineParameters.switches.json,
+			format,
+			json: format === 'json',
 			dryRun: !!commandLineParameters.switches.dryRun,
 			driver: (cfg.driver || 'direct').toLowerCase(),
 			anthropicApiKey: cfg.anthropicApiKey,
 			summarize: !!commandLineParameters.switches.summarize,
+			crossExamine: !!commandLineParameters.switches.crossExamine,
+			extractClaims: !!commandLineParameters.switches.extractClaims,
+			synthesisMatrix: !!commandLineParameters.switches.synthesisMatrix,
+			rounds: isNaN(parsedRounds) || parsedRounds < 1 ? 1 : parsedRounds,
+			perspectiveSeeds,
 			interrogate,
 			noSave: !!commandLineParameters.switches.noSave,
 			restoreSwitches: !!commandLineParameters.switches.restoreSwitches,
 			mockApi: !!commandLineParameters.switches.mockApi || !!commandLineParameters.switches.dryRun,
+			recordDir: (commandLineParameters.values.record || [])[0] ? path.resolve(commandLineParameters.values.record[0]) : '',
+			replayDir: (commandLineParameters.values.replay || [])[0] ? path.resolve(commandLineParameters.values.replay[0]) : '',
 			serialFanOut: !!commandLineParameters.switches.serialFanOut,
+			promptCache: !commandLineParameters.switches.noPromptCache,
+			maxToolIterations: parseInt(cliOrIni('maxToolIterations'), 10) || 10,
+			synthesizerTools: !!commandLineParameters.switches.synthesizerTools,
+			fanOutConcurrency: parseInt(cliOrIni('fanOutConcurrency'), 10) || 0,
+			rateLimitRetries: isNaN(parsedRetries) ? 4 : parsedRetries,
+			expansionRepairAttempts: isNaN(parsedRepairs) ? 1 : parsedRepairs,
+			maxRunCostUsd: parseFloat(cliOrIni('maxRunCostUsd')) || 0,
+			attachmentChunkChars: parseInt(cliOrIni('attachmentChunkChars'), 10) || 40000,
+			maxAttachmentChars: parseInt(cliOrIni('maxAttachmentChars'), 10) || 300000,
+			contextTurnsText: (commandLineParameters.values.contextTurns || [])[0] || '',
+			contextBudgetTokens: parseInt(cliOrIni('contextBudgetTokens'), 10) || 0,
+			contextRecentTurns: isNaN(parsedRecentTurns) || parsedRecentTurns < 0 ? 2 : parsedRecentTurns,
 			firstPromptName,
 			firstPromptText: resolvePrompt(firstPromptName, templateVars),
 			agentPromptName: cfg.agentPromptName || 'chorusResearcher',
 			agentPromptText: resolvePrompt(cfg.agentPromptName || 'chorusResearcher', {}),
 			summarizerPromptName: cfg.summarizerPromptName || 'chorusSynthesizer',
 			summarizerPromptText: resolvePrompt(cfg.summarizerPromptName || 'chorusSynthesizer', templateVars),
+			// Optional: the stage has built-in instructions when [prompts] has none
+			crossExaminerPromptName: cfg.crossExaminerPromptName || 'crossExaminer',
+			claimExtractorPromptName: cfg.claimExtractorPromptName || 'claimExtractor',
+			synthesisMatrixPromptName: cfg.synthesisMatrixPromptName || 'synthesisMatrix',
+			gapExpanderPromptName: cfg.gapExpanderPromptName || 'gapExpander',
+			contextSummarizerPromptName: cfg.contextSummarizerPromptName || 'contextSummarizer',
+			crossExaminerPromptText: prompts[cfg.crossExaminerPromptName || 'crossExaminer']
+				? resolvePrompt(cfg.crossExaminerPromptName || 'crossExaminer', {})
+				: '',
+			claimExtractorPromptText: prompts[cfg.claimExtractorPromptName || 'claimExtractor']
+				? resolvePrompt(cfg.claimExtractorPromptName || 'claimExtractor', {})
+				: '',
+			synthesisMatrixPromptText: prompts[cfg.synthesisMatrixPromptName || 'synthesisMatrix']
+				? resolvePrompt(cfg.synthesisMatrixPromptName || 'synthesisMatrix', {})
+				: '',
+			gapExpanderPromptText: prompts[cfg.gapExpanderPromptName || 'gapExpander']
+				? resolvePrompt(cfg.gapExpanderPromptName || 'gapExpander', {})
+				: '',
+			contextSummarizerPromptText: prompts[cfg.contextSummarizerPromptName || 'contextSummarizer']
+				? resolvePrompt(cfg.contextSummarizerPromptName || 'contextSummarizer', {})
+				: '',
 			confluenceBaseUrl: cfg.confluenceBaseUrl,
 			confluenceEmail: cfg.confluenceEmail,
 			confluenceApiToken: cfg.confluenceApiToken,
@@ -306,14 +706,184 @@ Examples:
 
 	const evalConfig = buildConfig();
 
+	const { REPORT_FORMATS } = require('./stages/collect');
+	if (!REPORT_FORMATS.includes(evalConfig.format)) {
+		xLog.error(`Unknown --format "${evalConfig.format}" (expected ${REPORT_FORMATS.join(', ')})`);
+		return;
+	}
+
+	// -- LLM provider per stage ([providers.NAME] sections, <stage>Provider settings) --
+	const providerRegistry = require('./lib/providers');
+	try {
+		Object.assign(evalConfig, providerRegistry.readProviderConfig({
+			sections: getConfig('providers') || {},
+			valueOf: (key) => ((commandLineParameters.values[key] || [])[0] !== undefined ? commandLineParameters.values[key][0] : localConfig[key]),
+			anthropicApiKey: localConfig.anthropicApiKey,
+		}));
+	} catch (err) {
+		xLog.error(`Error: ${err.message}`);
+		return;
+	}
+	if (evalConfig.driver === 'sdk' && !providerRegistry.usesAnthropicOnly(evalConfig)) {
+		xLog.error('Warning: providers other than anthropic apply to the direct driver only; the sdk driver ignores them');
+	}
+
+	// -- --record / --replay (lib/recordReplay.js, wired in through providers.connect) --
+	if (evalConfig.recordDir || evalConfig.replayDir) {
+		if (evalConfig.recordDir && evalConfig.replayDir) {
+			xLog.error('Error: --record and --replay cannot be combined');
+			return;
+		}
+		if (evalConfig.mockApi) {
+			xLog.error('Error: --record and --replay need real stage code; drop -mockApi/-dryRun');
+			return;
+		}
+		if (evalConfig.driver === 'sdk') {
+			xLog.error('Warning: --record and --replay apply to the direct driver only; the sdk driver ignores them');
+		}
+		if (evalConfig.replayDir && !fs.existsSync(evalConfig.replayDir)) {
+			xLog.error(`Error: replay directory not found: ${evalConfig.replayDir}`);
+			return;
+		}
+		if (evalConfig.recordDir) {
+			fs.mkdirSync(evalConfig.recordDir, { recursive: true });
+		}
+	}
+
+	// -- API key check (not needed when replaying or when every stage uses another provider) --
+	const apiKey = localConfig.anthropicApiKey;
+	const needsAnthropicKey = evalConfig.driver === 'sdk' || (!evalConfig.replayDir && providerRegistry.usesAnthropic(evalConfig));
+	if (needsAnthropicKey && (!apiKey || apiKey === 'YOUR_API_KEY_HERE')) {
+		xLog.error(`Error: Set anthropicApiKey in ${moduleName}.ini`);
+		xLog.error('Get an API key from https://platform.claude.com/');
+		return;
+	}
+
+	// -- --retryFailed=NAME: re-run only the failed perspectives of a saved chorus turn --
+	let retryTarget = null;
+	const retryFailedSessionName = (commandLineParameters.values.retryFailed || [])[0];
+	if (retryFailedSessionName) {
+		if ((commandLineParameters.values.resumeSession || [])[0]) {
+			xLog.error('--retryFailed cannot be combined with --resumeSession');
+			return;
+		}
+		let retrySession;
+		try {
+			retrySession = sessionManager.loadSession(retryFailedSessionName);
+		} catch (e) {
+			xLog.error(e.message);
+			return;
+		}
+		const requestedTurnNumber = parseInt((commandLineParameters.values.turnNumber || [])[0], 10);
+		const chorusTurns = (retrySession.turns || []).filter(t => t.expansion && t.perspectives);
+		const retryTurn = requestedTurnNumber
+			? chorusTurns.find(t => t.turnNumber === requestedTurnNumber)
+			: chorusTurns[chorusTurns.length - 1];
+		if (!retryTurn) {
+			xLog.error(requestedTurnNumber
+				? `Turn ${requestedTurnNumber} of session "${retryFailedSessionName}" is not a chorus turn.`
+				: `Session "${retryFailedSessionName}" has no chorus turns to retry.`);
+			return;
+		}
+		const failedIds = sessionManager.findFailedPerspectives(retryTurn).map(p => p.id);
+		if (failedIds.length === 0) {
+			xLog.result(`No failed perspectives in turn ${retryTurn.turnNumber} of session "${retryFailedSessionName}".`);
+			return;
+		}
+		const retryInstructions = sessionManager.turnInstructions(retryTurn).filter(i => failedIds.includes(i.id));
+		if (retryInstructions.length === 0) {
+			xLog.error(`Turn ${retryTurn.turnNumber} has failed perspectives (${failedIds.join(', ')}) but no stored expansion instructions for them.`);
+			return;
+		}
+		retryTarget = { session: retrySession, turn: retryTurn, instructions: retryInstructions };
+		evalConfig.prompt = retryTurn.prompt;
+		evalConfig.perspectives = retryTurn.perspectives.length;
+	}
+
+	// -- --attach / JSON "attachments": documents every stage sees ahead of its prompt --
+	const attachments = require('./lib/attachments');
+	let attachedDocuments;
+	try {
+		attachedDocuments = attachments.loadAttachments({
+			specs: attachments.collectSpecs({
+				attachValues: commandLineParameters.values.attach,
+				jsonAttachments: commandLineParameters.attachments,
+			}),
+			chunkChars: evalConfig.attachmentChunkChars,
+			maxTotalChars: evalConfig.maxAttachmentChars,
+		});
+	} catch (e) {
+		xLog.error(`Error: ${e.message}`);
+		return;
+	}
+	evalConfig.attachments = attachments.describeAttachments(attachedDocuments);
+	evalConfig.attachmentContext = attachments.buildAttachmentContext(attachedDocuments);
+
+	// A retry only reproduces the turn if the agents see the same documents again
+	if (retryTarget) {
+		const hashList = (list) => (list || []).map(a => a.sha256).sort().join(',');
+		if (hashList(retryTarget.turn.attachments) !== hashList(evalConfig.attachments)) {
+			const savedNames = (retryTarget.turn.attachments || []).map(a => a.name).join(', ') || '(none)';
+			xLog.error(`Warning: turn ${retryTarget.turn.turnNumber} was run with attachments [${savedNames}]; the documents attached now differ`);
+		}
+	}
+
+	// -- unknown model warning (costs would otherwise be silently mispriced) --
+	[evalConfig.expandModel, evalConfig.agentModel, evalConfig.synthModel].forEach(modelId => modelRegistry.warnIfUnknown(modelId));
+
 	// -- -summarize warning --
 	if (evalConfig.summarize && evalConfig.perspectives === 0) {
 		xLog.error('Warning: -summarize ignored (no perspectives to synthesize)');
 	}
 
+	// -- --rounds warning (gaps come from the synthesis) --
+	if (evalConfig.rounds > 1 && (retryTarget || !(evalConfig.summarize && evalConfig.perspectives > 0))) {
+		xLog.error(retryTarget
+			? 'Warning: --rounds ignored with --retryFailed'
+			: 'Warning: --rounds ignored (needs --perspectives>0 and -summarize)');
+		evalConfig.rounds = 1;
+	}
+
+	// -- -synthesisMatrix warning (the matrix restates the synthesis) --
+	if (evalConfig.synthesisMatrix && !(evalConfig.summarize && evalConfig.perspectives > 0)) {
+		xLog.error('Warning: -synthesisMatrix ignored (needs --perspectives>0 and -summarize)');
+		evalConfig.synthesisMatrix = false;
+	}
+
+	// -- stage setting warnings (ranges, temperature while thinking, sdk driver) --
+	const groupModels = { expand: evalConfig.expandModel, agent: evalConfig.agentModel, synth: evalConfig.synthModel };
+	stageSettings.settingWarnings(evalConfig, (group) => groupModels[group]).forEach(message => xLog.error(`Warning: ${message}`));
+	if (evalConfig.driver === 'sdk' && stageSettings.describeStageSettings(evalConfig)) {
+		xLog.error('Warning: stage max tokens, temperature and thinking settings apply to the direct driver only; the sdk driver ignores them');
+	}
+
+	// -- JSON "perspectives" warning (a retry reuses the turn's stored expansion) --
+	if (evalConfig.perspectiveSeeds.length > 0 && retryTarget) {
+		xLog.error('Warning: JSON "perspectives" ignored with --retryFailed');
+		evalConfig.perspectiveSeeds = [];
+	}
+
+	// -- session store ([sessionStore] in the ini): a bad backend fails here, before any API spend --
+	if (!evalConfig.noSave) {
+		try {
+			sessionManager.ensureSessionDir();
+		} catch (err) {
+			xLog.error(`Error: ${err.message}`);
+			return;
+		}
+	}
+
+	// -- --resumeSession context: turn selection and compaction (lib/sessionContext.js) --
+	const sessionContextBuilder = require('./lib/sessionContext');
+	try {
+		evalConfig.contextTurns = sessionContextBuilder.parseContextTurns(evalConfig.contextTurnsText);
+	} catch (err) {
+		xLog.error(`Error: ${err.message}`);
+		return;
+	}
+
 	// -- session resume logic (Phase 6) --
 	let resumeSession = null;
-	let sessionContext = null;
 	const resumeSessionName = (commandLineParameters.values.resumeSession || [])[0];
 	if (resumeSessionName) {
 		try {
@@ -337,13 +907,22 @@ Examples:
 
 			// Map of saved value keys to evalConfig properties and their parsers
 			const restoreMap = {
-				perspectives: { prop: 'perspectives', parse: (v) => parseInt(v, 10) },
+				perspectives: { prop: 'perspectives', parse: (v) => Math.max(parseInt(v, 10), evalConfig.perspectiveSeeds.length) },
 				agentModel: { prop: 'agentModel', parse: (v) => resolveModel(v) },
 				model: { prop: 'agentModel', parse: (v) => resolveModel(v) },
 				expandModel: { prop: 'expandModel', parse: (v) => resolveModel(v) },
+				synthModel: { prop: 'synthModel', parse: (v) => resolveModel(v) },
+				...stageSettings.restoreMapEntries(),
 				budget: { prop: 'budget', parse: (v) => parseFloat(v) },
 				maxTurns: { prop: 'maxTurns', parse: (v) => parseInt(v, 10) },
 				driver: { prop: 'driver', parse: (v) => String(v).toLowerCase() },
+				fanOutConcurrency: { prop: 'fanOutConcurrency', parse: (v) => parseInt(v, 10) || 0 },
+				rateLimitRetries: { prop: 'rateLimitRetries', parse: (v) => parseInt(v, 10) },
+				maxRunCostUsd: { prop: 'maxRunCostUsd', parse: (v) => parseFloat(v) || 0 },
+				maxToolIterations: { prop: 'maxToolIterations', parse: (v) => parseInt(v, 10) || 10 },
+				rounds: { prop: 'rounds', parse: (v) => parseInt(v, 10) || 1 },
+				contextBudgetTokens: { prop: 'contextBudgetTokens', parse: (v) => parseInt(v, 10) || 0 },
+				contextRecentTurns: { prop: 'contextRecentTurns', parse: (v) => (parseInt(v, 10) >= 0 ? parseInt(v, 10) : 2) },
 				firstPrompt: { prop: 'firstPromptName', parse: (v) => String(v) },
 			};
 
@@ -363,6 +942,12 @@ Examples:
 				xLog.status(`[Resume] Restored from saved session: ${restoredKeys.join(', ')}`);
 			}
 
+			// synthModel defaults to expandModel, so it follows a restored expandModel unless set itself
+			if (restoredKeys.some(k => k.startsWith('expandModel=')) && !restoredKeys.some(k => k.startsWith('synthModel='))
+				&& !(currentValues.synthModel || localConfig.synthModel)) {
+				evalConfig.synthModel = evalConfig.expandModel;
+			}
+
 			// If firstPromptName was restored, re-resolve firstPromptText to match
 			if (restoredKeys.some(k => k.startsWith('firstPrompt='))) {
 				const prompts = getConfig('prompts') || {};
@@ -377,18 +962,25 @@ Examples:
 				}
 			}
 		}
-		// Build session context from prior turns (only if session was found)
+		// The context itself is built by the pipeline's first task (it may summarize older turns)
 		if (resumeSession) {
-			sessionContext = sessionManager.buildSessionContext(resumeSession);
+			const missing = sessionContextBuilder.missingTurns(resumeSession.turns, evalConfig.contextTurns);
+			if (missing.length > 0) {
+				xLog.error(`Warning: --contextTurns names turn(s) ${missing.join(', ')} that session "${resumeSessionName}" does not have`);
+			}
 			if (evalConfig.verbose) {
 				xLog.status(`[Resume] Loaded session "${resumeSessionName}" with ${resumeSession.turns.length} prior turn(s)`);
-				xLog.status(`[Resume] Session context: ${sessionContext.length} chars`);
 			}
 		}
 	}
+	if (evalConfig.contextTurns.length > 0 && !resumeSession) {
+		xLog.error('Warning: --contextTurns applies to --resumeSession of an existing session; ignored');
+	}
 
-	// -- Confluence tool detection (needed for verbose display and pipeline routing) --
-	const hasConfluenceTools = evalConfig.tools.some(t => t.toLowerCase() === 'confluence');
+	// -- Registry toolset detection (needed for verbose display and pipeline routing) --
+	const toolRegistry = require('./lib/toolRegistry');
+	const requestedToolsets = toolRegistry.partitionTools(evalConfig.tools).toolsets;
+	const hasConfluenceTools = requestedToolsets.some(t => t.toLowerCase() === 'confluence');
 
 	if (evalConfig.verbose) {
 		const modeLabel = evalConfig.perspectives === 0 ? 'singleCall' : `chorus (${evalConfig.perspectives} perspectives)`;
@@ -397,15 +989,33 @@ Examples:
 		xLog.status(`  First prompt:  ${evalConfig.firstPromptName}`);
 		xLog.status(`  Expand model:  ${evalConfig.expandModel}`);
 		xLog.status(`  Agent model:   ${evalConfig.agentModel}`);
-		xLog.status(`  Perspectives:  ${evalConfig.perspectives}`);
+		xLog.status(`  Synth model:   ${evalConfig.synthModel}`);
+		xLog.status(`  Stage tuning:  ${stageSettings.describeStageSettings(evalConfig) || '(defaults)'}`);
+		xLog.status(`  Perspectives:  ${evalConfig.perspectives}${evalConfig.perspectiveSeeds.length > 0 ? ` (${seedPerspectives.describeSeeds(evalConfig.perspectiveSeeds, evalConfig.perspectives)})` : ''}`);
 		xLog.status(`  Max turns:     ${evalConfig.maxTurns}`);
 		xLog.status(`  Budget/agent:  $${evalConfig.budget}`);
+		xLog.status(`  Run cost cap:  ${evalConfig.maxRunCostUsd > 0 ? `$${evalConfig.maxRunCostUsd}` : '(none)'}`);
 		xLog.status(`  Tools:         ${evalConfig.tools.length > 0 ? evalConfig.tools.join(', ') : '(none)'}`);
+		xLog.status(`  Attachments:   ${evalConfig.attachments.length > 0 ? evalConfig.attachments.map(a => `${a.name} (${a.type}, ${a.chars} chars${a.chunks > 1 ? `, ${a.chunks} parts` : ''})`).join(', ') : '(none)'}`);
 		xLog.status(`  Driver:        ${evalConfig.driver}`);
+		xLog.status(`  Providers:     ${providerRegistry.describeStageProviders(evalConfig)}`);
+		xLog.status(`  Record/replay: ${evalConfig.recordDir ? `recording to ${evalConfig.recordDir}` : evalConfig.replayDir ? `replaying from ${evalConfig.replayDir}` : '(off)'}`);
+		xLog.status(`  Prompt cache:  ${evalConfig.promptCache ? 'on' : 'off'}`);
+		xLog.status(`  Fan-out:       ${evalConfig.serialFanOut ? 'serial' : evalConfig.fanOutConcurrency > 0 ? `pool of ${evalConfig.fanOutConcurrency}` : 'parallel'} (${evalConfig.rateLimitRetries} rate-limit retries)`);
 		xLog.status(`  Dry run:       ${evalConfig.dryRun}`);
+		xLog.status(`  Format:        ${evalConfig.format}`);
 		xLog.status(`  Summarize:     ${evalConfig.summarize}`);
+		xLog.status(`  Cross-examine: ${evalConfig.crossExamine}`);
+		xLog.status(`  Claims:        ${evalConfig.extractClaims}`);
+		xLog.status(`  Rounds:        ${evalConfig.rounds}`);
+		xLog.status(`  Matrix:        ${evalConfig.synthesisMatrix}`);
 		xLog.status(`  No save:       ${evalConfig.noSave}`);
+		xLog.status(`  Session store: ${evalConfig.noSave ? '(not saving)' : sessionManager.describeSessionStore()}`);
 		xLog.status(`  Restore args:  ${evalConfig.restoreSwitches}`);
+		if (requestedToolsets.length > 0) {
+			xLog.status(`  Toolsets:      ${requestedToolsets.join(', ')}`);
+			xLog.status(`  Tool loop:     max ${evalConfig.maxToolIterations} iterations${evalConfig.synthesizerTools ? ', synthesizer too' : ''}`);
+		}
 		if (hasConfluenceTools) {
 			xLog.status(`  Confluence:    ${evalConfig.confluenceBaseUrl || '(not set)'}`);
 			xLog.status(`  Confl. space:  ${evalConfig.confluenceDefaultSpace || '(not set)'}`);
@@ -413,6 +1023,7 @@ Examples:
 		}
 		if (resumeSessionName) {
 			xLog.status(`  Resume:        ${resumeSessionName}`);
+			xLog.status(`  Context:       ${evalConfig.contextTurns.length > 0 ? `turns ${evalConfig.contextTurns.join(',')}` : 'all turns'}, latest ${evalConfig.contextRecentTurns} verbatim, budget ~${sessionContextBuilder.contextBudgetTokens(evalConfig)} tokens`);
 		}
 		xLog.status(`--- End Config ---\n`);
 	}
@@ -424,82 +1035,284 @@ Examples:
 		return;
 	}
 
+	// -- session identity + live progress --
+	// The name is fixed up front so the progress sidecar and the saved session agree
+	const existingSession = retryTarget ? retryTarget.session : resumeSession;
+	const runSessionName = existingSession
+		? existingSession.sessionName
+		: (commandLineParameters.values.sessionName || [])[0] || (evalConfig.noSave ? null : sessionManager.generateSessionName());
+	const progress = require('./lib/progressReporter')({
+		sessionName: runSessionName,
+		turnNumber: retryTarget ? retryTarget.turn.turnNumber
+			: resumeSession ? resumeSession.turns.length + 1
+			: 1,
+		enabled: !evalConfig.noSave,
+		sessionManager,
+	});
+	const ledger = require('./lib/costLedger')({ maxRunCostUsd: evalConfig.maxRunCostUsd });
+	const { estimateCallUsd } = require('./lib/callEstimate');
+	// What a synthesis call reserves: its prompt plus every perspective's findings in, max_tokens out
+	const synthesisEstimateUsd = ({ config, originalPrompt, results }) => estimateCallUsd({
+		stage: 'synthesize',
+		config,
+		model: config.synthModel,
+		inputText: [config.summarizerPromptText, originalPrompt, ...(results || []).map(r => r.findings)].filter(Boolean).join('\n'),
+	});
+	const { zeroCost, sumCosts, perspectiveCosts } = require('./lib/costs');
+
+	// -- tool kit for the requested registry toolsets (null when none) --
+	// Direct driver: single call, fan-out agents and, optionally, synthesis. SDK driver: single-call MCP servers.
+	const toolKit = toolRegistry.buildToolKit({ toolNames: evalConfig.tools, config: evalConfig });
+
 	// -- pipeline setup --
 	const { pipeRunner, taskListPlus } = new (require('qtools-asynchronous-pipe-plus'))();
 	const { collect } = require('./stages/collect');
 
 	const taskList = new taskListPlus();
 
-	if (evalConfig.perspectives === 0) {
+	// -- first stage failure, kept as { stage, code, message, details } for the session file --
+	let runFailure = null;
+	const stageFailed = (stage, args, next) => (err) => {
+		runFailure = runFailure || {
+			stage: err.stage || stage,
+			code: err.code || 'STAGE_FAILED',
+			message: err.message,
+			...(err.details && { details: err.details }),
+		};
+		next(err.message, args);
+	};
+
+	// Session context stage (--resumeSession): the chosen prior turns, older ones summarized when over budget
+	taskList.push((args, next) => {
+		if (!args.session || args.retryTarget) {
+			next('', args);
+			return;
+		}
+		const budgetTokens = sessionContextBuilder.contextBudgetTokens(args.config);
+		const entries = sessionContextBuilder.planContext({
+			turns: args.session.turns,
+			contextTurns: args.config.contextTurns,
+			budgetTokens,
+			recentTurns: args.config.contextRecentTurns,
+		});
+		const finish = (costs = []) => {
+			const { text, ...built } = sessionContextBuilder.buildContext({ sessionName: args.session.sessionName, entries });
+			const context = { ...built, budgetTokens, ...(costs.length > 0 && { cost: sumCosts(costs) }) };
+			if (args.config.verbose) {
+				xLog.status(`[Context] ${sessionContextBuilder.describeContext(context)} (budget ~${budgetTokens})${context.cost ? `, summaries $${context.cost.usd.toFixed(4)}` : ''}`);
+			}
+			if (context.estimatedTokens > budgetTokens) {
+				xLog.error(`Warning: the session context (~${context.estimatedTokens} tokens) is over its ~${budgetTokens}-token budget; narrow --contextTurns or lower --contextRecentTurns`);
+			}
+			next('', { ...args, sessionContext: text, context });
+		};
+		const pending = sessionContextBuilder.summariesNeeded(entries);
+		if (pending.length === 0) {
+			finish();
+			return;
+		}
+		args.progress.stageStarted('context', `Summarizing ${pending.length} earlier turn(s) with ${args.config.expandModel}`);
+		import('./stages/contextSummary-direct.mjs')
+			.then(({ summarizeTurns }) => summarizeTurns({ turns: pending, config: args.config, ledger: args.ledger }))
+			.then(({ summarized, costs }) => {
+				args.progress.stageCompleted('context', { cost: sumCosts(costs), message: `Summarized ${summarized.length} of ${pending.length} earlier turn(s)` });
+				finish(costs);
+			})
+			.catch(stageFailed('context', args, next));
+	});
+
+	if (retryTarget) {
+		// ============================================================
+		// RETRY-FAILED PIPELINE (--retryFailed)
+		// ============================================================
+
+		// Fan-out stage (failed perspectives only, using the stored expansion instructions)
+		taskList.push((args, next) => {
+			if (args.config.dryRun) {
+				if (args.config.verbose) {
+					xLog.status(`[Retry] Skipped (dry-run mode)`);
+				}
+				next('', args);
+				return;
+			}
+			const { turn, instructions } = args.retryTarget;
+			const fanOutModule = args.config.driver === 'sdk' ? './stages/fanOut.mjs' : './stages/fanOut-direct.mjs';
+			if (args.config.verbose) {
+				xLog.status(`[Retry] Loading ${fanOutModule}...`);
+			}
+			import(fanOutModule).then(({ fanOut }) => {
+				if (args.config.verbose) {
+					xLog.status(`[Retry] Re-running ${instructions.length} failed perspective(s) of turn ${turn.turnNumber}: ${instructions.map(i => i.id).join(', ')}`);
+				}
+				const stageStart = Date.now();
+				args.progress.setPerspectives(instructions);
+				args.progress.stageStarted('fanOut', `Retrying ${instructions.length} failed perspectives of turn ${turn.turnNumber}`);
+				fanOut({ instructions, config: args.config, progress: args.progress, ledger: args.ledger, toolKit: args.toolKit })
+					.then(({ results }) => {
+						if (args.config.verbose) {
+							const elapsed = ((Date.now() - stageStart) / 1000).toFixed(1);
+							xLog.status(`[Retry] Agents returned in ${elapsed}s`);
+							results.forEach(r => {
+								if (sessionManager.isFailedFindings(r.findings)) {
+									xLog.error(`  Agent ${r.id} (${r.perspective}): FAILED again`);
+								} else {
+									xLog.status(`  Agent ${r.id} (${r.perspective}): done ($${r.cost.usd.toFixed(4)}, ${r.turns} turns)`);
+								}
+							});
+						}
+						args.progress.stageCompleted('fanOut', { message: `All ${results.length} retried agents returned` });
+						next('', { ...args, retryResults: results });
+					})
+					.catch(stageFailed('fanOut', args, next));
+			});
+		});
+
+		// Splice stage: put the new findings into the turn, optionally re-synthesizing over all perspectives
+		taskList.push((args, next) => {
+			if (args.config.dryRun) {
+				next('', args);
+				return;
+			}
+			const { turn } = args.retryTarget;
+			const storedInstructions = sessionManager.turnInstructions(turn);
+			const results = turn.perspectives.map(p => args.retryResults.find(r => r.id === p.id) || {
+				...p,
+				instruction: (storedInstructions.find(i => i.id === p.id) || {}).instruction || '',
+				model: p.model || args.config.agentModel,
+				turns: p.turns || 1,
+			});
+
+			const synthesisCall = args.config.summarize
+				? args.ledger.startCall({ stage: 'synthesize', estimateUsd: synthesisEstimateUsd({ config: args.config, originalPrompt: turn.prompt, results }) })
+				: null;
+			if (!synthesisCall) {
+				if (args.config.summarize) {
+					xLog.error(`[Retry] Re-synthesis skipped: ${args.ledger.lastSkipReason()}`);
+				}
+				sessionManager.applyRetryToTurn({ turn, results: args.retryResults, budget: args.ledger.summary() });
+				next('', { ...args, results });
+				return;
+			}
+
+			const synthesizeModule = args.config.driver === 'sdk' ? './stages/synthesize.mjs' : './stages/synthesize-direct.mjs';
+			import(synthesizeModule).then(({ synthesize }) => {
+				if (args.config.verbose) {
+					xLog.status(`[Retry] Re-running synthesis over ${results.length} perspectives with ${args.config.synthModel}...`);
+				}
+				args.progress.stageStarted('synthesize', `Re-synthesis started with ${args.config.synthModel}`);
+				synthesize({
+					originalPrompt: turn.prompt,
+					instructions: storedInstructions,
+					results,
+					config: args.config,
+					toolKit: args.config.synthesizerTools ? args.toolKit : null,
+					ledgerCall: synthesisCall,
+				})
+					.then(async ({ synthesis, synthesisCost, synthesisToolCalls }) => {
+						synthesisCall.finish(synthesisCost);
+						args.progress.stageCompleted('synthesize', { cost: synthesisCost });
+						// The stored matrix described the old synthesis; rebuild it when -synthesisMatrix is set.
+						// A failed rebuild is recorded on the matrix, as on a first run: the new synthesis is kept.
+						let synthesisMatrix = null;
+						if (args.config.synthesisMatrix) {
+							args.progress.stageStarted('synthesisMatrix', `Rebuilding the synthesis matrix with ${args.config.synthModel}`);
+							try {
+								const { synthesisMatrix: buildMatrix } = await import('./stages/synthesisMatrix-direct.mjs');
+								({ matrix: synthesisMatrix } = await buildMatrix({ originalPrompt: turn.prompt, results, synthesis, config: args.config, ledger: args.ledger }));
+							} catch (err) {
+								xLog.error(`[Retry] Synthesis matrix rebuild failed: ${err.message}`);
+								synthesisMatrix = { themes: [], openQuestions: [], cost: zeroCost(), error: err.message };
+							}
+							args.progress.stageCompleted('synthesisMatrix', { cost: synthesisMatrix.cost, message: synthesisMatrix.error ? `Matrix failed: ${synthesisMatrix.error}` : `${synthesisMatrix.themes.length} themes` });
+						}
+						sessionManager.applyRetryToTurn({ turn, results: args.retryResults, synthesis, synthesisCost, synthesisToolCalls, synthesisMatrix, budget: args.ledger.summary() });
+						next('', { ...args, results });
+					})
+					.catch(err => {
+						synthesisCall.finish(null);
+						stageFailed('synthesize', args, next)(err);
+					});
+			});
+		});
+
+		// Collect stage (retry) — reports the whole updated turn
+		taskList.push((args, next) => {
+			const elapsedSeconds = (Date.now() - args.startTime) / 1000;
+			const { turn, instructions } = args.retryTarget;
+
+			if (args.config.dryRun) {
+				const report = JSON.stringify(
+					{ retry: { sessionName: args.retryTarget.session.sessionName, turnNumber: turn.turnNumber, instructions } },
+					null, 2
+				);
+				next('', { ...args, report, elapsedSeconds });
+				return;
+			}
+			const { report, reportJson } = collect({
+				mode: 'chorus',
+				originalPrompt: turn.prompt,
+				instructions: turn.expansion.instructions,
+				results: args.results,
+				expandCost: turn.expansion.cost,
+				synthesis: turn.synthesis ? turn.synthesis.text : null,
+				synthesisCost: turn.synthesis ? turn.synthesis.cost : null,
+				synthesisMatrix: turn.synthesis ? turn.synthesis.matrix || null : null,
+				elapsedSeconds,
+				config: args.config,
+				budget: args.ledger.summary(),
+			});
+			next('', { ...args, report, reportJson, elapsedSeconds });
+		});
+
+	} else if (evalConfig.perspectives === 0) {
 		// ============================================================
 		// SINGLE-CALL PIPELINE
 		// ============================================================
 
-		// SingleCall stage — route to tools-enabled driver when confluence tools are requested
+		// SingleCall stage — route to tools-enabled driver when registry toolsets are requested
 		taskList.push((args, next) => {
-			const useToolsDriver = hasConfluenceTools && args.config.driver === 'direct';
+			const useToolsDriver = !!args.toolKit && args.config.driver === 'direct';
+			args.progress.stageStarted('singleCall', `Calling ${args.config.agentModel}`);
 
 			if (useToolsDriver) {
-				// -- Tools-enabled direct driver (confluence) --
+				// -- Tools-enabled direct driver (registry toolsets) --
 				const mod = './stages/single-call-tools-direct.mjs';
 				if (args.config.verbose) {
 					xLog.status(`[SingleCall] Loading ${mod} (tools-enabled)...`);
 					xLog.status(`[SingleCall] Mode: singleCallWithTools, Prompt: ${args.config.firstPromptName}, Model: ${args.config.agentModel}`);
 				}
 
-				// Create confluenceAccessor instance
-				const confluenceAccessor = require('./lib/confluenceAccessor')({
-					baseUrl: args.config.confluenceBaseUrl,
-					email: args.config.confluenceEmail,
-					apiToken: args.config.confluenceApiToken,
-					defaultSpace: args.config.confluenceDefaultSpace,
-					mockApi: args.config.mockApi,
-				});
-
-				// Get tool definitions and handler
-				const confluenceTools = require('./lib/confluenceTools');
-				const toolHandler = require('./lib/toolHandler');
-
 				import(mod).then(({ singleCallWithTools }) => {
 					singleCallWithTools({
 						prompt: args.originalPrompt,
 						systemPrompt: args.config.firstPromptText,
 						sessionContext: args.sessionContext,
 						config: args.config,
-						tools: confluenceTools.getToolDefinitions(),
-						toolHandler,
-						accessor: confluenceAccessor,
-					}).then(({ responseText, cost }) => {
-						next('', { ...args, responseText, singleCallCost: cost });
-					}).catch(err => next(err.message, args));
+						toolKit: args.toolKit,
+					}).then(({ responseText, cost, toolCalls, model }) => {
+						args.progress.stageCompleted('singleCall', { cost });
+						next('', { ...args, responseText, singleCallCost: cost, singleCallToolCalls: toolCalls, singleCallModel: model });
+					}).catch(stageFailed('singleCall', args, next));
 				});
-			} else if (hasConfluenceTools && args.config.driver === 'sdk') {
-				// -- SDK driver with Confluence MCP server --
+			} else if (args.toolKit && args.config.driver === 'sdk') {
+				// -- SDK driver with registry toolsets as MCP servers --
 				const mod = './stages/single-call.mjs';
 				if (args.config.verbose) {
-					xLog.status(`[SingleCall] Loading ${mod} (with Confluence MCP)...`);
+					xLog.status(`[SingleCall] Loading ${mod} (with MCP: ${args.toolKit.toolsets.join(', ')})...`);
 					xLog.status(`[SingleCall] Mode: singleCallWithMCP, Prompt: ${args.config.firstPromptName}, Model: ${args.config.agentModel}`);
 				}
 
-				// Create confluenceAccessor instance
-				const confluenceAccessor = require('./lib/confluenceAccessor')({
-					baseUrl: args.config.confluenceBaseUrl,
-					email: args.config.confluenceEmail,
-					apiToken: args.config.confluenceApiToken,
-					defaultSpace: args.config.confluenceDefaultSpace,
-					mockApi: args.config.mockApi,
-				});
-
 				import(mod).then(({ singleCall }) => {
 					singleCall({
 						prompt: args.originalPrompt,
 						systemPrompt: args.config.firstPromptText,
 						sessionContext: args.sessionContext,
 						config: args.config,
-						accessor: confluenceAccessor,
+						toolKit: args.toolKit,
 					}).then(({ responseText, cost }) => {
+						args.progress.stageCompleted('singleCall', { cost });
 						next('', { ...args, responseText, singleCallCost: cost });
-					}).catch(err => next(err.message, args));
+					}).catch(stageFailed('singleCall', args, next));
 				});
 			} else {
 				// -- Standard driver (no tools) --
@@ -514,9 +1327,10 @@ Examples:
 						systemPrompt: args.config.firstPromptText,
 						sessionContext: args.sessionContext,
 						config: args.config,
-					}).then(({ responseText, cost }) => {
-						next('', { ...args, responseText, singleCallCost: cost });
-					}).catch(err => next(err.message, args));
+					}).then(({ responseText, cost, model }) => {
+						args.progress.stageCompleted('singleCall', { cost });
+						next('', { ...args, responseText, singleCallCost: cost, singleCallModel: model });
+					}).catch(stageFailed('singleCall', args, next));
 				});
 			}
 		});
@@ -533,7 +1347,8 @@ Examples:
 				prompt: args.originalPrompt,
 				responseText: args.responseText,
 				cost: args.singleCallCost,
-				model: args.config.agentModel,
+				toolCalls: args.singleCallToolCalls,
+				model: args.singleCallModel || args.config.agentModel,
 				elapsedSeconds,
 				config: args.config,
 			});
@@ -545,8 +1360,32 @@ Examples:
 		// CHORUS PIPELINE (perspectives > 0)
 		// ============================================================
 
-		// Expand stage
+		// Expand stage (skipped when the caller's perspectives are complete)
 		taskList.push((args, next) => {
+			const seeded = seedPerspectives.directInstructions(args.config.perspectiveSeeds, args.config.perspectives);
+			if (seeded) {
+				if (args.config.verbose) {
+					xLog.status(`[Expand] Skipped: using ${seeded.length} caller-supplied perspectives`);
+				}
+				args.progress.stageCompleted('expand', { message: `Using ${seeded.length} caller-supplied perspectives` });
+				args.progress.setPerspectives(seeded);
+				next('', { ...args, instructions: seeded, expandCost: zeroCost(), expandRepairs: 0 });
+				return;
+			}
+			const expandCall = args.ledger.startCall({
+				stage: 'expand',
+				estimateUsd: estimateCallUsd({
+					stage: 'expand',
+					config: args.config,
+					model: args.config.expandModel,
+					inputText: [args.config.firstPromptText, args.sessionContext, args.config.attachmentContext, args.originalPrompt].filter(Boolean).join('\n'),
+				}),
+			});
+			if (!expandCall) {
+				xLog.error(`[Expand] Skipped: ${args.ledger.lastSkipReason()}`);
+				stageFailed('expand', args, next)(new Error(`Expansion skipped: ${args.ledger.lastSkipReason()}`));
+				return;
+			}
 			const expandModule = args.config.driver === 'sdk' ? './stages/expand.mjs' : './stages/expand-direct.mjs';
 			if (args.config.verbose) {
 				xLog.status(`[Expand] Loading ${expandModule}...`);
@@ -556,19 +1395,28 @@ Examples:
 					xLog.status(`[Expand] Calling ${args.config.expandModel} for expansion into ${args.config.perspectives} perspectives...`);
 				}
 				const stageStart = Date.now();
+				args.progress.stageStarted('expand', `Expanding prompt into ${args.config.perspectives} perspectives with ${args.config.expandModel}`);
 				expand({ originalPrompt: args.originalPrompt, config: args.config, sessionContext: args.sessionContext })
-					.then(({ instructions, expandCost }) => {
+					.then(({ instructions: expanded, expandCost, expandRepairs }) => {
+						const instructions = seedPerspectives.applySeeds(expanded, args.config.perspectiveSeeds);
 						if (args.config.verbose) {
 							const elapsed = ((Date.now() - stageStart) / 1000).toFixed(1);
 							xLog.status(`[Expand] Complete in ${elapsed}s. Got ${instructions.length} perspectives:`);
 							instructions.forEach(instr => {
-								xLog.status(`  ${instr.id}. [${instr.perspective}]`);
+								xLog.status(`  ${instr.id}. [${instr.perspective}]${instr.userSupplied ? ' (caller-supplied)' : ''}`);
 							});
 							xLog.status(`[Expand] Cost: $${expandCost.usd.toFixed(4)}`);
 						}
-						next('', { ...args, instructions, expandCost });
+						expandCall.finish(expandCost);
+						args.progress.stageCompleted('expand', { cost: expandCost, message: `Expansion done: ${instructions.length} perspectives` });
+						args.progress.setPerspectives(instructions);
+						next('', { ...args, instructions, expandCost, expandRepairs });
 					})
-					.catch(err => next(err.message, args));
+					.catch(err => {
+						// Spend on failed expansion attempts still counts toward the run cost limit
+						expandCall.finish(err.cost || null);
+						stageFailed('expand', args, next)(err);
+					});
 			});
 		});
 
@@ -587,28 +1435,98 @@ Examples:
 			}
 			import(fanOutModule).then(({ fanOut }) => {
 				if (args.config.verbose) {
-					xLog.status(`[Fan-Out] Launching ${args.instructions.length} research agents in parallel...`);
+					const fanOutMode = args.config.serialFanOut ? 'serially'
+						: args.config.fanOutConcurrency > 0 ? `with concurrency ${args.config.fanOutConcurrency}`
+						: 'in parallel';
+					xLog.status(`[Fan-Out] Launching ${args.instructions.length} research agents ${fanOutMode}...`);
 				}
 				const stageStart = Date.now();
-				fanOut({ instructions: args.instructions, config: args.config })
+				args.progress.stageStarted('fanOut', `Running ${args.instructions.length} research agents`);
+				fanOut({ instructions: args.instructions, config: args.config, progress: args.progress, ledger: args.ledger, toolKit: args.toolKit })
 					.then(({ results }) => {
 						if (args.config.verbose) {
 							const elapsed = ((Date.now() - stageStart) / 1000).toFixed(1);
 							xLog.status(`[Fan-Out] All agents returned in ${elapsed}s`);
 							results.forEach(r => {
-								if (r.findings.startsWith('[AGENT FAILED') || r.findings.startsWith('[AGENT ERROR')) {
+								if (r.findings.startsWith('[SKIPPED')) {
+									xLog.error(`  Agent ${r.id} (${r.perspective}): SKIPPED (run cost limit)`);
+								} else if (r.findings.startsWith('[AGENT FAILED') || r.findings.startsWith('[AGENT ERROR')) {
 									xLog.error(`  Agent ${r.id} (${r.perspective}): FAILED`);
 								} else {
 									xLog.status(`  Agent ${r.id} (${r.perspective}): done ($${r.cost.usd.toFixed(4)}, ${r.turns} turns)`);
 								}
 							});
 						}
-						next('', { ...args, results });
+						args.progress.stageCompleted('fanOut', { message: `All ${results.length} agents returned` });
+						next('', { ...args, results: seedPerspectives.markUserSupplied(results, args.instructions) });
 					})
-					.catch(err => next(err.message, args));
+					.catch(stageFailed('fanOut', args, next));
 			});
 		});
 
+		// Cross-examine stage (only if -crossExamine is set and not dry-run)
+		if (evalConfig.crossExamine) {
+			taskList.push((args, next) => {
+				if (args.config.dryRun) {
+					if (args.config.verbose) {
+						xLog.status(`[CrossExamine] Skipped (dry-run mode)`);
+					}
+					next('', args);
+					return;
+				}
+				import('./stages/crossExamine-direct.mjs').then(({ crossExamine }) => {
+					const stageStart = Date.now();
+					args.progress.stageStarted('crossExamine', `Cross-examining ${args.results.length} perspectives with ${args.config.agentModel}`);
+					crossExamine({ originalPrompt: args.originalPrompt, results: args.results, config: args.config, ledger: args.ledger })
+						.then(({ critiques }) => {
+							const results = args.results.map(r => {
+								const critique = critiques.find(c => c.id === r.id);
+								return critique ? { ...r, critique: { text: critique.text, cost: critique.cost } } : r;
+							});
+							const cost = sumCosts(critiques.map(c => c.cost));
+							if (args.config.verbose) {
+								const elapsed = ((Date.now() - stageStart) / 1000).toFixed(1);
+								xLog.status(`[CrossExamine] ${critiques.length} critiques in ${elapsed}s, $${cost.usd.toFixed(4)}`);
+							}
+							args.progress.stageCompleted('crossExamine', { cost, message: `${critiques.length} critiques written` });
+							next('', { ...args, results });
+						})
+						.catch(stageFailed('crossExamine', args, next));
+				});
+			});
+		}
+
+		// Extract-claims stage (only if -extractClaims is set and not dry-run)
+		if (evalConfig.extractClaims) {
+			taskList.push((args, next) => {
+				if (args.config.dryRun) {
+					if (args.config.verbose) {
+						xLog.status(`[ExtractClaims] Skipped (dry-run mode)`);
+					}
+					next('', args);
+					return;
+				}
+				const { attachClaims } = require('./lib/claims');
+				import('./stages/extractClaims-direct.mjs').then(({ extractClaims }) => {
+					const stageStart = Date.now();
+					args.progress.stageStarted('extractClaims', `Extracting claims from ${args.results.length} perspectives with ${args.config.agentModel}`);
+					extractClaims({ originalPrompt: args.originalPrompt, results: args.results, config: args.config, ledger: args.ledger })
+						.then(({ extractions }) => {
+							const results = attachClaims(args.results, extractions);
+							const cost = sumCosts(extractions.map(e => e.cost));
+							const claimCount = extractions.reduce((count, e) => count + e.items.length, 0);
+							if (args.config.verbose) {
+								const elapsed = ((Date.now() - stageStart) / 1000).toFixed(1);
+								xLog.status(`[ExtractClaims] ${claimCount} claims from ${extractions.length} perspectives in ${elapsed}s, $${cost.usd.toFixed(4)}`);
+							}
+							args.progress.stageCompleted('extractClaims', { cost, message: `${claimCount} claims extracted` });
+							next('', { ...args, results });
+						})
+						.catch(stageFailed('extractClaims', args, next));
+				});
+			});
+		}
+
 		// Synthesize stage (only if -summarize is set and not dry-run)
 		if (evalConfig.summarize) {
 			taskList.push((args, next) => {
@@ -619,30 +1537,220 @@ Examples:
 					next('', args);
 					return;
 				}
+				const synthesisCall = args.ledger.startCall({
+					stage: 'synthesize',
+					estimateUsd: synthesisEstimateUsd({ config: args.config, originalPrompt: args.originalPrompt, results: args.results }),
+				});
+				if (!synthesisCall) {
+					xLog.error(`[Synthesize] Skipped: ${args.ledger.lastSkipReason()}`);
+					args.progress.stageCompleted('synthesize', { message: `Synthesis skipped: ${args.ledger.lastSkipReason()}` });
+					next('', args);
+					return;
+				}
 				const synthesizeModule = args.config.driver === 'sdk' ? './stages/synthesize.mjs' : './stages/synthesize-direct.mjs';
 				if (args.config.verbose) {
 					xLog.status(`[Synthesize] Loading ${synthesizeModule}...`);
 				}
 				import(synthesizeModule).then(({ synthesize }) => {
 					if (args.config.verbose) {
-						xLog.status(`[Synthesize] Calling ${args.config.expandModel} for cross-perspective synthesis...`);
+						xLog.status(`[Synthesize] Calling ${args.config.synthModel} for cross-perspective synthesis...`);
 					}
 					const stageStart = Date.now();
+					args.progress.stageStarted('synthesize', `Synthesis started with ${args.config.synthModel}`);
 					synthesize({
 						originalPrompt: args.originalPrompt,
 						instructions: args.instructions,
 						results: args.results,
 						config: args.config,
+						toolKit: args.config.synthesizerTools ? args.toolKit : null,
+						ledgerCall: synthesisCall,
 					})
-						.then(({ synthesis, synthesisCost }) => {
+						.then(({ synthesis, synthesisCost, synthesisToolCalls }) => {
+							synthesisCall.finish(synthesisCost);
 							if (args.config.verbose) {
 								const elapsed = ((Date.now() - stageStart) / 1000).toFixed(1);
 								xLog.status(`[Synthesize] Complete in ${elapsed}s. Synthesis: ${synthesis.length} chars`);
 								xLog.status(`[Synthesize] Cost: $${synthesisCost.usd.toFixed(4)}`);
 							}
-							next('', { ...args, synthesis, synthesisCost });
+							args.progress.stageCompleted('synthesize', { cost: synthesisCost });
+							next('', { ...args, synthesis, synthesisCost, synthesisToolCalls });
+						})
+						.catch(err => {
+							synthesisCall.finish(null);
+							stageFailed('synthesize', args, next)(err);
+						});
+				});
+			});
+		}
+
+		// Follow-up rounds stage (--rounds=N): research the gaps the latest synthesis reports, then re-synthesize
+		if (evalConfig.summarize && evalConfig.rounds > 1) {
+			taskList.push((args, next) => {
+				if (args.config.dryRun || !args.synthesis) {
+					next('', args);
+					return;
+				}
+				const { parseOpenGaps } = require('./lib/researchRounds');
+				const { attachClaims } = require('./lib/claims');
+				const fanOutModule = args.config.driver === 'sdk' ? './stages/fanOut.mjs' : './stages/fanOut-direct.mjs';
+				const synthesizeModule = args.config.driver === 'sdk' ? './stages/synthesize.mjs' : './stages/synthesize-direct.mjs';
+
+				Promise.all([import('./stages/gapExpand-direct.mjs'), import(fanOutModule), import(synthesizeModule), import('./stages/extractClaims-direct.mjs')])
+					.then(async ([{ gapExpand }, { fanOut }, { synthesize }, { extractClaims }]) => {
+						let { results, instructions, synthesis, synthesisCost, synthesisToolCalls } = args;
+						const rounds = [{
+							round: 1,
+							perspectiveIds: results.map(r => r.id),
+							synthesis: { text: synthesis, cost: synthesisCost },
+							openGaps: parseOpenGaps(synthesis).gaps,
+						}];
+						// Round 1's spend estimates the next round when deciding whether the cost limit leaves room for it
+						let lastRoundUsd = sumCosts([args.expandCost, ...perspectiveCosts(results), synthesisCost]).usd;
+						let roundsStop = { reason: 'maxRounds', afterRound: args.config.rounds };
+
+						for (let round = 2; round <= args.config.rounds; round++) {
+							const gaps = rounds[rounds.length - 1].openGaps;
+							if (gaps.length === 0) {
+								roundsStop = { reason: 'noGaps', afterRound: round - 1 };
+								break;
+							}
+							const budget = args.ledger.summary();
+							if (budget && budget.spentUsd + lastRoundUsd > budget.maxRunCostUsd) {
+								roundsStop = { reason: 'costLimit', afterRound: round - 1 };
+								break;
+							}
+							if (args.config.verbose) {
+								xLog.status(`[Rounds] Round ${round}: ${gaps.length} open gap(s) from round ${round - 1}`);
+							}
+
+							const expandCall = args.ledger.startCall({
+								stage: 'gapExpand',
+								estimateUsd: estimateCallUsd({
+									stage: 'gapExpand',
+									config: args.config,
+									model: args.config.expandModel,
+									inputText: [args.config.gapExpanderPromptText, args.originalPrompt, synthesis, ...gaps].filter(Boolean).join('\n'),
+								}),
+							});
+							if (!expandCall) {
+								roundsStop = { reason: 'costLimit', afterRound: round - 1 };
+								break;
+							}
+							args.progress.stageStarted('gapExpand', `Round ${round}: turning ${gaps.length} open gap(s) into follow-up instructions`);
+							let expansion;
+							try {
+								expansion = await gapExpand({
+									originalPrompt: args.originalPrompt,
+									synthesis,
+									gaps,
+									priorInstructions: instructions,
+									firstId: Math.max(...results.map(r => r.id)) + 1,
+									config: args.config,
+								});
+								expandCall.finish(expansion.expandCost);
+							} catch (err) {
+								expandCall.finish(err.cost || null);
+								xLog.error(`[Rounds] Round ${round} follow-up expansion failed: ${err.message}`);
+								roundsStop = { reason: 'error', afterRound: round - 1, message: err.message };
+								break;
+							}
+							args.progress.stageCompleted('gapExpand', { cost: expansion.expandCost, message: `Round ${round}: ${expansion.instructions.length} follow-up perspectives` });
+
+							// A failure here ends the loop like a failed synthesis: the rounds already paid for are kept
+							args.progress.setPerspectives(expansion.instructions);
+							args.progress.stageStarted('fanOut', `Round ${round}: running ${expansion.instructions.length} research agents`);
+							let roundResults = [];
+							let roundError = null;
+							try {
+								({ results: roundResults } = await fanOut({ instructions: expansion.instructions, config: args.config, progress: args.progress, ledger: args.ledger, toolKit: args.toolKit }));
+								args.progress.stageCompleted('fanOut', { message: `Round ${round}: all ${roundResults.length} agents returned` });
+							} catch (err) {
+								xLog.error(`[Rounds] Round ${round} research agents failed: ${err.message}`);
+								roundError = err;
+							}
+							if (!roundError && args.config.extractClaims) {
+								args.progress.stageStarted('extractClaims', `Round ${round}: extracting claims from ${roundResults.length} perspectives`);
+								try {
+									const { extractions } = await extractClaims({ originalPrompt: args.originalPrompt, results: roundResults, config: args.config, ledger: args.ledger });
+									roundResults = attachClaims(roundResults, extractions);
+									args.progress.stageCompleted('extractClaims', { cost: sumCosts(extractions.map(e => e.cost)), message: `Round ${round}: claims extracted` });
+								} catch (err) {
+									xLog.error(`[Rounds] Round ${round} claim extraction failed: ${err.message}`);
+									roundError = err;
+								}
+							}
+							results = [...results, ...roundResults.map(r => ({ ...r, round }))];
+							instructions = [...instructions, ...expansion.instructions];
+
+							const entry = {
+								round,
+								expansion: { instructions: expansion.instructions, cost: expansion.expandCost },
+								perspectiveIds: roundResults.map(r => r.id),
+								synthesis: null,
+								openGaps: [],
+							};
+							rounds.push(entry);
+							if (roundError) {
+								roundsStop = { reason: 'error', afterRound: round, message: roundError.message };
+								break;
+							}
+
+							const synthesisCall = args.ledger.startCall({
+								stage: 'synthesize',
+								estimateUsd: synthesisEstimateUsd({ config: args.config, originalPrompt: args.originalPrompt, results }),
+							});
+							if (!synthesisCall) {
+								xLog.error(`[Rounds] Round ${round} synthesis skipped: ${args.ledger.lastSkipReason()}`);
+								roundsStop = { reason: 'costLimit', afterRound: round };
+								break;
+							}
+							args.progress.stageStarted('synthesize', `Round ${round}: synthesis over ${results.length} perspectives with ${args.config.synthModel}`);
+							try {
+								({ synthesis, synthesisCost, synthesisToolCalls } = await synthesize({
+									originalPrompt: args.originalPrompt,
+									instructions,
+									results,
+									config: args.config,
+									toolKit: args.config.synthesizerTools ? args.toolKit : null,
+									ledgerCall: synthesisCall,
+								}));
+								synthesisCall.finish(synthesisCost);
+							} catch (err) {
+								synthesisCall.finish(null);
+								xLog.error(`[Rounds] Round ${round} synthesis failed: ${err.message}`);
+								roundsStop = { reason: 'error', afterRound: round, message: err.message };
+								break;
+							}
+							args.progress.stageCompleted('synthesize', { cost: synthesisCost, message: `Round ${round}: synthesis complete` });
+							entry.synthesis = { text: synthesis, cost: synthesisCost };
+							entry.openGaps = parseOpenGaps(synthesis).gaps;
+							lastRoundUsd = sumCosts([expansion.expandCost, ...perspectiveCosts(roundResults), synthesisCost]).usd;
+						}
+
+						if (args.config.verbose) {
+							xLog.status(`[Rounds] Stopped after round ${roundsStop.afterRound} (${roundsStop.reason}), ${results.length} perspectives in all`);
+						}
+						next('', { ...args, results, instructions, synthesis, synthesisCost, synthesisToolCalls, rounds, roundsStop });
+					})
+					.catch(stageFailed('rounds', args, next));
+			});
+		}
+
+		// Synthesis matrix stage (only if -synthesisMatrix is set): runs on the final synthesis, after any --rounds
+		if (evalConfig.synthesisMatrix) {
+			taskList.push((args, next) => {
+				if (args.config.dryRun || !args.synthesis) {
+					next('', args);
+					return;
+				}
+				import('./stages/synthesisMatrix-direct.mjs').then(({ synthesisMatrix }) => {
+					args.progress.stageStarted('synthesisMatrix', `Building the synthesis matrix with ${args.config.synthModel}`);
+					synthesisMatrix({ originalPrompt: args.originalPrompt, results: args.results, synthesis: args.synthesis, config: args.config, ledger: args.ledger })
+						.then(({ matrix }) => {
+							args.progress.stageCompleted('synthesisMatrix', { cost: matrix.cost, message: `${matrix.themes.length} themes, ${matrix.openQuestions.length} open questions` });
+							next('', { ...args, synthesisMatrix: matrix });
 						})
-						.catch(err => next(err.message, args));
+						.catch(stageFailed('synthesisMatrix', args, next));
 				});
 			});
 		}
@@ -670,8 +1778,13 @@ Examples:
 				expandCost: args.expandCost,
 				synthesis: args.synthesis || null,
 				synthesisCost: args.synthesisCost || null,
+				synthesisToolCalls: args.synthesisToolCalls || null,
+				synthesisMatrix: args.synthesisMatrix || null,
+				rounds: args.rounds || null,
+				roundsStop: args.roundsStop || null,
 				elapsedSeconds,
 				config: args.config,
+				budget: args.ledger.summary(),
 			});
 			next('', { ...args, report, reportJson, elapsedSeconds });
 		});
@@ -682,13 +1795,34 @@ Examples:
 		originalPrompt: evalConfig.prompt,
 		config: evalConfig,
 		startTime: Date.now(),
-		sessionContext: sessionContext || null,
+		sessionContext: null,
 		session: resumeSession || null,
+		retryTarget,
+		progress,
+		ledger,
+		toolKit,
 	};
 
 	pipeRunner(taskList.getList(), initialData, (err, result) => {
 		if (err) {
 			xLog.error(`Pipeline error: ${err}`);
+			const failure = runFailure || { stage: 'pipeline', code: 'PIPELINE_ERROR', message: String(err) };
+			if (evalConfig.json) {
+				xLog.result(JSON.stringify({ status: 'error', error: failure }, null, 2));
+			}
+			// A failed new turn leaves a structured error in the session file (retries keep the turn as it was)
+			if (!evalConfig.noSave && !retryTarget && runSessionName) {
+				try {
+					sessionManager.recordRunError({
+						sessionName: runSessionName,
+						turnNumber: resumeSession ? resumeSession.turns.length + 1 : 1,
+						error: failure,
+					});
+				} catch (saveErr) {
+					xLog.error(`Warning: Failed to record error in session: ${saveErr.message}`);
+				}
+			}
+			progress.finish({ status: 'error', message: String(err) });
 			process.exit(1);
 		}
 
@@ -700,6 +1834,23 @@ Examples:
 			xLog.result(result.report);
 		}
 
+		// -- Session save (retry mode updates the existing turn in place) --
+		if (result.retryTarget) {
+			if (!result.config.noSave && !result.config.dryRun) {
+				try {
+					const { session, turn } = result.retryTarget;
+					sessionManager.saveSession(sessionManager.recomputeSessionTotals(session));
+					const lastRetry = turn.retries[turn.retries.length - 1];
+					xLog.status(`Session updated: ${session.sessionName} (turn ${turn.turnNumber}, retried ${lastRetry.perspectiveIds.length} perspective(s), $${lastRetry.cost.usd.toFixed(4)})`);
+					progress.finish({ status: 'complete', message: `Turn ${turn.turnNumber} updated with retried perspectives` });
+				} catch (saveErr) {
+					xLog.error(`Warning: Failed to save session: ${saveErr.message}`);
+					progress.finish({ status: 'error', message: `Failed to save session: ${saveErr.message}` });
+				}
+			}
+			return;
+		}
+
 		// -- Session save --
 		if (!result.config.noSave) {
 			try {
@@ -715,7 +1866,12 @@ Examples:
 						promptName: result.config.firstPromptName,
 						prompt: result.originalPrompt,
 						response: result.responseText,
-						totalCost: result.singleCallCost,
+						model: result.singleCallModel || result.config.agentModel,
+						...(result.singleCallToolCalls && { toolCalls: result.singleCallToolCalls }),
+						...(result.config.attachments.length > 0 && { attachments: result.config.attachments }),
+						...(result.context && { context: result.context }),
+						prompts: sessionManager.turnPrompts({ config: result.config, context: result.context }),
+						totalCost: result.context && result.context.cost ? sumCosts([result.singleCallCost, result.context.cost]) : result.singleCallCost,
 						elapsedSeconds,
 						timestamp: new Date().toISOString(),
 					};
@@ -726,10 +1882,19 @@ Examples:
 						instructions: result.instructions,
 						results: result.results,
 						expandCost: result.expandCost,
+						expandRepairs: result.expandRepairs,
 						synthesis: result.synthesis,
 						synthesisCost: result.synthesisCost,
+						synthesisToolCalls: result.synthesisToolCalls,
+						synthesisMatrix: result.synthesisMatrix,
+						rounds: result.rounds,
+						roundsStop: result.roundsStop,
+						attachments: result.config.attachments,
+						context: result.context,
+						prompts: sessionManager.turnPrompts({ config: result.config, context: result.context }),
 						elapsedSeconds,
 						turnNumber,
+						budget: result.ledger.summary(),
 					});
 				}
 
@@ -737,9 +1902,8 @@ Examples:
 				if (result.session) {
 					session = sessionManager.appendTurnToSession(result.session, thisTurn);
 				} else {
-					const sessionName = (commandLineParameters.values.sessionName || [])[0] || sessionManager.generateSessionName();
 					session = sessionManager.createNewSession({
-						sessionName,
+						sessionName: runSessionName,
 						commandLineParameters,
 						config: result.config,
 						turn: thisTurn,
@@ -748,8 +1912,10 @@ Examples:
 
 				sessionManager.saveSession(session);
 				xLog.status(`Session saved: ${session.sessionName}`);
+				progress.finish({ status: 'complete', message: `Turn ${thisTurn.turnNumber} saved` });
 			} catch (saveErr) {
 				xLog.error(`Warning: Failed to save session: ${saveErr.message}`);
+				progress.finish({ status: 'error', message: `Failed to save session: ${saveErr.message}` });
 			}
 		}
 	});
@@ -788,13 +1954,21 @@ Examples:
 		});
 	}
 
+	// ASKMILO_CONFIG_DIR reads askMilo.ini from another directory (the test script's replay fixtures)
 	const configName = os.hostname() == 'qMini.local' ? 'instanceSpecific/qbook' : '';
-	const configDirPath = `${projectRoot}/configs/${configName}/`;
+	const configDirPath = process.env.ASKMILO_CONFIG_DIR
+		? `${path.resolve(process.env.ASKMILO_CONFIG_DIR)}/`
+		: `${projectRoot}/configs/${configName}/`;
 	const config = configFileProcessor.getConfig(`${moduleName}.ini`, configDirPath, { resolve: false, userSubstitutions });
 
+	// The ini parser keeps [providers.local] as a flat 'providers.local' section; getConfig('providers')
+	// gathers those into { local: {...} } (same for [modelRegistry.*])
 	const getConfig = (name) => {
 		if (name == 'allConfigs') { return config; }
-		return config[name];
+		const prefix = `${name}.`;
+		const dotted = Object.keys(config).filter(key => key.startsWith(prefix));
+		if (!dotted.length) { return config[name]; }
+		return dotted.reduce((sections, key) => ({ ...sections, [key.slice(prefix.length)]: config[key] }), { ...(config[name] || {}) });
 	};
 
 	process.global = {};
@@ -0,0 +1,106 @@
+'use strict';
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+
+const { buildOutline, formatUsd } = require('../lib/reportOutline');
+const { markdownToHtml, escapeHtml } = require('../lib/markdownToHtml');
+
+// Inline styles keep the report a single file that opens anywhere
+const STYLE = `
+	body { font-family: -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; line-height: 1.5; color: #222; margin: 0; }
+	main { max-width: 56em; margin: 0 auto; padding: 1.5em; }
+	nav.toc { background: #f6f8fa; border: 1px solid #ddd; border-radius: 6px; padding: 0.5em 1.5em; }
+	nav.toc ul { padding-left: 1.2em; }
+	section.level-3 { border-left: 3px solid #ddd; padding-left: 1em; }
+	blockquote { border-left: 3px solid #ccc; margin-left: 0; padding-left: 1em; color: #555; }
+	pre { background: #f6f8fa; padding: 0.8em; overflow-x: auto; }
+	table { border-collapse: collapse; margin: 1em 0; }
+	th, td { border: 1px solid #ddd; padding: 0.3em 0.6em; text-align: left; }
+	td.number { text-align: right; font-variant-numeric: tabular-nums; }
+	a.top { font-size: 0.8em; }
+`;
+
+//START OF moduleFunction() ============================================================
+const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
+	const { xLog, getConfig, rawConfig, commandLineParameters, projectRoot } = process.global;
+	const localConfig = getConfig(moduleName);
+
+	// Standalone HTML report with the same layout as the Markdown one
+	const formatHtml = (params) => {
+		const outline = buildOutline(params);
+		const parts = [];
+
+		parts.push('<!DOCTYPE html>');
+		parts.push('<html lang="en">');
+		parts.push('<head>');
+		parts.push('<meta charset="utf-8">');
+		parts.push('<meta name="viewport" content="width=device-width, initial-scale=1">');
+		parts.push(`<title>${escapeHtml(outline.title)}</title>`);
+		parts.push(`<style>${STYLE}</style>`);
+		parts.push('</head>');
+		parts.push('<body>');
+		parts.push('<main>');
+		parts.push(`<h1 id="top">${escapeHtml(outline.title)}</h1>`);
+		parts.push(`<blockquote>${markdownToHtml(outline.prompt || '')}</blockquote>`);
+		parts.push(`<ul>${outline.facts.map(([label, value]) => `<li><strong>${escapeHtml(label)}:</strong> ${escapeHtml(value)}</li>`).join('')}</ul>`);
+
+		// Contents: level-3 sections nest under the level-2 section before them
+		const tocItems = [];
+		outline.sections.forEach((section) => {
+			const link = `<a href="#${section.id}">${escapeHtml(section.title)}</a>`;
+			const parent = tocItems[tocItems.length - 1];
+			if (section.level > 2 && parent) {
+				parent.children.push(link);
+			} else {
+				tocItems.push({ link, children: [] });
+			}
+		});
+		tocItems.push({ link: '<a href="#cost-appendix">Cost Appendix</a>', children: [] });
+		parts.push('<nav class="toc">');
+		parts.push('<h2>Contents</h2>');
+		parts.push(`<ul>${tocItems.map(item => `<li>${item.link}${item.children.length > 0 ? `<ul>${item.children.map(child => `<li>${child}</li>`).join('')}</ul>` : ''}</li>`).join('')}</ul>`);
+		parts.push('</nav>');
+
+		outline.sections.forEach((section) => {
+			parts.push(`<section id="${section.id}" class="level-${section.level}">`);
+			parts.push(`<h${section.level}>${escapeHtml(section.title)} <a class="top" href="#top">&uarr;</a></h${section.level}>`);
+			if (section.body) {
+				parts.push(markdownToHtml(section.body));
+			}
+			parts.push('</section>');
+		});
+
+		const costRow = (label, cost, tag = 'td') => `<tr><${tag}>${escapeHtml(label)}</${tag}>`
+			+ [formatUsd(cost.usd), cost.inputTokens || 0, cost.outputTokens || 0, cost.cacheReadTokens || 0, cost.cacheWriteTokens || 0]
+				.map(value => `<${tag} class="number">${value}</${tag}>`).join('')
+			+ '</tr>';
+		parts.push('<section id="cost-appendix" class="level-2">');
+		parts.push('<h2>Cost Appendix <a class="top" href="#top">&uarr;</a></h2>');
+		parts.push('<table>');
+		parts.push('<thead><tr><th>Stage</th><th>Cost</th><th>Input</th><th>Output</th><th>Cache read</th><th>Cache write</th></tr></thead>');
+		parts.push(`<tbody>${outline.costRows.map(({ label, cost }) => costRow(label, cost)).join('')}</tbody>`);
+		parts.push(`<tfoot>${costRow('Total', outline.total, 'th')}</tfoot>`);
+		parts.push('</table>');
+		if (outline.budget) {
+			parts.push(`<p>Run cost limit ${formatUsd(outline.budget.maxRunCostUsd)}, spent ${formatUsd(outline.budget.spentUsd)}.</p>`);
+			if (outline.budget.skipped.length > 0) {
+				parts.push(`<ul>${outline.budget.skipped.map((s) => {
+					const target = s.id !== undefined ? `perspective ${s.id} (${s.perspective})` : s.stage;
+					return `<li>Skipped ${escapeHtml(target)}: ${escapeHtml(s.reason)}</li>`;
+				}).join('')}</ul>`);
+			}
+		}
+		parts.push('</section>');
+
+		parts.push('</main>');
+		parts.push('</body>');
+		parts.push('</html>');
+
+		return parts.join('\n');
+	};
+
+	return { formatHtml };
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction({ moduleName })({});
@@ -1,55 +1,62 @@
 'use strict';
 const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
 
+const { zeroCost, sumCosts, perspectiveCosts } = require('../lib/costs');
+const { roundsExtraCost } = require('../lib/researchRounds');
+
 //START OF moduleFunction() ============================================================
 const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 	const { xLog, getConfig, rawConfig, commandLineParameters, projectRoot } = process.global;
 	const localConfig = getConfig(moduleName);
 
-	const formatSingleCallJson = ({ promptName, prompt, responseText, cost, model, elapsedSeconds }) => {
+	const formatSingleCallJson = ({ promptName, prompt, responseText, cost, model, elapsedSeconds, toolCalls, config }) => {
 		return {
 			mode: 'singleCall',
 			promptName: promptName || 'default',
 			prompt,
+			...(config && config.attachments && config.attachments.length > 0 && { attachments: config.attachments }),
 			response: responseText,
 			model,
-			cost: cost || { inputTokens: 0, outputTokens: 0, usd: 0 },
+			cost: cost || zeroCost(),
 			elapsedSeconds: elapsedSeconds || 0,
+			...(toolCalls && toolCalls.length > 0 && { toolCalls }),
 		};
 	};
 
-	const formatChorusJson = ({ originalPrompt, instructions, results, expandCost, synthesis, synthesisCost, elapsedSeconds, config }) => {
-		const totalInputTokens = (expandCost ? expandCost.inputTokens : 0) +
-			(results ? results.reduce((s, r) => s + r.cost.inputTokens, 0) : 0) +
-			(synthesisCost ? synthesisCost.inputTokens : 0);
-		const totalOutputTokens = (expandCost ? expandCost.outputTokens : 0) +
-			(results ? results.reduce((s, r) => s + r.cost.outputTokens, 0) : 0) +
-			(synthesisCost ? synthesisCost.outputTokens : 0);
-		const totalCostUsd = (expandCost ? expandCost.usd : 0) +
-			(results ? results.reduce((s, r) => s + r.cost.usd, 0) : 0) +
-			(synthesisCost ? synthesisCost.usd : 0);
+	const formatChorusJson = ({ originalPrompt, instructions, results, expandCost, synthesis, synthesisCost, synthesisToolCalls, synthesisMatrix, rounds, roundsStop, elapsedSeconds, config, budget }) => {
+		const total = sumCosts([expandCost, ...perspectiveCosts(results), synthesisCost, synthesisMatrix && synthesisMatrix.cost, roundsExtraCost(rounds)]);
+		const firstRoundIds = rounds ? rounds[0].perspectiveIds : null;
 
 		const output = {
 			mode: 'chorus',
 			prompt: originalPrompt,
+			...(config.attachments && config.attachments.length > 0 && { attachments: config.attachments }),
 			expansion: {
 				model: config.expandModel,
-				instructions: instructions || [],
-				cost: expandCost || { inputTokens: 0, outputTokens: 0, usd: 0 },
+				instructions: (instructions || []).filter(i => !firstRoundIds || firstRoundIds.includes(i.id)),
+				cost: expandCost || zeroCost(),
 			},
 			perspectives: (results || []).map((r) => ({
 				id: r.id,
 				perspective: r.perspective,
+				...(r.userSupplied && { userSupplied: true }),
+				...(r.round > 1 && { round: r.round }),
 				instruction: r.instruction,
 				findings: r.findings,
 				model: r.model,
+				...(r.provider && { provider: r.provider }),
 				cost: r.cost,
 				turns: r.turns,
+				...(r.toolCalls && r.toolCalls.length > 0 && { toolCalls: r.toolCalls }),
+				...(r.critique && { critique: r.critique }),
+				...(r.claims && { claims: r.claims }),
 			})),
 			totals: {
-				inputTokens: totalInputTokens,
-				outputTokens: totalOutputTokens,
-				totalCostUsd: totalCostUsd,
+				inputTokens: total.inputTokens,
+				outputTokens: total.outputTokens,
+				cacheReadTokens: total.cacheReadTokens,
+				cacheWriteTokens: total.cacheWriteTokens,
+				totalCostUsd: total.usd,
 				perspectivesCount: results ? results.length : 0,
 				elapsedSeconds: elapsedSeconds || 0,
 			},
@@ -59,11 +66,24 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 		if (synthesis) {
 			output.synthesis = {
 				text: synthesis,
-				model: config.expandModel,
-				cost: synthesisCost || { inputTokens: 0, outputTokens: 0, usd: 0 },
+				model: config.synthModel || config.expandModel,
+				cost: synthesisCost || zeroCost(),
+				...(synthesisToolCalls && synthesisToolCalls.length > 0 && { toolCalls: synthesisToolCalls }),
+				...(synthesisMatrix && { matrix: synthesisMatrix }),
 			};
 		}
 
+		// Add the follow-up rounds if --rounds was set
+		if (rounds) {
+			output.rounds = rounds;
+			output.roundsStop = roundsStop;
+		}
+
+		// Add run cost limit and skipped stages if --maxRunCostUsd was set
+		if (budget) {
+			output.budget = budget;
+		}
+
 		return output;
 	};
 
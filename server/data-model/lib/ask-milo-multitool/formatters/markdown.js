@@ -0,0 +1,75 @@
+'use strict';
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+
+const { buildOutline, formatUsd } = require('../lib/reportOutline');
+
+// Table cells cannot hold pipes or line breaks
+const cell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+//START OF moduleFunction() ============================================================
+const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
+	const { xLog, getConfig, rawConfig, commandLineParameters, projectRoot } = process.global;
+	const localConfig = getConfig(moduleName);
+
+	// Markdown report: title, prompt, facts, table of contents, sections, cost appendix.
+	// Anchors are explicit <a id> tags so the contents links work on any renderer.
+	const formatMarkdown = (params) => {
+		const outline = buildOutline(params);
+		const lines = [];
+
+		lines.push(`# ${outline.title}`);
+		lines.push('');
+		lines.push(`> ${String(outline.prompt || '').split('\n').join('\n> ')}`);
+		lines.push('');
+		outline.facts.forEach(([label, value]) => {
+			lines.push(`- **${label}:** ${value}`);
+		});
+		lines.push('');
+
+		lines.push('## Contents');
+		lines.push('');
+		outline.sections.forEach((section) => {
+			lines.push(`${section.level > 2 ? '  ' : ''}- [${section.title}](#${section.id})`);
+		});
+		lines.push('- [Cost Appendix](#cost-appendix)');
+		lines.push('');
+
+		outline.sections.forEach((section) => {
+			lines.push(`<a id="${section.id}"></a>`);
+			lines.push('');
+			lines.push(`${'#'.repeat(section.level)} ${section.title}`);
+			lines.push('');
+			if (section.body) {
+				lines.push(section.body);
+				lines.push('');
+			}
+		});
+
+		lines.push('<a id="cost-appendix"></a>');
+		lines.push('');
+		lines.push('## Cost Appendix');
+		lines.push('');
+		lines.push('| Stage | Cost | Input | Output | Cache read | Cache write |');
+		lines.push('|---|---:|---:|---:|---:|---:|');
+		[...outline.costRows, { label: '**Total**', cost: outline.total }].forEach(({ label, cost }) => {
+			lines.push(`| ${cell(label)} | ${formatUsd(cost.usd)} | ${cost.inputTokens || 0} | ${cost.outputTokens || 0} | ${cost.cacheReadTokens || 0} | ${cost.cacheWriteTokens || 0} |`);
+		});
+		if (outline.budget) {
+			lines.push('');
+			lines.push(`Run cost limit ${formatUsd(outline.budget.maxRunCostUsd)}, spent ${formatUsd(outline.budget.spentUsd)}.`);
+			outline.budget.skipped.forEach((s) => {
+				const target = s.id !== undefined ? `perspective ${s.id} (${s.perspective})` : s.stage;
+				lines.push(`- Skipped ${target}: ${s.reason}`);
+			});
+		}
+		lines.push('');
+
+		return lines.join('\n');
+	};
+
+	return { formatMarkdown };
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction({ moduleName })({});
@@ -1,6 +1,17 @@
 'use strict';
 const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
 
+const { sumCosts, perspectiveCosts } = require('../lib/costs');
+const { roundsExtraCost, ROUNDS_STOP_LABELS } = require('../lib/researchRounds');
+
+// "N input / N output tokens", plus cache reads/writes when the prompt cache was used
+const describeTokens = (cost) => {
+	const cacheNote = cost.cacheReadTokens || cost.cacheWriteTokens
+		? `, ${cost.cacheReadTokens || 0} cache read / ${cost.cacheWriteTokens || 0} cache write`
+		: '';
+	return `${cost.inputTokens} input / ${cost.outputTokens} output${cacheNote}`;
+};
+
 //START OF moduleFunction() ============================================================
 const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 	const { xLog, getConfig, rawConfig, commandLineParameters, projectRoot } = process.global;
@@ -17,12 +28,12 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 		lines.push(responseText);
 		lines.push("");
 		lines.push("================================================================");
-		lines.push(`Cost: $${cost.usd.toFixed(4)}  (${cost.inputTokens} input / ${cost.outputTokens} output)  Model: ${model}  Elapsed: ${elapsedSeconds.toFixed(1)}s`);
+		lines.push(`Cost: $${cost.usd.toFixed(4)}  (${describeTokens(cost)})  Model: ${model}  Elapsed: ${elapsedSeconds.toFixed(1)}s`);
 		lines.push("================================================================");
 		return lines.join("\n");
 	};
 
-	const formatChorusText = ({ originalPrompt, instructions, results, expandCost, synthesis, synthesisCost, elapsedSeconds }) => {
+	const formatChorusText = ({ originalPrompt, instructions, results, expandCost, synthesis, synthesisCost, synthesisMatrix, rounds, roundsStop, elapsedSeconds, budget }) => {
 		const lines = [];
 
 		lines.push("================================================================");
@@ -36,7 +47,7 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 		if (instructions) {
 			lines.push(`EXPANSION (${instructions.length} perspectives):`);
 			instructions.forEach((instr) => {
-				lines.push(`  ${instr.id}. [${instr.perspective}] ${instr.instruction.slice(0, 100)}...`);
+				lines.push(`  ${instr.id}. [${instr.perspective}]${instr.userSupplied ? ' (caller-supplied)' : ''} ${instr.instruction.slice(0, 100)}...`);
 			});
 			lines.push("");
 		}
@@ -44,16 +55,45 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 		if (results) {
 			results.forEach((r) => {
 				lines.push("----------------------------------------------------------------");
-				lines.push(`PERSPECTIVE ${r.id}: ${r.perspective}`);
+				lines.push(`PERSPECTIVE ${r.id}: ${r.perspective}${r.round > 1 ? ` (round ${r.round})` : ''}`);
 				lines.push("----------------------------------------------------------------");
 				lines.push(`  Instruction: ${r.instruction}`);
 				lines.push("");
 				lines.push("  Findings:");
 				lines.push(r.findings);
 				lines.push("");
+				if (r.critique) {
+					lines.push("  Cross-examination:");
+					lines.push(r.critique.text);
+					lines.push("");
+				}
+				if (r.claims) {
+					lines.push(`  Claims (${r.claims.items.length})${r.claims.error ? ` -- extraction problem: ${r.claims.error}` : ''}:`);
+					r.claims.items.forEach((c) => {
+						lines.push(`    [${c.id}] ${c.kind}, ${c.confidence !== null ? c.confidence.toFixed(2) : '?'}: ${c.claim}`);
+					});
+					lines.push("");
+				}
 			});
 		}
 
+		// Research rounds section (only with --rounds)
+		if (rounds) {
+			lines.push("================================================================");
+			lines.push("RESEARCH ROUNDS");
+			lines.push("================================================================");
+			rounds.forEach((round) => {
+				lines.push(`  Round ${round.round}: ${round.perspectiveIds.length > 0 ? `perspectives ${round.perspectiveIds.join(', ')}` : 'no perspectives'}${round.synthesis ? '' : ' (not synthesized)'}`);
+				round.openGaps.forEach((gap) => {
+					lines.push(`    Open gap: ${gap}`);
+				});
+			});
+			if (roundsStop) {
+				lines.push(`  Stopped after round ${roundsStop.afterRound}: ${ROUNDS_STOP_LABELS[roundsStop.reason] || roundsStop.reason}${roundsStop.message ? ` (${roundsStop.message})` : ''}`);
+			}
+			lines.push("");
+		}
+
 		// Synthesis section (only if synthesis was performed)
 		if (synthesis) {
 			lines.push("================================================================");
@@ -64,31 +104,80 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 			lines.push("");
 		}
 
+		// Synthesis matrix section (only with -synthesisMatrix)
+		if (synthesisMatrix) {
+			lines.push("================================================================");
+			lines.push("SYNTHESIS MATRIX");
+			lines.push("================================================================");
+			if (synthesisMatrix.error) {
+				lines.push(`  Matrix problem: ${synthesisMatrix.error}`);
+			}
+			synthesisMatrix.themes.forEach((t) => {
+				lines.push(`  ${t.id}. ${t.theme} [${t.strength}]`);
+				lines.push(`    ${t.summary}`);
+				lines.push(`    Agree: ${t.agree.join(', ') || '-'}   Disagree: ${t.disagree.join(', ') || '-'}${t.claimIds && t.claimIds.length > 0 ? `   Claims: ${t.claimIds.join(', ')}` : ''}`);
+			});
+			synthesisMatrix.openQuestions.forEach((q) => {
+				lines.push(`  Open question: ${q}`);
+			});
+			lines.push("");
+		}
+
 		// Cost summary
 		lines.push("================================================================");
 		lines.push("COST SUMMARY");
 		lines.push("================================================================");
 		if (expandCost) {
-			lines.push(`  Expand:              $${expandCost.usd.toFixed(4)}   (${expandCost.inputTokens} input / ${expandCost.outputTokens} output tokens)`);
+			lines.push(`  Expand:              $${expandCost.usd.toFixed(4)}   (${describeTokens(expandCost)} tokens)`);
 		}
 		if (results) {
 			lines.push("  Fan-out:");
 			results.forEach((r) => {
-				lines.push(`    Perspective ${r.id}:     $${r.cost.usd.toFixed(4)}   (${r.cost.inputTokens} input / ${r.cost.outputTokens} output tokens)`);
+				lines.push(`    Perspective ${r.id}:     $${r.cost.usd.toFixed(4)}   (${describeTokens(r.cost)} tokens)`);
 			});
+			const critiqued = results.filter(r => r.critique);
+			if (critiqued.length > 0) {
+				lines.push("  Cross-examination:");
+				critiqued.forEach((r) => {
+					lines.push(`    Perspective ${r.id}:     $${r.critique.cost.usd.toFixed(4)}   (${describeTokens(r.critique.cost)} tokens)`);
+				});
+			}
+			const withClaims = results.filter(r => r.claims);
+			if (withClaims.length > 0) {
+				lines.push("  Claim extraction:");
+				withClaims.forEach((r) => {
+					lines.push(`    Perspective ${r.id}:     $${r.claims.cost.usd.toFixed(4)}   (${describeTokens(r.claims.cost)} tokens)`);
+				});
+			}
 		}
 		if (synthesisCost) {
-			lines.push(`  Synthesis:           $${synthesisCost.usd.toFixed(4)}   (${synthesisCost.inputTokens} input / ${synthesisCost.outputTokens} output tokens)`);
+			lines.push(`  Synthesis:           $${synthesisCost.usd.toFixed(4)}   (${describeTokens(synthesisCost)} tokens)`);
+		}
+		if (synthesisMatrix) {
+			lines.push(`  Synthesis matrix:    $${synthesisMatrix.cost.usd.toFixed(4)}   (${describeTokens(synthesisMatrix.cost)} tokens)`);
+		}
+		// Follow-up expansions plus the syntheses the final one replaced
+		const extraRoundsCost = roundsExtraCost(rounds);
+		if (extraRoundsCost) {
+			lines.push(`  Follow-up rounds:    $${extraRoundsCost.usd.toFixed(4)}   (${describeTokens(extraRoundsCost)} tokens)`);
 		}
 
-		const totalCost = (expandCost ? expandCost.usd : 0) +
-			(results ? results.reduce((sum, r) => sum + r.cost.usd, 0) : 0) +
-			(synthesisCost ? synthesisCost.usd : 0);
+		const total = sumCosts([expandCost, ...perspectiveCosts(results), synthesisCost, synthesisMatrix && synthesisMatrix.cost, extraRoundsCost]);
 		lines.push("  ----------------------------");
-		lines.push(`  TOTAL:               $${totalCost.toFixed(4)}`);
+		lines.push(`  TOTAL:               $${total.usd.toFixed(4)}`);
+		if (total.cacheReadTokens || total.cacheWriteTokens) {
+			lines.push(`  Prompt cache:        ${total.cacheReadTokens} read / ${total.cacheWriteTokens} written tokens`);
+		}
 		if (elapsedSeconds) {
 			lines.push(`  Elapsed:             ${elapsedSeconds.toFixed(1)}s`);
 		}
+		if (budget) {
+			lines.push(`  Run cost limit:      $${budget.maxRunCostUsd.toFixed(2)}   (spent $${budget.spentUsd.toFixed(4)})`);
+			budget.skipped.forEach((s) => {
+				const target = s.id !== undefined ? `perspective ${s.id} (${s.perspective})` : s.stage;
+				lines.push(`    Skipped ${target}: ${s.reason}`);
+			});
+		}
 		lines.push("================================================================");
 
 		return lines.join("\n");
@@ -0,0 +1,203 @@
+'use strict';
+
+// attachments.js - Local documents supplied with a prompt (--attach, JSON "attachments")
+// Reads text, Markdown, JSON and PDF (text extracted with poppler's pdftotext),
+// splits long documents into labeled parts and renders one attachment block that
+// the expansion, every agent and the synthesizer see ahead of their own prompt.
+// Each document's name, type, size and sha256 go into the session turn so a run
+// can be reproduced against the same inputs.
+// CJS module.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { execFileSync } = require('child_process');
+
+const DEFAULT_CHUNK_CHARS = 40000;
+const DEFAULT_MAX_TOTAL_CHARS = 300000;
+
+const TYPE_BY_EXTENSION = {
+	'.txt': 'text',
+	'.text': 'text',
+	'.md': 'markdown',
+	'.markdown': 'markdown',
+	'.json': 'json',
+	'.pdf': 'pdf',
+};
+
+const sha256 = (buffer) => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Inline attachments without an extension are treated as plain text
+const typeFor = (name, { inline } = {}) => {
+	const extension = path.extname(name).toLowerCase();
+	if (!extension && inline) {
+		return 'text';
+	}
+	const type = TYPE_BY_EXTENSION[extension];
+	if (!type) {
+		throw new Error(`Attachment "${name}": unsupported file type "${extension || '(none)'}" (supported: ${Object.keys(TYPE_BY_EXTENSION).join(', ')})`);
+	}
+	return type;
+};
+
+const extractPdfText = (filePath, name) => {
+	try {
+		return execFileSync('pdftotext', ['-layout', '-enc', 'UTF-8', filePath, '-'], {
+			encoding: 'utf8',
+			maxBuffer: 64 * 1024 * 1024,
+			timeout: 60000,
+		});
+	} catch (err) {
+		if (err.code === 'ENOENT') {
+			throw new Error(`Attachment "${name}": pdftotext not found; install poppler (poppler-utils) to attach PDFs`);
+		}
+		throw new Error(`Attachment "${name}": could not extract PDF text (${err.message.split('\n')[0]})`);
+	}
+};
+
+// pdftotext needs a file, so inline PDFs are written to a temp file first
+const extractInlinePdfText = (buffer, name) => {
+	const tempPath = path.join(os.tmpdir(), `askMilo-attachment-${process.pid}-${Date.now()}.pdf`);
+	fs.writeFileSync(tempPath, buffer);
+	try {
+		return extractPdfText(tempPath, name);
+	} finally {
+		fs.rmSync(tempPath, { force: true });
+	}
+};
+
+const toText = ({ buffer, type, name, inline }) => {
+	if (type === 'pdf') {
+		return inline ? extractInlinePdfText(buffer, name) : extractPdfText(name, name);
+	}
+	const text = buffer.toString('utf8');
+	if (type === 'json') {
+		try {
+			return JSON.stringify(JSON.parse(text), null, 2);
+		} catch (err) {
+			throw new Error(`Attachment "${name}": invalid JSON (${err.message})`);
+		}
+	}
+	return text;
+};
+
+// Split at paragraph breaks where possible; a single oversized paragraph is cut hard
+const chunkText = (text, chunkChars) => {
+	if (text.length <= chunkChars) {
+		return [text];
+	}
+	const chunks = [];
+	let current = '';
+	text.split(/\n{2,}/).forEach(paragraph => {
+		const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+		if (candidate.length <= chunkChars) {
+			current = candidate;
+			return;
+		}
+		if (current) {
+			chunks.push(current);
+		}
+		let rest = paragraph;
+		while (rest.length > chunkChars) {
+			chunks.push(rest.slice(0, chunkChars));
+			rest = rest.slice(chunkChars);
+		}
+		current = rest;
+	});
+	if (current) {
+		chunks.push(current);
+	}
+	return chunks;
+};
+
+// --attach values (repeatable, comma-separated) plus JSON "attachments" entries:
+// "path", { path }, { name, content } or { name, contentBase64 }
+const collectSpecs = ({ attachValues, jsonAttachments }) => {
+	const fromCli = (attachValues || [])
+		.flatMap(value => String(value).split(','))
+		.map(p => p.trim())
+		.filter(Boolean)
+		.map(p => ({ path: p }));
+	const fromJson = (Array.isArray(jsonAttachments) ? jsonAttachments : [])
+		.map(entry => (typeof entry === 'string' ? { path: entry } : entry));
+	return [...fromCli, ...fromJson];
+};
+
+const loadOne = (spec) => {
+	if (spec && spec.path) {
+		const filePath = path.resolve(spec.path);
+		if (!fs.existsSync(filePath)) {
+			throw new Error(`Attachment not found: ${spec.path}`);
+		}
+		const name = spec.name || path.basename(filePath);
+		const type = typeFor(filePath);
+		const buffer = fs.readFileSync(filePath);
+		return { name, type, source: 'file', sha256: sha256(buffer), text: toText({ buffer, type, name: filePath }) };
+	}
+	if (spec && spec.name && (typeof spec.content === 'string' || typeof spec.contentBase64 === 'string')) {
+		const type = typeFor(spec.name, { inline: true });
+		const buffer = typeof spec.content === 'string'
+			? Buffer.from(spec.content, 'utf8')
+			: Buffer.from(spec.contentBase64, 'base64');
+		return { name: spec.name, type, source: 'inline', sha256: sha256(buffer), text: toText({ buffer, type, name: spec.name, inline: true }) };
+	}
+	throw new Error(`Attachment entry must be a path or { name, content } / { name, contentBase64 }: ${JSON.stringify(spec).slice(0, 100)}`);
+};
+
+const loadAttachments = ({ specs, chunkChars = DEFAULT_CHUNK_CHARS, maxTotalChars = DEFAULT_MAX_TOTAL_CHARS }) => {
+	const documents = (specs || []).map(loadOne).map(doc => {
+		const text = doc.text.trim();
+		if (!text) {
+			throw new Error(`Attachment "${doc.name}" has no text${doc.type === 'pdf' ? ' (scanned PDFs need OCR first)' : ''}`);
+		}
+		return { ...doc, text, chars: text.length, chunks: chunkText(text, chunkChars) };
+	});
+	const totalChars = documents.reduce((sum, doc) => sum + doc.chars, 0);
+	if (maxTotalChars && totalChars > maxTotalChars) {
+		throw new Error(`Attachments total ${totalChars} characters, over the ${maxTotalChars} limit (maxAttachmentChars)`);
+	}
+	return documents;
+};
+
+// One labeled block per document part, in attach order
+const buildAttachmentContext = (documents) => {
+	if (!documents || documents.length === 0) {
+		return '';
+	}
+	const sections = documents.flatMap((doc, docIdx) => doc.chunks.map((chunk, chunkIdx) => {
+		const part = doc.chunks.length > 1 ? `, part ${chunkIdx + 1} of ${doc.chunks.length}` : '';
+		const label = `DOCUMENT ${docIdx + 1}: ${doc.name} (${doc.type}${part})`;
+		return `--- BEGIN ${label} ---\n${chunk}\n--- END ${label} ---`;
+	}));
+	return `=== ATTACHED DOCUMENTS (${documents.length}) ===\n` +
+		`The user attached these documents. Refer to them by name when you use them.\n\n` +
+		sections.join('\n\n');
+};
+
+// What the session turn keeps: enough to check a re-run used the same inputs
+const describeAttachments = (documents) => (documents || []).map(doc => ({
+	name: doc.name,
+	type: doc.type,
+	source: doc.source,
+	sha256: doc.sha256,
+	chars: doc.chars,
+	chunks: doc.chunks.length,
+}));
+
+// Requests from the web must not name files on the server: keep inline entries only
+const inlineOnly = (jsonAttachments) => (Array.isArray(jsonAttachments) ? jsonAttachments : [])
+	.filter(entry => entry && typeof entry === 'object' && entry.name && !entry.path
+		&& (typeof entry.content === 'string' || typeof entry.contentBase64 === 'string'))
+	.map(({ name, content, contentBase64 }) => (typeof content === 'string' ? { name, content } : { name, contentBase64 }));
+
+module.exports = {
+	collectSpecs,
+	loadAttachments,
+	buildAttachmentContext,
+	describeAttachments,
+	inlineOnly,
+	chunkText,
+	DEFAULT_CHUNK_CHARS,
+	DEFAULT_MAX_TOTAL_CHARS,
+};
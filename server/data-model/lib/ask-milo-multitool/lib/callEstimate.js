@@ -0,0 +1,33 @@
+'use strict';
+
+// callEstimate.js - The most one stage call can cost, reserved by the --maxRunCostUsd ledger
+// A call may produce up to its max_tokens of output (thinking included) on top of its
+// input, so that is what the ledger holds back while the call is in flight. Input is
+// estimated from the text sent (sessionContext.js CHARS_PER_TOKEN). The model is the one
+// the stage's provider will actually use, at that provider's declared rates if it has
+// any; -mockApi runs reserve the mock's canned cost. A tool loop reserves each further
+// request the same way, from the conversation so far (lib/toolLoop.js).
+// CJS module.
+
+const modelRegistry = require('./modelRegistry');
+const { requestSettings } = require('./stageSettings');
+const { providerFor } = require('./providers');
+const { estimateTokens } = require('./sessionContext');
+const { mockCallUsd } = require('./mockApi');
+
+// id: the perspective id, for stages whose provider list is dealt out by perspective
+const estimateCallUsd = ({ stage, config, model, id, inputText = '' }) => {
+	if (config.mockApi) {
+		return mockCallUsd(stage);
+	}
+	const { model: providerModel, pricing } = providerFor({ stage, config, id });
+	const effectiveModel = providerModel || model;
+	const { max_tokens: maxTokens } = requestSettings({ stage, config, model: effectiveModel });
+	return modelRegistry.maxCallUsd(effectiveModel, { inputTokens: estimateTokens(inputText), maxTokens, pricing });
+};
+
+// Everything a request sends (system, messages with tool results, tool definitions), as inputText
+// for the next request of a tool loop
+const requestText = (params) => JSON.stringify([params.system, params.messages, params.tools]);
+
+module.exports = { estimateCallUsd, requestText };
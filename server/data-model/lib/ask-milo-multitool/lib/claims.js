@@ -0,0 +1,93 @@
+'use strict';
+
+// claims.js - Discrete claims pulled from a perspective's findings (-extractClaims)
+// The extractor returns { claims: [{ claim, rationale, confidence, kind }] }.
+// normalizeClaims keeps the usable entries, clamps confidence to 0..1 and gives
+// each claim a stable id "<perspectiveId>.<n>" that the synthesizer can cite and
+// tooling can diff across turns.
+// CJS module.
+
+const CLAIM_KINDS = ['factual', 'opinion'];
+
+const CLAIMS_SCHEMA = {
+	type: 'object',
+	properties: {
+		claims: {
+			type: 'array',
+			items: {
+				type: 'object',
+				properties: {
+					claim: { type: 'string', description: 'One self-contained assertion' },
+					rationale: { type: 'string', description: 'Evidence or reasoning the findings give for it' },
+					confidence: { type: 'number', description: '0 to 1, how well the findings support it' },
+					kind: { type: 'string', enum: CLAIM_KINDS, description: 'factual (checkable) or opinion (judgement)' },
+				},
+				required: ['claim', 'rationale', 'confidence', 'kind'],
+			},
+		},
+	},
+	required: ['claims'],
+};
+
+// Response text -> parsed object; tolerates code fences and prose around the JSON
+const parseClaimsText = (text) => {
+	const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+	const first = trimmed.indexOf('{');
+	const last = trimmed.lastIndexOf('}');
+	if (first < 0 || last <= first) {
+		throw new Error('Claim extraction returned no JSON object');
+	}
+	try {
+		return JSON.parse(trimmed.slice(first, last + 1));
+	} catch (err) {
+		throw new Error(`Claim extraction JSON parse failed: ${err.message}`);
+	}
+};
+
+// Parsed object -> { items, dropped }. Entries without claim text are dropped.
+const normalizeClaims = (data, { perspectiveId }) => {
+	if (!data || !Array.isArray(data.claims)) {
+		throw new Error('Claim extraction JSON has no "claims" array');
+	}
+	const usable = data.claims.filter(item => item && typeof item.claim === 'string' && item.claim.trim());
+	const items = usable.map((item, idx) => {
+		const confidence = Number(item.confidence);
+		const kind = String(item.kind || '').toLowerCase();
+		return {
+			id: `${perspectiveId}.${idx + 1}`,
+			claim: item.claim.trim(),
+			rationale: typeof item.rationale === 'string' ? item.rationale.trim() : '',
+			confidence: Number.isFinite(confidence) ? Math.min(1, Math.max(0, confidence)) : null,
+			kind: CLAIM_KINDS.includes(kind) ? kind : 'opinion',
+		};
+	});
+	return { items, dropped: data.claims.length - usable.length };
+};
+
+// Extraction results -> perspectives with claims: { items, cost, error? }
+const attachClaims = (results, extractions) => results.map(r => {
+	const extraction = extractions.find(e => e.id === r.id);
+	if (!extraction) {
+		return r;
+	}
+	return { ...r, claims: { items: extraction.items, cost: extraction.cost, ...(extraction.error && { error: extraction.error }) } };
+});
+
+// Appended to the synthesizer's user message when perspectives carry claims
+const CLAIM_CITATION_INSTRUCTION = 'Each perspective lists its extracted claims with ids such as [2.3]. '
+	+ 'When your synthesis relies on, confirms or disputes a claim, cite its id in square brackets.';
+
+// One line per claim, for the synthesizer's user message
+const describeClaims = (items) => items
+	.map(c => `[${c.id}] (${c.kind}${c.confidence !== null ? `, confidence ${c.confidence.toFixed(2)}` : ''}) ${c.claim}`)
+	.join('\n');
+
+module.exports = {
+	CLAIMS_SCHEMA,
+	CLAIM_KINDS,
+	CLAIM_CITATION_INSTRUCTION,
+	parseClaimsText,
+	normalizeClaims,
+	attachClaims,
+	describeClaims,
+};
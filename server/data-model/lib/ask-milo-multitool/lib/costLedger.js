@@ -0,0 +1,122 @@
+'use strict';
+
+// costLedger.js - Whole-run spend tracking for --maxRunCostUsd
+// Every stage reports its cost here as it comes back. Before a call starts, the
+// ledger reserves what it may cost (the caller's estimate from lib/callEstimate.js,
+// or the largest single call seen so far if that is more) and refuses the call if
+// spent + reserved would exceed the limit. Calls started side by side use
+// waitForCall, which holds a call back until the calls in flight settle rather than
+// refusing it while their reservations are still pessimistic. A call that makes several
+// requests (a tool loop) extends its reservation before each further request and settles
+// each reply as it comes back. Refused calls are remembered so the turn and the JSON
+// report can say what was skipped for budget reasons.
+// CJS module following moduleFunction pattern (curried factory).
+
+//START OF moduleFunction() ============================================================
+const moduleFunction = ({ maxRunCostUsd } = {}) => {
+	const limitUsd = maxRunCostUsd > 0 ? maxRunCostUsd : 0;
+	let spentUsd = 0;
+	let reservedUsd = 0;
+	let largestCallUsd = 0;
+	let inFlight = 0;
+	let settleWaiters = [];
+	const skipped = [];
+
+	const record = (cost) => {
+		const usd = (cost && cost.usd) || 0;
+		spentUsd += usd;
+		largestCallUsd = Math.max(largestCallUsd, usd);
+	};
+
+	const project = (estimateUsd) => {
+		const reserveUsd = Math.max(estimateUsd || 0, largestCallUsd);
+		return { reserveUsd, projectedUsd: spentUsd + reservedUsd + reserveUsd };
+	};
+
+	const refuse = ({ stage, id, perspective }, projectedUsd) => {
+		const reason = `run cost limit $${limitUsd.toFixed(2)} reached (spent $${spentUsd.toFixed(4)}, projected $${projectedUsd.toFixed(4)})`;
+		skipped.push({ stage, ...(id !== undefined && { id, perspective }), reason });
+		return null;
+	};
+
+	// A handle whose finish(cost) releases the reservation, books the cost and wakes waiting calls.
+	// extend(estimateUsd) reserves one more request of the same call (false, and a recorded skip,
+	// when it does not fit: it never waits, since the call already holds a reservation);
+	// settle(cost) books one reply now and releases what is held for it.
+	const admit = (call, reserveUsd) => {
+		reservedUsd += reserveUsd;
+		inFlight++;
+		let heldUsd = reserveUsd;
+		let settledUsd = 0;
+		let finished = false;
+		return {
+			extend: (estimateUsd) => {
+				const { reserveUsd: extraUsd, projectedUsd } = project(estimateUsd);
+				if (limitUsd && projectedUsd > limitUsd) {
+					refuse(call, projectedUsd);
+					return false;
+				}
+				reservedUsd += extraUsd;
+				heldUsd += extraUsd;
+				return true;
+			},
+			settle: (cost) => {
+				record(cost);
+				settledUsd += (cost && cost.usd) || 0;
+				reservedUsd -= heldUsd;
+				heldUsd = 0;
+			},
+			finish: (cost) => {
+				if (finished) return;
+				finished = true;
+				reservedUsd -= heldUsd;
+				inFlight--;
+				// Replies already settled are part of cost; book only the rest
+				const usd = ((cost && cost.usd) || 0) - settledUsd;
+				if (usd > 0) {
+					record({ usd });
+				}
+				const waiters = settleWaiters;
+				settleWaiters = [];
+				waiters.forEach(wake => wake());
+			},
+		};
+	};
+
+	// call: { stage, id?, perspective?, estimateUsd? }. Returns null (and records the skip)
+	// when the call would break the limit, otherwise a handle to finish with the call's cost.
+	const startCall = (call = {}) => {
+		const { reserveUsd, projectedUsd } = project(call.estimateUsd);
+		if (limitUsd && projectedUsd > limitUsd) {
+			return refuse(call, projectedUsd);
+		}
+		return admit(call, reserveUsd);
+	};
+
+	// startCall for calls that run concurrently (fan-out, cross-examination, claim extraction):
+	// resolves once the call fits, or to null when it still does not fit with nothing in flight
+	const waitForCall = async (call = {}) => {
+		for (;;) {
+			const { reserveUsd, projectedUsd } = project(call.estimateUsd);
+			if (!limitUsd || projectedUsd <= limitUsd) {
+				return admit(call, reserveUsd);
+			}
+			if (inFlight === 0) {
+				return refuse(call, projectedUsd);
+			}
+			await new Promise(resolve => settleWaiters.push(resolve));
+		}
+	};
+
+	const lastSkipReason = () => (skipped.length ? skipped[skipped.length - 1].reason : '');
+
+	// Budget block for the session turn and JSON report (null when no limit is set)
+	const summary = () => (limitUsd
+		? { maxRunCostUsd: limitUsd, spentUsd, skipped: skipped.map(s => ({ ...s })) }
+		: null);
+
+	return { limitUsd, record, startCall, waitForCall, lastSkipReason, summary };
+};
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
@@ -0,0 +1,28 @@
+'use strict';
+
+// costs.js - Cost object arithmetic shared by stages, sessions and formatters
+// A cost object is { inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, usd }.
+// inputTokens counts only uncached input; cache reads and writes are broken out.
+// Older session files and mocks omit the cache fields, so missing fields count as 0.
+// CJS module.
+
+const COST_FIELDS = ['inputTokens', 'outputTokens', 'cacheReadTokens', 'cacheWriteTokens', 'usd'];
+
+const zeroCost = () => ({ inputTokens: 0, outputTokens: 0, cacheReadTokens: 0, cacheWriteTokens: 0, usd: 0 });
+
+const sumCosts = (costs) => (costs || []).filter(Boolean).reduce((total, cost) => {
+	COST_FIELDS.forEach(field => {
+		total[field] += cost[field] || 0;
+	});
+	return total;
+}, zeroCost());
+
+// Every cost booked against the perspectives: the agent run, its -crossExamine
+// critique and its -extractClaims pass
+const perspectiveCosts = (results) => (results || []).flatMap(r => [
+	r.cost,
+	r.critique && r.critique.cost,
+	r.claims && r.claims.cost,
+]);
+
+module.exports = { zeroCost, sumCosts, perspectiveCosts };
@@ -0,0 +1,119 @@
+'use strict';
+
+// expansionValidator.js - Parses and checks the expansion stage's JSON
+// The expander must return { instructions: [{ id, perspective, instruction, methodology }] }
+// with one entry per requested perspective. parseExpansionText tolerates code fences
+// and prose around the object; validateExpansion enforces the schema and the count.
+// Failures are Errors carrying { stage: 'expand', code, details } so the caller can
+// re-prompt with the message (expand-direct) or record it in the session file.
+// CJS module.
+
+const EXPANSION_SCHEMA = {
+	type: 'object',
+	properties: {
+		instructions: {
+			type: 'array',
+			items: {
+				type: 'object',
+				properties: {
+					id: { type: 'number', description: '1-based index' },
+					perspective: { type: 'string', description: 'Name of the analytical angle' },
+					instruction: { type: 'string', description: 'Full research instruction for the agent' },
+					methodology: { type: 'string', description: 'Brief note on approach/methodology' },
+				},
+				required: ['id', 'perspective', 'instruction', 'methodology'],
+			},
+		},
+	},
+	required: ['instructions'],
+};
+
+const TEXT_FIELDS = ['perspective', 'instruction', 'methodology'];
+
+const expansionError = (code, message, details) =>
+	Object.assign(new Error(message), { stage: 'expand', code, ...(details && { details }) });
+
+// Response text blocks -> parsed object
+const parseExpansionText = (textParts) => {
+	if (!textParts || textParts.length === 0) {
+		throw expansionError('EXPANSION_NO_TEXT', 'Expansion returned no text content');
+	}
+
+	// Use the part that looks like JSON (starts with {), or fall back to last part
+	let jsonText = textParts.find(t => t.startsWith('{')) || textParts[textParts.length - 1];
+	jsonText = jsonText.replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+	if (!jsonText.startsWith('{')) {
+		const first = jsonText.indexOf('{');
+		const last = jsonText.lastIndexOf('}');
+		if (first >= 0 && last > first) {
+			jsonText = jsonText.slice(first, last + 1);
+		}
+	}
+
+	try {
+		return JSON.parse(jsonText);
+	} catch (parseErr) {
+		throw expansionError('EXPANSION_PARSE', `Expansion JSON parse failed: ${parseErr.message}`, { excerpt: jsonText.slice(0, 500) });
+	}
+};
+
+// Schema and perspective-count check. Extra instructions beyond the requested
+// count are dropped (reported as `dropped`); too few is an error.
+const validateExpansion = (data, { expectedCount } = {}) => {
+	if (!data || typeof data !== 'object' || !Array.isArray(data.instructions)) {
+		throw expansionError('EXPANSION_SCHEMA', 'Expansion JSON has no "instructions" array', { problems: ['"instructions" must be an array'] });
+	}
+
+	const problems = [];
+	const seenIds = new Set();
+	data.instructions.forEach((item, idx) => {
+		const where = `instructions[${idx}]`;
+		if (!item || typeof item !== 'object') {
+			problems.push(`${where} is not an object`);
+			return;
+		}
+		const id = Number(item.id);
+		if (!Number.isInteger(id) || id < 1) {
+			problems.push(`${where}.id must be a positive integer`);
+		} else if (seenIds.has(id)) {
+			problems.push(`${where}.id ${id} is used more than once`);
+		}
+		seenIds.add(id);
+		TEXT_FIELDS.forEach(field => {
+			if (typeof item[field] !== 'string' || !item[field].trim()) {
+				problems.push(`${where}.${field} must be a non-empty string`);
+			}
+		});
+	});
+
+	if (problems.length > 0) {
+		const shown = problems.slice(0, 5).join('; ');
+		const more = problems.length > 5 ? ` (+${problems.length - 5} more)` : '';
+		throw expansionError('EXPANSION_SCHEMA', `Expansion JSON does not match the schema: ${shown}${more}`, { problems });
+	}
+
+	const received = data.instructions.length;
+	if (received === 0 || (expectedCount && received < expectedCount)) {
+		throw expansionError('EXPANSION_COUNT', `Expansion returned ${received} instruction(s), ${expectedCount || 'at least 1'} requested`, { expected: expectedCount || 1, received });
+	}
+
+	const instructions = data.instructions
+		.slice(0, expectedCount || received)
+		.map(item => ({
+			id: Number(item.id),
+			perspective: item.perspective.trim(),
+			instruction: item.instruction.trim(),
+			methodology: item.methodology.trim(),
+		}));
+
+	return { instructions, dropped: received - instructions.length };
+};
+
+// Follow-up user message asking the expander to fix its own output
+const buildRepairPrompt = (err, expectedCount) =>
+	`Your previous reply could not be used: ${err.message}\n\n` +
+	`Reply with only the corrected JSON object {"instructions": [...]} containing exactly ${expectedCount} entries, ` +
+	`each with "id" (integer, 1-based), "perspective", "instruction" and "methodology" (non-empty strings). ` +
+	`No prose and no code fences.`;
+
+module.exports = { EXPANSION_SCHEMA, parseExpansionText, validateExpansion, buildRepairPrompt };
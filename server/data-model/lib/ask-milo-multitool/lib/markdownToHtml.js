@@ -0,0 +1,137 @@
+'use strict';
+
+// markdownToHtml.js - Small Markdown renderer for the HTML report (--format=html)
+// Covers what the models write in findings and syntheses: headings, paragraphs,
+// bullet and numbered lists, block quotes, fenced code, pipe tables, rules, and
+// inline code, bold, italic and links. Everything is HTML-escaped first, and only
+// http(s) and in-page (#) links are kept, so model text cannot inject markup.
+// CJS module.
+
+const escapeHtml = (text) => String(text)
+	.replace(/&/g, '&amp;')
+	.replace(/</g, '&lt;')
+	.replace(/>/g, '&gt;')
+	.replace(/"/g, '&quot;');
+
+const renderInline = (text) => {
+	const codeSpans = [];
+	let html = escapeHtml(text).replace(/`([^`]+)`/g, (match, code) => {
+		codeSpans.push(`<code>${code}</code>`);
+		return `\u0000${codeSpans.length - 1}\u0000`;
+	});
+	html = html
+		.replace(/\[([^\]]+)\]\(((?:https?:\/\/|#)[^\s)]+)\)/g, '<a href="$2">$1</a>')
+		.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>')
+		.replace(/__([^_]+)__/g, '<strong>$1</strong>')
+		.replace(/(^|[^*])\*([^*\s][^*]*)\*/g, '$1<em>$2</em>')
+		.replace(/(^|\W)_([^_\s][^_]*)_(?=\W|$)/g, '$1<em>$2</em>');
+	return html.replace(/\u0000(\d+)\u0000/g, (match, idx) => codeSpans[Number(idx)]);
+};
+
+const splitRow = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+
+const isTableSeparator = (line) => /^\s*\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?\s*$/.test(line || '');
+
+const LIST_ITEM = /^\s*([-*+]|\d+[.)])\s+(.*)$/;
+
+// headingOffset shifts every heading down (e.g. 2 turns "# Title" into <h3>), capped at h6
+const markdownToHtml = (markdown, { headingOffset = 0 } = {}) => {
+	const lines = String(markdown || '').replace(/\r\n?/g, '\n').split('\n');
+	const blocks = [];
+	let i = 0;
+
+	while (i < lines.length) {
+		const line = lines[i];
+
+		if (!line.trim()) {
+			i++;
+			continue;
+		}
+
+		const fence = line.match(/^\s*(```|~~~)/);
+		if (fence) {
+			const code = [];
+			i++;
+			while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+				code.push(lines[i]);
+				i++;
+			}
+			i++;
+			blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+			continue;
+		}
+
+		const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+		if (heading) {
+			const level = Math.min(6, heading[1].length + headingOffset);
+			blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+			i++;
+			continue;
+		}
+
+		if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+			blocks.push('<hr>');
+			i++;
+			continue;
+		}
+
+		if (line.includes('|') && isTableSeparator(lines[i + 1])) {
+			const header = splitRow(line);
+			const rows = [];
+			i += 2;
+			while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+				rows.push(splitRow(lines[i]));
+				i++;
+			}
+			blocks.push('<table>'
+				+ `<thead><tr>${header.map(cell => `<th>${renderInline(cell)}</th>`).join('')}</tr></thead>`
+				+ `<tbody>${rows.map(row => `<tr>${row.map(cell => `<td>${renderInline(cell)}</td>`).join('')}</tr>`).join('')}</tbody>`
+				+ '</table>');
+			continue;
+		}
+
+		if (/^\s*>/.test(line)) {
+			const quoted = [];
+			while (i < lines.length && /^\s*>/.test(lines[i])) {
+				quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+				i++;
+			}
+			blocks.push(`<blockquote>${markdownToHtml(quoted.join('\n'), { headingOffset })}</blockquote>`);
+			continue;
+		}
+
+		if (LIST_ITEM.test(line)) {
+			const ordered = /^\s*\d/.test(line);
+			const items = [];
+			while (i < lines.length && (LIST_ITEM.test(lines[i]) || (/^\s{2,}\S/.test(lines[i]) && items.length > 0))) {
+				const item = lines[i].match(LIST_ITEM);
+				if (item) {
+					items.push(item[2]);
+				} else {
+					items[items.length - 1] += ` ${lines[i].trim()}`;
+				}
+				i++;
+			}
+			const tag = ordered ? 'ol' : 'ul';
+			blocks.push(`<${tag}>${items.map(item => `<li>${renderInline(item)}</li>`).join('')}</${tag}>`);
+			continue;
+		}
+
+		const paragraph = [];
+		while (i < lines.length && lines[i].trim()
+			&& !/^\s*(#{1,6}\s|```|~~~|>)/.test(lines[i])
+			&& !LIST_ITEM.test(lines[i])) {
+			paragraph.push(lines[i].trim());
+			i++;
+		}
+		if (paragraph.length === 0) {
+			paragraph.push(line.trim());
+			i++;
+		}
+		blocks.push(`<p>${renderInline(paragraph.join(' '))}</p>`);
+	}
+
+	return blocks.join('\n');
+};
+
+module.exports = { markdownToHtml, escapeHtml };
@@ -25,6 +25,18 @@ const mockExpand = ({ originalPrompt, config }) => {
 	};
 };
 
+const mockGapExpand = ({ gaps, config }) => {
+	return {
+		instructions: gaps.map((gap, idx) => ({
+			id: idx + 1,
+			perspective: `Mock Follow-up ${idx + 1}`,
+			instruction: `[MOCK] Follow-up research on: "${gap.slice(0, 60)}"`,
+			methodology: `Mock follow-up methodology ${idx + 1}`,
+		})),
+		expandCost: { inputTokens: 150, outputTokens: 200, usd: 0.0002 },
+	};
+};
+
 const mockFanOutAgent = ({ instruction, config }) => {
 	return {
 		id: instruction.id,
@@ -37,13 +49,55 @@ const mockFanOutAgent = ({ instruction, config }) => {
 	};
 };
 
+// With --rounds, reports one open gap until a follow-up round has run, then none
+const mockGapReport = ({ results, config }) => {
+	if (!(config.rounds > 1)) {
+		return '';
+	}
+	return results.length > config.perspectives
+		? '\n\n## Open Gaps\nNONE'
+		: `\n\n## Open Gaps\n- [MOCK] Gap left open by ${results.length} perspectives`;
+};
+
 const mockSynthesize = ({ originalPrompt, results, config }) => {
 	return {
-		synthesis: `[MOCK] Synthesis of ${results.length} perspectives for: "${(originalPrompt || '').slice(0, 60)}..."`,
+		synthesis: `[MOCK] Synthesis of ${results.length} perspectives for: "${(originalPrompt || '').slice(0, 60)}..."${mockGapReport({ results, config })}`,
 		synthesisCost: { inputTokens: 300, outputTokens: 600, usd: 0.0004 },
 	};
 };
 
+const mockCrossExamine = ({ own, others, config }) => {
+	return {
+		critique: `[MOCK] Cross-examination by perspective ${own.id}: ${own.perspective}.\n## Rebuttals\nDisputes ${others.length} other perspective(s).\n## Concessions\nNone.`,
+		cost: { inputTokens: 250, outputTokens: 350, usd: 0.0002 },
+	};
+};
+
+const mockExtractClaims = ({ result, config }) => {
+	const claims = [
+		{ claim: `[MOCK] Perspective ${result.id} finds the question answerable`, rationale: 'Mock rationale', confidence: 0.8, kind: 'factual' },
+		{ claim: `[MOCK] Perspective ${result.id} recommends more study`, rationale: 'Mock rationale', confidence: 0.5, kind: 'opinion' },
+	];
+	return {
+		text: JSON.stringify({ claims }),
+		cost: { inputTokens: 220, outputTokens: 180, usd: 0.0001 },
+	};
+};
+
+const mockSynthesisMatrix = ({ results, config }) => {
+	const ids = results.map(r => r.id);
+	const matrix = {
+		themes: [
+			{ theme: '[MOCK] Main finding', summary: 'Mock consensus position', agree: ids.slice(0, -1), disagree: ids.slice(-1), strength: 'moderate' },
+		],
+		openQuestions: ['[MOCK] What would settle the disagreement?'],
+	};
+	return {
+		text: JSON.stringify(matrix),
+		cost: { inputTokens: 400, outputTokens: 250, usd: 0.0002 },
+	};
+};
+
 const mockInterrogate = ({ question, config }) => {
 	return {
 		responseText: `[MOCK] Interrogation response to: "${(question || '').slice(0, 80)}..."`,
@@ -51,6 +105,13 @@ const mockInterrogate = ({ question, config }) => {
 	};
 };
 
+const mockContextSummary = ({ turn, config }) => {
+	return {
+		text: `[MOCK] Summary of turn ${turn.turnNumber}: "${(turn.prompt || '').slice(0, 60)}..."`,
+		cost: { inputTokens: 500, outputTokens: 120, usd: 0.0001 },
+	};
+};
+
 // -- Confluence mock functions (for use by confluenceAccessor mock mode) --
 
 const mockConfluenceSearch = ({ cql, limit }) => {
@@ -71,4 +132,19 @@ const mockConfluenceGetPage = ({ pageId }) => {
 	};
 };
 
-module.exports = { mockSingleCall, mockExpand, mockFanOutAgent, mockSynthesize, mockInterrogate, mockConfluenceSearch, mockConfluenceGetPage };
+// What each mock call reports spending, so --maxRunCostUsd reserves the same under -mockApi
+const MOCK_CALL_USD = {
+	singleCall: 0.0001,
+	expand: 0.0002,
+	gapExpand: 0.0002,
+	fanOut: 0.0003,
+	synthesize: 0.0004,
+	crossExamine: 0.0002,
+	extractClaims: 0.0001,
+	synthesisMatrix: 0.0002,
+	contextSummary: 0.0001,
+};
+
+const mockCallUsd = (stage) => MOCK_CALL_USD[stage] || 0;
+
+module.exports = { mockCallUsd, mockSingleCall, mockExpand, mockGapExpand, mockFanOutAgent, mockSynthesize, mockCrossExamine, mockExtractClaims, mockSynthesisMatrix, mockInterrogate, mockContextSummary, mockConfluenceSearch, mockConfluenceGetPage };
@@ -0,0 +1,203 @@
+'use strict';
+
+// modelRegistry.js - One place for what askMilo knows about each model
+// Aliases (opus|sonnet|haiku), context window, max output tokens, whether to
+// request adaptive thinking, and per-million-token pricing including prompt-cache
+// writes and reads. Built-in entries can be overridden or extended from the ini:
+//
+//   [modelRegistry.claude-opus-4-6]
+//   aliases=opus
+//   contextWindow=200000
+//   maxOutputTokens=128000
+//   thinking=adaptive
+//   inputPerMTok=5
+//   outputPerMTok=25
+//   cacheWritePerMTok=6.25
+//   cacheReadPerMTok=0.5
+//
+// The [_substitutions] modelMap still wins for alias resolution so existing
+// configs keep working. Unknown models are priced at the default model's rates,
+// warned about once, and flagged on their cost objects. A provider that declares
+// its own rates ([providers.NAME] in lib/providers.js) passes them as `pricing`,
+// which wins over the registry and needs no registry entry.
+// CJS module following moduleFunction pattern (curried factory, built on first use).
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+
+const DEFAULT_MODEL = 'claude-sonnet-4-6';
+
+const BUILT_IN_MODELS = {
+	'claude-opus-4-6': {
+		aliases: ['opus'],
+		contextWindow: 200000,
+		maxOutputTokens: 128000,
+		thinking: 'adaptive',
+		pricing: { input: 5.00, output: 25.00, cacheWrite: 6.25, cacheRead: 0.50 },
+	},
+	'claude-sonnet-4-6': {
+		aliases: ['sonnet'],
+		contextWindow: 200000,
+		maxOutputTokens: 64000,
+		thinking: null,
+		pricing: { input: 3.00, output: 15.00, cacheWrite: 3.75, cacheRead: 0.30 },
+	},
+	'claude-haiku-4-5': {
+		aliases: ['haiku'],
+		contextWindow: 200000,
+		maxOutputTokens: 64000,
+		thinking: null,
+		pricing: { input: 1.00, output: 5.00, cacheWrite: 1.25, cacheRead: 0.10 },
+	},
+};
+
+//START OF moduleFunction() ============================================================
+const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
+	let models = null;
+	const warnedUnknown = new Set();
+
+	const readConfigSection = (name) => {
+		const { getConfig } = process.global || {};
+		return (getConfig && getConfig(name)) || {};
+	};
+
+	const toNumber = (value, fallback) => {
+		const parsed = parseFloat(value);
+		return isNaN(parsed) ? fallback : parsed;
+	};
+
+	// Merge ini overrides onto the built-in table
+	const buildModels = () => {
+		const merged = JSON.parse(JSON.stringify(BUILT_IN_MODELS));
+		const overrides = readConfigSection(moduleName);
+		Object.keys(overrides).forEach(modelId => {
+			const raw = overrides[modelId] || {};
+			if (typeof raw !== 'object') return;
+			const base = merged[modelId] || { ...JSON.parse(JSON.stringify(BUILT_IN_MODELS[DEFAULT_MODEL])), aliases: [], thinking: null };
+			merged[modelId] = {
+				aliases: raw.aliases !== undefined
+					? String(raw.aliases).split(',').map(a => a.trim()).filter(Boolean)
+					: base.aliases,
+				contextWindow: toNumber(raw.contextWindow, base.contextWindow),
+				maxOutputTokens: toNumber(raw.maxOutputTokens, base.maxOutputTokens),
+				thinking: raw.thinking !== undefined ? (raw.thinking === 'none' ? null : raw.thinking) : base.thinking,
+				pricing: {
+					input: toNumber(raw.inputPerMTok, base.pricing.input),
+					output: toNumber(raw.outputPerMTok, base.pricing.output),
+					cacheWrite: toNumber(raw.cacheWritePerMTok, base.pricing.cacheWrite),
+					cacheRead: toNumber(raw.cacheReadPerMTok, base.pricing.cacheRead),
+				},
+			};
+		});
+		return merged;
+	};
+
+	const getModels = () => {
+		if (!models) {
+			models = buildModels();
+		}
+		return models;
+	};
+
+	// Shorthand or full id -> model id ([_substitutions] modelMap first, then registry aliases)
+	const resolveModel = (nameOrAlias) => {
+		const modelMap = readConfigSection('_substitutions').modelMap || {};
+		if (modelMap[nameOrAlias]) {
+			return modelMap[nameOrAlias];
+		}
+		const all = getModels();
+		const aliased = Object.keys(all).find(id => all[id].aliases.includes(nameOrAlias));
+		return aliased || nameOrAlias;
+	};
+
+	// Exact id, or a dated snapshot of a registered id (claude-opus-4-6-20260101)
+	const findEntryId = (modelId) => {
+		const all = getModels();
+		if (all[modelId]) return modelId;
+		return Object.keys(all).find(id => String(modelId).startsWith(`${id}-`)) || null;
+	};
+
+	const isKnownModel = (modelId) => !!findEntryId(modelId);
+
+	const warnUnknown = (modelId) => {
+		if (warnedUnknown.has(modelId)) return;
+		warnedUnknown.add(modelId);
+		const { xLog } = process.global || {};
+		xLog && xLog.error(`Warning: model "${modelId}" is not in the model registry; costs are estimated at ${DEFAULT_MODEL} rates. Add a [${moduleName}.${modelId}] section to price it.`);
+	};
+
+	// Warn up front (once per model) so a mispriced run is visible before it spends anything
+	const warnIfUnknown = (modelId) => {
+		if (isKnownModel(modelId)) return true;
+		warnUnknown(modelId);
+		return false;
+	};
+
+	// Registry entry, or the default model's limits for an unknown id (no warning: callers
+	// that only need limits, not prices, use this directly)
+	const lookupModel = (modelId) => {
+		const entryId = findEntryId(modelId);
+		if (entryId) {
+			return { id: modelId, ...getModels()[entryId], known: true };
+		}
+		return { id: modelId, ...getModels()[DEFAULT_MODEL], aliases: [], thinking: null, known: false };
+	};
+
+	const getModel = (modelId) => {
+		const model = lookupModel(modelId);
+		if (!model.known) {
+			warnUnknown(modelId);
+		}
+		return model;
+	};
+
+	// A provider's declared rates over the registry's; a full set is used as is (no unknown-model warning)
+	const pricingFor = (modelId, providerPricing) => {
+		if (providerPricing && ['input', 'output', 'cacheWrite', 'cacheRead'].every(field => typeof providerPricing[field] === 'number')) {
+			return { pricing: providerPricing, known: true };
+		}
+		const { pricing, known } = getModel(modelId);
+		return { pricing: { ...pricing, ...(providerPricing || {}) }, known };
+	};
+
+	// Requested max_tokens clamped to what the model can produce
+	const maxTokensFor = (modelId, requested) => Math.min(requested, lookupModel(modelId).maxOutputTokens);
+
+	// Request-level thinking parameter, or null when the model should not think
+	const thinkingFor = (modelId) => {
+		const { thinking } = lookupModel(modelId);
+		return thinking ? { type: thinking } : null;
+	};
+
+	// Anthropic usage block -> cost object with cache tokens broken out.
+	// pricing: the provider's declared rates (lib/providers.js connect), if any
+	const estimateCost = (modelId, usage = {}, providerPricing = null) => {
+		const { pricing, known } = pricingFor(modelId, providerPricing);
+		const inputTokens = usage.input_tokens || 0;
+		const outputTokens = usage.output_tokens || 0;
+		const cacheWriteTokens = usage.cache_creation_input_tokens || 0;
+		const cacheReadTokens = usage.cache_read_input_tokens || 0;
+		const usd = (inputTokens * pricing.input
+			+ outputTokens * pricing.output
+			+ cacheWriteTokens * pricing.cacheWrite
+			+ cacheReadTokens * pricing.cacheRead) / 1_000_000;
+		return {
+			inputTokens,
+			outputTokens,
+			cacheReadTokens,
+			cacheWriteTokens,
+			usd,
+			...(!known && { unknownModel: modelId }),
+		};
+	};
+
+	// Upper bound for one call: its input plus every token max_tokens allows (thinking is billed as output)
+	const maxCallUsd = (modelId, { inputTokens = 0, maxTokens = 0, pricing: providerPricing = null } = {}) => {
+		const { pricing } = pricingFor(modelId, providerPricing);
+		return (inputTokens * pricing.input + maxTokens * pricing.output) / 1_000_000;
+	};
+
+	return { resolveModel, isKnownModel, warnIfUnknown, getModel, maxTokensFor, thinkingFor, estimateCost, maxCallUsd };
+};
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction({ moduleName })({});
@@ -0,0 +1,154 @@
+'use strict';
+
+// openaiCompatible.js - Anthropic-shaped client for OpenAI-compatible chat-completions endpoints
+// The direct-driver stages build Anthropic Messages requests and read Anthropic
+// responses. This client accepts the same request, sends it to POST {baseUrl}/chat/completions
+// (llama.cpp server, vLLM, Ollama, OpenAI...) and converts the reply back: text and
+// tool_calls become text and tool_use blocks, finish_reason becomes stop_reason and
+// usage becomes input_tokens/output_tokens. Anthropic-only request fields (thinking,
+// cache_control) are dropped. HTTP errors carry status and headers so rateLimitRetry
+// treats a 429 the same way for every provider.
+// CJS module.
+
+const DEFAULT_TIMEOUT_MS = 600000;
+
+const STOP_REASONS = {
+	stop: 'end_turn',
+	length: 'max_tokens',
+	tool_calls: 'tool_use',
+	function_call: 'tool_use',
+};
+
+const blocksOf = (content) => (typeof content === 'string' ? [{ type: 'text', text: content }] : content || []);
+
+const joinText = (blocks) => blocks.filter(b => b.type === 'text' && b.text).map(b => b.text).join('\n\n');
+
+const toolResultText = (content) => (typeof content === 'string' ? content : joinText(blocksOf(content)));
+
+// Anthropic { system, messages, tools, max_tokens } -> chat-completions body
+const toChatRequest = (params) => {
+	const messages = [];
+	const system = typeof params.system === 'string' ? params.system : joinText(params.system || []);
+	if (system) {
+		messages.push({ role: 'system', content: system });
+	}
+
+	(params.messages || []).forEach(message => {
+		const blocks = blocksOf(message.content);
+		if (message.role === 'assistant') {
+			const toolUses = blocks.filter(b => b.type === 'tool_use');
+			messages.push({
+				role: 'assistant',
+				content: joinText(blocks) || null,
+				...(toolUses.length > 0 && {
+					tool_calls: toolUses.map(b => ({ id: b.id, type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) } })),
+				}),
+			});
+			return;
+		}
+		// Tool results are separate "tool" messages; any text in the same turn follows them
+		blocks.filter(b => b.type === 'tool_result').forEach(b => {
+			messages.push({ role: 'tool', tool_call_id: b.tool_use_id, content: `${b.is_error ? 'ERROR: ' : ''}${toolResultText(b.content)}` });
+		});
+		const text = joinText(blocks);
+		if (text) {
+			messages.push({ role: 'user', content: text });
+		}
+	});
+
+	return {
+		model: params.model,
+		messages,
+		max_tokens: params.max_tokens,
+		...(params.temperature !== undefined && { temperature: params.temperature }),
+		...(params.tools && params.tools.length > 0 && {
+			tools: params.tools.map(t => ({ type: 'function', function: { name: t.name, description: t.description || '', parameters: t.input_schema || { type: 'object', properties: {} } } })),
+		}),
+	};
+};
+
+const parseArguments = (text) => {
+	try {
+		return JSON.parse(text || '{}');
+	} catch (err) {
+		return { unparsedArguments: text };
+	}
+};
+
+// chat-completions reply -> Anthropic message
+const fromChatResponse = (data, model) => {
+	const choice = (data.choices || [])[0] || {};
+	const message = choice.message || {};
+	const content = [];
+	if (message.content) {
+		content.push({ type: 'text', text: message.content });
+	}
+	(message.tool_calls || []).forEach((call, idx) => {
+		content.push({
+			type: 'tool_use',
+			id: call.id || `call_${idx + 1}`,
+			name: call.function && call.function.name,
+			input: parseArguments(call.function && call.function.arguments),
+		});
+	});
+	const usage = data.usage || {};
+	return {
+		id: data.id,
+		type: 'message',
+		role: 'assistant',
+		model: data.model || model,
+		content,
+		stop_reason: (message.tool_calls || []).length > 0 ? 'tool_use' : STOP_REASONS[choice.finish_reason] || 'end_turn',
+		usage: { input_tokens: usage.prompt_tokens || 0, output_tokens: usage.completion_tokens || 0 },
+	};
+};
+
+// provider = { name, baseUrl, apiKey, timeoutMs } from lib/providers.js
+const createClient = (provider) => {
+	const url = `${String(provider.baseUrl).replace(/\/+$/, '')}/chat/completions`;
+
+	const create = async (params) => {
+		const controller = new AbortController();
+		const timer = setTimeout(() => controller.abort(), provider.timeoutMs || DEFAULT_TIMEOUT_MS);
+		let response;
+		try {
+			response = await fetch(url, {
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					...(provider.apiKey && { Authorization: `Bearer ${provider.apiKey}` }),
+				},
+				body: JSON.stringify(toChatRequest(params)),
+				signal: controller.signal,
+			});
+		} catch (err) {
+			const reason = err.name === 'AbortError' ? `no reply within ${provider.timeoutMs || DEFAULT_TIMEOUT_MS}ms` : err.message;
+			throw new Error(`Provider "${provider.name}" (${url}) request failed: ${reason}`);
+		} finally {
+			clearTimeout(timer);
+		}
+
+		const text = await response.text();
+		if (!response.ok) {
+			const err = new Error(`Provider "${provider.name}" returned ${response.status}: ${text.slice(0, 300)}`);
+			err.status = response.status;
+			err.headers = response.headers;
+			throw err;
+		}
+		try {
+			return fromChatResponse(JSON.parse(text), params.model);
+		} catch (err) {
+			throw new Error(`Provider "${provider.name}" returned invalid JSON: ${text.slice(0, 300)}`);
+		}
+	};
+
+	// stream().finalMessage() mirrors the Anthropic SDK; the reply is fetched in one piece
+	return {
+		messages: {
+			create,
+			stream: (params) => ({ finalMessage: () => create(params) }),
+		},
+	};
+};
+
+module.exports = { createClient, toChatRequest, fromChatResponse };
@@ -0,0 +1,177 @@
+'use strict';
+
+// progressReporter.js - Live progress sidecar for askMilo runs
+// Tracks stage transitions, per-perspective status and cost so far, and writes
+// a small progress record through sessionManager after every event so polling
+// clients (chorus-study-status, MCP check_chorus_study) can see a run in flight.
+// The record carries the writer's pid and host and is rewritten every HEARTBEAT_MS, so
+// readers can tell a live run from one that was killed (sessionManager.loadProgress).
+// An exit or SIGINT/SIGTERM before finish() writes a final 'error' record.
+// CJS module following moduleFunction pattern (curried factory).
+
+const os = require('os');
+const { zeroCost, sumCosts } = require('./costs');
+
+const MAX_EVENTS = 50;
+const HEARTBEAT_MS = 15000;
+const SIGNAL_EXIT_CODES = { SIGINT: 130, SIGTERM: 143 };
+
+//START OF moduleFunction() ============================================================
+const moduleFunction = ({ sessionName, turnNumber, enabled, sessionManager } = {}) => {
+	const startedAt = new Date();
+
+	const progress = {
+		sessionName: sessionName || null,
+		turnNumber: turnNumber || 1,
+		status: 'running',
+		stage: 'starting',
+		pid: process.pid,
+		host: os.hostname(),
+		startedAt: startedAt.toISOString(),
+		updatedAt: startedAt.toISOString(),
+		elapsedSeconds: 0,
+		costSoFar: zeroCost(),
+		perspectives: [],
+		events: [],
+	};
+
+	// -- Persist the current record (never allowed to break the pipeline) --
+	let written = false;
+	const write = () => {
+		const now = new Date();
+		progress.updatedAt = now.toISOString();
+		progress.elapsedSeconds = Math.round((now - startedAt) / 100) / 10;
+		if (!enabled || !sessionName || !sessionManager) return;
+		try {
+			sessionManager.saveProgress(progress);
+			written = true;
+		} catch (err) {
+			const { xLog } = process.global || {};
+			xLog && xLog.error(`Warning: Failed to write progress for ${sessionName}: ${err.message}`);
+		}
+	};
+
+	const addEvent = (stage, message) => {
+		progress.events.push({ at: new Date().toISOString(), stage, message });
+		if (progress.events.length > MAX_EVENTS) {
+			progress.events = progress.events.slice(-MAX_EVENTS);
+		}
+	};
+
+	const addCost = (cost) => {
+		if (!cost) return;
+		progress.costSoFar = sumCosts([progress.costSoFar, cost]);
+	};
+
+	const findPerspective = (id) => progress.perspectives.find(p => p.id === id);
+
+	const countByStatus = (status) => progress.perspectives.filter(p => p.status === status).length;
+
+	// -- Stage-level events --
+	const stageStarted = (stage, message) => {
+		progress.stage = stage;
+		addEvent(stage, message || `${stage} started`);
+		write();
+	};
+
+	const stageCompleted = (stage, { cost, message } = {}) => {
+		addCost(cost);
+		addEvent(stage, message || `${stage} complete`);
+		write();
+	};
+
+	// -- Perspective-level events --
+	const setPerspectives = (instructions) => {
+		progress.perspectives = (instructions || []).map(instr => ({
+			id: instr.id,
+			perspective: instr.perspective,
+			status: 'pending',
+			startedAt: null,
+			elapsedSeconds: null,
+			cost: null,
+		}));
+		write();
+	};
+
+	const agentStarted = (instruction) => {
+		const entry = findPerspective(instruction.id);
+		if (entry) {
+			entry.status = 'running';
+			entry.startedAt = new Date().toISOString();
+		}
+		addEvent(progress.stage, `Agent ${instruction.id} (${instruction.perspective}) started`);
+		write();
+	};
+
+	const agentRetrying = (instruction, { attempt, delayMs, reason } = {}) => {
+		const entry = findPerspective(instruction.id);
+		if (entry) {
+			entry.status = 'retrying';
+			entry.retries = attempt;
+		}
+		addEvent(progress.stage, `Agent ${instruction.id} (${instruction.perspective}) rate limited, retry ${attempt} in ${Math.round((delayMs || 0) / 1000)}s: ${reason}`);
+		write();
+	};
+
+	const agentFinished = (result) => {
+		const failed = /^\[AGENT (FAILED|ERROR)/.test(result.findings || '');
+		const skipped = /^\[SKIPPED:/.test(result.findings || '');
+		const outcome = skipped ? 'skipped' : failed ? 'failed' : 'done';
+		const entry = findPerspective(result.id);
+		if (entry) {
+			entry.status = outcome;
+			entry.elapsedSeconds = entry.startedAt
+				? Math.round((Date.now() - new Date(entry.startedAt)) / 100) / 10
+				: null;
+			entry.cost = result.cost || null;
+		}
+		addCost(result.cost);
+		const finishedCount = countByStatus('done') + countByStatus('failed') + countByStatus('skipped');
+		addEvent(progress.stage, `Agent ${result.id} of ${progress.perspectives.length} (${result.perspective}) ${outcome === 'done' ? 'finished' : outcome} [${finishedCount}/${progress.perspectives.length} returned]`);
+		write();
+	};
+
+	// -- Terminal events --
+	const finish = ({ status = 'complete', message } = {}) => {
+		stopWatching();
+		progress.status = status;
+		progress.stage = status;
+		addEvent(status, message || `Run ${status}`);
+		write();
+	};
+
+	// -- Heartbeat and last-gasp records (once a record exists to keep current) --
+	const persisted = !!(enabled && sessionName && sessionManager);
+	const heartbeat = persisted ? setInterval(() => written && write(), HEARTBEAT_MS) : null;
+	if (heartbeat) heartbeat.unref();
+
+	const onExit = (code) => {
+		if (written && progress.status === 'running') {
+			finish({ status: 'error', message: `askMilo exited with code ${code} before the run finished` });
+		}
+	};
+	const onSignal = (signal) => {
+		if (written) {
+			finish({ status: 'error', message: `Run stopped by ${signal}` });
+		}
+		process.exit(SIGNAL_EXIT_CODES[signal]);
+	};
+	if (persisted) {
+		process.on('exit', onExit);
+		Object.keys(SIGNAL_EXIT_CODES).forEach(signal => process.on(signal, onSignal));
+	}
+
+	const stopWatching = () => {
+		if (!persisted) return;
+		clearInterval(heartbeat);
+		process.removeListener('exit', onExit);
+		Object.keys(SIGNAL_EXIT_CODES).forEach(signal => process.removeListener(signal, onSignal));
+	};
+
+	const snapshot = () => JSON.parse(JSON.stringify(progress));
+
+	return { stageStarted, stageCompleted, setPerspectives, agentStarted, agentRetrying, agentFinished, addCost, finish, snapshot };
+};
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
@@ -0,0 +1,75 @@
+'use strict';
+
+// promptCache.js - Builds Messages API content with prompt-cache breakpoints
+// The stable prefix of a request (system prompt, attachments, prior-session context) is
+// marked cache_control: ephemeral so repeat calls within the cache lifetime --
+// fan-out agents sharing agentPromptText, tool-loop iterations, retries -- read
+// it from cache instead of paying full input price. Parallel batches go through
+// cacheWarmup so only their first call writes the cache. Prefixes shorter than the
+// model's minimum cacheable length are simply not cached by the API.
+// With config.promptCache off (-noPromptCache) plain strings are sent, as before.
+// CJS module.
+
+const EPHEMERAL = { type: 'ephemeral' };
+
+// System prompt as a single cacheable text block
+const buildSystem = ({ systemPrompt, config }) => {
+	if (!config.promptCache || !systemPrompt) {
+		return systemPrompt;
+	}
+	return [{ type: 'text', text: systemPrompt, cache_control: EPHEMERAL }];
+};
+
+// Plain-string user message: attachments, then session context, then the new prompt
+const buildUserText = ({ prompt, sessionContext, attachmentContext }) => {
+	const prefix = [attachmentContext, sessionContext].filter(Boolean);
+	if (prefix.length === 0) {
+		return prompt;
+	}
+	return `${prefix.join('\n\n')}\n\n--- NEW PROMPT ---\n${prompt}`;
+};
+
+// User content: attachments and session context first (each cacheable), then the new prompt.
+// Attachments lead because every agent and the synthesizer share them within a run.
+const buildUserContent = ({ prompt, sessionContext, attachmentContext, config }) => {
+	if (!sessionContext && !attachmentContext) {
+		return prompt;
+	}
+	if (!config.promptCache) {
+		return buildUserText({ prompt, sessionContext, attachmentContext });
+	}
+	return [
+		...[attachmentContext, sessionContext].filter(Boolean).map(text => ({ type: 'text', text, cache_control: EPHEMERAL })),
+		{ type: 'text', text: `--- NEW PROMPT ---\n${prompt}` },
+	];
+};
+
+// Calls started side by side all miss the cache, so each pays the cache write for the same
+// prefix. The warm-up lets the first call (index 0) go ahead and holds the rest until it
+// has answered or failed; they then read what it wrote. Nothing is held without caching.
+const cacheWarmup = ({ config, count }) => {
+	let release;
+	const warmed = new Promise(resolve => { release = resolve; });
+	const active = !!config.promptCache && count > 1;
+	const ready = (index) => (active && index > 0 ? warmed : Promise.resolve());
+	// fn is call number index of the batch; the first releases the rest when it settles
+	const run = async (index, fn) => {
+		await ready(index);
+		try {
+			return await fn();
+		} finally {
+			release();
+		}
+	};
+	return { ready, run, release: () => release() };
+};
+
+// One-line cache summary for verbose logs, empty when nothing was cached
+const describeCacheUse = (cost) => {
+	if (!cost || !(cost.cacheReadTokens || cost.cacheWriteTokens)) {
+		return '';
+	}
+	return `cache: ${cost.cacheReadTokens || 0} read, ${cost.cacheWriteTokens || 0} written`;
+};
+
+module.exports = { buildSystem, buildUserText, buildUserContent, cacheWarmup, describeCacheUse };
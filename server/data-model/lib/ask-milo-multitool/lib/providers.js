@@ -0,0 +1,173 @@
+'use strict';
+
+// providers.js - Which LLM endpoint each direct-driver stage talks to
+// The built-in "anthropic" provider uses anthropicApiKey. More providers are declared
+// in the ini, and each stage picks one (provider= sets the default for all of them):
+//
+//   [askMilo]
+//   expandProvider=anthropic
+//   agentProvider=anthropic,local      <- a list is dealt out to perspectives by id
+//   synthesizeProvider=anthropic
+//   singleCallProvider=local
+//
+//   [providers.local]
+//   type=openai                        <- any OpenAI-compatible chat-completions server
+//   baseUrl=http://localhost:8080/v1
+//   apiKey=                            <- optional for local servers
+//   model=llama-3.1-8b-instruct        <- replaces the stage's model for this provider
+//   timeoutMs=600000
+//   inputPerMTok=0                     <- USD per million tokens; type=openai defaults all four
+//   outputPerMTok=0                       to 0, type=anthropic to the model registry's rates
+//   cacheWritePerMTok=0
+//   cacheReadPerMTok=0
+//
+// Follow-up stages share their parent's provider: gapExpand and the --resumeSession
+// context summaries use expand's, crossExamine and extractClaims use the agents',
+// synthesisMatrix uses synthesize's.
+// With --record or --replay (config.recordDir / config.replayDir) the client is
+// wrapped or replaced by lib/recordReplay.js.
+// CJS module.
+
+const openaiCompatible = require('./openaiCompatible');
+const recordReplay = require('./recordReplay');
+
+const DEFAULT_PROVIDER = 'anthropic';
+const PROVIDER_TYPES = ['anthropic', 'openai'];
+
+// stage -> provider role (config.stageProviders key, and <role>Provider in the ini)
+const STAGE_ROLES = {
+	expand: 'expand',
+	gapExpand: 'expand',
+	contextSummary: 'expand',
+	fanOut: 'agent',
+	crossExamine: 'agent',
+	extractClaims: 'agent',
+	synthesize: 'synthesize',
+	synthesisMatrix: 'synthesize',
+	singleCall: 'singleCall',
+};
+const PROVIDER_ROLES = ['expand', 'agent', 'synthesize', 'singleCall'];
+
+const PRICING_KEYS = { input: 'inputPerMTok', output: 'outputPerMTok', cacheWrite: 'cacheWritePerMTok', cacheRead: 'cacheReadPerMTok' };
+
+// Declared rates (modelRegistry pricing shape); an openai provider fills the rest with 0.
+// null leaves the call priced by the model registry.
+const readPricing = (raw, type) => {
+	const pricing = {};
+	Object.keys(PRICING_KEYS).forEach(field => {
+		const value = raw[PRICING_KEYS[field]];
+		if (value === undefined || value === '') {
+			if (type === 'openai') pricing[field] = 0;
+			return;
+		}
+		const parsed = parseFloat(value);
+		if (isNaN(parsed) || parsed < 0) {
+			throw new Error(`[providers.${raw.name}] ${PRICING_KEYS[field]} must be a number of USD per million tokens`);
+		}
+		pricing[field] = parsed;
+	});
+	return Object.keys(pricing).length > 0 ? pricing : null;
+};
+
+const splitList = (value) => String(value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+// [providers.*] sections + per-role choices -> { providers, stageProviders }.
+// valueOf(key) reads a setting (CLI first, then ini); throws on unknown names or types.
+const readProviderConfig = ({ sections = {}, valueOf, anthropicApiKey }) => {
+	const providers = {
+		[DEFAULT_PROVIDER]: { name: DEFAULT_PROVIDER, type: 'anthropic', apiKey: anthropicApiKey },
+	};
+	Object.keys(sections).forEach(name => {
+		const raw = sections[name];
+		if (!raw || typeof raw !== 'object') return;
+		const type = String(raw.type || 'openai').toLowerCase();
+		if (!PROVIDER_TYPES.includes(type)) {
+			throw new Error(`[providers.${name}] has unknown type "${raw.type}" (expected ${PROVIDER_TYPES.join(', ')})`);
+		}
+		if (type === 'openai' && !raw.baseUrl) {
+			throw new Error(`[providers.${name}] needs a baseUrl`);
+		}
+		const pricing = readPricing({ ...raw, name }, type);
+		providers[name] = {
+			name,
+			type,
+			...(raw.baseUrl && { baseUrl: raw.baseUrl }),
+			apiKey: raw.apiKey || (type === 'anthropic' ? anthropicApiKey : ''),
+			...(raw.model && { model: raw.model }),
+			timeoutMs: parseInt(raw.timeoutMs, 10) || 0,
+			...(pricing && { pricing }),
+		};
+	});
+
+	const fallback = valueOf('provider') || DEFAULT_PROVIDER;
+	const stageProviders = {};
+	PROVIDER_ROLES.forEach(role => {
+		const names = splitList(valueOf(`${role}Provider`) || fallback);
+		const unknown = names.filter(name => !providers[name]);
+		if (unknown.length > 0) {
+			throw new Error(`${role}Provider names unknown provider(s) ${unknown.join(', ')} (declared: ${Object.keys(providers).join(', ')})`);
+		}
+		stageProviders[role] = names.length > 0 ? names : [DEFAULT_PROVIDER];
+	});
+
+	return { providers, stageProviders };
+};
+
+// The provider for one call; id (a perspective id) picks from a list
+const providerFor = ({ stage, config, id }) => {
+	const names = (config.stageProviders && config.stageProviders[STAGE_ROLES[stage]]) || [DEFAULT_PROVIDER];
+	const name = names[((id || 1) - 1) % names.length];
+	const providers = config.providers || {};
+	return providers[name] || { name: DEFAULT_PROVIDER, type: 'anthropic', apiKey: config.anthropicApiKey };
+};
+
+// Does any stage of this run call Anthropic (and so need anthropicApiKey)?
+const usesAnthropic = (config) => Object.values(config.stageProviders || {}).some(names =>
+	names.some(name => !config.providers || !config.providers[name] || config.providers[name].type === 'anthropic'));
+
+// -> { client, model, provider, pricing }. Anthropic is the SDK class, imported by the ESM stage.
+// model is the provider's model when it declares one, otherwise the stage's; pricing is the
+// provider's declared rates (or null), for modelRegistry.estimateCost.
+// appRetry: the caller wraps its calls in withRateLimitRetry (--rateLimitRetries), so the
+// SDK's own retries are turned off rather than multiplied by the app's.
+const connect = ({ stage, config, id, model, Anthropic, appRetry = false }) => {
+	const provider = providerFor({ stage, config, id });
+	const effectiveModel = provider.model || model;
+	if (config.replayDir) {
+		return { client: recordReplay.replayClient({ dir: config.replayDir }), model: effectiveModel, provider: provider.name, pricing: provider.pricing || null };
+	}
+	const client = provider.type === 'openai'
+		? openaiCompatible.createClient(provider)
+		: new Anthropic({
+			apiKey: provider.apiKey,
+			...(provider.baseUrl && { baseURL: provider.baseUrl }),
+			...(appRetry && { maxRetries: 0 }),
+		});
+	return {
+		client: config.recordDir ? recordReplay.recordingClient({ client, dir: config.recordDir, provider: provider.name }) : client,
+		model: effectiveModel,
+		provider: provider.name,
+		pricing: provider.pricing || null,
+	};
+};
+
+// Is every stage on an Anthropic provider (what the sdk driver can honour)?
+const usesAnthropicOnly = (config) => Object.values(config.stageProviders || {}).every(names =>
+	names.every(name => !config.providers || !config.providers[name] || config.providers[name].type === 'anthropic'));
+
+// "expand=anthropic agent=anthropic,local ..." for -verbose
+const describeStageProviders = (config) => PROVIDER_ROLES
+	.map(role => `${role}=${((config.stageProviders || {})[role] || [DEFAULT_PROVIDER]).join(',')}`)
+	.join(' ');
+
+module.exports = {
+	DEFAULT_PROVIDER,
+	STAGE_ROLES,
+	PROVIDER_ROLES,
+	readProviderConfig,
+	providerFor,
+	usesAnthropic,
+	usesAnthropicOnly,
+	connect,
+	describeStageProviders,
+};
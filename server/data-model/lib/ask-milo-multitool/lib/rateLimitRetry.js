@@ -0,0 +1,71 @@
+'use strict';
+
+// rateLimitRetry.js - Retry wrapper for Anthropic rate-limit and overload errors
+// Detects 429 (rate_limit_error) and 529 (overloaded_error) responses from
+// @anthropic-ai/sdk, waits with exponential backoff (honoring retry-after when
+// the API sends it), and retries. Errors are classified by HTTP status and API error
+// type only, never by message text. Any other error is rethrown immediately.
+// CJS module.
+
+const RETRYABLE_STATUSES = [429, 529];
+const RETRYABLE_ERROR_TYPES = ['rate_limit_error', 'overloaded_error'];
+
+const isRetryableError = (err) => {
+	if (!err) return false;
+	if (RETRYABLE_STATUSES.includes(err.status)) return true;
+	// Mid-stream errors arrive as SSE error events without an HTTP status
+	const errorType = err.error && err.error.error && err.error.error.type;
+	return RETRYABLE_ERROR_TYPES.includes(errorType);
+};
+
+// SDK errors expose headers as a Headers instance (newer) or a plain object (older)
+const getHeader = (headers, name) => {
+	if (!headers) return undefined;
+	if (typeof headers.get === 'function') return headers.get(name) || undefined;
+	return headers[name] || headers[name.toLowerCase()];
+};
+
+const getRetryAfterMs = (err) => {
+	const headers = err && err.headers;
+	const retryAfterMs = parseFloat(getHeader(headers, 'retry-after-ms'));
+	if (!isNaN(retryAfterMs)) return retryAfterMs;
+
+	const retryAfter = getHeader(headers, 'retry-after');
+	if (!retryAfter) return null;
+	const seconds = parseFloat(retryAfter);
+	if (!isNaN(seconds)) return seconds * 1000;
+	const date = Date.parse(retryAfter); // HTTP-date form
+	return isNaN(date) ? null : Math.max(0, date - Date.now());
+};
+
+const computeDelayMs = ({ err, attempt, baseDelayMs, maxDelayMs }) => {
+	const retryAfterMs = getRetryAfterMs(err);
+	if (retryAfterMs !== null) {
+		return Math.min(retryAfterMs, maxDelayMs);
+	}
+	// Exponential backoff with jitter: base * 2^attempt, +/- 25%
+	const exponential = baseDelayMs * Math.pow(2, attempt);
+	const jitter = exponential * (Math.random() * 0.5 - 0.25);
+	return Math.min(Math.round(exponential + jitter), maxDelayMs);
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const withRateLimitRetry = async (fn, { maxRetries = 4, baseDelayMs = 2000, maxDelayMs = 60000, onRetry } = {}) => {
+	for (let attempt = 0; ; attempt++) {
+		try {
+			return await fn();
+		} catch (err) {
+			if (attempt >= maxRetries || !isRetryableError(err)) {
+				throw err;
+			}
+			const delayMs = computeDelayMs({ err, attempt, baseDelayMs, maxDelayMs });
+			if (typeof onRetry === 'function') {
+				onRetry({ attempt: attempt + 1, maxRetries, delayMs, reason: err.message || String(err) });
+			}
+			await sleep(delayMs);
+		}
+	}
+};
+
+module.exports = { isRetryableError, getRetryAfterMs, withRateLimitRetry };
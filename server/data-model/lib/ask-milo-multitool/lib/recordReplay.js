@@ -0,0 +1,83 @@
+'use strict';
+
+// recordReplay.js - Save real Messages API exchanges and serve them back (--record=DIR, --replay=DIR)
+// --record wraps every direct-driver client (lib/providers.js connect) so each
+// successful request/response pair is written to DIR/<hash>-<n>.json, where hash is
+// a sha256 of the request with its keys sorted and n counts identical requests in
+// the run. --replay answers the same requests from those files without touching the
+// network, so stage code, JSON repair loops, thinking blocks and long findings run
+// exactly as they did. A request with no recording fails with its hash and model.
+// CJS module.
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Identical requests within one run (per directory) get occurrence numbers 1, 2, ...
+const occurrences = new Map();
+
+const nextOccurrence = (dir, hash) => {
+	const key = `${dir}|${hash}`;
+	const n = (occurrences.get(key) || 0) + 1;
+	occurrences.set(key, n);
+	return n;
+};
+
+const stableStringify = (value) => {
+	if (Array.isArray(value)) {
+		return `[${value.map(stableStringify).join(',')}]`;
+	}
+	if (value && typeof value === 'object') {
+		return `{${Object.keys(value).sort().filter(key => value[key] !== undefined).map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+	}
+	return JSON.stringify(value);
+};
+
+const requestHash = (params) => crypto.createHash('sha256').update(stableStringify(params)).digest('hex').slice(0, 24);
+
+const recordingFile = (dir, hash, occurrence) => path.join(dir, `${hash}-${occurrence}.json`);
+
+// Wraps an Anthropic-shaped client; the recording is written once the reply is complete
+const recordingClient = ({ client, dir, provider }) => {
+	const create = async (params, send) => {
+		const hash = requestHash(params);
+		const response = await send();
+		const occurrence = nextOccurrence(dir, hash);
+		fs.writeFileSync(recordingFile(dir, hash, occurrence), JSON.stringify({
+			hash,
+			occurrence,
+			provider,
+			recordedAt: new Date().toISOString(),
+			request: params,
+			response,
+		}, null, 2));
+		return response;
+	};
+	return {
+		messages: {
+			create: (params) => create(params, () => client.messages.create(params)),
+			stream: (params) => ({ finalMessage: () => create(params, () => client.messages.stream(params).finalMessage()) }),
+		},
+	};
+};
+
+// Serves recordings; a repeated request gets its next occurrence, or the first when fewer were recorded
+const replayClient = ({ dir }) => {
+	const create = async (params) => {
+		const hash = requestHash(params);
+		const occurrence = nextOccurrence(dir, hash);
+		const file = [recordingFile(dir, hash, occurrence), recordingFile(dir, hash, 1)].find(candidate => fs.existsSync(candidate));
+		if (!file) {
+			throw new Error(`No recording for request ${hash} (model ${params.model}) in ${dir}; re-record with --record=${dir}`);
+		}
+		return JSON.parse(fs.readFileSync(file, 'utf8')).response;
+	};
+	return {
+		messages: {
+			create,
+			stream: (params) => ({ finalMessage: () => create(params) }),
+		},
+	};
+};
+
+module.exports = { requestHash, recordingClient, replayClient };
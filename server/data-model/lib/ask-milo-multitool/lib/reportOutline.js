@@ -0,0 +1,186 @@
+'use strict';
+
+// reportOutline.js - Shared layout for the Markdown and HTML reports (--format=markdown|html)
+// Turns the collect() parameters into an ordered list of sections (synthesis and its
+// matrix first, then one per perspective, rounds, expansion and attachments) plus cost rows for
+// the appendix. Section bodies are Markdown; model text has its headings pushed
+// below the section's own so the table of contents stays intact.
+// CJS module.
+
+const { zeroCost, sumCosts } = require('./costs');
+const { roundsExtraCost, ROUNDS_STOP_LABELS } = require('./researchRounds');
+
+// Shift "# Heading" lines down by `by` levels (capped at ######), leaving code fences alone
+const demoteHeadings = (text, by) => {
+	let inFence = false;
+	return String(text || '').split('\n').map(line => {
+		if (/^\s*(```|~~~)/.test(line)) {
+			inFence = !inFence;
+			return line;
+		}
+		if (inFence) {
+			return line;
+		}
+		return line.replace(/^(\s*)(#{1,6})(\s)/, (match, indent, hashes, space) =>
+			`${indent}${'#'.repeat(Math.min(6, hashes.length + by))}${space}`);
+	}).join('\n');
+};
+
+const formatUsd = (usd) => `$${(usd || 0).toFixed(4)}`;
+
+const describeToolCalls = (toolCalls) => (toolCalls && toolCalls.length > 0
+	? `_Tool calls: ${toolCalls.map(call => call.name).join(', ')}_`
+	: '');
+
+const claimsTable = ({ items, error }) => {
+	const escapeCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+	const rows = items.map(c => `| ${c.id} | ${escapeCell(c.claim)} | ${c.kind} | ${c.confidence !== null ? c.confidence.toFixed(2) : ''} | ${escapeCell(c.rationale)} |`);
+	return [
+		...(error ? [`_Extraction problem: ${error}_`, ''] : []),
+		...(items.length > 0 ? ['| Id | Claim | Kind | Confidence | Rationale |', '|---|---|---|---:|---|', ...rows] : ['_No claims extracted_']),
+	].join('\n');
+};
+
+const matrixTable = ({ themes, openQuestions, error }) => {
+	const escapeCell = (text) => String(text).replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+	const rows = themes.map(t => `| ${t.id} | **${escapeCell(t.theme)}** ${escapeCell(t.summary)} | ${t.agree.join(', ')} | ${t.disagree.join(', ')} | ${t.strength} |`);
+	return [
+		...(error ? [`_Matrix problem: ${error}_`, ''] : []),
+		...(themes.length > 0 ? ['| Id | Theme | Agree | Disagree | Strength |', '|---|---|---|---|---|', ...rows] : ['_No themes_']),
+		...(openQuestions.length > 0 ? ['', '**Open questions**', '', ...openQuestions.map(q => `- ${q}`)] : []),
+	].join('\n');
+};
+
+const attachmentsSection = (attachments) => ({
+	id: 'attachments',
+	level: 2,
+	title: 'Attachments',
+	body: attachments.map(a => `- **${a.name}** (${a.type}, ${a.chars} chars${a.chunks > 1 ? `, ${a.chunks} parts` : ''}) sha256 \`${a.sha256}\``).join('\n'),
+});
+
+const chorusOutline = ({ originalPrompt, instructions, results, expandCost, synthesis, synthesisCost, synthesisToolCalls, synthesisMatrix, rounds, roundsStop, elapsedSeconds, config, budget, sessionName, turnNumber }) => {
+	const perspectives = results || [];
+	const attachments = (config && config.attachments) || [];
+	const extraRoundsCost = roundsExtraCost(rounds);
+	const methodologyFor = (id) => ((instructions || []).find(i => i.id === id) || {}).methodology;
+	const sections = [];
+
+	if (synthesis) {
+		sections.push({
+			id: 'synthesis',
+			level: 2,
+			title: 'Synthesis',
+			body: [demoteHeadings(synthesis, 2), describeToolCalls(synthesisToolCalls)].filter(Boolean).join('\n\n'),
+		});
+	}
+
+	if (synthesisMatrix) {
+		sections.push({ id: 'matrix', level: 2, title: 'Agreement Matrix', body: matrixTable(synthesisMatrix) });
+	}
+
+	sections.push({ id: 'perspectives', level: 2, title: `Perspectives (${perspectives.length})`, body: '' });
+	perspectives.forEach(r => {
+		const methodology = methodologyFor(r.id);
+		const parts = [
+			r.instruction ? `**Instruction:** ${r.instruction}` : '',
+			methodology ? `**Methodology:** ${methodology}` : '',
+			demoteHeadings(r.findings, 3),
+			describeToolCalls(r.toolCalls),
+			r.critique ? `#### Cross-examination\n\n${demoteHeadings(r.critique.text, 4)}` : '',
+			r.claims ? `#### Claims\n\n${claimsTable(r.claims)}` : '',
+		];
+		sections.push({
+			id: `perspective-${r.id}`,
+			level: 3,
+			title: `${r.id}. ${r.perspective}${r.round > 1 ? ` (round ${r.round})` : ''}`,
+			body: parts.filter(Boolean).join('\n\n'),
+		});
+	});
+
+	if (rounds) {
+		const lines = rounds.map(round => {
+			const gaps = round.openGaps.length > 0
+				? round.openGaps.map(gap => `  - Open gap: ${gap}`).join('\n')
+				: '  - No open gaps reported';
+			return `- **Round ${round.round}:** ${round.perspectiveIds.length > 0 ? `perspectives ${round.perspectiveIds.join(', ')}` : 'no perspectives'}${round.synthesis ? '' : ' (not synthesized)'}\n${gaps}`;
+		});
+		if (roundsStop) {
+			lines.push(`\nStopped after round ${roundsStop.afterRound}: ${ROUNDS_STOP_LABELS[roundsStop.reason] || roundsStop.reason}${roundsStop.message ? ` (${roundsStop.message})` : ''}.`);
+		}
+		sections.push({ id: 'rounds', level: 2, title: 'Research Rounds', body: lines.join('\n') });
+	}
+
+	if (instructions && instructions.length > 0) {
+		sections.push({
+			id: 'expansion',
+			level: 2,
+			title: 'Expansion',
+			body: instructions.map(i => `${i.id}. **${i.perspective}**${i.userSupplied ? ' _(caller-supplied)_' : ''}: ${i.instruction}`).join('\n'),
+		});
+	}
+
+	if (attachments.length > 0) {
+		sections.push(attachmentsSection(attachments));
+	}
+
+	const costRows = [
+		...(expandCost ? [{ label: 'Expand', cost: expandCost }] : []),
+		...perspectives.map(r => ({ label: `Perspective ${r.id}`, cost: r.cost || zeroCost() })),
+		...perspectives.filter(r => r.critique).map(r => ({ label: `Cross-examination ${r.id}`, cost: r.critique.cost || zeroCost() })),
+		...perspectives.filter(r => r.claims).map(r => ({ label: `Claim extraction ${r.id}`, cost: r.claims.cost || zeroCost() })),
+		...(synthesisCost ? [{ label: 'Synthesis', cost: synthesisCost }] : []),
+		...(synthesisMatrix ? [{ label: 'Synthesis matrix', cost: synthesisMatrix.cost || zeroCost() }] : []),
+		...(extraRoundsCost ? [{ label: 'Follow-up rounds', cost: extraRoundsCost }] : []),
+	];
+
+	return {
+		title: 'Chorus Research Report',
+		prompt: originalPrompt,
+		facts: [
+			...(sessionName ? [['Session', `${sessionName}${turnNumber ? `, turn ${turnNumber}` : ''}`]] : []),
+			['Perspectives', String(perspectives.length)],
+			...(config && config.agentModel ? [['Agent model', config.agentModel]] : []),
+			...(config && config.expandModel ? (config.synthModel && config.synthModel !== config.expandModel
+				? [['Expansion model', config.expandModel], ['Synthesis model', config.synthModel]]
+				: [['Expansion/synthesis model', config.expandModel]]) : []),
+			['Total cost', formatUsd(sumCosts(costRows.map(row => row.cost)).usd)],
+			...(elapsedSeconds ? [['Elapsed', `${elapsedSeconds.toFixed(1)}s`]] : []),
+		],
+		sections,
+		costRows,
+		total: sumCosts(costRows.map(row => row.cost)),
+		budget: budget || null,
+	};
+};
+
+const singleCallOutline = ({ promptName, prompt, responseText, cost, model, elapsedSeconds, toolCalls, config, sessionName, turnNumber }) => {
+	const attachments = (config && config.attachments) || [];
+	const sections = [{
+		id: 'response',
+		level: 2,
+		title: 'Response',
+		body: [demoteHeadings(responseText, 2), describeToolCalls(toolCalls)].filter(Boolean).join('\n\n'),
+	}];
+	if (attachments.length > 0) {
+		sections.push(attachmentsSection(attachments));
+	}
+	const costRows = [{ label: 'Call', cost: cost || zeroCost() }];
+	return {
+		title: `askMilo -- ${promptName || 'default'}`,
+		prompt,
+		facts: [
+			...(sessionName ? [['Session', `${sessionName}${turnNumber ? `, turn ${turnNumber}` : ''}`]] : []),
+			...(model ? [['Model', model]] : []),
+			['Total cost', formatUsd((cost || zeroCost()).usd)],
+			...(elapsedSeconds ? [['Elapsed', `${elapsedSeconds.toFixed(1)}s`]] : []),
+		],
+		sections,
+		costRows,
+		total: sumCosts(costRows.map(row => row.cost)),
+		budget: null,
+	};
+};
+
+const buildOutline = ({ mode, ...params }) => (mode === 'singleCall' ? singleCallOutline(params) : chorusOutline(params));
+
+module.exports = { buildOutline, demoteHeadings, formatUsd };
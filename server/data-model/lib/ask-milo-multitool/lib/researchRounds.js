@@ -0,0 +1,79 @@
+'use strict';
+
+// researchRounds.js - Gap-driven follow-up rounds for --rounds=N
+// With more than one round the synthesizer ends its report with an "Open Gaps"
+// section. Each gap list is turned into new research instructions, another fan-out
+// runs, and the synthesizer re-reads every perspective so far. A round whose
+// synthesis lists no gaps ends the loop early.
+// CJS module.
+
+const { sumCosts } = require('./costs');
+
+const GAP_HEADING = 'Open Gaps';
+
+// Appended to the synthesizer's user message when config.rounds > 1
+const GAP_REPORT_INSTRUCTION = `After the synthesis, end your reply with a section headed "## ${GAP_HEADING}". ` +
+	`List each material open question that none of the analysts researched well enough to answer, ` +
+	`one per line starting with "- ". If there are no material gaps, write the single line "NONE" under the heading.`;
+
+// Why the loop ended (turn.roundsStop.reason), as the reports word it
+const ROUNDS_STOP_LABELS = {
+	noGaps: 'the synthesis reported no material gaps',
+	maxRounds: 'the requested number of rounds ran',
+	costLimit: 'the run cost limit left no room for another round',
+	error: 'a follow-up stage failed',
+};
+
+// Used when [prompts] has no gapExpander entry
+const DEFAULT_GAP_EXPANDER_PROMPT = `You plan follow-up research. You receive a research question, the synthesis of a first research round and the open gaps it identified. Write new research instructions, each aimed at closing one or more of the gaps. Do not repeat research that was already done; build on what the synthesis established.`;
+
+// Synthesis text -> { reported, gaps }. reported is false when the section is missing.
+const parseOpenGaps = (synthesisText) => {
+	const lines = String(synthesisText || '').split('\n');
+	const headingIdx = lines.findIndex(line => new RegExp(`^#{1,6}\\s*${GAP_HEADING}\\s*$`, 'i').test(line.trim()));
+	if (headingIdx < 0) {
+		return { reported: false, gaps: [] };
+	}
+	const sectionLines = [];
+	for (const line of lines.slice(headingIdx + 1)) {
+		if (/^#{1,6}\s/.test(line.trim())) break;
+		sectionLines.push(line.trim());
+	}
+	const gaps = sectionLines
+		.filter(line => /^[-*]\s+/.test(line))
+		.map(line => line.replace(/^[-*]\s+/, '').trim())
+		.filter(gap => gap && !/^none\.?$/i.test(gap));
+	return { reported: true, gaps };
+};
+
+// User message for the follow-up expansion
+const buildGapPrompt = ({ originalPrompt, synthesis, gaps, priorInstructions, count }) => {
+	const done = (priorInstructions || []).map(i => `- ${i.perspective}: ${i.methodology || ''}`).join('\n');
+	return `ORIGINAL RESEARCH QUESTION:\n${originalPrompt}\n\n` +
+		`PERSPECTIVES ALREADY RESEARCHED:\n${done}\n\n` +
+		`LATEST SYNTHESIS:\n${synthesis}\n\n` +
+		`OPEN GAPS:\n${gaps.map(gap => `- ${gap}`).join('\n')}\n\n` +
+		`Write ${count} follow-up research instructions targeting these gaps.`;
+};
+
+// Spend that the turn's top-level fields do not already cover: every follow-up
+// expansion plus each superseded synthesis (the latest one is turn.synthesis)
+const roundsExtraCost = (rounds) => {
+	if (!rounds || rounds.length === 0) {
+		return null;
+	}
+	const syntheses = rounds.filter(r => r.synthesis);
+	return sumCosts([
+		...rounds.map(r => r.expansion && r.expansion.cost),
+		...syntheses.slice(0, -1).map(r => r.synthesis.cost),
+	]);
+};
+
+module.exports = {
+	GAP_REPORT_INSTRUCTION,
+	ROUNDS_STOP_LABELS,
+	DEFAULT_GAP_EXPANDER_PROMPT,
+	parseOpenGaps,
+	buildGapPrompt,
+	roundsExtraCost,
+};
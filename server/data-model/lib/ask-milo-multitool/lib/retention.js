@@ -0,0 +1,68 @@
+'use strict';
+
+// retention.js - Which sessions -pruneSessions deletes or archives
+// Set in the [retention] section of askMilo.ini; every rule is off (0) by default:
+//
+//   [retention]
+//   deleteDryRunAfterDays=7     <- untagged sessions made with -dryRun or -mockApi
+//   deleteAfterDays=0           <- any untagged session
+//   archiveAfterDays=90         <- any other session: written as a bundle to archiveDir, then removed
+//   archiveDir=/var/backups/askMilo   <- default: DIR/archive (DIR: the session store's data directory)
+//
+// Age is counted from a session's updatedAt. Pinned sessions (--annotateSession -pin) and
+// sessions with a run in progress are never pruned. A session that qualifies for both is deleted.
+// CJS module.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const RULE_KEYS = ['deleteDryRunAfterDays', 'deleteAfterDays', 'archiveAfterDays'];
+
+// [retention] section -> { deleteDryRunAfterDays, deleteAfterDays, archiveAfterDays, archiveDir }.
+// Throws on a value that is not a whole number of days.
+const readRetentionPolicy = (section = {}) => {
+	const policy = { archiveDir: section.archiveDir ? String(section.archiveDir) : '' };
+	RULE_KEYS.forEach(key => {
+		const raw = section[key];
+		const days = raw === undefined || raw === '' ? 0 : Number(raw);
+		if (!Number.isInteger(days) || days < 0) {
+			throw new Error(`[retention] ${key} must be a whole number of days (0 turns it off), got "${raw}"`);
+		}
+		policy[key] = days;
+	});
+	return policy;
+};
+
+const hasRules = (policy) => RULE_KEYS.some(key => policy[key] > 0);
+
+// "delete untagged dry-run sessions after 7 days; archive after 90 days"
+const describePolicy = (policy) => {
+	const parts = [
+		policy.deleteDryRunAfterDays > 0 && `delete untagged dry-run sessions after ${policy.deleteDryRunAfterDays} days`,
+		policy.deleteAfterDays > 0 && `delete untagged sessions after ${policy.deleteAfterDays} days`,
+		policy.archiveAfterDays > 0 && `archive after ${policy.archiveAfterDays} days`,
+	].filter(Boolean);
+	return parts.length > 0 ? parts.join('; ') : 'no rules';
+};
+
+// sessions: -listSessions rows (sessionStores/summary.js); isRunning(name) says whether a run is in progress.
+// -> [{ name, action: 'delete' | 'archive', reason, ageDays }], in listing order. Sessions kept are left out.
+const planPrune = ({ sessions, policy, now = Date.now(), isRunning = () => false }) => sessions.flatMap(session => {
+	if (session.pinned || isRunning(session.name)) {
+		return [];
+	}
+	const ageDays = Math.floor((now - new Date(session.updatedAt).getTime()) / DAY_MS);
+	const untagged = session.tags.length === 0;
+	const older = (days) => days > 0 && ageDays >= days;
+	if (untagged && session.dryRun && older(policy.deleteDryRunAfterDays)) {
+		return [{ name: session.name, action: 'delete', reason: `untagged dry run, ${ageDays} days old`, ageDays }];
+	}
+	if (untagged && older(policy.deleteAfterDays)) {
+		return [{ name: session.name, action: 'delete', reason: `untagged, ${ageDays} days old`, ageDays }];
+	}
+	if (older(policy.archiveAfterDays)) {
+		return [{ name: session.name, action: 'archive', reason: `${ageDays} days old`, ageDays }];
+	}
+	return [];
+});
+
+module.exports = { readRetentionPolicy, hasRules, describePolicy, planPrune };
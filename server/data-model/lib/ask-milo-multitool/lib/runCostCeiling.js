@@ -0,0 +1,19 @@
+'use strict';
+
+// runCostCeiling.js - The server's --maxRunCostUsd ceiling for web requests
+// Each chorus access point may set maxRunCostUsd in its own config section. A request
+// may ask for a lower limit but not a higher one, and cannot drop the limit.
+// CJS module.
+
+// values: askMilo JSON "values" ({ key: [value] }); ceiling: the access point's configured maxRunCostUsd
+const applyRunCostCeiling = ({ values = {}, ceiling }) => {
+	const ceilingUsd = parseFloat(ceiling);
+	if (!(ceilingUsd > 0)) {
+		return values;
+	}
+	const requested = parseFloat((values.maxRunCostUsd || [])[0]);
+	const maxRunCostUsd = requested > 0 && requested < ceilingUsd ? requested : ceilingUsd;
+	return { ...values, maxRunCostUsd: [String(maxRunCostUsd)] };
+};
+
+module.exports = { applyRunCostCeiling };
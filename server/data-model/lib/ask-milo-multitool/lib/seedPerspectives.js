@@ -0,0 +1,107 @@
+'use strict';
+
+// seedPerspectives.js - Caller-chosen perspectives (JSON input / API body "perspectives")
+// Each entry is a name, or { name, methodology?, instruction? }. When every entry is
+// complete and there are at least as many as the run asks for, they become the
+// expansion as they are and the expander is not called. Otherwise they are handed to
+// the expander as mandatory ids 1..K: it writes only the missing methodologies and
+// instructions and any further perspectives. applySeeds puts the caller's text back
+// over the expander's reply, and every seeded instruction is marked userSupplied.
+// CJS module.
+
+const textOf = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// JSON "perspectives" -> [{ name, methodology?, instruction? }]; throws on malformed entries
+const normalizeSeeds = (list) => {
+	if (list === undefined || list === null) {
+		return [];
+	}
+	if (!Array.isArray(list)) {
+		throw new Error('JSON "perspectives" must be an array of names or { name, methodology, instruction } objects');
+	}
+	return list.map((item, idx) => {
+		const entry = typeof item === 'string' ? { name: item } : item;
+		const name = entry && typeof entry === 'object' ? textOf(entry.name) || textOf(entry.perspective) : '';
+		if (!name) {
+			throw new Error(`JSON perspectives[${idx}] needs a non-empty "name"`);
+		}
+		const methodology = textOf(entry.methodology);
+		const instruction = textOf(entry.instruction);
+		return {
+			name,
+			...(methodology && { methodology }),
+			...(instruction && { instruction }),
+		};
+	});
+};
+
+const isComplete = (seed) => !!(seed.methodology && seed.instruction);
+
+// Seeds that can replace the expansion entirely, as instructions; null when the expander is needed
+const directInstructions = (seeds, count) => {
+	if (!seeds || seeds.length === 0 || seeds.length < count || !seeds.every(isComplete)) {
+		return null;
+	}
+	return seeds.map((seed, idx) => ({
+		id: idx + 1,
+		perspective: seed.name,
+		instruction: seed.instruction,
+		methodology: seed.methodology,
+		userSupplied: true,
+	}));
+};
+
+// The expander's user prompt with the mandatory perspectives appended
+const withSeedBlock = (prompt, seeds) => {
+	if (!seeds || seeds.length === 0) {
+		return prompt;
+	}
+	const lines = seeds.map((seed, idx) => [
+		`${idx + 1}. ${seed.name}`,
+		`   Methodology: ${seed.methodology || '(write one)'}`,
+		`   Instruction: ${seed.instruction || '(write one)'}`,
+	].join('\n'));
+	return `${prompt}\n\nREQUIRED PERSPECTIVES:\n` +
+		`The requester has chosen the following perspectives. Use them as instructions 1-${seeds.length}, in this order, with these exact names. ` +
+		`Keep any methodology or instruction given here word for word and write only the ones marked "(write one)". ` +
+		`Any further instructions are yours to design; they must not duplicate these.\n\n${lines.join('\n')}`;
+};
+
+// Expander reply -> instructions with the seeds' names and text restored at ids 1..K
+const applySeeds = (instructions, seeds) => {
+	if (!seeds || seeds.length === 0) {
+		return instructions;
+	}
+	return instructions.map((instr, idx) => {
+		const seed = seeds[idx];
+		if (!seed) {
+			return instr;
+		}
+		return {
+			...instr,
+			perspective: seed.name,
+			...(seed.instruction && { instruction: seed.instruction }),
+			...(seed.methodology && { methodology: seed.methodology }),
+			userSupplied: true,
+		};
+	});
+};
+
+// Fan-out results inherit the flag from the instruction they answered
+const markUserSupplied = (results, instructions) => {
+	const suppliedIds = (instructions || []).filter(i => i.userSupplied).map(i => i.id);
+	if (suppliedIds.length === 0) {
+		return results;
+	}
+	return results.map(r => (suppliedIds.includes(r.id) ? { ...r, userSupplied: true } : r));
+};
+
+// "2 caller-supplied, used as the expansion" for -verbose
+const describeSeeds = (seeds, count) => {
+	if (!seeds || seeds.length === 0) {
+		return '';
+	}
+	return `${seeds.length} caller-supplied, ${directInstructions(seeds, count) ? 'used as the expansion' : 'seeding the expander'}`;
+};
+
+module.exports = { normalizeSeeds, directInstructions, withSeedBlock, applySeeds, markUserSupplied, describeSeeds };
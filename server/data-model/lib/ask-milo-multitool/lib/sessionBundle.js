@@ -0,0 +1,116 @@
+'use strict';
+
+// sessionBundle.js - One session as a self-contained file (--exportSession, --importSession)
+// A bundle is a single JSON object:
+//   format, version, exportedAt, sessionName
+//   session      the stored session, unchanged
+//   report       { format: 'markdown', text }: every turn rendered by stages/collect.js
+//   attachments  [{ turnNumber, name, type, source, sha256, chars, chunks }]: a manifest only,
+//                since sessions keep a digest of each document rather than its text
+//   prompts      [{ name, text | builtIn, uses: [{ turnNumber, stage }] }]: the distinct
+//                prompts recorded on the turns (turn.prompts; older turns have none)
+//   checksum     { algorithm: 'sha256', value }: over the JSON of every field above, in order
+// CJS module.
+
+const crypto = require('crypto');
+
+const BUNDLE_FORMAT = 'askMilo-session-bundle';
+const BUNDLE_VERSION = 1;
+
+// Names become file names in the json backend: no separators, no leading dot or dash
+const SESSION_NAME_PATTERN = /^[A-Za-z0-9_][A-Za-z0-9_.-]*$/;
+
+const isValidSessionName = (name) => typeof name === 'string' && SESSION_NAME_PATTERN.test(name) && name.length <= 200;
+
+const checksumOf = (body) => crypto.createHash('sha256').update(JSON.stringify(body)).digest('hex');
+
+const attachmentManifest = (session) => (session.turns || []).flatMap(turn =>
+	(turn.attachments || []).map(a => ({ turnNumber: turn.turnNumber, ...a })));
+
+// Identical prompts used by several turns or stages are listed once
+const promptManifest = (session) => {
+	const byText = new Map();
+	(session.turns || []).forEach(turn => {
+		Object.entries(turn.prompts || {}).forEach(([stage, prompt]) => {
+			const key = `${prompt.name}\n${prompt.builtIn ? '' : prompt.text}`;
+			if (!byText.has(key)) {
+				byText.set(key, { ...prompt, uses: [] });
+			}
+			byText.get(key).uses.push({ turnNumber: turn.turnNumber, stage });
+		});
+	});
+	return [...byText.values()];
+};
+
+// renderTurn: stages/collect.js renderTurn, passed in because collect requires sessionManager
+const createBundle = ({ session, renderTurn, exportedAt = new Date().toISOString() }) => {
+	const report = [
+		`# Session: ${session.sessionName}`,
+		...(session.turns || []).map(turn => renderTurn({ turn, format: 'markdown', sessionName: session.sessionName })),
+	].join('\n\n---\n\n');
+	const body = {
+		format: BUNDLE_FORMAT,
+		version: BUNDLE_VERSION,
+		exportedAt,
+		sessionName: session.sessionName,
+		session,
+		report: { format: 'markdown', text: report },
+		attachments: attachmentManifest(session),
+		prompts: promptManifest(session),
+	};
+	return { ...body, checksum: { algorithm: 'sha256', value: checksumOf(body) } };
+};
+
+// Throws with the first reason the bundle cannot be installed; returns it otherwise
+const verifyBundle = (bundle) => {
+	if (!bundle || typeof bundle !== 'object' || bundle.format !== BUNDLE_FORMAT) {
+		throw new Error(`Not an askMilo session bundle (expected format "${BUNDLE_FORMAT}")`);
+	}
+	if (!(bundle.version >= 1 && bundle.version <= BUNDLE_VERSION)) {
+		throw new Error(`Session bundle version ${bundle.version} is not supported (this askMilo reads up to version ${BUNDLE_VERSION})`);
+	}
+	const { checksum, ...body } = bundle;
+	if (!checksum || checksum.algorithm !== 'sha256' || checksum.value !== checksumOf(body)) {
+		throw new Error('Session bundle checksum does not match its contents (the file was altered or truncated)');
+	}
+	const { session } = bundle;
+	if (!session || typeof session !== 'object' || !Array.isArray(session.turns)) {
+		throw new Error('Session bundle has no session with a turns list');
+	}
+	if (!isValidSessionName(session.sessionName)) {
+		throw new Error(`Session bundle names its session "${session.sessionName}", which is not a usable session name`);
+	}
+	return bundle;
+};
+
+const parseBundle = (text) => {
+	let bundle;
+	try {
+		bundle = JSON.parse(text);
+	} catch (err) {
+		throw new Error(`Session bundle is not valid JSON: ${err.message}`);
+	}
+	return verifyBundle(bundle);
+};
+
+// name, else name_2, name_3, ... : the first that exists() says is free
+const availableName = (name, exists) => {
+	if (!exists(name)) {
+		return name;
+	}
+	let suffix = 2;
+	while (exists(`${name}_${suffix}`)) {
+		suffix++;
+	}
+	return `${name}_${suffix}`;
+};
+
+module.exports = {
+	BUNDLE_FORMAT,
+	BUNDLE_VERSION,
+	isValidSessionName,
+	createBundle,
+	verifyBundle,
+	parseBundle,
+	availableName,
+};
@@ -0,0 +1,181 @@
+'use strict';
+
+// sessionContext.js - The prior-turns block a --resumeSession run sends with its prompt
+// Turns are chosen with --contextTurns (default: all). The latest contextRecentTurns of
+// them always go in verbatim. If the block would exceed contextBudgetTokens, older
+// turns are replaced, oldest first, by a summary (stages/contextSummary-direct.mjs)
+// that is cached on the turn as turn.contextSummary and reused while the turn's text
+// is unchanged. Tokens are estimated at CHARS_PER_TOKEN characters each.
+// CJS module.
+
+const modelRegistry = require('./modelRegistry');
+
+const CHARS_PER_TOKEN = 4;
+
+// What planContext assumes a summary not yet written will cost
+const SUMMARY_TOKEN_ESTIMATE = 600;
+
+// Fallback for a turn whose summary could not be made: its answer, clipped
+const EXCERPT_CHARS = 2000;
+
+const estimateTokens = (text) => Math.ceil(String(text || '').length / CHARS_PER_TOKEN);
+
+// The full text of one prior turn
+const verbatimBlock = (turn) => {
+	const lines = [];
+	lines.push(`--- Turn ${turn.turnNumber} ---`);
+	lines.push(`PROMPT: ${turn.prompt}`);
+	if (turn.attachments && turn.attachments.length > 0) {
+		// Only the names carry over; re-attach a document to give the new turn its text
+		lines.push(`ATTACHED: ${turn.attachments.map(a => a.name).join(', ')}`);
+	}
+	lines.push('');
+
+	if (turn.turnType === 'interrogation' || turn.turnType === 'singleCall') {
+		const label = turn.turnType === 'singleCall' && turn.promptName
+			? `RESPONSE (${turn.promptName})`
+			: turn.turnType === 'interrogation'
+				? 'INTERROGATION RESPONSE'
+				: 'RESPONSE';
+		lines.push(`${label}: ${turn.response}`);
+		lines.push('');
+	} else {
+		if (turn.perspectives && turn.perspectives.length > 0) {
+			lines.push('PERSPECTIVES:');
+			turn.perspectives.forEach((p, idx) => {
+				lines.push(`${idx + 1}. [${p.perspective}]: ${p.findings}`);
+			});
+			lines.push('');
+		}
+
+		if (turn.synthesis && turn.synthesis.text) {
+			lines.push(`SYNTHESIS: ${turn.synthesis.text}`);
+			lines.push('');
+		}
+	}
+	return lines.join('\n');
+};
+
+// A cached summary is reused only while the turn still renders to the same length
+// (a --retryFailed splice changes it)
+const cachedSummary = (turn) => {
+	const cached = turn.contextSummary;
+	return cached && cached.text && cached.sourceChars === verbatimBlock(turn).length ? cached : null;
+};
+
+const summaryBlock = (turn, text) => [
+	`--- Turn ${turn.turnNumber} (summarized) ---`,
+	`PROMPT: ${turn.prompt}`,
+	'',
+	`SUMMARY: ${text}`,
+	'',
+].join('\n');
+
+const excerptBlock = (turn) => {
+	const answer = turn.synthesis && turn.synthesis.text ? turn.synthesis.text : turn.response || '';
+	const clipped = answer.length > EXCERPT_CHARS ? `${answer.slice(0, EXCERPT_CHARS)} [...]` : answer;
+	return [
+		`--- Turn ${turn.turnNumber} (excerpt) ---`,
+		`PROMPT: ${turn.prompt}`,
+		'',
+		`${turn.synthesis ? 'SYNTHESIS' : 'RESPONSE'} (excerpt): ${clipped}`,
+		'',
+	].join('\n');
+};
+
+// "2,4" or "1-3,5" -> [1, 2, 3, 5]; '' -> [] (every turn). Throws on anything else.
+const parseContextTurns = (value) => {
+	const text = String(value === undefined || value === null ? '' : value).trim();
+	if (!text) {
+		return [];
+	}
+	const numbers = text.split(',').map(part => part.trim()).filter(Boolean).flatMap(part => {
+		const range = part.match(/^(\d+)\s*-\s*(\d+)$/);
+		if (range) {
+			const [from, to] = [parseInt(range[1], 10), parseInt(range[2], 10)];
+			if (from < 1 || to < from) {
+				throw new Error(`--contextTurns range "${part}" is not ascending from 1`);
+			}
+			return Array.from({ length: to - from + 1 }, (unused, idx) => from + idx);
+		}
+		if (!/^\d+$/.test(part) || parseInt(part, 10) < 1) {
+			throw new Error(`--contextTurns expects turn numbers like "2,4" or "1-3", got "${part}"`);
+		}
+		return [parseInt(part, 10)];
+	});
+	return [...new Set(numbers)].sort((a, b) => a - b);
+};
+
+// config.contextBudgetTokens, else a quarter of the smallest context window the context is sent to
+const contextBudgetTokens = (config) => config.contextBudgetTokens > 0
+	? config.contextBudgetTokens
+	: Math.floor(Math.min(...[config.expandModel, config.agentModel].map(model => modelRegistry.getModel(model).contextWindow)) / 4);
+
+// Requested turn numbers the session does not have
+const missingTurns = (turns, contextTurns) => contextTurns.filter(n => !(turns || []).some(t => t.turnNumber === n));
+
+// -> [{ turn, mode: 'verbatim' | 'summary' }], oldest first
+const planContext = ({ turns, contextTurns = [], budgetTokens, recentTurns }) => {
+	const selected = (turns || []).filter(t => contextTurns.length === 0 || contextTurns.includes(t.turnNumber));
+	const entries = selected.map(turn => ({ turn, mode: 'verbatim' }));
+	const summaryTokens = (turn) => {
+		const cached = cachedSummary(turn);
+		return cached ? estimateTokens(summaryBlock(turn, cached.text)) : SUMMARY_TOKEN_ESTIMATE;
+	};
+	let total = entries.reduce((sum, { turn }) => sum + estimateTokens(verbatimBlock(turn)), 0);
+	const compactable = Math.max(entries.length - Math.max(recentTurns, 0), 0);
+	for (let idx = 0; idx < compactable && total > budgetTokens; idx++) {
+		const { turn } = entries[idx];
+		total -= estimateTokens(verbatimBlock(turn)) - summaryTokens(turn);
+		entries[idx].mode = 'summary';
+	}
+	return entries;
+};
+
+// Summary entries that need a model call
+const summariesNeeded = (entries) => entries.filter(e => e.mode === 'summary' && !cachedSummary(e.turn)).map(e => e.turn);
+
+// Planned entries -> the context text. A summary entry whose turn has no usable
+// summary (the call failed or was skipped) falls back to an excerpt.
+const buildContext = ({ sessionName, entries }) => {
+	const blocks = entries.map(({ turn, mode }) => {
+		if (mode === 'verbatim') {
+			return { turnNumber: turn.turnNumber, mode, text: verbatimBlock(turn) };
+		}
+		const cached = cachedSummary(turn);
+		return cached
+			? { turnNumber: turn.turnNumber, mode: 'summary', text: summaryBlock(turn, cached.text) }
+			: { turnNumber: turn.turnNumber, mode: 'excerpt', text: excerptBlock(turn) };
+	});
+	const text = [`=== PRIOR RESEARCH SESSION: ${sessionName} ===`, '', ...blocks.map(b => b.text)].join('\n');
+	return {
+		text,
+		turns: blocks.map(({ turnNumber, mode }) => ({ turnNumber, mode })),
+		chars: text.length,
+		estimatedTokens: estimateTokens(text),
+	};
+};
+
+// "turns 3,4 verbatim, turns 1,2 summarized; 41230 chars, ~10308 tokens" for -verbose
+const describeContext = (context) => {
+	const byMode = ['verbatim', 'summary', 'excerpt'].map(mode => {
+		const numbers = context.turns.filter(t => t.mode === mode).map(t => t.turnNumber);
+		const label = { verbatim: 'verbatim', summary: 'summarized', excerpt: 'excerpted' }[mode];
+		return numbers.length > 0 ? `turn${numbers.length > 1 ? 's' : ''} ${numbers.join(',')} ${label}` : '';
+	}).filter(Boolean);
+	return `${byMode.join(', ') || 'no turns'}; ${context.chars} chars, ~${context.estimatedTokens} tokens`;
+};
+
+module.exports = {
+	CHARS_PER_TOKEN,
+	estimateTokens,
+	verbatimBlock,
+	cachedSummary,
+	parseContextTurns,
+	contextBudgetTokens,
+	missingTurns,
+	planContext,
+	summariesNeeded,
+	buildContext,
+	describeContext,
+};
@@ -1,12 +1,15 @@
 'use strict';
 const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
 
+const fs = require('fs');
 const os = require('os');
 const path = require('path');
-const fs = require('fs');
-
-// Session storage location
-const SESSION_DIR = path.join(os.homedir(), 'Library', 'Application Support', 'askMilo', 'sessions');
+const { zeroCost, sumCosts, perspectiveCosts } = require('./costs');
+const { roundsExtraCost } = require('./researchRounds');
+const sessionContext = require('./sessionContext');
+const { LEGACY_DATA_DIR, resolveStoreSettings, openSessionStore, storeEnvironment } = require('./sessionStore');
+const sessionBundle = require('./sessionBundle');
+const retention = require('./retention');
 
 // Word lists for session name generation
 const ADJECTIVES = [
@@ -32,23 +35,33 @@ const NOUNS = [
 //START OF moduleFunction() ============================================================
 const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 
+	// Opened on first use: the [sessionStore] config is only readable once process.global is set up
+	let storeSettings;
+	let store;
+	const sessionStore = () => {
+		if (!store) {
+			const getConfig = process.global && process.global.getConfig;
+			storeSettings = resolveStoreSettings((getConfig && getConfig('sessionStore')) || {});
+			store = openSessionStore(storeSettings);
+		}
+		return store;
+	};
+
+	const notFound = (name) => new Error(`Session not found: "${name}". Use -listSessions to see available sessions.`);
+
 	const ensureSessionDir = () => {
-		fs.mkdirSync(SESSION_DIR, { recursive: true });
+		sessionStore().ensureDir();
 	};
 
-	const generateSessionName = () => {
-		ensureSessionDir();
-		const existingFiles = fs.readdirSync(SESSION_DIR)
-			.filter(f => f.endsWith('.json'))
-			.map(f => f.replace('.json', ''));
-		const existingSet = new Set(existingFiles);
+	const sessionExists = (name) => sessionStore().exists(name);
 
+	const generateSessionName = () => {
 		// Try up to 100 times to get a unique name
 		for (let attempt = 0; attempt < 100; attempt++) {
 			const adj = ADJECTIVES[Math.floor(Math.random() * ADJECTIVES.length)];
 			const noun = NOUNS[Math.floor(Math.random() * NOUNS.length)];
 			const name = `${adj}_${noun}`;
-			if (!existingSet.has(name)) {
+			if (!sessionExists(name)) {
 				return name;
 			}
 		}
@@ -59,153 +72,427 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 	};
 
 	const saveSession = (session) => {
-		ensureSessionDir();
 		session.updatedAt = new Date().toISOString();
-		const filePath = path.join(SESSION_DIR, `${session.sessionName}.json`);
-		fs.writeFileSync(filePath, JSON.stringify(session, null, 2), 'utf8');
-		return filePath;
+		return sessionStore().save(session);
 	};
 
 	const loadSession = (name) => {
-		const filePath = path.join(SESSION_DIR, `${name}.json`);
-		if (!fs.existsSync(filePath)) {
-			throw new Error(`Session not found: "${name}". Use -listSessions to see available sessions.`);
+		const session = sessionStore().load(name);
+		if (!session) {
+			throw notFound(name);
 		}
-		const raw = fs.readFileSync(filePath, 'utf8');
-		return JSON.parse(raw);
+		return session;
 	};
 
-	const listSessions = () => {
-		ensureSessionDir();
-		const files = fs.readdirSync(SESSION_DIR).filter(f => f.endsWith('.json'));
-		const sessions = [];
-		for (const file of files) {
-			const filePath = path.join(SESSION_DIR, file);
-			const stat = fs.statSync(filePath);
-			const raw = fs.readFileSync(filePath, 'utf8');
-			let data;
-			try {
-				data = JSON.parse(raw);
-			} catch (e) {
-				continue; // skip malformed files
-			}
-			const turnCount = (data.turns || []).length;
-			const firstPrompt = turnCount > 0 ? data.turns[0].prompt : '(no prompt)';
-			sessions.push({
-				name: data.sessionName || file.replace('.json', ''),
-				createdAt: data.createdAt || stat.birthtime.toISOString(),
-				updatedAt: data.updatedAt || stat.mtime.toISOString(),
-				turnCount,
-				promptPreview: firstPrompt.length > 60 ? firstPrompt.slice(0, 57) + '...' : firstPrompt,
-				sizeBytes: stat.size,
-			});
-		}
-		// Sort by updatedAt descending (most recent first)
-		sessions.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
-		return sessions;
-	};
+	// filter: { text, tags, since, until, minCost, maxCost } (sessionStores/summary.js matchesFilter)
+	const listSessions = (filter = {}) => sessionStore().list(filter);
+
+	// Full-text search over prompts, perspective names and findings, syntheses and responses.
+	// -> [{ sessionName, turnNumber, kind, perspectiveId?, perspective?, snippet, score }], best first;
+	// matched words in the snippet are wrapped in **.
+	const searchSessions = (query, { limit } = {}) => sessionStore().search(query, { limit });
 
 	const deleteSession = (name) => {
-		const filePath = path.join(SESSION_DIR, `${name}.json`);
-		if (!fs.existsSync(filePath)) {
-			throw new Error(`Session not found: "${name}". Use -listSessions to see available sessions.`);
+		if (!sessionStore().remove(name)) {
+			throw notFound(name);
 		}
-		fs.unlinkSync(filePath);
+		deleteProgress(name);
 	};
 
 	const renameSession = (oldName, newName) => {
-		const oldPath = path.join(SESSION_DIR, `${oldName}.json`);
-		const newPath = path.join(SESSION_DIR, `${newName}.json`);
-		if (!fs.existsSync(oldPath)) {
-			throw new Error(`Session not found: "${oldName}". Use -listSessions to see available sessions.`);
+		if (!sessionExists(oldName)) {
+			throw notFound(oldName);
 		}
-		if (fs.existsSync(newPath)) {
+		if (sessionExists(newName)) {
 			throw new Error(`A session named "${newName}" already exists.`);
 		}
-		const raw = fs.readFileSync(oldPath, 'utf8');
-		const data = JSON.parse(raw);
-		data.sessionName = newName;
-		data.updatedAt = new Date().toISOString();
-		fs.writeFileSync(newPath, JSON.stringify(data, null, 2), 'utf8');
-		fs.unlinkSync(oldPath);
+		sessionStore().rename(oldName, newName);
+		deleteProgress(oldName);
+		// Forks keep pointing at their parent under its new name
+		listSessions().filter(row => row.parent && row.parent.sessionName === oldName).forEach(row => {
+			const child = loadSession(row.name);
+			child.parent.sessionName = newName;
+			sessionStore().save(child);
+		});
 	};
 
-	const buildSessionContext = (session) => {
-		const lines = [];
-		lines.push(`=== PRIOR RESEARCH SESSION: ${session.sessionName} ===`);
-		lines.push('');
-
-		for (const turn of (session.turns || [])) {
-			lines.push(`--- Turn ${turn.turnNumber} ---`);
-			lines.push(`PROMPT: ${turn.prompt}`);
-			lines.push('');
-
-			if (turn.turnType === 'interrogation' || turn.turnType === 'singleCall') {
-				const label = turn.turnType === 'singleCall' && turn.promptName
-					? `RESPONSE (${turn.promptName})`
-					: turn.turnType === 'interrogation'
-						? 'INTERROGATION RESPONSE'
-						: 'RESPONSE';
-				lines.push(`${label}: ${turn.response}`);
-				lines.push('');
+	// -- Tags, notes and pins (--annotateSession) --
+
+	const TAG_PATTERN = /^[a-z0-9][a-z0-9_.:-]*$/;
+
+	// "Q3, tariffs" or ['Q3', 'tariffs'] -> ['q3', 'tariffs']; throws on a tag with other characters
+	const normalizeTags = (value) => {
+		const list = Array.isArray(value) ? value : String(value || '').split(',');
+		const tags = list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean);
+		const bad = tags.find(tag => !TAG_PATTERN.test(tag));
+		if (bad) {
+			throw new Error(`Tag "${bad}" may only use letters, digits, _ . : and - (and must start with a letter or digit)`);
+		}
+		return [...new Set(tags)];
+	};
+
+	// changes: { addTags, removeTags, notes, pinned }, each optional; notes '' removes the notes.
+	// updatedAt is left alone so annotating does not reset a session's retention age.
+	// -> { sessionName, tags, notes, pinned }
+	const annotateSession = (name, { addTags, removeTags, notes, pinned } = {}) => {
+		const session = loadSession(name);
+		const removing = normalizeTags(removeTags);
+		const tags = [...new Set([...(session.tags || []), ...normalizeTags(addTags)])].filter(tag => !removing.includes(tag));
+		if (tags.length > 0) {
+			session.tags = tags;
+		} else {
+			delete session.tags;
+		}
+		if (notes !== undefined) {
+			if (String(notes).trim()) {
+				session.notes = String(notes);
 			} else {
-				if (turn.perspectives && turn.perspectives.length > 0) {
-					lines.push('PERSPECTIVES:');
-					turn.perspectives.forEach((p, idx) => {
-						lines.push(`${idx + 1}. [${p.perspective}]: ${p.findings}`);
-					});
-					lines.push('');
-				}
+				delete session.notes;
+			}
+		}
+		if (pinned !== undefined) {
+			if (pinned) {
+				session.pinned = true;
+			} else {
+				delete session.pinned;
+			}
+		}
+		sessionStore().save(session);
+		return { sessionName: name, tags: session.tags || [], notes: session.notes || '', pinned: !!session.pinned };
+	};
+
+	// -- Retention (-pruneSessions, lib/retention.js) --
 
-				if (turn.synthesis && turn.synthesis.text) {
-					lines.push(`SYNTHESIS: ${turn.synthesis.text}`);
-					lines.push('');
+	const retentionPolicy = () => {
+		const getConfig = process.global && process.global.getConfig;
+		const policy = retention.readRetentionPolicy((getConfig && getConfig('retention')) || {});
+		sessionStore();
+		return { ...policy, archiveDir: path.resolve(policy.archiveDir || path.join(storeSettings.dir, 'archive')) };
+	};
+
+	// Applies the [retention] policy, or with apply: false only reports what it would do.
+	// Archived sessions are written to archiveDir as bundles (NAME.askmilo.json) before removal,
+	// so --importSession restores them.
+	// -> { policy, plan, deleted: [name], archived: [{ name, file }], failed: [{ name, message }] }
+	const pruneSessions = ({ apply = true, now = Date.now() } = {}) => {
+		const policy = retentionPolicy();
+		const isRunning = (name) => {
+			const progress = loadProgress(name);
+			return !!progress && progress.status === 'running';
+		};
+		const plan = retention.planPrune({ sessions: listSessions(), policy, now, isRunning });
+		const report = { policy, plan, deleted: [], archived: [], failed: [] };
+		if (!apply) {
+			return report;
+		}
+		plan.forEach(({ name, action }) => {
+			try {
+				if (action === 'archive') {
+					const bundle = exportSession(name);
+					fs.mkdirSync(policy.archiveDir, { recursive: true });
+					const base = sessionBundle.availableName(name, candidate => fs.existsSync(path.join(policy.archiveDir, `${candidate}.askmilo.json`)));
+					const file = path.join(policy.archiveDir, `${base}.askmilo.json`);
+					fs.writeFileSync(file, JSON.stringify(bundle, null, 2), 'utf8');
+					deleteSession(name);
+					report.archived.push({ name, file });
+				} else {
+					deleteSession(name);
+					report.deleted.push(name);
 				}
+			} catch (err) {
+				report.failed.push({ name, message: err.message });
+			}
+		});
+		return report;
+	};
+
+	// -- Forks (--forkSession) --
+
+	// A new session holding copies of the source's turns 1..fromTurn (default: all of them)
+	// and parent: { sessionName, turnNumber, forkedAt }. The source session is not changed.
+	const forkSession = ({ sourceName, fromTurn, sessionName }) => {
+		const source = loadSession(sourceName);
+		const turnCount = (source.turns || []).length;
+		if (turnCount === 0) {
+			throw new Error(`Session "${sourceName}" has no turns to fork.`);
+		}
+		const turnNumber = fromTurn === undefined ? turnCount : fromTurn;
+		if (!Number.isInteger(turnNumber) || turnNumber < 1 || turnNumber > turnCount) {
+			throw new Error(`--fromTurn must be a turn of "${sourceName}" (1 to ${turnCount}), got ${fromTurn}`);
+		}
+		const name = sessionName || generateSessionName();
+		if (!sessionBundle.isValidSessionName(name)) {
+			throw new Error(`"${name}" is not a usable session name (letters, digits, _ . and -)`);
+		}
+		if (sessionExists(name)) {
+			throw new Error(`A session named "${name}" already exists.`);
+		}
+		const copy = JSON.parse(JSON.stringify(source));
+		delete copy.error;
+		delete copy.status;
+		// Tags and notes carry over; the pin protects only the session it was set on
+		delete copy.pinned;
+		const now = new Date().toISOString();
+		const fork = {
+			...copy,
+			sessionName: name,
+			createdAt: now,
+			parent: { sessionName: sourceName, turnNumber, forkedAt: now },
+			turns: copy.turns.slice(0, turnNumber),
+		};
+		saveSession(recomputeSessionTotals(fork));
+		return fork;
+	};
+
+	// Ancestors of a session, nearest first: [{ sessionName, turnNumber }]. Stops at a
+	// parent that is deleted or unreadable (which is still listed) or at a loop.
+	const sessionLineage = (session) => {
+		const lineage = [];
+		const seen = new Set([session.sessionName]);
+		let parent = session.parent;
+		while (parent && !seen.has(parent.sessionName)) {
+			lineage.push({ sessionName: parent.sessionName, turnNumber: parent.turnNumber });
+			seen.add(parent.sessionName);
+			let next = null;
+			try {
+				next = sessionStore().load(parent.sessionName);
+			} catch (e) {
+				// corrupt ancestor: the lineage ends here
 			}
+			parent = next && next.parent;
 		}
+		return lineage;
+	};
+
+	// -- Session commands (command line only) --
+
+	// These options make askMilo manage sessions instead of running a study: they read or write
+	// files on the server (--out, --importSession, --from) or change every session. The web
+	// access points refuse a request that sets any of them.
+	const SESSION_COMMAND_SWITCHES = ['listSessions', 'migrateSessions', 'pruneSessions'];
+	const SESSION_COMMAND_VALUES = ['searchSessions', 'viewSession', 'deleteSession', 'renameSession', 'forkSession',
+		'annotateSession', 'exportSession', 'out', 'importSession', 'from'];
+
+	// { switches, values } (askMilo JSON input) -> ['-pruneSessions', '--out', ...]: the session command options it sets
+	const sessionCommandOptions = ({ switches, values } = {}) => [
+		...SESSION_COMMAND_SWITCHES.filter(key => switches && switches[key]).map(key => `-${key}`),
+		...SESSION_COMMAND_VALUES.filter(key => values && values[key] !== undefined).map(key => `--${key}`),
+	];
+
+	// -- Progress sidecar (written while a run is in flight, read by status polling) --
+
+	const saveProgress = (progress) => sessionStore().saveProgress(progress);
 
-		return lines.join('\n');
+	// A 'running' record is rewritten every 15 seconds (progressReporter.js); one that has gone
+	// quiet this long, or whose process is gone from this host, belongs to a run that was killed
+	const PROGRESS_STALE_MS = 2 * 60 * 1000;
+
+	const processAlive = (pid) => {
+		try {
+			process.kill(pid, 0);
+			return true;
+		} catch (err) {
+			return err.code === 'EPERM';
+		}
 	};
 
-	const buildTurnFromResults = ({ originalPrompt, instructions, results, expandCost, synthesis, synthesisCost, elapsedSeconds, turnNumber }) => {
+	const runIsDead = (progress, now) => {
+		if (progress.pid && progress.host === os.hostname() && !processAlive(progress.pid)) {
+			return `askMilo (pid ${progress.pid}) stopped without finishing the run`;
+		}
+		const updatedAt = Date.parse(progress.updatedAt);
+		if (!isNaN(updatedAt) && now - updatedAt > PROGRESS_STALE_MS) {
+			return `The run stopped reporting progress at ${progress.updatedAt}`;
+		}
+		return '';
+	};
+
+	// Stale 'running' records come back as status 'error', so a dead run never blocks retries or pruning
+	const loadProgress = (name, { now = Date.now() } = {}) => {
+		const progress = sessionStore().loadProgress(name);
+		if (!progress || progress.status !== 'running') {
+			return progress;
+		}
+		const deadReason = runIsDead(progress, now);
+		return deadReason ? { ...progress, status: 'error', stage: 'error', error: deadReason } : progress;
+	};
+
+	const deleteProgress = (name) => {
+		sessionStore().deleteProgress(name);
+	};
+
+	// -- Store settings and migration --
+
+	// "sqlite: /var/lib/askMilo/askMilo.sqlite"
+	const describeSessionStore = () => `${sessionStore().backend}: ${sessionStore().location}`;
+
+	// Environment that makes a spawned askMilo open this process's store
+	const sessionStoreEnvironment = () => {
+		sessionStore();
+		return storeEnvironment(storeSettings);
+	};
+
+	// JSON session files a migration reads by default: the json backend's directory
+	// under the configured data dir (unless that is this store), else the old macOS location
+	const defaultImportDir = () => {
+		const { location } = sessionStore();
+		const configured = path.join(storeSettings.dir, 'sessions');
+		const usable = fs.existsSync(configured) && path.resolve(location) !== configured;
+		return usable ? configured : path.join(LEGACY_DATA_DIR, 'sessions');
+	};
+
+	// Copy DIR/*.json sessions into the store, keeping their timestamps. Sessions whose
+	// name is already stored are skipped, so a migration can be re-run safely.
+	// -> { fromDir, imported: [name], skipped: [name], failed: [{ file, message }] }
+	const importSessions = ({ fromDir } = {}) => {
+		const sourceDir = path.resolve(fromDir || defaultImportDir());
+		if (!fs.existsSync(sourceDir)) {
+			throw new Error(`Session directory not found: ${sourceDir}`);
+		}
+		if (path.resolve(sessionStore().location) === sourceDir) {
+			throw new Error(`${sourceDir} is the session store itself; nothing to import`);
+		}
+		const report = { fromDir: sourceDir, imported: [], skipped: [], failed: [] };
+		fs.readdirSync(sourceDir).filter(f => f.endsWith('.json')).sort().forEach(file => {
+			let session;
+			try {
+				session = JSON.parse(fs.readFileSync(path.join(sourceDir, file), 'utf8'));
+			} catch (err) {
+				report.failed.push({ file, message: err.message });
+				return;
+			}
+			const name = session.sessionName || file.replace(/\.json$/, '');
+			if (sessionExists(name)) {
+				report.skipped.push(name);
+				return;
+			}
+			try {
+				sessionStore().save({ ...session, sessionName: name });
+				report.imported.push(name);
+			} catch (err) {
+				report.failed.push({ file, message: err.message });
+			}
+		});
+		return report;
+	};
+
+	// -- Export and import bundles (lib/sessionBundle.js) --
+
+	const exportSession = (name) => {
+		// Required here rather than at the top: collect requires this module
+		const { renderTurn } = require('../stages/collect');
+		return sessionBundle.createBundle({ session: loadSession(name), renderTurn });
+	};
+
+	// Installs a bundle's session as sessionName (default: the name it was exported under).
+	// A name already stored gets a _2, _3, ... suffix; the session's timestamps are kept.
+	// -> { sessionName, originalName, renamed }
+	const importSessionBundle = (bundle, { sessionName } = {}) => {
+		sessionBundle.verifyBundle(bundle);
+		const originalName = bundle.session.sessionName;
+		const wanted = sessionName || originalName;
+		if (!sessionBundle.isValidSessionName(wanted)) {
+			throw new Error(`"${wanted}" is not a usable session name (letters, digits, _ . and -)`);
+		}
+		const name = sessionBundle.availableName(wanted, sessionExists);
+		sessionStore().save({ ...bundle.session, sessionName: name });
+		return { sessionName: name, originalName, renamed: name !== originalName };
+	};
+
+	// Every prior turn verbatim; askMilo builds compacted contexts with lib/sessionContext.js
+	const buildSessionContext = (session) => sessionContext.buildContext({
+		sessionName: session.sessionName,
+		entries: (session.turns || []).map(turn => ({ turn, mode: 'verbatim' })),
+	}).text;
+
+	// Tool calls are kept only when the agent actually used tools, so tool-less sessions look as before.
+	// critique ({ text, cost }) is the agent's -crossExamine rebuttals/concessions, claims ({ items, cost, error? })
+	// its -extractClaims list; round is set for --rounds follow-ups, provider (and model) when a non-default provider answered,
+	// userSupplied when the perspective came from the caller's JSON "perspectives".
+	const perspectiveEntry = (r) => ({
+		id: r.id,
+		perspective: r.perspective,
+		...(r.userSupplied && { userSupplied: true }),
+		...(r.round > 1 && { round: r.round }),
+		findings: r.findings,
+		...(r.provider && { provider: r.provider, model: r.model }),
+		cost: r.cost || zeroCost(),
+		...(r.toolCalls && r.toolCalls.length > 0 && { toolCalls: r.toolCalls }),
+		...(r.critique && { critique: { text: r.critique.text, cost: r.critique.cost || zeroCost() } }),
+		...(r.claims && { claims: r.claims }),
+	});
+
+	// matrix ({ themes, openQuestions, cost, error? }) is the -synthesisMatrix restatement; its cost is not in synthesis.cost
+	const synthesisEntry = ({ synthesis, synthesisCost, synthesisToolCalls, synthesisMatrix }) => ({
+		text: synthesis,
+		cost: synthesisCost || zeroCost(),
+		...(synthesisToolCalls && synthesisToolCalls.length > 0 && { toolCalls: synthesisToolCalls }),
+		...(synthesisMatrix && { matrix: synthesisMatrix }),
+	});
+
+	// The [prompts] entries a turn ran with, keyed by stage: { stage: { name, text } }. A stage whose
+	// entry is absent used its built-in instructions: { name, builtIn: true }. resumeAddendum and
+	// jsonEnforcement are appended to the expander's prompt. Exports carry these (lib/sessionBundle.js).
+	const turnPrompts = ({ config, context }) => {
+		const entry = (name, text) => (text ? { name, text } : { name, builtIn: true });
+		if (config.perspectives === 0) {
+			return { singleCall: entry(config.firstPromptName, config.firstPromptText) };
+		}
+		return {
+			expand: entry(config.firstPromptName, config.firstPromptText),
+			...(context && config.resumeAddendumText && { resumeAddendum: entry('resumeAddendum', config.resumeAddendumText) }),
+			...(config.jsonEnforcementText && { jsonEnforcement: entry('jsonEnforcement', config.jsonEnforcementText) }),
+			fanOut: entry(config.agentPromptName, config.agentPromptText),
+			...(config.crossExamine && { crossExamine: entry(config.crossExaminerPromptName, config.crossExaminerPromptText) }),
+			...(config.extractClaims && { extractClaims: entry(config.claimExtractorPromptName, config.claimExtractorPromptText) }),
+			...(config.summarize && { synthesize: entry(config.summarizerPromptName, config.summarizerPromptText) }),
+			...(config.synthesisMatrix && { synthesisMatrix: entry(config.synthesisMatrixPromptName, config.synthesisMatrixPromptText) }),
+			...(config.rounds > 1 && { gapExpand: entry(config.gapExpanderPromptName, config.gapExpanderPromptText) }),
+			...(context && context.cost && { contextSummary: entry(config.contextSummarizerPromptName, config.contextSummarizerPromptText) }),
+		};
+	};
+
+	// context ({ turns, chars, estimatedTokens, budgetTokens, cost? }) describes the --resumeSession context the turn was
+	// given; the cost of any summaries written for it is part of the turn's total. prompts comes from turnPrompts().
+	const buildTurnFromResults = ({ originalPrompt, instructions, results, expandCost, synthesis, synthesisCost, synthesisToolCalls, synthesisMatrix, attachments, context, prompts, expandRepairs, rounds, roundsStop, elapsedSeconds, turnNumber, budget }) => {
+		// With --rounds, turn.expansion keeps round 1's instructions; later rounds keep theirs in turn.rounds
+		const firstRoundIds = rounds ? rounds[0].perspectiveIds : null;
 		const turn = {
 			turnNumber,
 			prompt: originalPrompt,
+			...(attachments && attachments.length > 0 && { attachments }),
+			...(context && { context }),
+			...(prompts && { prompts }),
 			expansion: {
-				instructions: (instructions || []).map(i => ({
+				instructions: (instructions || []).filter(i => !firstRoundIds || firstRoundIds.includes(i.id)).map(i => ({
 					id: i.id,
 					perspective: i.perspective,
 					instruction: i.instruction,
 					methodology: i.methodology || '',
+					...(i.userSupplied && { userSupplied: true }),
 				})),
-				cost: expandCost || { inputTokens: 0, outputTokens: 0, usd: 0 },
-			},
-			perspectives: (results || []).map(r => ({
-				id: r.id,
-				perspective: r.perspective,
-				findings: r.findings,
-				cost: r.cost || { inputTokens: 0, outputTokens: 0, usd: 0 },
-			})),
-			totalCost: {
-				usd: (expandCost ? expandCost.usd : 0) +
-					(results ? results.reduce((s, r) => s + r.cost.usd, 0) : 0) +
-					(synthesisCost ? synthesisCost.usd : 0),
-				inputTokens: (expandCost ? expandCost.inputTokens : 0) +
-					(results ? results.reduce((s, r) => s + r.cost.inputTokens, 0) : 0) +
-					(synthesisCost ? synthesisCost.inputTokens : 0),
-				outputTokens: (expandCost ? expandCost.outputTokens : 0) +
-					(results ? results.reduce((s, r) => s + r.cost.outputTokens, 0) : 0) +
-					(synthesisCost ? synthesisCost.outputTokens : 0),
+				cost: expandCost || zeroCost(),
+				...(expandRepairs > 0 && { repairs: expandRepairs }),
 			},
+			perspectives: (results || []).map(perspectiveEntry),
+			totalCost: sumCosts([expandCost, ...perspectiveCosts(results), synthesisCost, synthesisMatrix && synthesisMatrix.cost, roundsExtraCost(rounds), context && context.cost]),
 			elapsedSeconds,
 			timestamp: new Date().toISOString(),
 		};
 
 		if (synthesis) {
-			turn.synthesis = {
-				text: synthesis,
-				cost: synthesisCost || { inputTokens: 0, outputTokens: 0, usd: 0 },
-			};
+			turn.synthesis = synthesisEntry({ synthesis, synthesisCost, synthesisToolCalls, synthesisMatrix });
+		}
+
+		// --rounds: every round's perspectives, synthesis and open gaps (turn.synthesis is the latest)
+		if (rounds) {
+			turn.rounds = rounds;
+			turn.roundsStop = roundsStop;
+		}
+
+		// --maxRunCostUsd: limit, spend and whatever was skipped to stay under it
+		if (budget) {
+			turn.budget = budget;
 		}
 
 		return turn;
@@ -228,6 +515,7 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 			config: {
 				expandModel: config.expandModel,
 				agentModel: config.agentModel,
+				synthModel: config.synthModel,
 				driver: config.driver,
 				perspectives: config.perspectives,
 			},
@@ -236,26 +524,123 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 		};
 	};
 
+	const recomputeSessionTotals = (session) => {
+		session.totalCost = sumCosts(session.turns.map(t => t.totalCost));
+		return session;
+	};
+
 	const appendTurnToSession = (session, turn) => {
 		session.turns.push(turn);
-		session.totalCost = {
-			usd: session.turns.reduce((s, t) => s + (t.totalCost ? t.totalCost.usd : 0), 0),
+		// A turn that completes supersedes an earlier failed attempt
+		delete session.error;
+		delete session.status;
+		return recomputeSessionTotals(session);
+	};
+
+	// Failed run: record { turnNumber, stage, code, message, details } on the session.
+	// An existing session keeps its turns; a session that never completed a turn is
+	// written as status 'error' so the status endpoint can report it.
+	const recordRunError = ({ sessionName, turnNumber, error }) => {
+		let session;
+		try {
+			session = loadSession(sessionName);
+		} catch (e) {
+			session = { sessionName, createdAt: new Date().toISOString(), turns: [] };
+		}
+		session.error = {
+			turnNumber,
+			stage: error.stage || 'unknown',
+			code: error.code || 'UNKNOWN',
+			message: error.message || String(error),
+			...(error.details && { details: error.details }),
+			failedAt: new Date().toISOString(),
 		};
+		if ((session.turns || []).length === 0) {
+			session.status = 'error';
+		}
+		saveSession(session);
 		return session;
 	};
 
+	// -- Failed-perspective retry (--retryFailed) --
+
+	// Agents skipped by the run cost limit count as failed so --retryFailed picks them up
+	const isFailedFindings = (findings) => /^\[(AGENT (FAILED|ERROR)|SKIPPED:)/.test(findings || '');
+
+	const findFailedPerspectives = (turn) => (turn.perspectives || []).filter(p => isFailedFindings(p.findings));
+
+	// Instructions of every perspective in the turn, including --rounds follow-ups
+	const turnInstructions = (turn) => [
+		...((turn.expansion && turn.expansion.instructions) || []),
+		...(turn.rounds || []).flatMap(r => (r.expansion ? r.expansion.instructions : [])),
+	];
+
+	// Splice re-run perspectives (and an optional new synthesis) into an existing turn.
+	// The original spend stays in the totals; the retry's spend is added on top.
+	const applyRetryToTurn = ({ turn, results, synthesis, synthesisCost, synthesisToolCalls, synthesisMatrix, budget }) => {
+		(results || []).forEach(r => {
+			const idx = turn.perspectives.findIndex(p => p.id === r.id);
+			const entry = perspectiveEntry(idx >= 0 ? { round: turn.perspectives[idx].round, userSupplied: turn.perspectives[idx].userSupplied, ...r } : r);
+			if (idx >= 0) {
+				turn.perspectives[idx] = entry;
+			} else {
+				turn.perspectives.push(entry);
+			}
+		});
+
+		if (synthesis) {
+			turn.synthesis = synthesisEntry({ synthesis, synthesisCost, synthesisToolCalls, synthesisMatrix });
+		}
+
+		const retryCost = sumCosts([...perspectiveCosts(results), synthesis ? synthesisCost : null, synthesisMatrix && synthesisMatrix.cost]);
+		turn.retries = [...(turn.retries || []), {
+			timestamp: new Date().toISOString(),
+			perspectiveIds: (results || []).map(r => r.id),
+			stillFailedIds: (results || []).filter(r => isFailedFindings(r.findings)).map(r => r.id),
+			resynthesized: !!synthesis,
+			cost: retryCost,
+			...(budget && { budget }),
+		}];
+		turn.totalCost = sumCosts([turn.totalCost, retryCost]);
+		return turn;
+	};
+
 	return {
 		ensureSessionDir,
+		sessionExists,
 		generateSessionName,
 		saveSession,
 		loadSession,
 		listSessions,
+		searchSessions,
 		deleteSession,
 		renameSession,
+		normalizeTags,
+		annotateSession,
+		retentionPolicy,
+		pruneSessions,
+		forkSession,
+		sessionLineage,
+		saveProgress,
+		loadProgress,
+		deleteProgress,
+		describeSessionStore,
+		sessionStoreEnvironment,
+		sessionCommandOptions,
+		importSessions,
+		exportSession,
+		importSessionBundle,
 		buildSessionContext,
+		turnPrompts,
 		buildTurnFromResults,
 		createNewSession,
 		appendTurnToSession,
+		recordRunError,
+		recomputeSessionTotals,
+		isFailedFindings,
+		findFailedPerspectives,
+		turnInstructions,
+		applyRetryToTurn,
 	};
 };
 
@@ -0,0 +1,72 @@
+'use strict';
+
+// sessionStore.js - Where askMilo sessions live, and which backend keeps them
+// Chosen in the [sessionStore] section of askMilo.ini (and of the server's ini, which
+// reads the same sessions through the chorus access points):
+//
+//   [sessionStore]
+//   backend=sqlite                     <- json (default): one file per session; sqlite: DIR/askMilo.sqlite
+//   dir=/var/lib/askMilo               <- default: the platform's data directory (see defaultDataDir)
+//
+// ASKMILO_SESSION_STORE and ASKMILO_SESSION_DIR override the ini. The access points set
+// them when they spawn askMilo (storeEnvironment) so the child writes where they read.
+// Every backend exposes the same synchronous interface:
+//   exists, load (null when absent), save, list({ text, tags, since, until, minCost, maxCost }), search(query, { limit }),
+//   remove, rename, saveProgress, loadProgress, deleteProgress, close
+// CJS module.
+
+const os = require('os');
+const fs = require('fs');
+const path = require('path');
+
+const BACKENDS = {
+	json: require('./sessionStores/json'),
+	sqlite: require('./sessionStores/sqlite'),
+};
+
+const DEFAULT_BACKEND = 'json';
+
+// Where askMilo kept sessions before the store was configurable (macOS only)
+const LEGACY_DATA_DIR = path.join(os.homedir(), 'Library', 'Application Support', 'askMilo');
+
+// macOS keeps the old location; Windows uses %APPDATA%, everything else XDG_DATA_HOME.
+// A data dir that does not exist yet gives way to a legacy one that does, so existing
+// sessions stay visible until they are migrated.
+const defaultDataDir = () => {
+	const platformDir = process.platform === 'darwin'
+		? LEGACY_DATA_DIR
+		: process.platform === 'win32'
+			? path.join(process.env.APPDATA || path.join(os.homedir(), 'AppData', 'Roaming'), 'askMilo')
+			: path.join(process.env.XDG_DATA_HOME || path.join(os.homedir(), '.local', 'share'), 'askMilo');
+	if (!fs.existsSync(platformDir) && fs.existsSync(path.join(LEGACY_DATA_DIR, 'sessions'))) {
+		return LEGACY_DATA_DIR;
+	}
+	return platformDir;
+};
+
+// -> { backend, dir }; throws on an unknown backend
+const resolveStoreSettings = (section = {}) => {
+	const backend = String(process.env.ASKMILO_SESSION_STORE || section.backend || DEFAULT_BACKEND).trim().toLowerCase();
+	if (!BACKENDS[backend]) {
+		throw new Error(`[sessionStore] backend "${backend}" is unknown (expected ${Object.keys(BACKENDS).join(', ')})`);
+	}
+	const dir = process.env.ASKMILO_SESSION_DIR || section.dir;
+	return { backend, dir: dir ? path.resolve(dir) : defaultDataDir() };
+};
+
+const openSessionStore = (settings) => BACKENDS[settings.backend].create(settings);
+
+// Environment for a spawned askMilo so it opens the same store as its parent
+const storeEnvironment = ({ backend, dir }) => ({
+	ASKMILO_SESSION_STORE: backend,
+	ASKMILO_SESSION_DIR: dir,
+});
+
+module.exports = {
+	BACKENDS,
+	LEGACY_DATA_DIR,
+	defaultDataDir,
+	resolveStoreSettings,
+	openSessionStore,
+	storeEnvironment,
+};
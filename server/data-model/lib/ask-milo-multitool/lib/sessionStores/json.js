@@ -0,0 +1,216 @@
+'use strict';
+
+// json.js - Session store backend: one JSON file per session ([sessionStore] backend=json)
+// DIR/sessions/NAME.json holds the whole session. In-flight progress records live in
+// DIR/sessions/progress/NAME.json, a subdirectory so the listing's *.json scan skips
+// them. Listing and filtering read every file; the sqlite backend does not.
+// Full-text search uses an FTS index in DIR/search.sqlite (searchIndex.js), opened on
+// first use and built from every session file when that file does not exist yet; delete
+// it to rebuild. Sessions still save without better-sqlite3, but search needs it.
+// CJS module.
+
+const fs = require('fs');
+const path = require('path');
+const { firstPromptOf, isDryRunSession, sessionSummary, matchesFilter } = require('./summary');
+const searchIndex = require('./searchIndex');
+
+const INDEX_FILE = 'search.sqlite';
+
+const create = ({ dir }) => {
+	const sessionsDir = path.join(dir, 'sessions');
+	const progressDir = path.join(sessionsDir, 'progress');
+	const indexPath = path.join(dir, INDEX_FILE);
+	const sessionPath = (name) => path.join(sessionsDir, `${name}.json`);
+	const progressPath = (name) => path.join(progressDir, `${name}.json`);
+
+	// { db, index } once opened; indexError says why it could not be
+	let searchDb = null;
+	let indexError = null;
+
+	const ensureDir = () => {
+		fs.mkdirSync(sessionsDir, { recursive: true });
+	};
+
+	const exists = (name) => fs.existsSync(sessionPath(name));
+
+	const load = (name) => {
+		if (!exists(name)) {
+			return null;
+		}
+		const raw = fs.readFileSync(sessionPath(name), 'utf8');
+		try {
+			return JSON.parse(raw);
+		} catch (err) {
+			throw new Error(`Session "${name}" is corrupt: ${err.message}`);
+		}
+	};
+
+	const sessionNames = () => fs.readdirSync(sessionsDir).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, ''));
+
+	// -> the index, or null when better-sqlite3 is missing or the index file cannot be opened
+	const openIndex = () => {
+		if (searchDb || indexError) {
+			return searchDb && searchDb.index;
+		}
+		try {
+			const Database = require('better-sqlite3');
+			ensureDir();
+			const isNew = !fs.existsSync(indexPath);
+			const db = new Database(indexPath);
+			db.pragma('journal_mode = WAL');
+			db.pragma('busy_timeout = 5000');
+			const index = searchIndex.create(db);
+			if (isNew) {
+				db.transaction(() => sessionNames().forEach(name => {
+					try {
+						index.indexSession(load(name));
+					} catch (e) {
+						// malformed file — the listing skips it too
+					}
+				}))();
+			}
+			searchDb = { db, index };
+			return index;
+		} catch (err) {
+			indexError = err;
+			return null;
+		}
+	};
+
+	// An index that fails to update is dropped so the next open rebuilds it from the files
+	const updateIndex = (change) => {
+		const index = openIndex();
+		if (!index) {
+			return;
+		}
+		try {
+			change(index);
+		} catch (err) {
+			searchDb.db.close();
+			searchDb = null;
+			['', '-wal', '-shm'].forEach(suffix => fs.rmSync(`${indexPath}${suffix}`, { force: true }));
+		}
+	};
+
+	const save = (session) => {
+		ensureDir();
+		const filePath = sessionPath(session.sessionName);
+		fs.writeFileSync(filePath, JSON.stringify(session, null, 2), 'utf8');
+		updateIndex(index => index.indexSession(session));
+		return filePath;
+	};
+
+	const list = (filter = {}) => {
+		ensureDir();
+		const sessions = [];
+		fs.readdirSync(sessionsDir).filter(f => f.endsWith('.json')).forEach(file => {
+			const filePath = path.join(sessionsDir, file);
+			const stat = fs.statSync(filePath);
+			let data;
+			try {
+				data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+			} catch (e) {
+				return; // skip malformed files
+			}
+			const row = {
+				name: data.sessionName || file.replace('.json', ''),
+				createdAt: data.createdAt || stat.birthtime.toISOString(),
+				updatedAt: data.updatedAt || stat.mtime.toISOString(),
+				turnCount: (data.turns || []).length,
+				firstPrompt: firstPromptOf(data),
+				sizeBytes: stat.size,
+				totalUsd: data.totalCost && data.totalCost.usd,
+				tags: data.tags,
+				pinned: data.pinned,
+				hasNotes: !!data.notes,
+				dryRun: isDryRunSession(data),
+				...(data.parent && { parentName: data.parent.sessionName, parentTurn: data.parent.turnNumber }),
+			};
+			if (matchesFilter(row, filter)) {
+				sessions.push(sessionSummary(row));
+			}
+		});
+		// Most recently updated first
+		sessions.sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+		return sessions;
+	};
+
+	const remove = (name) => {
+		if (!exists(name)) {
+			return false;
+		}
+		fs.unlinkSync(sessionPath(name));
+		updateIndex(index => index.removeSession(name));
+		return true;
+	};
+
+	const search = (query, options) => {
+		const index = openIndex();
+		if (!index) {
+			throw new Error(`Session search needs the better-sqlite3 package (npm install in ask-milo-multitool): ${indexError.message}`);
+		}
+		return index.search(query, options);
+	};
+
+	const rename = (oldName, newName) => {
+		const data = load(oldName);
+		data.sessionName = newName;
+		data.updatedAt = new Date().toISOString();
+		save(data);
+		fs.unlinkSync(sessionPath(oldName));
+		updateIndex(index => index.removeSession(oldName));
+	};
+
+	const saveProgress = (progress) => {
+		fs.mkdirSync(progressDir, { recursive: true });
+		const filePath = progressPath(progress.sessionName);
+		// Write-then-rename so a polling reader never sees a half-written file
+		const tempPath = `${filePath}.${process.pid}.tmp`;
+		fs.writeFileSync(tempPath, JSON.stringify(progress, null, 2), 'utf8');
+		fs.renameSync(tempPath, filePath);
+		return filePath;
+	};
+
+	const loadProgress = (name) => {
+		const filePath = progressPath(name);
+		if (!fs.existsSync(filePath)) {
+			return null;
+		}
+		try {
+			return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+		} catch (e) {
+			return null; // partially written or malformed — treat as no progress yet
+		}
+	};
+
+	const deleteProgress = (name) => {
+		const filePath = progressPath(name);
+		if (fs.existsSync(filePath)) {
+			fs.unlinkSync(filePath);
+		}
+	};
+
+	return {
+		backend: 'json',
+		location: sessionsDir,
+		ensureDir,
+		exists,
+		load,
+		save,
+		list,
+		search,
+		remove,
+		rename,
+		saveProgress,
+		loadProgress,
+		deleteProgress,
+		close: () => {
+			if (searchDb) {
+				searchDb.db.close();
+				searchDb = null;
+			}
+		},
+	};
+};
+
+module.exports = { name: 'json', create };
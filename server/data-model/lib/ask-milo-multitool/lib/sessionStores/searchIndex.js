@@ -0,0 +1,122 @@
+'use strict';
+
+// searchIndex.js - SQLite FTS5 index over session text, shared by the session store backends
+// One row per searchable piece of a turn: its prompt, each perspective's findings, the
+// synthesis, or a single-call/interrogation response; plus one for the session's notes
+// (--annotateSession), which has no turn number. The sqlite backend keeps the
+// table in askMilo.sqlite; the json backend keeps it in its own DIR/search.sqlite.
+// Both rewrite a session's rows on every save; a full rebuild happens only when the
+// table is first created over sessions that already exist.
+// CJS module.
+
+const SEARCH_SCHEMA = `
+	CREATE VIRTUAL TABLE IF NOT EXISTS search_index USING fts5(
+		session_name UNINDEXED,
+		turn_number UNINDEXED,
+		kind UNINDEXED,
+		perspective_id UNINDEXED,
+		perspective,
+		text,
+		tokenize = 'porter unicode61'
+	);
+`;
+
+// Snippet highlight markers and size. snippet() is given column -1, so it quotes
+// whichever of perspective and text matched best.
+const MARK_OPEN = '**';
+const MARK_CLOSE = '**';
+const SNIPPET_TOKENS = 16;
+
+const DEFAULT_LIMIT = 20;
+
+const turnDocuments = (session) => (session.turns || []).flatMap(turn => {
+	const turnNumber = turn.turnNumber || null;
+	const rows = [{ turnNumber, kind: 'prompt', perspectiveId: null, perspective: '', text: turn.prompt || '' }];
+	(turn.perspectives || []).forEach(p => {
+		rows.push({ turnNumber, kind: 'perspective', perspectiveId: p.id || null, perspective: p.perspective || '', text: p.findings || '' });
+	});
+	if (turn.synthesis && turn.synthesis.text) {
+		rows.push({ turnNumber, kind: 'synthesis', perspectiveId: null, perspective: '', text: turn.synthesis.text });
+	}
+	if (turn.response) {
+		rows.push({ turnNumber, kind: 'response', perspectiveId: null, perspective: '', text: turn.response });
+	}
+	return rows.filter(row => row.text || row.perspective);
+});
+
+// Session -> rows to index
+const documentsOf = (session) => [
+	...(session.notes ? [{ turnNumber: null, kind: 'notes', perspectiveId: null, perspective: '', text: session.notes }] : []),
+	...turnDocuments(session),
+];
+
+// Free text -> an FTS5 query: "quoted phrases" stay phrases, every other word is
+// quoted so punctuation and FTS operators in the query are taken literally. All terms must match.
+const toMatchExpression = (query) => {
+	const terms = [];
+	String(query || '').replace(/"([^"]*)"|(\S+)/g, (match, phrase, word) => {
+		const term = (phrase !== undefined ? phrase : word).trim();
+		if (term) {
+			terms.push(`"${term.replace(/"/g, '""')}"`);
+		}
+		return match;
+	});
+	return terms.join(' ');
+};
+
+// db: an open better-sqlite3 database
+const create = (db) => {
+	db.exec(SEARCH_SCHEMA);
+
+	const statements = {
+		insert: db.prepare(`
+			INSERT INTO search_index (session_name, turn_number, kind, perspective_id, perspective, text)
+			VALUES (@sessionName, @turnNumber, @kind, @perspectiveId, @perspective, @text)`),
+		remove: db.prepare('DELETE FROM search_index WHERE session_name = ?'),
+		rename: db.prepare('UPDATE search_index SET session_name = @newName WHERE session_name = @oldName'),
+		search: db.prepare(`
+			SELECT session_name AS sessionName, turn_number AS turnNumber, kind, perspective_id AS perspectiveId, perspective,
+				snippet(search_index, -1, '${MARK_OPEN}', '${MARK_CLOSE}', '...', ${SNIPPET_TOKENS}) AS snippet,
+				bm25(search_index) AS rank
+			FROM search_index
+			WHERE search_index MATCH @match
+			ORDER BY rank
+			LIMIT @limit`),
+	};
+
+	// Replace the session's rows; run inside the caller's save transaction where there is one
+	const indexSession = (session) => {
+		statements.remove.run(session.sessionName);
+		documentsOf(session).forEach(row => statements.insert.run({ sessionName: session.sessionName, ...row }));
+	};
+
+	const removeSession = (name) => {
+		statements.remove.run(name);
+	};
+
+	const renameSession = (oldName, newName) => {
+		statements.rename.run({ oldName, newName });
+	};
+
+	// -> [{ sessionName, turnNumber, kind, perspectiveId?, perspective?, snippet, score }], best first.
+	// score is the negated bm25 rank: higher is better.
+	const search = (query, { limit = DEFAULT_LIMIT } = {}) => {
+		const match = toMatchExpression(query);
+		if (!match) {
+			return [];
+		}
+		return statements.search.all({ match, limit: limit > 0 ? limit : DEFAULT_LIMIT }).map(row => ({
+			sessionName: row.sessionName,
+			turnNumber: row.turnNumber,
+			kind: row.kind,
+			...(row.perspectiveId !== null && { perspectiveId: row.perspectiveId }),
+			...(row.perspective && { perspective: row.perspective }),
+			snippet: row.snippet,
+			score: Math.round(-row.rank * 1000) / 1000,
+		}));
+	};
+
+	return { indexSession, removeSession, renameSession, search };
+};
+
+module.exports = { DEFAULT_LIMIT, documentsOf, toMatchExpression, create };
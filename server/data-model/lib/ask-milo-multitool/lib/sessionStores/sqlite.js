@@ -0,0 +1,291 @@
+'use strict';
+
+// sqlite.js - Session store backend: DIR/askMilo.sqlite ([sessionStore] backend=sqlite)
+// A session is split into rows: sessions (one per session, with the columns the listing
+// and status lookups need), turns (one per turn) and perspectives (one per perspective
+// of a turn). Each row's data column holds the rest of the object as JSON, with the
+// child list left as an empty placeholder so load() rebuilds the session with its keys
+// in their original order. Deleting or renaming a session cascades to its rows.
+// The full-text search_index table (searchIndex.js) is written in the same
+// transaction as the rows; schema version 2 added it and fills it from the rows.
+// Uses better-sqlite3, whose synchronous API keeps sessionManager synchronous.
+// CJS module.
+
+const fs = require('fs');
+const path = require('path');
+const { firstPromptOf, sessionSummary, matchesTags } = require('./summary');
+const searchIndex = require('./searchIndex');
+
+const DB_FILE = 'askMilo.sqlite';
+const SCHEMA_VERSION = 2;
+
+const SCHEMA = `
+	CREATE TABLE IF NOT EXISTS sessions (
+		name TEXT PRIMARY KEY,
+		created_at TEXT,
+		updated_at TEXT,
+		status TEXT,
+		turn_count INTEGER NOT NULL DEFAULT 0,
+		first_prompt TEXT,
+		total_usd REAL,
+		size_bytes INTEGER,
+		data TEXT NOT NULL
+	);
+	CREATE INDEX IF NOT EXISTS sessions_updated_at ON sessions (updated_at);
+	CREATE TABLE IF NOT EXISTS turns (
+		session_name TEXT NOT NULL REFERENCES sessions (name) ON DELETE CASCADE ON UPDATE CASCADE,
+		position INTEGER NOT NULL,
+		turn_number INTEGER,
+		turn_type TEXT,
+		prompt TEXT,
+		timestamp TEXT,
+		total_usd REAL,
+		data TEXT NOT NULL,
+		PRIMARY KEY (session_name, position)
+	);
+	CREATE TABLE IF NOT EXISTS perspectives (
+		session_name TEXT NOT NULL,
+		turn_position INTEGER NOT NULL,
+		position INTEGER NOT NULL,
+		id INTEGER,
+		perspective TEXT,
+		round INTEGER,
+		findings TEXT,
+		cost_usd REAL,
+		data TEXT NOT NULL,
+		PRIMARY KEY (session_name, turn_position, position),
+		FOREIGN KEY (session_name, turn_position) REFERENCES turns (session_name, position) ON DELETE CASCADE ON UPDATE CASCADE
+	);
+	CREATE TABLE IF NOT EXISTS progress (
+		session_name TEXT PRIMARY KEY,
+		updated_at TEXT,
+		data TEXT NOT NULL
+	);
+`;
+
+const loadDriver = () => {
+	try {
+		return require('better-sqlite3');
+	} catch (err) {
+		throw new Error(`[sessionStore] backend=sqlite needs the better-sqlite3 package (npm install in ask-milo-multitool): ${err.message}`);
+	}
+};
+
+const usdOf = (cost) => (cost && typeof cost.usd === 'number' ? cost.usd : null);
+
+// LIKE pattern for a substring match; \ escapes the wildcards
+const likePattern = (text) => `%${String(text).replace(/[\\%_]/g, ch => `\\${ch}`)}%`;
+
+const create = ({ dir }) => {
+	const Database = loadDriver();
+	fs.mkdirSync(dir, { recursive: true });
+	const dbPath = path.join(dir, DB_FILE);
+	const db = new Database(dbPath);
+	db.pragma('journal_mode = WAL');
+	db.pragma('foreign_keys = ON');
+	// askMilo children write while the server polls
+	db.pragma('busy_timeout = 5000');
+	db.exec(SCHEMA);
+	const storedVersion = db.pragma('user_version', { simple: true });
+	const index = searchIndex.create(db);
+
+	const statements = {
+		names: db.prepare('SELECT name FROM sessions'),
+		exists: db.prepare('SELECT 1 FROM sessions WHERE name = ?'),
+		session: db.prepare('SELECT data FROM sessions WHERE name = ?'),
+		turns: db.prepare('SELECT position, data FROM turns WHERE session_name = ? ORDER BY position'),
+		perspectives: db.prepare('SELECT turn_position, data FROM perspectives WHERE session_name = ? ORDER BY turn_position, position'),
+		upsertSession: db.prepare(`
+			INSERT INTO sessions (name, created_at, updated_at, status, turn_count, first_prompt, total_usd, size_bytes, data)
+			VALUES (@name, @createdAt, @updatedAt, @status, @turnCount, @firstPrompt, @totalUsd, @sizeBytes, @data)
+			ON CONFLICT (name) DO UPDATE SET
+				created_at = excluded.created_at, updated_at = excluded.updated_at, status = excluded.status,
+				turn_count = excluded.turn_count, first_prompt = excluded.first_prompt, total_usd = excluded.total_usd,
+				size_bytes = excluded.size_bytes, data = excluded.data`),
+		deleteTurns: db.prepare('DELETE FROM turns WHERE session_name = ?'),
+		insertTurn: db.prepare(`
+			INSERT INTO turns (session_name, position, turn_number, turn_type, prompt, timestamp, total_usd, data)
+			VALUES (@sessionName, @position, @turnNumber, @turnType, @prompt, @timestamp, @totalUsd, @data)`),
+		insertPerspective: db.prepare(`
+			INSERT INTO perspectives (session_name, turn_position, position, id, perspective, round, findings, cost_usd, data)
+			VALUES (@sessionName, @turnPosition, @position, @id, @perspective, @round, @findings, @costUsd, @data)`),
+		list: db.prepare(`
+			SELECT name, created_at AS createdAt, updated_at AS updatedAt, turn_count AS turnCount, first_prompt AS firstPrompt, size_bytes AS sizeBytes,
+				total_usd AS totalUsd, json_extract(data, '$.tags') AS tags, json_extract(data, '$.pinned') AS pinned,
+				json_extract(data, '$.notes') IS NOT NULL AND json_extract(data, '$.notes') <> '' AS hasNotes,
+				coalesce(json_extract(data, '$.commandLineParameters.switches.dryRun'), 0)
+					OR coalesce(json_extract(data, '$.commandLineParameters.switches.mockApi'), 0) AS dryRun,
+				json_extract(data, '$.parent.sessionName') AS parentName, json_extract(data, '$.parent.turnNumber') AS parentTurn
+			FROM sessions
+			WHERE (@pattern IS NULL OR name LIKE @pattern ESCAPE '\\' OR first_prompt LIKE @pattern ESCAPE '\\')
+				AND (@since IS NULL OR updated_at >= @since)
+				AND (@until IS NULL OR updated_at < @until)
+				AND (@minCost IS NULL OR coalesce(total_usd, 0) >= @minCost)
+				AND (@maxCost IS NULL OR coalesce(total_usd, 0) <= @maxCost)
+			ORDER BY updated_at DESC`),
+		remove: db.prepare('DELETE FROM sessions WHERE name = ?'),
+		renameRow: db.prepare('UPDATE sessions SET name = @newName, updated_at = @updatedAt, data = @data WHERE name = @oldName'),
+		saveProgress: db.prepare(`
+			INSERT INTO progress (session_name, updated_at, data) VALUES (@sessionName, @updatedAt, @data)
+			ON CONFLICT (session_name) DO UPDATE SET updated_at = excluded.updated_at, data = excluded.data`),
+		loadProgress: db.prepare('SELECT data FROM progress WHERE session_name = ?'),
+		deleteProgress: db.prepare('DELETE FROM progress WHERE session_name = ?'),
+	};
+
+	const parseRow = (name, json) => {
+		try {
+			return JSON.parse(json);
+		} catch (err) {
+			throw new Error(`Session "${name}" is corrupt: ${err.message}`);
+		}
+	};
+
+	const exists = (name) => !!statements.exists.get(name);
+
+	const load = (name) => {
+		const row = statements.session.get(name);
+		if (!row) {
+			return null;
+		}
+		const session = parseRow(name, row.data);
+		const turns = statements.turns.all(name).map(turnRow => parseRow(name, turnRow.data));
+		statements.perspectives.all(name).forEach(perspectiveRow => {
+			turns[perspectiveRow.turn_position].perspectives.push(parseRow(name, perspectiveRow.data));
+		});
+		session.turns = turns;
+		return session;
+	};
+
+	const writeSession = db.transaction((session) => {
+		const name = session.sessionName;
+		const turns = session.turns || [];
+		statements.upsertSession.run({
+			name,
+			createdAt: session.createdAt || null,
+			updatedAt: session.updatedAt || null,
+			status: session.status || null,
+			turnCount: turns.length,
+			firstPrompt: firstPromptOf(session),
+			totalUsd: usdOf(session.totalCost),
+			sizeBytes: Buffer.byteLength(JSON.stringify(session, null, 2)),
+			data: JSON.stringify({ ...session, turns: [] }),
+		});
+		statements.deleteTurns.run(name);
+		turns.forEach((turn, position) => {
+			statements.insertTurn.run({
+				sessionName: name,
+				position,
+				turnNumber: turn.turnNumber || null,
+				turnType: turn.turnType || null,
+				prompt: turn.prompt || null,
+				timestamp: turn.timestamp || null,
+				totalUsd: usdOf(turn.totalCost),
+				data: JSON.stringify(turn.perspectives ? { ...turn, perspectives: [] } : turn),
+			});
+			(turn.perspectives || []).forEach((p, idx) => {
+				statements.insertPerspective.run({
+					sessionName: name,
+					turnPosition: position,
+					position: idx,
+					id: p.id || null,
+					perspective: p.perspective || null,
+					round: p.round || null,
+					findings: p.findings || null,
+					costUsd: usdOf(p.cost),
+					data: JSON.stringify(p),
+				});
+			});
+		});
+		index.indexSession(session);
+	});
+
+	// Version 1 databases have sessions but no search rows
+	if (storedVersion < SCHEMA_VERSION) {
+		db.transaction(() => {
+			statements.names.all().forEach(({ name }) => index.indexSession(load(name)));
+			db.pragma(`user_version = ${SCHEMA_VERSION}`);
+		})();
+	}
+
+	const save = (session) => {
+		writeSession(session);
+		return `${dbPath}#${session.sessionName}`;
+	};
+
+	// Tags are matched after the query; everything else in the filter is SQL
+	const list = ({ text, tags, since, until, minCost, maxCost } = {}) => statements.list
+		.all({
+			pattern: text ? likePattern(text) : null,
+			since: since || null,
+			until: until || null,
+			minCost: minCost === undefined ? null : minCost,
+			maxCost: maxCost === undefined ? null : maxCost,
+		})
+		.map(row => ({ ...row, tags: row.tags ? JSON.parse(row.tags) : [] }))
+		.filter(row => matchesTags(row, tags))
+		.map(sessionSummary);
+
+	const remove = db.transaction((name) => {
+		index.removeSession(name);
+		return statements.remove.run(name).changes > 0;
+	});
+
+	const search = (query, options) => index.search(query, options);
+
+	const rename = db.transaction((oldName, newName) => {
+		const row = statements.session.get(oldName);
+		const data = parseRow(oldName, row.data);
+		const updatedAt = new Date().toISOString();
+		statements.renameRow.run({
+			oldName,
+			newName,
+			updatedAt,
+			data: JSON.stringify({ ...data, sessionName: newName, updatedAt }),
+		});
+		index.renameSession(oldName, newName);
+	});
+
+	const saveProgress = (progress) => {
+		statements.saveProgress.run({
+			sessionName: progress.sessionName,
+			updatedAt: new Date().toISOString(),
+			data: JSON.stringify(progress),
+		});
+		return `${dbPath}#progress/${progress.sessionName}`;
+	};
+
+	const loadProgress = (name) => {
+		const row = statements.loadProgress.get(name);
+		if (!row) {
+			return null;
+		}
+		try {
+			return JSON.parse(row.data);
+		} catch (e) {
+			return null;
+		}
+	};
+
+	const deleteProgress = (name) => {
+		statements.deleteProgress.run(name);
+	};
+
+	return {
+		backend: 'sqlite',
+		location: dbPath,
+		ensureDir: () => {},
+		exists,
+		load,
+		save,
+		list,
+		search,
+		remove,
+		rename,
+		saveProgress,
+		loadProgress,
+		deleteProgress,
+		close: () => db.close(),
+	};
+};
+
+module.exports = { name: 'sqlite', create };
@@ -0,0 +1,63 @@
+'use strict';
+
+// summary.js - What a session listing shows, shared by the session store backends
+// CJS module.
+
+const PREVIEW_CHARS = 60;
+
+const firstPromptOf = (session) => {
+	const turns = session.turns || [];
+	return turns.length > 0 ? turns[0].prompt || '' : '';
+};
+
+const promptPreview = (prompt) => {
+	const text = prompt || '(no prompt)';
+	return text.length > PREVIEW_CHARS ? text.slice(0, PREVIEW_CHARS - 3) + '...' : text;
+};
+
+// Made with -dryRun or -mockApi: no real model output, so retention may delete it early
+const isDryRunSession = (session) => {
+	const switches = (session.commandLineParameters && session.commandLineParameters.switches) || {};
+	return !!(switches.dryRun || switches.mockApi);
+};
+
+// -listSessions row; sizeBytes is the stored size of the whole session. A forked
+// session (--forkSession) names its parent session and the turn it was forked at.
+// tags, pinned and notes are set with --annotateSession.
+const sessionSummary = ({ name, createdAt, updatedAt, turnCount, firstPrompt, sizeBytes, totalUsd, tags, pinned, hasNotes, dryRun, parentName, parentTurn }) => ({
+	name,
+	createdAt,
+	updatedAt,
+	turnCount,
+	promptPreview: promptPreview(firstPrompt),
+	sizeBytes,
+	totalUsd: totalUsd || 0,
+	tags: tags || [],
+	pinned: !!pinned,
+	hasNotes: !!hasNotes,
+	dryRun: !!dryRun,
+	...(parentName && { parent: { sessionName: parentName, turnNumber: parentTurn } }),
+});
+
+// tags: every one must be on the session
+const matchesTags = ({ tags }, wanted = []) => wanted.every(tag => (tags || []).includes(tag));
+
+// filter: { text, tags, since, until, minCost, maxCost }, all optional and all must hold.
+// text matches the session name or its first prompt, case-insensitively; since/until are
+// ISO timestamps bounding updatedAt (since inclusive, until exclusive); costs are USD.
+const matchesFilter = (row, { text, tags, since, until, minCost, maxCost } = {}) => {
+	if (text) {
+		const needle = String(text).toLowerCase();
+		if (!String(row.name).toLowerCase().includes(needle) && !String(row.firstPrompt || '').toLowerCase().includes(needle)) {
+			return false;
+		}
+	}
+	const usd = row.totalUsd || 0;
+	return matchesTags(row, tags)
+		&& (!since || row.updatedAt >= since)
+		&& (!until || row.updatedAt < until)
+		&& (minCost === undefined || usd >= minCost)
+		&& (maxCost === undefined || usd <= maxCost);
+};
+
+module.exports = { firstPromptOf, isDryRunSession, sessionSummary, matchesTags, matchesFilter };
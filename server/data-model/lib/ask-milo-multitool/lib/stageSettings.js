@@ -0,0 +1,166 @@
+'use strict';
+
+// stageSettings.js - Per-stage max_tokens, temperature and thinking for the direct driver
+// Each setting group has <group>MaxTokens, <group>Temperature and <group>ThinkingBudget,
+// read from the CLI, JSON values or askMilo.ini (and restored by -restoreSwitches):
+//
+//   [askMilo]
+//   expandModel=haiku
+//   agentModel=sonnet
+//   synthModel=opus                    <- defaults to expandModel
+//   expandMaxTokens=8000               <- 0 or unset: the stage's own default
+//   agentTemperature=0.3               <- 0..1; ignored while thinking is on
+//   synthThinkingBudget=16000          <- tokens, "adaptive", or "off"; unset: the model registry decides
+//
+// gapExpand and the --resumeSession context summaries share expand's group; crossExamine,
+// extractClaims and single calls share the agents'; synthesisMatrix shares synth's. A
+// thinking budget comes on top of the stage's default max_tokens unless <group>MaxTokens is set.
+// CJS module.
+
+const modelRegistry = require('./modelRegistry');
+
+const SETTING_GROUPS = ['expand', 'agent', 'synth'];
+
+// max_tokens each stage asks for when <group>MaxTokens is unset (before any thinking budget)
+const DEFAULT_MAX_TOKENS = {
+	expand: 16384,
+	gapExpand: 16384,
+	contextSummary: 2048,
+	fanOut: 16384,
+	crossExamine: 8192,
+	extractClaims: 8192,
+	singleCall: 16384,
+	synthesize: 16384,
+	synthesisMatrix: 8192,
+};
+
+// stage -> setting group
+const STAGE_SETTING_GROUPS = {
+	expand: 'expand',
+	gapExpand: 'expand',
+	contextSummary: 'expand',
+	fanOut: 'agent',
+	crossExamine: 'agent',
+	extractClaims: 'agent',
+	singleCall: 'agent',
+	synthesize: 'synth',
+	synthesisMatrix: 'synth',
+};
+
+// Anthropic's minimum thinking budget
+const MIN_THINKING_BUDGET = 1024;
+
+const parseMaxTokens = (value) => {
+	const parsed = parseInt(value, 10);
+	return parsed > 0 ? parsed : 0;
+};
+
+// '' -> null (unset); out-of-range values are kept so the config check can report them
+const parseTemperature = (value) => {
+	if (value === undefined || value === null || String(value).trim() === '') {
+		return null;
+	}
+	const parsed = parseFloat(value);
+	return isNaN(parsed) ? null : parsed;
+};
+
+// '' -> '' (registry default), 'off'|'0'|'none' -> 'off', 'adaptive', or a token count
+const parseThinkingBudget = (value) => {
+	const text = String(value === undefined || value === null ? '' : value).trim().toLowerCase();
+	if (!text) {
+		return '';
+	}
+	if (['off', 'none', '0', 'false'].includes(text)) {
+		return 'off';
+	}
+	if (text === 'adaptive') {
+		return 'adaptive';
+	}
+	const parsed = parseInt(text, 10);
+	return parsed > 0 ? parsed : '';
+};
+
+const PARSERS = {
+	MaxTokens: parseMaxTokens,
+	Temperature: parseTemperature,
+	ThinkingBudget: parseThinkingBudget,
+};
+
+const settingKeys = () => SETTING_GROUPS.flatMap(group => Object.keys(PARSERS).map(suffix => ({ key: `${group}${suffix}`, parse: PARSERS[suffix] })));
+
+// valueOf(key) reads a setting (CLI/JSON first, then ini) -> flat config properties
+const readStageSettings = (valueOf) => settingKeys().reduce((settings, { key, parse }) => ({ ...settings, [key]: parse(valueOf(key)) }), {});
+
+// Entries for askMilo's -restoreSwitches restoreMap
+const restoreMapEntries = () => settingKeys().reduce((entries, { key, parse }) => ({ ...entries, [key]: { prop: key, parse } }), {});
+
+const thinkingParam = (setting, model, defaultThinking) => {
+	if (setting === 'off') return null;
+	if (setting === 'adaptive') return { type: 'adaptive' };
+	if (setting > 0) return { type: 'enabled', budget_tokens: Math.max(setting, MIN_THINKING_BUDGET) };
+	return defaultThinking ? modelRegistry.thinkingFor(model) : null;
+};
+
+// -> { max_tokens, thinking?, temperature? } to spread into a Messages request.
+// defaultThinking: whether the registry's thinking applies when the group sets none
+// (stages that only reformat text to JSON pass false).
+const requestSettings = ({ stage, config, model, defaultMaxTokens = DEFAULT_MAX_TOKENS[stage], defaultThinking = true }) => {
+	const group = STAGE_SETTING_GROUPS[stage];
+	const maxTokens = config[`${group}MaxTokens`];
+	const temperature = config[`${group}Temperature`];
+	const thinking = thinkingParam(config[`${group}ThinkingBudget`], model, defaultThinking);
+	const budget = thinking && thinking.budget_tokens ? thinking.budget_tokens : 0;
+	return {
+		max_tokens: modelRegistry.maxTokensFor(model, maxTokens || defaultMaxTokens + budget),
+		...(thinking && { thinking }),
+		// The API accepts no temperature while thinking
+		...(!thinking && temperature !== null && temperature !== undefined && { temperature }),
+	};
+};
+
+// Problems worth a warning before the run: bad ranges and settings that cannot apply.
+// modelOf(group) is the group's configured model (a provider may still replace it).
+const settingWarnings = (config, modelOf) => {
+	const warnings = [];
+	SETTING_GROUPS.forEach(group => {
+		const temperature = config[`${group}Temperature`];
+		const budget = config[`${group}ThinkingBudget`];
+		const maxTokens = config[`${group}MaxTokens`];
+		if (temperature !== null && temperature !== undefined && (temperature < 0 || temperature > 1)) {
+			warnings.push(`${group}Temperature=${temperature} is outside 0..1; the API will reject it`);
+		}
+		const thinks = budget === '' ? !!modelRegistry.thinkingFor(modelOf(group)) : budget !== 'off';
+		if (temperature !== null && temperature !== undefined && thinks) {
+			warnings.push(`${group}Temperature ignored: ${group} stages think (set ${group}ThinkingBudget=off to use it)`);
+		}
+		if (budget > 0 && maxTokens > 0 && budget >= maxTokens) {
+			warnings.push(`${group}ThinkingBudget=${budget} leaves no room in ${group}MaxTokens=${maxTokens} for the answer`);
+		}
+	});
+	return warnings;
+};
+
+// "expand: max 8000 | agent: temp 0.3 | synth: thinking 16000" for -verbose; '' when nothing is set
+const describeStageSettings = (config) => SETTING_GROUPS
+	.map(group => {
+		const parts = [
+			config[`${group}MaxTokens`] > 0 && `max ${config[`${group}MaxTokens`]}`,
+			config[`${group}Temperature`] !== null && config[`${group}Temperature`] !== undefined && `temp ${config[`${group}Temperature`]}`,
+			config[`${group}ThinkingBudget`] && `thinking ${config[`${group}ThinkingBudget`]}`,
+		].filter(Boolean);
+		return parts.length > 0 ? `${group}: ${parts.join(', ')}` : '';
+	})
+	.filter(Boolean)
+	.join(' | ');
+
+module.exports = {
+	SETTING_GROUPS,
+	DEFAULT_MAX_TOKENS,
+	STAGE_SETTING_GROUPS,
+	parseThinkingBudget,
+	readStageSettings,
+	restoreMapEntries,
+	requestSettings,
+	settingWarnings,
+	describeStageSettings,
+};
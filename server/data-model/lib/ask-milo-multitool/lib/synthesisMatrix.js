@@ -0,0 +1,84 @@
+'use strict';
+
+// synthesisMatrix.js - Agreement/disagreement matrix for the synthesis (-synthesisMatrix)
+// After the (final) synthesis, one more call restates it as JSON: the themes it
+// covers, which perspective ids agree or disagree on each, how strong the
+// support is, and the questions it leaves open. normalizeMatrix keeps only ids
+// that exist in the turn so clients can draw the matrix without re-parsing prose.
+// CJS module.
+
+const STRENGTHS = ['strong', 'moderate', 'weak'];
+
+const MATRIX_SCHEMA = {
+	type: 'object',
+	properties: {
+		themes: {
+			type: 'array',
+			items: {
+				type: 'object',
+				properties: {
+					theme: { type: 'string', description: 'Short name of the point or question' },
+					summary: { type: 'string', description: 'The position the synthesis takes on it' },
+					agree: { type: 'array', items: { type: 'integer' }, description: 'Perspective ids whose findings support the position' },
+					disagree: { type: 'array', items: { type: 'integer' }, description: 'Perspective ids whose findings contradict it' },
+					strength: { type: 'string', enum: STRENGTHS, description: 'How well the findings support the position overall' },
+					claimIds: { type: 'array', items: { type: 'string' }, description: 'Claim ids such as "2.3" behind the position, when claims were listed' },
+				},
+				required: ['theme', 'summary', 'agree', 'disagree', 'strength'],
+			},
+		},
+		openQuestions: { type: 'array', items: { type: 'string' } },
+	},
+	required: ['themes', 'openQuestions'],
+};
+
+// Response text -> parsed object; tolerates code fences and prose around the JSON
+const parseMatrixText = (text) => {
+	const trimmed = String(text || '').trim().replace(/^```(?:json)?\s*/, '').replace(/\s*```$/, '');
+	const first = trimmed.indexOf('{');
+	const last = trimmed.lastIndexOf('}');
+	if (first < 0 || last <= first) {
+		throw new Error('Synthesis matrix returned no JSON object');
+	}
+	try {
+		return JSON.parse(trimmed.slice(first, last + 1));
+	} catch (err) {
+		throw new Error(`Synthesis matrix JSON parse failed: ${err.message}`);
+	}
+};
+
+// Parsed object -> { themes, openQuestions, droppedIds }. Themes get ids T1, T2...;
+// perspective and claim ids not in the turn are dropped (and counted).
+const normalizeMatrix = (data, { perspectiveIds, claimIds = [] }) => {
+	if (!data || !Array.isArray(data.themes)) {
+		throw new Error('Synthesis matrix JSON has no "themes" array');
+	}
+	let droppedIds = 0;
+	const knownIds = (ids, known) => {
+		const list = Array.isArray(ids) ? ids : [];
+		const kept = [...new Set(list.map(id => (typeof known[0] === 'string' ? String(id) : Number(id))))].filter(id => known.includes(id));
+		droppedIds += list.length - kept.length;
+		return kept;
+	};
+	const themes = data.themes
+		.filter(item => item && typeof item.theme === 'string' && item.theme.trim())
+		.map((item, idx) => {
+			const strength = String(item.strength || '').toLowerCase();
+			const agree = knownIds(item.agree, perspectiveIds);
+			return {
+				id: `T${idx + 1}`,
+				theme: item.theme.trim(),
+				summary: typeof item.summary === 'string' ? item.summary.trim() : '',
+				agree,
+				disagree: knownIds(item.disagree, perspectiveIds).filter(id => !agree.includes(id)),
+				strength: STRENGTHS.includes(strength) ? strength : 'weak',
+				...(claimIds.length > 0 && { claimIds: knownIds(item.claimIds, claimIds) }),
+			};
+		});
+	const openQuestions = (Array.isArray(data.openQuestions) ? data.openQuestions : [])
+		.filter(q => typeof q === 'string' && q.trim())
+		.map(q => q.trim());
+	return { themes, openQuestions, droppedIds };
+};
+
+module.exports = { MATRIX_SCHEMA, STRENGTHS, parseMatrixText, normalizeMatrix };
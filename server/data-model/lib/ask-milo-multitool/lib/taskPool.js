@@ -0,0 +1,34 @@
+'use strict';
+
+// taskPool.js - Bounded-concurrency runner
+// Keeps up to `concurrency` workers in flight and starts the next item as soon
+// as one finishes. Returns outcomes in input order with the same shape as
+// Promise.allSettled(), so callers can swap it in for all-at-once dispatch.
+// CJS module.
+
+const runPool = async (items, worker, { concurrency = 1 } = {}) => {
+	const outcomes = new Array(items.length);
+	const limit = Math.max(1, Math.min(concurrency, items.length));
+	let nextIndex = 0;
+
+	const runLane = async () => {
+		while (nextIndex < items.length) {
+			const index = nextIndex++;
+			try {
+				outcomes[index] = { status: 'fulfilled', value: await worker(items[index], index) };
+			} catch (reason) {
+				outcomes[index] = { status: 'rejected', reason };
+			}
+		}
+	};
+
+	const lanes = [];
+	for (let i = 0; i < limit; i++) {
+		lanes.push(runLane());
+	}
+	await Promise.all(lanes);
+
+	return outcomes;
+};
+
+module.exports = { runPool };
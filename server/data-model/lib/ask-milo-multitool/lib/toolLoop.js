@@ -0,0 +1,137 @@
+'use strict';
+
+// toolLoop.js - Shared tool_use conversation loop for the direct API driver
+// Sends the request, executes any tool_use blocks through the tool kit (lib/toolRegistry.js),
+// appends the tool results and repeats until the model stops asking for tools or
+// the iteration limit is reached. Used by single-call-tools-direct, the fan-out
+// agents and (with -synthesizerTools) the synthesizer. Every tool call is recorded
+// so callers can keep it with their result. Under --maxRunCostUsd the caller's cost ledger
+// handle covers the first request; each further request extends it first, and the loop
+// stops with what it has if the ledger refuses. Rate-limit retries (when the caller asks
+// for them) repeat only the request that was refused, never the iterations already paid for.
+// CJS module; the Anthropic client is created by the ESM stage and passed in.
+
+const modelRegistry = require('./modelRegistry');
+const { zeroCost, sumCosts } = require('./costs');
+const { withRateLimitRetry } = require('./rateLimitRetry');
+
+const DEFAULT_MAX_ITERATIONS = 10;
+
+// Text blocks of a response (thinking and tool_use blocks skipped)
+const extractTextParts = (response) => response.content
+	.filter(b => b.type === 'text' && b.text)
+	.map(b => b.text.trim())
+	.filter(t => t.length > 0);
+
+const maxIterationsMessage = (maxIterations) =>
+	`[MAX TOOL ITERATIONS REACHED (${maxIterations})] The model continued requesting tool calls beyond the iteration limit.`;
+
+const costLimitMessage = (iteration) =>
+	`[STOPPED: run cost limit reached before tool iteration ${iteration}] The model's request for more tool calls was not sent.`;
+
+// toolKit = { tools, executeToolCall } from toolRegistry.buildToolKit()
+// onResponse (optional) is called after each model response, e.g. to release a cache warm-up
+// pricing: the provider's declared rates from lib/providers.js connect (null for the model registry's)
+// ledgerCall (optional): the cost ledger handle for this call (lib/costLedger.js); estimateUsd(params)
+// prices one more request (lib/callEstimate.js)
+// retry (optional): { maxRetries, onRetry } for withRateLimitRetry around each request
+const runToolLoop = async ({ client, requestParams, pricing = null, toolKit, maxIterations = DEFAULT_MAX_ITERATIONS, verbose, tag, onResponse, ledgerCall = null, estimateUsd, retry = null }) => {
+	const { xLog } = process.global;
+	const messages = [...requestParams.messages];
+	const toolCalls = [];
+	let cost = zeroCost();
+	let iteration = 0;
+	let lastTextParts = [];
+
+	while (iteration < maxIterations) {
+		const params = { ...requestParams, messages };
+		if (toolKit && toolKit.tools.length > 0) {
+			params.tools = toolKit.tools;
+		}
+
+		// The first request is covered by the caller's reservation
+		if (ledgerCall && iteration > 0 && !ledgerCall.extend(estimateUsd(params))) {
+			if (verbose) {
+				xLog.status(`${tag} Run cost limit reached; stopping before iteration ${iteration + 1}`);
+			}
+			return { response: null, textParts: [...lastTextParts, costLimitMessage(iteration + 1)], cost, iterations: iteration, toolCalls, maxIterationsReached: false, costLimitReached: true };
+		}
+
+		if (verbose) {
+			xLog.status(`${tag} Iteration ${iteration + 1}: sending ${messages.length} messages...`);
+		}
+
+		const send = () => client.messages.stream(params).finalMessage();
+		const response = await (retry ? withRateLimitRetry(send, retry) : send());
+		const responseCost = modelRegistry.estimateCost(requestParams.model, response.usage, pricing);
+		cost = sumCosts([cost, responseCost]);
+		if (ledgerCall) {
+			ledgerCall.settle(responseCost);
+		}
+		if (onResponse) {
+			onResponse(response);
+		}
+
+		if (verbose) {
+			const blockTypes = response.content.map(b => b.type).join(', ');
+			xLog.status(`${tag} Iteration ${iteration + 1}: stop_reason=${response.stop_reason}, blocks=[${blockTypes}]`);
+		}
+
+		// Anything but tool_use is the final answer
+		if (response.stop_reason !== 'tool_use') {
+			return { response, textParts: extractTextParts(response), cost, iterations: iteration + 1, toolCalls, maxIterationsReached: false };
+		}
+
+		lastTextParts = extractTextParts(response);
+		const toolUseBlocks = response.content.filter(b => b.type === 'tool_use');
+
+		if (verbose) {
+			xLog.status(`${tag} Executing ${toolUseBlocks.length} tool call(s): ${toolUseBlocks.map(b => b.name).join(', ')}`);
+		}
+
+		const toolResults = await Promise.all(toolUseBlocks.map(async (block) => {
+			if (verbose) {
+				xLog.status(`${tag}   -> ${block.name}(${JSON.stringify(block.input).slice(0, 100)})`);
+			}
+
+			const result = await toolKit.executeToolCall({
+				toolName: block.name,
+				toolInput: block.input,
+			});
+
+			toolCalls.push({
+				iteration: iteration + 1,
+				name: block.name,
+				input: block.input,
+				isError: result.isError,
+				resultChars: result.resultChars,
+				elapsedMs: result.elapsedMs,
+			});
+
+			if (verbose) {
+				const preview = result.content.slice(0, 120);
+				xLog.status(`${tag}   <- ${block.name} (${result.elapsedMs}ms, ${result.resultChars} chars): ${result.isError ? 'ERROR: ' : ''}${preview}...`);
+			}
+
+			return {
+				type: 'tool_result',
+				tool_use_id: block.id,
+				content: result.content,
+				...(result.isError ? { is_error: true } : {}),
+			};
+		}));
+
+		// Append assistant response + tool results to conversation
+		messages.push({ role: 'assistant', content: response.content });
+		messages.push({ role: 'user', content: toolResults });
+		iteration++;
+	}
+
+	if (verbose) {
+		xLog.status(`${tag} WARNING: Max tool iterations (${maxIterations}) reached.`);
+	}
+
+	return { response: null, textParts: [maxIterationsMessage(maxIterations)], cost, iterations: iteration, toolCalls, maxIterationsReached: true };
+};
+
+module.exports = { runToolLoop, extractTextParts, DEFAULT_MAX_ITERATIONS };
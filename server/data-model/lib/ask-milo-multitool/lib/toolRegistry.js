@@ -0,0 +1,155 @@
+'use strict';
+
+// toolRegistry.js - Named toolsets the agents can be given with --tools=NAME
+// Every module in lib/tools/ is a toolset:
+//
+//   module.exports = {
+//     name: 'confluence',                  // what --tools= asks for
+//     description: '...',
+//     createContext: (config) => ...,      // optional; passed to every execute()
+//     tools: [ { name, description, input_schema, mcpSchema: (z) => ({...}), execute: async (input, context) => string } ],
+//   };
+//
+// buildToolKit() turns the requested names into what the drivers need: Anthropic
+// tool definitions and an executeToolCall() for the direct tool loop, and in-process
+// MCP servers for the SDK driver. Both paths go through the same wrapper, so tool
+// errors come back as is_error results and every call reports its time and size.
+// Names that are not toolsets (WebSearch, Read, ...) are left to the SDK.
+// CJS module following moduleFunction pattern (curried factory, built on first use).
+
+const fs = require('fs');
+const path = require('path');
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+
+//START OF moduleFunction() ============================================================
+const moduleFunction = ({ moduleName, toolsDir } = {}) => ({ unused } = {}) => {
+	let toolsets = null;
+
+	const validateToolset = (toolset, source) => {
+		if (!toolset || !toolset.name || !Array.isArray(toolset.tools)) {
+			throw new Error(`${moduleName}: ${source} does not export { name, tools: [...] }`);
+		}
+		toolset.tools.forEach(t => {
+			if (!t.name || !t.input_schema || typeof t.execute !== 'function') {
+				throw new Error(`${moduleName}: tool "${t.name || '(unnamed)'}" in toolset "${toolset.name}" needs name, input_schema and execute()`);
+			}
+		});
+	};
+
+	const addToolset = (all, toolset, source) => {
+		validateToolset(toolset, source);
+		const key = toolset.name.toLowerCase();
+		if (all[key]) {
+			throw new Error(`${moduleName}: toolset "${toolset.name}" is defined twice`);
+		}
+		const taken = new Set(Object.values(all).flatMap(ts => ts.tools.map(t => t.name)));
+		const clash = toolset.tools.find(t => taken.has(t.name));
+		if (clash) {
+			throw new Error(`${moduleName}: tool "${clash.name}" in toolset "${toolset.name}" is already registered`);
+		}
+		all[key] = toolset;
+	};
+
+	const loadToolsets = () => {
+		const all = {};
+		fs.readdirSync(toolsDir)
+			.filter(file => file.endsWith('.js'))
+			.sort()
+			.forEach(file => addToolset(all, require(path.join(toolsDir, file)), `lib/tools/${file}`));
+		return all;
+	};
+
+	const getToolsets = () => {
+		if (!toolsets) {
+			toolsets = loadToolsets();
+		}
+		return toolsets;
+	};
+
+	// For toolsets that live outside lib/tools/
+	const registerToolset = (toolset) => {
+		addToolset(getToolsets(), toolset, 'registerToolset()');
+	};
+
+	const isToolset = (name) => !!getToolsets()[String(name).toLowerCase()];
+
+	const listToolsets = () => Object.values(getToolsets()).map(ts => ({
+		name: ts.name,
+		description: ts.description || '',
+		tools: ts.tools.map(t => t.name),
+	}));
+
+	// --tools list -> { toolsets: registry names, others: everything else (SDK built-ins) }
+	const partitionTools = (toolNames) => ({
+		toolsets: (toolNames || []).filter(isToolset),
+		others: (toolNames || []).filter(name => !isToolset(name)),
+	});
+
+	// Uniform execution: never throws, always reports time and size
+	const runTool = async ({ tool, input, context }) => {
+		const start = Date.now();
+		let content;
+		let isError = false;
+		try {
+			const result = await tool.execute(input || {}, context);
+			content = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+		} catch (err) {
+			content = `Tool error (${tool.name}): ${err.message}`;
+			isError = true;
+		}
+		return { content, isError, elapsedMs: Date.now() - start, resultChars: content.length };
+	};
+
+	// Returns null when none of the requested names is a toolset
+	const buildToolKit = ({ toolNames, config }) => {
+		const requested = partitionTools(toolNames).toolsets.map(name => getToolsets()[name.toLowerCase()]);
+		if (requested.length === 0) {
+			return null;
+		}
+
+		const entries = requested.map(toolset => ({
+			toolset,
+			context: toolset.createContext ? toolset.createContext(config) : null,
+		}));
+		const byToolName = {};
+		entries.forEach(entry => entry.toolset.tools.forEach(tool => {
+			byToolName[tool.name] = { tool, context: entry.context };
+		}));
+
+		const executeToolCall = async ({ toolName, toolInput }) => {
+			const found = byToolName[toolName];
+			if (!found) {
+				const content = `Unknown tool: ${toolName}`;
+				return { content, isError: true, elapsedMs: 0, resultChars: content.length };
+			}
+			return runTool({ tool: found.tool, input: toolInput, context: found.context });
+		};
+
+		// SDK imports (tool, createSdkMcpServer, z) are injected by the ESM caller
+		// since this is a CJS module and cannot import from the ESM Agent SDK directly.
+		const createMcpServers = ({ tool, createSdkMcpServer, z }) => entries.reduce((servers, { toolset, context }) => {
+			servers[toolset.name] = createSdkMcpServer({
+				name: toolset.name,
+				version: '1.0.0',
+				tools: toolset.tools.map(t => tool(t.name, t.description, t.mcpSchema ? t.mcpSchema(z) : {}, async (args) => {
+					const { content, isError } = await runTool({ tool: t, input: args, context });
+					return { content: [{ type: 'text', text: content }], ...(isError && { isError: true }) };
+				})),
+			});
+			return servers;
+		}, {});
+
+		return {
+			toolsets: requested.map(ts => ts.name),
+			tools: requested.flatMap(ts => ts.tools.map(({ name, description, input_schema }) => ({ name, description, input_schema }))),
+			executeToolCall,
+			createMcpServers,
+		};
+	};
+
+	return { registerToolset, isToolset, listToolsets, partitionTools, buildToolKit };
+};
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction({ moduleName, toolsDir: path.join(__dirname, 'tools') })({});
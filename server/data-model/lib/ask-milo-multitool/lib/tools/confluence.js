@@ -0,0 +1,66 @@
+'use strict';
+
+// confluence.js - Confluence toolset for the tool registry (--tools=confluence)
+// Declares the Anthropic schema, the executor and the zod schema for the SDK's
+// in-process MCP server for each tool. All HTTP lives in confluenceAccessor.
+// CJS module.
+
+const createContext = (config) => require('../confluenceAccessor')({
+	baseUrl: config.confluenceBaseUrl,
+	email: config.confluenceEmail,
+	apiToken: config.confluenceApiToken,
+	defaultSpace: config.confluenceDefaultSpace,
+	mockApi: config.mockApi,
+});
+
+const tools = [
+	{
+		name: 'confluence_search',
+		description: 'Search Confluence documentation. Returns page titles, IDs, and excerpts. Use this to find relevant pages before reading their full content.',
+		input_schema: {
+			type: 'object',
+			properties: {
+				query: { type: 'string', description: 'Search text. Automatically wrapped in CQL for the configured space.' },
+				cql: { type: 'string', description: 'Raw CQL for advanced searches. Overrides query if provided.' },
+				limit: { type: 'integer', description: 'Max results (default 10, max 25)', default: 10 },
+			},
+			required: ['query'],
+		},
+		mcpSchema: (z) => ({
+			query: z.string().describe('Search text. Automatically wrapped in CQL for the configured space.'),
+			cql: z.string().optional().describe('Raw CQL for advanced searches. Overrides query if provided.'),
+			limit: z.number().optional().default(10).describe('Max results (default 10, max 25)'),
+		}),
+		execute: async (input, accessor) => {
+			// If raw CQL is provided, use it directly; otherwise wrap simple query
+			const cql = input.cql || `text ~ "${input.query}"`;
+			const results = await accessor.search({ cql, limit: input.limit || 10 });
+			return JSON.stringify(results, null, 2);
+		},
+	},
+	{
+		name: 'confluence_read_page',
+		description: 'Read the full content of a Confluence page by ID. Returns title and body as clean markdown. Use page IDs from search results.',
+		input_schema: {
+			type: 'object',
+			properties: {
+				page_id: { type: 'string', description: 'Confluence page ID from search results' },
+			},
+			required: ['page_id'],
+		},
+		mcpSchema: (z) => ({
+			page_id: z.string().describe('Confluence page ID from search results'),
+		}),
+		execute: async (input, accessor) => {
+			const page = await accessor.getPage({ pageId: input.page_id });
+			return `# ${page.title}\n\nSpace: ${page.spaceKey} | Last updated: ${page.lastUpdated}\nURL: ${page.url}\n\n${page.markdown}`;
+		},
+	},
+];
+
+module.exports = {
+	name: 'confluence',
+	description: 'Search and read Confluence Cloud pages',
+	createContext,
+	tools,
+};
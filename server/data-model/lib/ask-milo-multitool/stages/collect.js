@@ -1,6 +1,9 @@
 'use strict';
 const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
 
+// Report formats for --format (and the chorusStudyStatus "format" option)
+const REPORT_FORMATS = ['text', 'json', 'markdown', 'html'];
+
 //START OF moduleFunction() ============================================================
 const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 	const { xLog, getConfig, rawConfig, commandLineParameters, projectRoot } = process.global;
@@ -8,23 +11,85 @@ const moduleFunction = ({ moduleName } = {}) => ({ unused } = {}) => {
 
 	const { formatText } = require('../formatters/text');
 	const { formatJson } = require('../formatters/json');
+	const { formatMarkdown } = require('../formatters/markdown');
+	const { formatHtml } = require('../formatters/html');
+	const sessionManager = require('../lib/sessionManager');
+
+	const formatReport = (format, { mode, ...params }) => {
+		switch (format) {
+			case 'json': {
+				const reportJson = formatJson({ mode, ...params });
+				return { report: JSON.stringify(reportJson, null, 2), reportJson };
+			}
+			case 'markdown':
+				return { report: formatMarkdown({ mode, ...params }) };
+			case 'html':
+				return { report: formatHtml({ mode, ...params }) };
+			default:
+				return { report: formatText({ mode, ...params }) };
+		}
+	};
 
 	const collect = ({ mode, ...params }) => {
 		const { config } = params;
+		const format = config.format || (config.json ? 'json' : 'text');
 		if (config.verbose) {
-			const format = config.json ? 'JSON' : 'text';
 			xLog.status(`[Collect] Formatting ${mode} output as ${format}`);
 		}
-		if (config.json) {
-			const reportJson = formatJson({ mode, ...params });
-			return { report: JSON.stringify(reportJson, null, 2), reportJson };
-		} else {
-			const report = formatText({ mode, ...params });
-			return { report };
+		return formatReport(format, { mode, ...params });
+	};
+
+	// Saved session turn -> the same parameters collect() gets at the end of a run
+	const turnToReportParams = ({ turn, sessionName }) => {
+		const config = { attachments: turn.attachments || [] };
+		if (turn.turnType === 'singleCall' || !turn.expansion) {
+			return {
+				mode: 'singleCall',
+				promptName: turn.promptName,
+				prompt: turn.prompt,
+				responseText: turn.response || '',
+				cost: turn.totalCost,
+				model: turn.model || 'not recorded',
+				elapsedSeconds: turn.elapsedSeconds || 0,
+				toolCalls: turn.toolCalls,
+				config,
+				sessionName,
+				turnNumber: turn.turnNumber,
+			};
+		}
+		const instructions = sessionManager.turnInstructions(turn);
+		return {
+			mode: 'chorus',
+			originalPrompt: turn.prompt,
+			instructions,
+			results: (turn.perspectives || []).map(p => ({
+				...p,
+				instruction: (instructions.find(i => i.id === p.id) || {}).instruction || '',
+			})),
+			expandCost: turn.expansion.cost,
+			synthesis: turn.synthesis ? turn.synthesis.text : null,
+			synthesisCost: turn.synthesis ? turn.synthesis.cost : null,
+			synthesisToolCalls: turn.synthesis ? turn.synthesis.toolCalls : null,
+			synthesisMatrix: turn.synthesis ? turn.synthesis.matrix || null : null,
+			rounds: turn.rounds || null,
+			roundsStop: turn.roundsStop || null,
+			elapsedSeconds: turn.elapsedSeconds || 0,
+			config,
+			budget: turn.budget || null,
+			sessionName,
+			turnNumber: turn.turnNumber,
+		};
+	};
+
+	// Render a completed turn from a session file in one of REPORT_FORMATS
+	const renderTurn = ({ turn, format = 'markdown', sessionName }) => {
+		if (!REPORT_FORMATS.includes(format)) {
+			throw new Error(`Unknown report format "${format}" (expected ${REPORT_FORMATS.join(', ')})`);
 		}
+		return formatReport(format, turnToReportParams({ turn, sessionName })).report;
 	};
 
-	return { collect };
+	return { collect, renderTurn, REPORT_FORMATS };
 };
 
 //END OF moduleFunction() ============================================================
@@ -0,0 +1,116 @@
+// Context Summary (Direct API): condenses older turns for a --resumeSession context (lib/sessionContext.js)
+// Runs before the pipeline's first stage, once per turn that the context plan compacts and that
+// has no usable cached summary. Each summary is stored on its turn as turn.contextSummary for the
+// next resume. Uses the expand model, provider and settings for either driver.
+
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+
+import Anthropic from "@anthropic-ai/sdk";
+
+const modelRegistry = require('../lib/modelRegistry');
+const { buildSystem, describeCacheUse } = require('../lib/promptCache');
+const { extractTextParts } = require('../lib/toolLoop');
+const { withRateLimitRetry } = require('../lib/rateLimitRetry');
+const { runPool } = require('../lib/taskPool');
+const { verbatimBlock } = require('../lib/sessionContext');
+const { connect } = require('../lib/providers');
+const { requestSettings } = require('../lib/stageSettings');
+const { estimateCallUsd } = require('../lib/callEstimate');
+
+// Used when [prompts] has no contextSummarizer entry
+const DEFAULT_CONTEXT_SUMMARIZER_PROMPT = `You condense one turn of an earlier research session so that a later turn can build on it. Keep the question that was asked, the main findings with the perspective that reached each, the conclusions of any synthesis, points of disagreement, and the questions left open. Keep concrete figures, names and dates. Drop methodology, repetition and hedging. Write plain prose or short bullet points, at most 400 words, with no preamble.`;
+
+const summarizeOne = async ({ turn, sourceText, config }) => {
+	if (config.mockApi) {
+		const { mockContextSummary } = require('../lib/mockApi');
+		return { ...mockContextSummary({ turn, config }), model: config.expandModel };
+	}
+
+	const { client, model, pricing } = connect({ stage: 'contextSummary', config, model: config.expandModel, Anthropic, appRetry: true });
+	const requestParams = {
+		model,
+		...requestSettings({ stage: 'contextSummary', config, model, defaultThinking: false }),
+		system: buildSystem({ systemPrompt: config.contextSummarizerPromptText || DEFAULT_CONTEXT_SUMMARIZER_PROMPT, config }),
+		messages: [{ role: 'user', content: sourceText }],
+	};
+
+	const stream = client.messages.stream(requestParams);
+	const response = await stream.finalMessage();
+	return {
+		text: extractTextParts(response).join('\n').trim(),
+		cost: modelRegistry.estimateCost(model, response.usage, pricing),
+		model,
+	};
+};
+
+// Writes turn.contextSummary on each turn it manages to summarize.
+// Returns { summarized: [turnNumber], failed: [{ turnNumber, error }], costs: [cost] }
+const summarizeTurns = async ({
+	turns,
+	config,
+	ledger = require('../lib/costLedger')({}),
+}) => {
+	const { xLog } = process.global;
+	const concurrency = config.serialFanOut ? 1 : config.fanOutConcurrency > 0 ? config.fanOutConcurrency : turns.length;
+
+	const settled = await runPool(turns, async (turn) => {
+		const sourceText = verbatimBlock(turn);
+		const call = await ledger.waitForCall({
+			stage: 'contextSummary',
+			id: turn.turnNumber,
+			perspective: `turn ${turn.turnNumber}`,
+			estimateUsd: estimateCallUsd({ stage: 'contextSummary', config, model: config.expandModel, inputText: [config.contextSummarizerPromptText, sourceText].filter(Boolean).join('\n') }),
+		});
+		if (!call) {
+			throw new Error(`skipped: ${ledger.lastSkipReason()}`);
+		}
+		let response;
+		try {
+			response = await withRateLimitRetry(
+				() => summarizeOne({ turn, sourceText, config }),
+				{ maxRetries: config.rateLimitRetries },
+			);
+			call.finish(response.cost);
+		} catch (err) {
+			call.finish(null);
+			throw err;
+		}
+		if (!response.text) {
+			throw Object.assign(new Error('the summarizer returned no text'), { cost: response.cost });
+		}
+		turn.contextSummary = {
+			text: response.text,
+			model: response.model,
+			sourceChars: sourceText.length,
+			cost: response.cost,
+			createdAt: new Date().toISOString(),
+		};
+		if (config.verbose) {
+			xLog.status(`[Context] Turn ${turn.turnNumber}: ${sourceText.length} -> ${response.text.length} chars, $${response.cost.usd.toFixed(4)} ${describeCacheUse(response.cost)}`);
+		}
+		return response.cost;
+	}, { concurrency });
+
+	const summarized = [];
+	const failed = [];
+	const costs = [];
+	settled.forEach((outcome, idx) => {
+		const { turnNumber } = turns[idx];
+		if (outcome.status === 'fulfilled') {
+			summarized.push(turnNumber);
+			costs.push(outcome.value);
+			return;
+		}
+		const reason = outcome.reason && outcome.reason.message ? outcome.reason.message : String(outcome.reason);
+		if (outcome.reason && outcome.reason.cost) {
+			costs.push(outcome.reason.cost);
+		}
+		xLog.error(`[Context] Turn ${turnNumber} summary failed (${reason}); using an excerpt`);
+		failed.push({ turnNumber, error: reason });
+	});
+
+	return { summarized, failed, costs };
+};
+
+export { summarizeTurns, DEFAULT_CONTEXT_SUMMARIZER_PROMPT };
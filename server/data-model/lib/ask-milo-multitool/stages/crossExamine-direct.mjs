@@ -0,0 +1,139 @@
+// Stage 2b -- Cross-Examine (Direct API): each perspective critiques the others' findings (-crossExamine)
+// Runs between fan-out and synthesis. Every agent with usable findings gets its own findings
+// plus everyone else's and writes a rebuttal/concession section. Uses the agent provider
+// (lib/providers.js) for either driver.
+
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+
+import Anthropic from "@anthropic-ai/sdk";
+
+const modelRegistry = require('../lib/modelRegistry');
+const { buildSystem, buildUserContent, cacheWarmup, describeCacheUse } = require('../lib/promptCache');
+const { extractTextParts } = require('../lib/toolLoop');
+const { withRateLimitRetry } = require('../lib/rateLimitRetry');
+const { runPool } = require('../lib/taskPool');
+const { zeroCost } = require('../lib/costs');
+const { isFailedFindings } = require('../lib/sessionManager');
+const { connect } = require('../lib/providers');
+const { requestSettings } = require('../lib/stageSettings');
+const { estimateCallUsd } = require('../lib/callEstimate');
+
+// Used when [prompts] has no crossExaminer entry
+const DEFAULT_CROSS_EXAMINER_PROMPT = `You are one analyst in a panel that researched the same question from different perspectives. You will see your own findings and those of the other analysts. Engage with their claims directly. Write two sections:
+
+## Rebuttals
+Claims by other analysts that you dispute, each with the analyst's perspective name, the claim, and your evidence or reasoning against it.
+
+## Concessions
+Points where another analyst is right and your own findings are incomplete or wrong, and how your conclusions change.
+
+Be specific and brief. Do not restate your findings.`;
+
+const buildUserMessage = ({ originalPrompt, own, others }) => {
+	const otherSections = others.map(r => `=== Perspective ${r.id}: ${r.perspective} ===\n${r.findings}`).join('\n\n');
+	return `ORIGINAL RESEARCH QUESTION:\n${originalPrompt}\n\n` +
+		`YOUR FINDINGS (Perspective ${own.id}: ${own.perspective}):\n${own.findings}\n\n` +
+		`FINDINGS FROM THE OTHER ${others.length} ANALYST(S):\n\n${otherSections}`;
+};
+
+const examineOne = async ({ originalPrompt, own, others, config }) => {
+	if (config.mockApi) {
+		const { mockCrossExamine } = require('../lib/mockApi');
+		return mockCrossExamine({ own, others, config });
+	}
+
+	const { client, model, pricing } = connect({ stage: 'crossExamine', config, id: own.id, model: config.agentModel, Anthropic, appRetry: true });
+	const requestParams = {
+		model,
+		...requestSettings({ stage: 'crossExamine', config, model }),
+		system: buildSystem({ systemPrompt: config.crossExaminerPromptText || DEFAULT_CROSS_EXAMINER_PROMPT, config }),
+		messages: [{
+			role: 'user',
+			content: buildUserContent({
+				prompt: buildUserMessage({ originalPrompt, own, others }),
+				attachmentContext: config.attachmentContext,
+				config,
+			}),
+		}],
+	};
+
+	const stream = client.messages.stream(requestParams);
+	const response = await stream.finalMessage();
+	const textParts = extractTextParts(response);
+
+	return {
+		critique: textParts.length > 0 ? textParts.join('\n\n') : '[NO RESPONSE]',
+		cost: modelRegistry.estimateCost(model, response.usage, pricing),
+	};
+};
+
+// Returns { critiques: [{ id, perspective, text, cost }] }; perspectives whose findings
+// failed neither examine nor get examined. Fewer than two usable perspectives: no-op.
+const crossExamine = async ({
+	originalPrompt,
+	results,
+	config,
+	ledger = require('../lib/costLedger')({}),
+}) => {
+	const { xLog } = process.global;
+	const verbose = config.verbose;
+	const usable = (results || []).filter(r => !isFailedFindings(r.findings));
+
+	if (usable.length < 2) {
+		if (verbose) {
+			xLog.status(`[CrossExamine] Skipped: ${usable.length} usable perspective(s), need at least 2`);
+		}
+		return { critiques: [] };
+	}
+
+	const concurrency = config.serialFanOut ? 1 : config.fanOutConcurrency > 0 ? config.fanOutConcurrency : usable.length;
+
+	if (verbose) {
+		xLog.status(`[CrossExamine] ${usable.length} perspectives, concurrency ${concurrency}, model=${config.agentModel}`);
+	}
+
+	// Every call shares the system prompt: the first one writes it to the cache for the rest
+	const warmup = cacheWarmup({ config, count: usable.length });
+	const settled = await runPool(usable, (own, index) => warmup.run(index, async () => {
+		const others = usable.filter(r => r.id !== own.id);
+		const call = await ledger.waitForCall({
+			stage: 'crossExamine',
+			id: own.id,
+			perspective: own.perspective,
+			estimateUsd: estimateCallUsd({ stage: 'crossExamine', config, model: config.agentModel, id: own.id, inputText: [config.crossExaminerPromptText, originalPrompt, ...usable.map(r => r.findings)].filter(Boolean).join('\n') }),
+		});
+		if (!call) {
+			return { text: `[SKIPPED: ${ledger.lastSkipReason()}]`, cost: zeroCost() };
+		}
+		try {
+			const { critique, cost } = await withRateLimitRetry(
+				() => examineOne({ originalPrompt, own, others, config }),
+				{ maxRetries: config.rateLimitRetries },
+			);
+			call.finish(cost);
+			if (verbose) {
+				xLog.status(`[CrossExamine] ${own.id}/${own.perspective}: ${critique.length} chars, $${cost.usd.toFixed(4)} ${describeCacheUse(cost)}`);
+			}
+			return { text: critique, cost };
+		} catch (err) {
+			call.finish(null);
+			throw err;
+		}
+	}), { concurrency });
+
+	const critiques = settled.map((outcome, idx) => {
+		const own = usable[idx];
+		const base = { id: own.id, perspective: own.perspective };
+		if (outcome.status === 'fulfilled') {
+			return { ...base, ...outcome.value };
+		}
+		const reason = outcome.reason && outcome.reason.message ? outcome.reason.message : String(outcome.reason);
+		xLog.error(`[CrossExamine] ${own.id}/${own.perspective} failed: ${reason}`);
+		return { ...base, text: `[CRITIQUE FAILED: ${reason}]`, cost: zeroCost() };
+	});
+
+	return { critiques };
+};
+
+export { crossExamine, DEFAULT_CROSS_EXAMINER_PROMPT };
@@ -1,23 +1,77 @@
 // Stage 1 -- Expand (Direct API): transforms a single prompt into N diverse research instructions
-// Uses @anthropic-ai/sdk directly instead of Agent SDK subprocess
+// Calls the provider chosen for expand (lib/providers.js) instead of an Agent SDK subprocess
 
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 
 import Anthropic from "@anthropic-ai/sdk";
 
-// Cost estimation based on model pricing (per million tokens)
-const MODEL_PRICING = {
-	'claude-opus-4-6': { input: 5.00, output: 25.00 },
-	'claude-sonnet-4-6': { input: 3.00, output: 15.00 },
-	'claude-haiku-4-5': { input: 1.00, output: 5.00 },
-};
+const modelRegistry = require('../lib/modelRegistry');
+const { buildSystem, buildUserContent, describeCacheUse } = require('../lib/promptCache');
+const { extractTextParts } = require('../lib/toolLoop');
+const { zeroCost, sumCosts } = require('../lib/costs');
+const { parseExpansionText, validateExpansion, buildRepairPrompt } = require('../lib/expansionValidator');
+const { connect } = require('../lib/providers');
+const { requestSettings } = require('../lib/stageSettings');
+const { withSeedBlock } = require('../lib/seedPerspectives');
+
+// Validate against the expansion schema and the requested instruction count.
+// A bad reply is sent back with the error for up to expansionRepairAttempts repairs.
+// Shared with the follow-up expansion of --rounds (stages/gapExpand-direct.mjs).
+const requestInstructions = async ({ client, requestParams, pricing = null, expectedCount, config, tag = '[Expand-Direct]' }) => {
+	const { xLog } = process.global;
+	const verbose = config.verbose;
+	const model = requestParams.model;
+	const maxRepairs = config.expansionRepairAttempts;
+	const messages = [...requestParams.messages];
+	let expandCost = zeroCost();
+	let repairs = 0;
 
-const estimateCost = (model, usage) => {
-	const rates = MODEL_PRICING[model] || MODEL_PRICING['claude-sonnet-4-6'];
-	const inputCost = (usage.input_tokens / 1_000_000) * rates.input;
-	const outputCost = (usage.output_tokens / 1_000_000) * rates.output;
-	return inputCost + outputCost;
+	while (true) {
+		const stream = client.messages.stream({ ...requestParams, messages });
+		const response = await stream.finalMessage();
+		expandCost = sumCosts([expandCost, modelRegistry.estimateCost(model, response.usage, pricing)]);
+
+		if (verbose) {
+			const blockTypes = response.content.map(b => b.type).join(', ');
+			xLog.status(`${tag} Response blocks: [${blockTypes}]`);
+		}
+
+		// With interleaved thinking there may be several text blocks (thinking skipped)
+		const textParts = extractTextParts(response);
+
+		try {
+			const { instructions, dropped } = validateExpansion(parseExpansionText(textParts), { expectedCount });
+			if (verbose) {
+				if (dropped > 0) {
+					xLog.status(`${tag} Dropped ${dropped} instruction(s) beyond the ${expectedCount} requested`);
+				}
+				xLog.status(`${tag} Success: ${instructions.length} instructions${repairs > 0 ? ` after ${repairs} repair(s)` : ''}, ${expandCost.outputTokens} output tokens, $${expandCost.usd.toFixed(4)} ${describeCacheUse(expandCost)}`);
+			}
+			return { instructions, expandCost, expandRepairs: repairs };
+		} catch (err) {
+			if (!err.code) {
+				throw err;
+			}
+			if (verbose) {
+				xLog.status(`${tag} Invalid expansion (${err.code}): ${err.message}`);
+				if (err.details && err.details.excerpt) {
+					xLog.status(`${tag} Raw text (first 500 chars):\n${err.details.excerpt}`);
+				}
+			}
+			if (repairs >= maxRepairs) {
+				err.details = { ...err.details, attempts: repairs + 1, costUsd: expandCost.usd };
+				err.cost = expandCost;
+				throw err;
+			}
+			repairs++;
+			if (verbose) {
+				xLog.status(`${tag} Repair attempt ${repairs} of ${maxRepairs}...`);
+			}
+			messages.push({ role: 'assistant', content: textParts.join('\n\n') || '(no text)' });
+			messages.push({ role: 'user', content: buildRepairPrompt(err, expectedCount) });
+		}
+	}
 };
 
 const expand = async ({ originalPrompt, config, sessionContext }) => {
@@ -36,86 +90,34 @@ const expand = async ({ originalPrompt, config, sessionContext }) => {
 	}
 	systemPrompt += config.jsonEnforcementText;
 
+	const { client, model, provider, pricing } = connect({ stage: 'expand', config, model: config.expandModel, Anthropic });
+
 	if (verbose) {
-		xLog.status(`[Expand-Direct] Calling messages API with model=${config.expandModel}...`);
+		xLog.status(`[Expand-Direct] Calling ${provider} with model=${model}...`);
 		if (sessionContext) {
 			xLog.status(`[Expand-Direct] Session context injected (${sessionContext.length} chars)`);
 		}
 	}
 
-	const client = new Anthropic({ apiKey: config.anthropicApiKey });
-
-	// Build user message: new prompt + session context (if resuming)
-	let userContent = originalPrompt;
-	if (sessionContext) {
-		userContent = `${originalPrompt}\n\n${sessionContext}`;
-	}
+	// Build user message: attachments + session context (if resuming), both cacheable, + new prompt
+	// with any caller-chosen perspectives (JSON "perspectives") the expansion must start with
+	const userContent = buildUserContent({ prompt: withSeedBlock(originalPrompt, config.perspectiveSeeds), sessionContext, attachmentContext: config.attachmentContext, config });
 
 	const requestParams = {
-		model: config.expandModel,
-		max_tokens: 16384,
-		system: systemPrompt,
+		model,
+		...requestSettings({ stage: 'expand', config, model }),
+		system: buildSystem({ systemPrompt, config }),
 		messages: [{ role: "user", content: userContent }],
 	};
 
-	// Use adaptive thinking for Opus 4.6, skip for others
-	if (config.expandModel.includes('opus-4-6')) {
-		requestParams.thinking = { type: "adaptive" };
-	}
-
-	const stream = client.messages.stream(requestParams);
-	const response = await stream.finalMessage();
-
-	if (verbose) {
-		const blockTypes = response.content.map(b => b.type).join(', ');
-		xLog.status(`[Expand-Direct] Response blocks: [${blockTypes}]`);
-	}
-
-	// Extract text blocks (skip thinking blocks) — with interleaved thinking,
-	// there may be multiple text blocks. Concatenate all text content.
-	const textParts = response.content
-		.filter(b => b.type === 'text' && b.text)
-		.map(b => b.text.trim())
-		.filter(t => t.length > 0);
-
-	if (textParts.length === 0) {
-		throw new Error("Expansion returned no text content");
-	}
-
-	// Use the part that looks like JSON (starts with {), or fall back to last part
-	let jsonText = textParts.find(t => t.startsWith('{')) || textParts[textParts.length - 1];
-	if (jsonText.startsWith('```')) {
-		jsonText = jsonText.replace(/^```(?:json)?\n?/, '').replace(/\n?```$/, '');
-	}
-
-	let data;
-	try {
-		data = JSON.parse(jsonText);
-	} catch (parseErr) {
-		if (verbose) {
-			xLog.status(`[Expand-Direct] JSON parse failed. Raw text (first 500 chars):`);
-			xLog.status(jsonText.slice(0, 500));
-		}
-		throw new Error(`Expansion JSON parse failed: ${parseErr.message}`);
-	}
-
-	const instructions = data.instructions || [];
-
-	if (instructions.length === 0) {
-		throw new Error("Expansion returned zero instructions");
-	}
-
-	const expandCost = {
-		inputTokens: response.usage.input_tokens,
-		outputTokens: response.usage.output_tokens,
-		usd: estimateCost(config.expandModel, response.usage),
-	};
-
-	if (verbose) {
-		xLog.status(`[Expand-Direct] Success: ${instructions.length} instructions, ${expandCost.outputTokens} output tokens, $${expandCost.usd.toFixed(4)}`);
-	}
-
-	return { instructions, expandCost };
+	const { instructions, expandCost, expandRepairs } = await requestInstructions({
+		client,
+		requestParams,
+		pricing,
+		expectedCount: config.perspectives,
+		config,
+	});
+	return { instructions, expandCost, expandRepairs };
 };
 
-export { expand };
+export { expand, requestInstructions };
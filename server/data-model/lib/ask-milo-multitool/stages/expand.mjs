@@ -6,6 +6,9 @@ const require = createRequire(import.meta.url);
 
 import { query } from "@anthropic-ai/claude-agent-sdk";
 
+const { buildUserText } = require('../lib/promptCache');
+const { withSeedBlock } = require('../lib/seedPerspectives');
+
 // Build a clean env for SDK subprocess calls
 // Must remove CLAUDECODE to allow nested Claude Code processes
 const buildSdkEnv = (apiKey) => {
@@ -17,25 +20,7 @@ const buildSdkEnv = (apiKey) => {
 	return cleanEnv;
 };
 
-const expansionSchema = {
-	type: "object",
-	properties: {
-		instructions: {
-			type: "array",
-			items: {
-				type: "object",
-				properties: {
-					id: { type: "number", description: "1-based index" },
-					perspective: { type: "string", description: "Name of the analytical angle" },
-					instruction: { type: "string", description: "Full research instruction for the agent" },
-					methodology: { type: "string", description: "Brief note on approach/methodology" }
-				},
-				required: ["id", "perspective", "instruction", "methodology"]
-			}
-		}
-	},
-	required: ["instructions"]
-};
+const { EXPANSION_SCHEMA, validateExpansion } = require('../lib/expansionValidator');
 
 export const expand = async ({ originalPrompt, config, sessionContext }) => {
 	if (config.mockApi) {
@@ -55,10 +40,10 @@ export const expand = async ({ originalPrompt, config, sessionContext }) => {
 	let instructions = [];
 	let expandCost = { inputTokens: 0, outputTokens: 0, usd: 0 };
 
-	// Build user message: new prompt + session context (if resuming)
-	let userContent = originalPrompt;
+	// Build user message: new prompt (+ caller-chosen perspectives) + session context (if resuming)
+	let userContent = withSeedBlock(originalPrompt, config.perspectiveSeeds);
 	if (sessionContext) {
-		userContent = `${originalPrompt}\n\n${sessionContext}`;
+		userContent = `${userContent}\n\n${sessionContext}`;
 	}
 
 	if (verbose) {
@@ -69,7 +54,7 @@ export const expand = async ({ originalPrompt, config, sessionContext }) => {
 	}
 
 	for await (const message of query({
-		prompt: userContent,
+		prompt: buildUserText({ prompt: userContent, attachmentContext: config.attachmentContext }),
 		options: {
 			model: config.expandModel,
 			systemPrompt: systemPrompt,
@@ -80,7 +65,7 @@ export const expand = async ({ originalPrompt, config, sessionContext }) => {
 			env: buildSdkEnv(config.anthropicApiKey),
 			outputFormat: {
 				type: "json_schema",
-				schema: expansionSchema
+				schema: EXPANSION_SCHEMA
 			}
 		}
 	})) {
@@ -103,24 +88,34 @@ export const expand = async ({ originalPrompt, config, sessionContext }) => {
 		}
 		if (message.type === "result") {
 			if (message.subtype === "success") {
-				const data = message.structured_output || JSON.parse(message.result);
-				instructions = data.instructions || [];
+				let data = message.structured_output;
+				if (!data) {
+					try {
+						data = JSON.parse(message.result);
+					} catch (parseErr) {
+						throw Object.assign(new Error(`Expansion JSON parse failed: ${parseErr.message}`), { stage: 'expand', code: 'EXPANSION_PARSE' });
+					}
+				}
+				// The SDK's json_schema output has no repair turn; invalid output fails here with a coded error
+				instructions = validateExpansion(data, { expectedCount: config.perspectives }).instructions;
 				expandCost = {
 					inputTokens: (message.usage && message.usage.input_tokens) || 0,
 					outputTokens: (message.usage && message.usage.output_tokens) || 0,
+					cacheReadTokens: (message.usage && message.usage.cache_read_input_tokens) || 0,
+					cacheWriteTokens: (message.usage && message.usage.cache_creation_input_tokens) || 0,
 					usd: message.total_cost_usd || 0,
 				};
 				if (verbose) {
 					xLog.status(`[Expand] Success: ${instructions.length} instructions, ${expandCost.outputTokens} output tokens`);
 				}
 			} else {
-				throw new Error(`Expansion failed: ${message.subtype} - ${JSON.stringify(message.errors || [])}`);
+				throw Object.assign(new Error(`Expansion failed: ${message.subtype} - ${JSON.stringify(message.errors || [])}`), { stage: 'expand', code: 'EXPANSION_FAILED' });
 			}
 		}
 	}
 
 	if (instructions.length === 0) {
-		throw new Error("Expansion returned zero instructions");
+		throw Object.assign(new Error("Expansion returned zero instructions"), { stage: 'expand', code: 'EXPANSION_COUNT' });
 	}
 
 	return { instructions, expandCost };
@@ -0,0 +1,124 @@
+// Stage 2c -- Extract Claims (Direct API): lists the discrete claims in each perspective's findings (-extractClaims)
+// Runs after fan-out (and cross-examination) and before synthesis. Each usable perspective gets
+// one call returning { claims: [{ claim, rationale, confidence, kind }] }; lib/claims.js checks it
+// and assigns ids the synthesizer can cite. Uses the agent provider (lib/providers.js) for either driver.
+
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+
+import Anthropic from "@anthropic-ai/sdk";
+
+const modelRegistry = require('../lib/modelRegistry');
+const { buildSystem, cacheWarmup, describeCacheUse } = require('../lib/promptCache');
+const { extractTextParts } = require('../lib/toolLoop');
+const { withRateLimitRetry } = require('../lib/rateLimitRetry');
+const { runPool } = require('../lib/taskPool');
+const { zeroCost } = require('../lib/costs');
+const { CLAIMS_SCHEMA, parseClaimsText, normalizeClaims } = require('../lib/claims');
+const { isFailedFindings } = require('../lib/sessionManager');
+const { connect } = require('../lib/providers');
+const { requestSettings } = require('../lib/stageSettings');
+const { estimateCallUsd } = require('../lib/callEstimate');
+
+// Used when [prompts] has no claimExtractor entry
+const DEFAULT_CLAIM_EXTRACTOR_PROMPT = `You extract claims from a research analyst's findings. List every distinct assertion the findings make that matters to the research question, one claim per entry, each understandable on its own. For each give the rationale the findings offer, a confidence from 0 to 1 reflecting how well the findings support it (not whether you agree), and whether it is "factual" (checkable against evidence) or "opinion" (a judgement, forecast or recommendation). Do not add claims the findings do not make.
+
+Reply with only a JSON object matching this schema, no prose and no code fences:
+${JSON.stringify(CLAIMS_SCHEMA)}`;
+
+const extractOne = async ({ originalPrompt, result, config }) => {
+	if (config.mockApi) {
+		const { mockExtractClaims } = require('../lib/mockApi');
+		return mockExtractClaims({ result, config });
+	}
+
+	const { client, model, pricing } = connect({ stage: 'extractClaims', config, id: result.id, model: config.agentModel, Anthropic, appRetry: true });
+	const requestParams = {
+		model,
+		...requestSettings({ stage: 'extractClaims', config, model, defaultThinking: false }),
+		system: buildSystem({ systemPrompt: config.claimExtractorPromptText || DEFAULT_CLAIM_EXTRACTOR_PROMPT, config }),
+		messages: [{
+			role: 'user',
+			content: `RESEARCH QUESTION:\n${originalPrompt}\n\nFINDINGS (Perspective ${result.id}: ${result.perspective}):\n${result.findings}`,
+		}],
+	};
+
+	const stream = client.messages.stream(requestParams);
+	const response = await stream.finalMessage();
+	return {
+		text: extractTextParts(response).join('\n'),
+		cost: modelRegistry.estimateCost(model, response.usage, pricing),
+	};
+};
+
+// Returns { extractions: [{ id, items, cost, error? }] } for the perspectives with usable findings
+const extractClaims = async ({
+	originalPrompt,
+	results,
+	config,
+	ledger = require('../lib/costLedger')({}),
+}) => {
+	const { xLog } = process.global;
+	const verbose = config.verbose;
+	const usable = (results || []).filter(r => !isFailedFindings(r.findings));
+
+	if (usable.length === 0) {
+		return { extractions: [] };
+	}
+
+	const concurrency = config.serialFanOut ? 1 : config.fanOutConcurrency > 0 ? config.fanOutConcurrency : usable.length;
+
+	if (verbose) {
+		xLog.status(`[ExtractClaims] ${usable.length} perspectives, concurrency ${concurrency}, model=${config.agentModel}`);
+	}
+
+	// Every call shares the system prompt: the first one writes it to the cache for the rest
+	const warmup = cacheWarmup({ config, count: usable.length });
+	const settled = await runPool(usable, (result, index) => warmup.run(index, async () => {
+		const call = await ledger.waitForCall({
+			stage: 'extractClaims',
+			id: result.id,
+			perspective: result.perspective,
+			estimateUsd: estimateCallUsd({ stage: 'extractClaims', config, model: config.agentModel, id: result.id, inputText: [config.claimExtractorPromptText, originalPrompt, result.findings].filter(Boolean).join('\n') }),
+		});
+		if (!call) {
+			return { items: [], cost: zeroCost(), error: `skipped: ${ledger.lastSkipReason()}` };
+		}
+		let response;
+		try {
+			response = await withRateLimitRetry(
+				() => extractOne({ originalPrompt, result, config }),
+				{ maxRetries: config.rateLimitRetries },
+			);
+			call.finish(response.cost);
+		} catch (err) {
+			call.finish(null);
+			throw err;
+		}
+		// A reply that is not valid claims JSON is recorded, not fatal: the findings are still there
+		try {
+			const { items, dropped } = normalizeClaims(parseClaimsText(response.text), { perspectiveId: result.id });
+			if (verbose) {
+				xLog.status(`[ExtractClaims] ${result.id}/${result.perspective}: ${items.length} claims${dropped > 0 ? ` (${dropped} unusable dropped)` : ''}, $${response.cost.usd.toFixed(4)} ${describeCacheUse(response.cost)}`);
+			}
+			return { items, cost: response.cost };
+		} catch (err) {
+			xLog.error(`[ExtractClaims] ${result.id}/${result.perspective}: ${err.message}`);
+			return { items: [], cost: response.cost, error: err.message };
+		}
+	}), { concurrency });
+
+	const extractions = settled.map((outcome, idx) => {
+		const { id } = usable[idx];
+		if (outcome.status === 'fulfilled') {
+			return { id, ...outcome.value };
+		}
+		const reason = outcome.reason && outcome.reason.message ? outcome.reason.message : String(outcome.reason);
+		xLog.error(`[ExtractClaims] ${id}/${usable[idx].perspective} failed: ${reason}`);
+		return { id, items: [], cost: zeroCost(), error: reason };
+	});
+
+	return { extractions };
+};
+
+export { extractClaims, DEFAULT_CLAIM_EXTRACTOR_PROMPT };
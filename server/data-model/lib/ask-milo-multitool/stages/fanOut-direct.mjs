@@ -1,26 +1,33 @@
 // Stage 2 -- Fan-Out (Direct API): dispatches N parallel research calls
-// Uses @anthropic-ai/sdk directly instead of Agent SDK subprocess
+// Calls the agent provider(s) from lib/providers.js instead of an Agent SDK subprocess
+// (a list of agent providers is dealt out by perspective id).
+// Modes: all-at-once (default), serial (-serialFanOut), or a bounded pool (--fanOutConcurrency=N).
+// Every mode retries rate-limit/overload errors with backoff before giving up on an agent.
+// In the parallel modes the other agents start once the first has had its first reply, so
+// they read the shared prompt prefix from the cache it wrote (lib/promptCache.js cacheWarmup).
+// With --maxRunCostUsd, each agent reserves the worst-case cost of its first request before it
+// starts; agents the cost ledger cannot fit even after the running ones settle come back as
+// [SKIPPED: ...]. Each further tool-loop request is reserved the same way (lib/toolLoop.js).
+// Given a tool kit (e.g. --tools=confluence) each agent runs the shared tool_use loop.
 
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 
-import Anthropic from "@anthropic-ai/sdk";
+const { runPool } = require('../lib/taskPool');
+const { buildSystem, buildUserContent, cacheWarmup, describeCacheUse } = require('../lib/promptCache');
+const { runToolLoop } = require('../lib/toolLoop');
+const toolRegistry = require('../lib/toolRegistry');
+const { connect, DEFAULT_PROVIDER } = require('../lib/providers');
+const { requestSettings } = require('../lib/stageSettings');
+const { estimateCallUsd, requestText } = require('../lib/callEstimate');
 
-// Cost estimation based on model pricing (per million tokens)
-const MODEL_PRICING = {
-	'claude-opus-4-6': { input: 5.00, output: 25.00 },
-	'claude-sonnet-4-6': { input: 3.00, output: 15.00 },
-	'claude-haiku-4-5': { input: 1.00, output: 5.00 },
-};
+import Anthropic from "@anthropic-ai/sdk";
 
-const estimateCost = (model, usage) => {
-	const rates = MODEL_PRICING[model] || MODEL_PRICING['claude-sonnet-4-6'];
-	const inputCost = (usage.input_tokens / 1_000_000) * rates.input;
-	const outputCost = (usage.output_tokens / 1_000_000) * rates.output;
-	return inputCost + outputCost;
-};
+const modelRegistry = require('../lib/modelRegistry');
 
-const runOneAgent = async ({ instruction, config }) => {
+// ledgerCall: the agent's --maxRunCostUsd ledger handle, extended by each further tool-loop request
+// retry: { maxRetries, onRetry } for rate-limited requests (each tool-loop request is retried on its own)
+const runOneAgent = async ({ instruction, config, toolKit, onResponse, ledgerCall = null, retry = null }) => {
 	if (config.mockApi) {
 		const { mockFanOutAgent } = require('../lib/mockApi');
 		return mockFanOutAgent({ instruction, config });
@@ -29,54 +36,52 @@ const runOneAgent = async ({ instruction, config }) => {
 	const { xLog } = process.global;
 	const verbose = config.verbose;
 	const tag = `[Agent ${instruction.id}/${instruction.perspective}]`;
+	const toolNames = toolKit ? toolKit.tools.map(t => t.name) : [];
+	const { client, model, provider, pricing } = connect({ stage: 'fanOut', config, id: instruction.id, model: config.agentModel, Anthropic, appRetry: true });
 
 	if (verbose) {
 		xLog.status(`\n========== ${tag} Starting ==========`);
-		xLog.status(`${tag} model=${config.agentModel} (direct API, no tools)`);
+		xLog.status(`${tag} model=${model} (${provider}, ${toolNames.length > 0 ? `tools: ${toolNames.join(', ')}, max ${config.maxToolIterations} iterations` : 'no tools'})`);
 	}
 
 	const agentStart = Date.now();
 
-	const client = new Anthropic({ apiKey: config.anthropicApiKey });
-
 	const requestParams = {
-		model: config.agentModel,
-		max_tokens: 16384,
-		system: config.agentPromptText,
-		messages: [{ role: "user", content: instruction.instruction }],
+		model,
+		...requestSettings({ stage: 'fanOut', config, model }),
+		// Every agent shares agentPromptText, so later agents read it from the prompt cache
+		system: buildSystem({ systemPrompt: config.agentPromptText, config }),
+		// Attachments (if any) lead the user message and are shared by every agent
+		messages: [{ role: "user", content: buildUserContent({ prompt: instruction.instruction, attachmentContext: config.attachmentContext, config }) }],
 	};
 
-	// Use adaptive thinking for Opus 4.6, skip for others
-	if (config.agentModel.includes('opus-4-6')) {
-		requestParams.thinking = { type: "adaptive" };
-	}
-
-	if (verbose && config.tools.length > 0) {
-		xLog.status(`${tag} Note: tools [${config.tools.join(', ')}] ignored in direct mode`);
+	// Only registry toolsets run in direct mode; SDK tools (WebSearch, Read, ...) do not
+	const ignoredTools = toolRegistry.partitionTools(config.tools).others;
+	if (verbose && ignoredTools.length > 0) {
+		xLog.status(`${tag} Note: tools [${ignoredTools.join(', ')}] ignored in direct mode`);
 	}
 
-	const stream = client.messages.stream(requestParams);
-	const response = await stream.finalMessage();
+	// Without a tool kit the loop ends after the first response
+	const { textParts, cost, iterations, toolCalls } = await runToolLoop({
+		client,
+		pricing,
+		requestParams,
+		toolKit,
+		maxIterations: config.maxToolIterations,
+		verbose,
+		tag,
+		onResponse,
+		ledgerCall,
+		estimateUsd: (params) => estimateCallUsd({ stage: 'fanOut', config, model: config.agentModel, id: instruction.id, inputText: requestText(params) }),
+		retry,
+	});
 
-	// Extract text blocks (skip thinking blocks) — with interleaved thinking,
-	// there may be multiple text blocks. Concatenate all text content.
-	const textParts = response.content
-		.filter(b => b.type === 'text' && b.text)
-		.map(b => b.text.trim())
-		.filter(t => t.length > 0);
+	// With interleaved thinking there may be multiple text blocks. Concatenate all text content.
 	const findings = textParts.length > 0 ? textParts.join('\n\n') : '[NO RESPONSE]';
 
-	const cost = {
-		inputTokens: response.usage.input_tokens,
-		outputTokens: response.usage.output_tokens,
-		usd: estimateCost(config.agentModel, response.usage),
-	};
-
 	if (verbose) {
 		const elapsed = ((Date.now() - agentStart) / 1000).toFixed(1);
-		const blockTypes = response.content.map(b => b.type).join(', ');
-		xLog.status(`${tag} Response blocks: [${blockTypes}]`);
-		xLog.status(`========== ${tag} Finished in ${elapsed}s, $${cost.usd.toFixed(4)}, 1 turn ==========\n`);
+		xLog.status(`========== ${tag} Finished in ${elapsed}s, $${cost.usd.toFixed(4)}, ${iterations} turn(s), ${toolCalls.length} tool call(s) ${describeCacheUse(cost)} ==========\n`);
 	}
 
 	return {
@@ -84,13 +89,98 @@ const runOneAgent = async ({ instruction, config }) => {
 		perspective: instruction.perspective,
 		instruction: instruction.instruction,
 		findings,
-		model: config.agentModel,
+		model,
+		...(provider !== DEFAULT_PROVIDER && { provider }),
 		cost,
-		turns: 1,
+		turns: iterations,
+		toolCalls,
 	};
 };
 
-const fanOutParallel = async ({ instructions, config }) => {
+const failedAgentResult = ({ instruction, reason, config }) => ({
+	id: instruction.id,
+	perspective: instruction.perspective,
+	instruction: instruction.instruction,
+	findings: `[AGENT FAILED: ${reason}]`,
+	model: config.agentModel,
+	cost: { inputTokens: 0, outputTokens: 0, usd: 0 },
+	turns: 0,
+});
+
+const skippedAgentResult = ({ instruction, reason, config }) => ({
+	...failedAgentResult({ instruction, reason, config }),
+	findings: `[SKIPPED: ${reason}]`,
+});
+
+// Wraps runOneAgent with the cost ledger, 429/529 retry (per tool-loop request) and progress events; failures are reported by the caller
+const runTrackedAgent = async ({ instruction, config, progress, ledger, toolKit, onResponse }) => {
+	const { xLog } = process.global;
+	const call = await ledger.waitForCall({
+		stage: 'fanOut',
+		id: instruction.id,
+		perspective: instruction.perspective,
+		estimateUsd: estimateCallUsd({
+			stage: 'fanOut',
+			config,
+			model: config.agentModel,
+			id: instruction.id,
+			inputText: [config.agentPromptText, config.attachmentContext, instruction.instruction].filter(Boolean).join('\n'),
+		}),
+	});
+	if (!call) {
+		const skipped = skippedAgentResult({ instruction, reason: ledger.lastSkipReason(), config });
+		if (config.verbose) {
+			xLog.status(`[Fan-Out-Direct] Agent ${instruction.id}/${instruction.perspective} skipped: ${ledger.lastSkipReason()}`);
+		}
+		progress.agentFinished(skipped);
+		return skipped;
+	}
+	progress.agentStarted(instruction);
+	let result;
+	try {
+		result = await runOneAgent({
+			instruction,
+			config,
+			toolKit,
+			onResponse,
+			ledgerCall: call,
+			retry: {
+				maxRetries: config.rateLimitRetries,
+				onRetry: ({ attempt, maxRetries, delayMs, reason }) => {
+					progress.agentRetrying(instruction, { attempt, delayMs, reason });
+					if (config.verbose) {
+						xLog.status(`[Fan-Out-Direct] Agent ${instruction.id}/${instruction.perspective} rate limited (${reason}); retry ${attempt}/${maxRetries} in ${(delayMs / 1000).toFixed(1)}s`);
+					}
+				},
+			},
+		});
+	} catch (err) {
+		call.finish(null);
+		throw err;
+	}
+	call.finish(result.cost);
+	progress.agentFinished(result);
+	return result;
+};
+
+// runTrackedAgent for a parallel batch: agents after the first wait for it to warm the cache
+// (released as soon as its first reply is in, not when its whole tool loop ends)
+const runWarmedAgent = ({ warmup, index, ...agentArgs }) =>
+	warmup.run(index, () => runTrackedAgent({ ...agentArgs, onResponse: warmup.release }));
+
+// Convert allSettled-shaped outcomes into results, marking rejected agents as failed
+const settledToResults = ({ settled, instructions, config, progress }) => {
+	return settled.map((outcome, idx) => {
+		if (outcome.status === "fulfilled") {
+			return outcome.value;
+		}
+		const failed = failedAgentResult({ instruction: instructions[idx], reason: outcome.reason, config });
+		progress.agentFinished(failed);
+		return failed;
+	});
+};
+
+const fanOutParallel = async ({ instructions, config, progress, ledger, toolKit }) => {
 	const { xLog } = process.global;
 	const verbose = config.verbose;
 
@@ -98,8 +188,9 @@ const fanOutParallel = async ({ instructions, config }) => {
 		xLog.status(`[Fan-Out-Direct] Dispatching ${instructions.length} API calls via Promise.allSettled()...`);
 	}
 
-	const agentPromises = instructions.map((instruction) =>
-		runOneAgent({ instruction, config })
+	const warmup = cacheWarmup({ config, count: instructions.length });
+	const agentPromises = instructions.map((instruction, index) =>
+		runWarmedAgent({ warmup, index, instruction, config, progress, ledger, toolKit })
 	);
 
 	const settled = await Promise.allSettled(agentPromises);
@@ -110,27 +201,34 @@ const fanOutParallel = async ({ instructions, config }) => {
 		xLog.status(`[Fan-Out-Direct] All settled: ${fulfilled} fulfilled, ${rejected} rejected`);
 	}
 
-	const results = [];
-	settled.forEach((outcome, idx) => {
-		if (outcome.status === "fulfilled") {
-			results.push(outcome.value);
-		} else {
-			results.push({
-				id: instructions[idx].id,
-				perspective: instructions[idx].perspective,
-				instruction: instructions[idx].instruction,
-				findings: `[AGENT FAILED: ${outcome.reason}]`,
-				model: config.agentModel,
-				cost: { inputTokens: 0, outputTokens: 0, usd: 0 },
-				turns: 0,
-			});
-		}
-	});
+	return { results: settledToResults({ settled, instructions, config, progress }) };
+};
 
-	return { results };
+const fanOutPool = async ({ instructions, config, progress, ledger, toolKit }) => {
+	const { xLog } = process.global;
+	const verbose = config.verbose;
+
+	if (verbose) {
+		xLog.status(`[Fan-Out-Direct] Running ${instructions.length} API calls with concurrency ${config.fanOutConcurrency}...`);
+	}
+
+	const warmup = cacheWarmup({ config, count: instructions.length });
+	const settled = await runPool(
+		instructions,
+		(instruction, index) => runWarmedAgent({ warmup, index, instruction, config, progress, ledger, toolKit }),
+		{ concurrency: config.fanOutConcurrency }
+	);
+
+	if (verbose) {
+		const fulfilled = settled.filter(s => s.status === 'fulfilled').length;
+		const rejected = settled.filter(s => s.status === 'rejected').length;
+		xLog.status(`[Fan-Out-Direct] Pool drained: ${fulfilled} fulfilled, ${rejected} rejected`);
+	}
+
+	return { results: settledToResults({ settled, instructions, config, progress }) };
 };
 
-const fanOutSerial = async ({ instructions, config }) => {
+const fanOutSerial = async ({ instructions, config, progress, ledger, toolKit }) => {
 	const { xLog } = process.global;
 	const verbose = config.verbose;
 
@@ -141,31 +239,35 @@ const fanOutSerial = async ({ instructions, config }) => {
 	const results = [];
 	for (const instruction of instructions) {
 		try {
-			const result = await runOneAgent({ instruction, config });
+			const result = await runTrackedAgent({ instruction, config, progress, ledger, toolKit });
 			results.push(result);
 			if (verbose) {
 				xLog.status(`[Fan-Out-Direct] Agent ${instruction.id}/${instruction.perspective} completed`);
 			}
 		} catch (err) {
-			results.push({
-				id: instruction.id,
-				perspective: instruction.perspective,
-				instruction: instruction.instruction,
-				findings: `[AGENT FAILED: ${err}]`,
-				model: config.agentModel,
-				cost: { inputTokens: 0, outputTokens: 0, usd: 0 },
-				turns: 0,
-			});
+			const failed = failedAgentResult({ instruction, reason: err, config });
+			progress.agentFinished(failed);
+			results.push(failed);
 		}
 	}
 
 	return { results };
 };
 
-const fanOut = async ({ instructions, config }) => {
-	return config.serialFanOut
-		? fanOutSerial({ instructions, config })
-		: fanOutParallel({ instructions, config });
+const fanOut = async ({
+	instructions,
+	config,
+	progress = require('../lib/progressReporter')({ enabled: false }),
+	ledger = require('../lib/costLedger')({}),
+	toolKit = null,
+}) => {
+	if (config.serialFanOut) {
+		return fanOutSerial({ instructions, config, progress, ledger, toolKit });
+	}
+	if (config.fanOutConcurrency > 0) {
+		return fanOutPool({ instructions, config, progress, ledger, toolKit });
+	}
+	return fanOutParallel({ instructions, config, progress, ledger, toolKit });
 };
 
 export { runOneAgent, fanOut };
@@ -7,6 +7,9 @@ const require = createRequire(import.meta.url);
 import { query } from "@anthropic-ai/claude-agent-sdk";
 import { buildSdkEnv } from "./expand.mjs";
 
+const { buildUserText } = require('../lib/promptCache');
+const { estimateCallUsd } = require('../lib/callEstimate');
+
 const runOneAgent = async ({ instruction, config }) => {
 	if (config.mockApi) {
 		const { mockFanOutAgent } = require('../lib/mockApi');
@@ -40,7 +43,7 @@ const runOneAgent = async ({ instruction, config }) => {
 	};
 
 	for await (const message of query({
-		prompt: instruction.instruction,
+		prompt: buildUserText({ prompt: instruction.instruction, attachmentContext: config.attachmentContext }),
 		options: queryOptions,
 	})) {
 		if (verbose) {
@@ -88,6 +91,8 @@ const runOneAgent = async ({ instruction, config }) => {
 				cost = {
 					inputTokens: (message.usage && message.usage.input_tokens) || 0,
 					outputTokens: (message.usage && message.usage.output_tokens) || 0,
+					cacheReadTokens: (message.usage && message.usage.cache_read_input_tokens) || 0,
+					cacheWriteTokens: (message.usage && message.usage.cache_creation_input_tokens) || 0,
 					usd: message.total_cost_usd || 0,
 				};
 				turns = message.num_turns || 0;
@@ -97,6 +102,8 @@ const runOneAgent = async ({ instruction, config }) => {
 				cost = {
 					inputTokens: (message.usage && message.usage.input_tokens) || 0,
 					outputTokens: (message.usage && message.usage.output_tokens) || 0,
+					cacheReadTokens: (message.usage && message.usage.cache_read_input_tokens) || 0,
+					cacheWriteTokens: (message.usage && message.usage.cache_creation_input_tokens) || 0,
 					usd: message.total_cost_usd || 0,
 				};
 				turns = message.num_turns || 0;
@@ -120,7 +127,22 @@ const runOneAgent = async ({ instruction, config }) => {
 	};
 };
 
-const fanOut = async ({ instructions, config }) => {
+const skippedAgentResult = ({ instruction, reason, config }) => ({
+	id: instruction.id,
+	perspective: instruction.perspective,
+	instruction: instruction.instruction,
+	findings: `[SKIPPED: ${reason}]`,
+	model: config.agentModel,
+	cost: { inputTokens: 0, outputTokens: 0, usd: 0 },
+	turns: 0,
+});
+
+const fanOut = async ({
+	instructions,
+	config,
+	progress = require('../lib/progressReporter')({ enabled: false }),
+	ledger = require('../lib/costLedger')({}),
+}) => {
 	const { xLog } = process.global;
 	const verbose = config.verbose;
 
@@ -128,9 +150,31 @@ const fanOut = async ({ instructions, config }) => {
 		xLog.status(`[Fan-Out] Dispatching ${instructions.length} agents via Promise.allSettled()...`);
 	}
 
-	const agentPromises = instructions.map((instruction) =>
-		runOneAgent({ instruction, config })
-	);
+	// An SDK agent stops at its --budget, so that is what it reserves
+	const agentBudgetUsd = !config.mockApi && parseFloat(config.budget) > 0 ? parseFloat(config.budget) : 0;
+
+	const agentPromises = instructions.map(async (instruction) => {
+		const call = await ledger.waitForCall({
+			stage: 'fanOut',
+			id: instruction.id,
+			perspective: instruction.perspective,
+			estimateUsd: agentBudgetUsd || estimateCallUsd({ stage: 'fanOut', config, model: config.agentModel, inputText: instruction.instruction }),
+		});
+		if (!call) {
+			const skipped = skippedAgentResult({ instruction, reason: ledger.lastSkipReason(), config });
+			progress.agentFinished(skipped);
+			return skipped;
+		}
+		progress.agentStarted(instruction);
+		return runOneAgent({ instruction, config }).then((result) => {
+			call.finish(result.cost);
+			progress.agentFinished(result);
+			return result;
+		}, (err) => {
+			call.finish(null);
+			throw err;
+		});
+	});
 
 	const settled = await Promise.allSettled(agentPromises);
 
@@ -145,7 +189,7 @@ const fanOut = async ({ instructions, config }) => {
 		if (outcome.status === "fulfilled") {
 			results.push(outcome.value);
 		} else {
-			results.push({
+			const failed = {
 				id: instructions[idx].id,
 				perspective: instructions[idx].perspective,
 				instruction: instructions[idx].instruction,
@@ -153,7 +197,9 @@ const fanOut = async ({ instructions, config }) => {
 				model: config.agentModel,
 				cost: { inputTokens: 0, outputTokens: 0, usd: 0 },
 				turns: 0,
-			});
+			};
+			progress.agentFinished(failed);
+			results.push(failed);
 		}
 	});
 
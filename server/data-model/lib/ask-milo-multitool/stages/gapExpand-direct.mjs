@@ -0,0 +1,66 @@
+// Stage 3b -- Gap Expand (Direct API): turns the open gaps of a synthesis into follow-up research instructions (--rounds=N)
+// Same schema, validation and repair loop as stage 1 (requestInstructions from expand-direct.mjs).
+// Returned ids continue after the last perspective of the previous rounds.
+// Uses expand's provider (lib/providers.js) for either driver.
+
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+
+import Anthropic from "@anthropic-ai/sdk";
+
+import { requestInstructions } from './expand-direct.mjs';
+
+const { buildSystem, buildUserContent } = require('../lib/promptCache');
+const { DEFAULT_GAP_EXPANDER_PROMPT, buildGapPrompt } = require('../lib/researchRounds');
+const { connect } = require('../lib/providers');
+const { requestSettings } = require('../lib/stageSettings');
+
+const gapExpand = async ({ originalPrompt, synthesis, gaps, priorInstructions, firstId, config }) => {
+	const count = Math.min(config.perspectives, gaps.length);
+	const renumber = (instructions) => instructions.map((instr, idx) => ({ ...instr, id: firstId + idx }));
+
+	if (config.mockApi) {
+		const { mockGapExpand } = require('../lib/mockApi');
+		const { instructions, expandCost } = mockGapExpand({ gaps: gaps.slice(0, count), config });
+		return { instructions: renumber(instructions), expandCost, expandRepairs: 0 };
+	}
+
+	const { xLog } = process.global;
+	const { client, model, provider, pricing } = connect({ stage: 'gapExpand', config, model: config.expandModel, Anthropic });
+	if (config.verbose) {
+		xLog.status(`[GapExpand-Direct] Calling ${provider} with model=${model} for ${count} follow-up instruction(s)...`);
+	}
+
+	const requestParams = {
+		model,
+		...requestSettings({ stage: 'gapExpand', config, model }),
+		system: buildSystem({ systemPrompt: (config.gapExpanderPromptText || DEFAULT_GAP_EXPANDER_PROMPT) + config.jsonEnforcementText, config }),
+		messages: [{
+			role: 'user',
+			content: buildUserContent({
+				prompt: buildGapPrompt({ originalPrompt, synthesis, gaps, priorInstructions, count }),
+				attachmentContext: config.attachmentContext,
+				config,
+			}),
+		}],
+	};
+
+	try {
+		const { instructions, expandCost, expandRepairs } = await requestInstructions({
+			client,
+			requestParams,
+			pricing,
+			expectedCount: count,
+			config,
+			tag: '[GapExpand-Direct]',
+		});
+		return { instructions: renumber(instructions), expandCost, expandRepairs };
+	} catch (err) {
+		if (err.code) {
+			err.stage = 'gapExpand';
+		}
+		throw err;
+	}
+};
+
+export { gapExpand };
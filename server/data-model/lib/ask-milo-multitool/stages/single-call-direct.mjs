@@ -1,25 +1,16 @@
 // SingleCall (Direct API): generalized single-call pipeline stage
 // Handles any prompt + optional session context. Generalized from interrogate-direct.mjs.
-// Uses @anthropic-ai/sdk directly.
+// Calls the provider chosen for singleCall (lib/providers.js): Anthropic via @anthropic-ai/sdk, or an OpenAI-compatible server.
 
 import { createRequire } from 'module';
 const require = createRequire(import.meta.url);
 
 import Anthropic from "@anthropic-ai/sdk";
 
-// Cost estimation based on model pricing (per million tokens)
-const MODEL_PRICING = {
-	'claude-opus-4-6': { input: 5.00, output: 25.00 },
-	'claude-sonnet-4-6': { input: 3.00, output: 15.00 },
-	'claude-haiku-4-5': { input: 1.00, output: 5.00 },
-};
-
-const estimateCost = (model, usage) => {
-	const rates = MODEL_PRICING[model] || MODEL_PRICING['claude-sonnet-4-6'];
-	const inputCost = (usage.input_tokens / 1_000_000) * rates.input;
-	const outputCost = (usage.output_tokens / 1_000_000) * rates.output;
-	return inputCost + outputCost;
-};
+const modelRegistry = require('../lib/modelRegistry');
+const { buildSystem, buildUserContent, describeCacheUse } = require('../lib/promptCache');
+const { connect } = require('../lib/providers');
+const { requestSettings } = require('../lib/stageSettings');
 
 const singleCall = async ({ prompt, systemPrompt, sessionContext, config }) => {
 	if (config.mockApi) {
@@ -29,36 +20,27 @@ const singleCall = async ({ prompt, systemPrompt, sessionContext, config }) => {
 
 	const { xLog } = process.global;
 	const verbose = config.verbose;
-	const model = config.agentModel;
+	const { client, model, provider, pricing } = connect({ stage: 'singleCall', config, model: config.agentModel, Anthropic });
 
-	// Build user message: prompt + optional session context
-	let userMessage = prompt;
-	if (sessionContext) {
-		userMessage = `${sessionContext}\n\n--- NEW PROMPT ---\n${prompt}`;
-	}
+	// Build user message: optional session context (cacheable) + prompt
+	const userMessage = buildUserContent({ prompt, sessionContext, attachmentContext: config.attachmentContext, config });
+	const userMessageLength = (config.attachmentContext || '').length + (sessionContext ? sessionContext.length : 0) + prompt.length;
 
 	if (verbose) {
-		xLog.status(`[SingleCall] Calling messages API with model=${model}...`);
-		xLog.status(`[SingleCall] User message length: ${userMessage.length} chars`);
+		xLog.status(`[SingleCall] Calling ${provider} with model=${model}...`);
+		xLog.status(`[SingleCall] User message length: ${userMessageLength} chars`);
 		if (sessionContext) {
 			xLog.status(`[SingleCall] Session context injected (${sessionContext.length} chars)`);
 		}
 	}
 
-	const client = new Anthropic({ apiKey: config.anthropicApiKey });
-
 	const requestParams = {
 		model,
-		max_tokens: 16384,
-		system: systemPrompt,
+		...requestSettings({ stage: 'singleCall', config, model }),
+		system: buildSystem({ systemPrompt, config }),
 		messages: [{ role: "user", content: userMessage }],
 	};
 
-	// Use adaptive thinking for Opus 4.6, skip for others
-	if (model.includes('opus-4-6')) {
-		requestParams.thinking = { type: "adaptive" };
-	}
-
 	const stream = client.messages.stream(requestParams);
 	const response = await stream.finalMessage();
 
@@ -75,17 +57,13 @@ const singleCall = async ({ prompt, systemPrompt, sessionContext, config }) => {
 
 	const responseText = textParts.length > 0 ? textParts.join('\n\n') : '[NO RESPONSE]';
 
-	const cost = {
-		inputTokens: response.usage.input_tokens,
-		outputTokens: response.usage.output_tokens,
-		usd: estimateCost(model, response.usage),
-	};
+	const cost = modelRegistry.estimateCost(model, response.usage, pricing);
 
 	if (verbose) {
-		xLog.status(`[SingleCall] Success: ${responseText.length} chars, ${cost.outputTokens} output tokens, $${cost.usd.toFixed(4)}`);
+		xLog.status(`[SingleCall] Success: ${responseText.length} chars, ${cost.outputTokens} output tokens, $${cost.usd.toFixed(4)} ${describeCacheUse(cost)}`);
 	}
 
-	return { responseText, cost };
+	return { responseText, cost, model };
 };
 
 export { singleCall };
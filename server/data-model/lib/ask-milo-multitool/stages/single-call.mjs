@@ -8,7 +8,9 @@ import { query, tool, createSdkMcpServer } from "@anthropic-ai/claude-agent-sdk"
 import { z } from "zod/v4";
 import { buildSdkEnv } from "./expand.mjs";
 
-const singleCall = async ({ prompt, systemPrompt, sessionContext, config, accessor }) => {
+const { buildUserText } = require('../lib/promptCache');
+
+const singleCall = async ({ prompt, systemPrompt, sessionContext, config, toolKit = null }) => {
 	if (config.mockApi) {
 		const { mockSingleCall } = require('../lib/mockApi');
 		return mockSingleCall({ prompt, systemPrompt, config });
@@ -18,11 +20,8 @@ const singleCall = async ({ prompt, systemPrompt, sessionContext, config, access
 	const verbose = config.verbose;
 	const model = config.agentModel;
 
-	// Build user message: prompt + optional session context
-	let userMessage = prompt;
-	if (sessionContext) {
-		userMessage = `${sessionContext}\n\n--- NEW PROMPT ---\n${prompt}`;
-	}
+	// Build user message: optional attachments + session context, then prompt
+	const userMessage = buildUserText({ prompt, sessionContext, attachmentContext: config.attachmentContext });
 
 	if (verbose) {
 		xLog.status(`[SingleCall-SDK] Calling query() with model=${model}...`);
@@ -35,19 +34,17 @@ const singleCall = async ({ prompt, systemPrompt, sessionContext, config, access
 	let responseText = '';
 	let cost = { inputTokens: 0, outputTokens: 0, usd: 0 };
 
-	// Build MCP servers map when confluence accessor is provided
+	// Build MCP servers map when registry toolsets were requested
 	let mcpServers;
-	if (accessor) {
-		const { createConfluenceMcpServer } = require('../lib/confluenceTools');
-		const mcpServer = createConfluenceMcpServer(accessor, { tool, createSdkMcpServer, z });
-		mcpServers = { confluence: mcpServer };
+	if (toolKit) {
+		mcpServers = toolKit.createMcpServers({ tool, createSdkMcpServer, z });
 		if (verbose) {
-			xLog.status(`[SingleCall-SDK] Created Confluence MCP server (in-process)`);
+			xLog.status(`[SingleCall-SDK] Created MCP server(s) (in-process): ${toolKit.toolsets.join(', ')}`);
 		}
 	}
 
-	// Filter out 'confluence' from the built-in tools list — it's handled by the MCP server
-	const builtInTools = config.tools.filter(t => t.toLowerCase() !== 'confluence');
+	// Registry toolsets are handled by the MCP servers; the rest are SDK built-ins
+	const builtInTools = require('../lib/toolRegistry').partitionTools(config.tools).others;
 
 	const queryOptions = {
 		model,
@@ -88,6 +85,8 @@ const singleCall = async ({ prompt, systemPrompt, sessionContext, config, access
 				cost = {
 					inputTokens: (message.usage && message.usage.input_tokens) || 0,
 					outputTokens: (message.usage && message.usage.output_tokens) || 0,
+					cacheReadTokens: (message.usage && message.usage.cache_read_input_tokens) || 0,
+					cacheWriteTokens: (message.usage && message.usage.cache_creation_input_tokens) || 0,
 					usd: message.total_cost_usd || 0,
 				};
 				if (verbose) {
@@ -98,6 +97,8 @@ const singleCall = async ({ prompt, systemPrompt, sessionContext, config, access
 				cost = {
 					inputTokens: (message.usage && message.usage.input_tokens) || 0,
 					outputTokens: (message.usage && message.usage.output_tokens) || 0,
+					cacheReadTokens: (message.usage && message.usage.cache_read_input_tokens) || 0,
+					cacheWriteTokens: (message.usage && message.usage.cache_creation_input_tokens) || 0,
 					usd: message.total_cost_usd || 0,
 				};
 			}
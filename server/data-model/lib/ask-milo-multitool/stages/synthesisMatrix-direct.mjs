@@ -0,0 +1,109 @@
+// Stage 3b -- Synthesis Matrix (Direct API): restates the final synthesis as JSON (-synthesisMatrix)
+// Runs after synthesis (and any --rounds). One call with the synthesis model (synthModel) returns
+// { themes: [{ theme, summary, agree, disagree, strength, claimIds? }], openQuestions }; lib/synthesisMatrix.js
+// checks it against the turn's perspective and claim ids. Uses synthesize's provider (lib/providers.js) for either driver.
+
+import { createRequire } from 'module';
+const require = createRequire(import.meta.url);
+
+import Anthropic from "@anthropic-ai/sdk";
+
+const modelRegistry = require('../lib/modelRegistry');
+const { buildSystem, describeCacheUse } = require('../lib/promptCache');
+const { extractTextParts } = require('../lib/toolLoop');
+const { withRateLimitRetry } = require('../lib/rateLimitRetry');
+const { zeroCost } = require('../lib/costs');
+const { MATRIX_SCHEMA, parseMatrixText, normalizeMatrix } = require('../lib/synthesisMatrix');
+const { describeClaims } = require('../lib/claims');
+const { connect } = require('../lib/providers');
+const { requestSettings } = require('../lib/stageSettings');
+const { estimateCallUsd } = require('../lib/callEstimate');
+
+// Used when [prompts] has no synthesisMatrix entry
+const DEFAULT_SYNTHESIS_MATRIX_PROMPT = `You turn a research synthesis into a machine-readable consensus matrix. You receive the research question, the list of analyst perspectives with their ids (and their extracted claims, when available) and the synthesis written from their findings. List the themes the synthesis covers. For each give the position the synthesis takes, the ids of the perspectives whose findings support it, the ids of those whose findings contradict it (leave out perspectives that did not address it), and how strong the support is overall: "strong", "moderate" or "weak". When claims are listed, give the ids of the claims behind each position. Finish with the open questions the synthesis leaves unanswered. Use only what the synthesis and perspectives say.
+
+Reply with only a JSON object matching this schema, no prose and no code fences:
+${JSON.stringify(MATRIX_SCHEMA)}`;
+
+const requestMatrix = async ({ originalPrompt, results, synthesis, config }) => {
+	if (config.mockApi) {
+		const { mockSynthesisMatrix } = require('../lib/mockApi');
+		return mockSynthesisMatrix({ results, config });
+	}
+
+	const perspectiveList = results.map(r => `${r.id}. ${r.perspective}` +
+		(r.claims && r.claims.items.length > 0 ? `\n${describeClaims(r.claims.items)}` : '')).join('\n');
+
+	const { client, model, pricing } = connect({ stage: 'synthesisMatrix', config, model: config.synthModel, Anthropic, appRetry: true });
+	const requestParams = {
+		model,
+		...requestSettings({ stage: 'synthesisMatrix', config, model, defaultThinking: false }),
+		system: buildSystem({ systemPrompt: config.synthesisMatrixPromptText || DEFAULT_SYNTHESIS_MATRIX_PROMPT, config }),
+		messages: [{
+			role: 'user',
+			content: `RESEARCH QUESTION:\n${originalPrompt}\n\nPERSPECTIVES:\n${perspectiveList}\n\nSYNTHESIS:\n${synthesis}`,
+		}],
+	};
+
+	const stream = client.messages.stream(requestParams);
+	const response = await stream.finalMessage();
+	return {
+		text: extractTextParts(response).join('\n'),
+		cost: modelRegistry.estimateCost(model, response.usage, pricing),
+	};
+};
+
+// Returns { matrix: { themes, openQuestions, cost, error? } }. Failures are recorded on
+// the matrix rather than thrown: the synthesis text is still there.
+const synthesisMatrix = async ({
+	originalPrompt,
+	results,
+	synthesis,
+	config,
+	ledger = require('../lib/costLedger')({}),
+}) => {
+	const { xLog } = process.global;
+	const verbose = config.verbose;
+	const empty = { themes: [], openQuestions: [] };
+
+	const call = ledger.startCall({
+		stage: 'synthesisMatrix',
+		estimateUsd: estimateCallUsd({ stage: 'synthesisMatrix', config, model: config.synthModel, inputText: [config.synthesisMatrixPromptText, originalPrompt, synthesis, ...results.map(r => r.findings)].filter(Boolean).join('\n') }),
+	});
+	if (!call) {
+		return { matrix: { ...empty, cost: zeroCost(), error: `skipped: ${ledger.lastSkipReason()}` } };
+	}
+
+	if (verbose) {
+		xLog.status(`[SynthesisMatrix] Calling messages API with model=${config.synthModel}...`);
+	}
+
+	let response;
+	try {
+		response = await withRateLimitRetry(
+			() => requestMatrix({ originalPrompt, results, synthesis, config }),
+			{ maxRetries: config.rateLimitRetries },
+		);
+		call.finish(response.cost);
+	} catch (err) {
+		call.finish(null);
+		xLog.error(`[SynthesisMatrix] Failed: ${err.message}`);
+		return { matrix: { ...empty, cost: zeroCost(), error: err.message } };
+	}
+
+	try {
+		const { themes, openQuestions, droppedIds } = normalizeMatrix(parseMatrixText(response.text), {
+			perspectiveIds: results.map(r => r.id),
+			claimIds: results.flatMap(r => (r.claims ? r.claims.items.map(c => c.id) : [])),
+		});
+		if (verbose) {
+			xLog.status(`[SynthesisMatrix] ${themes.length} themes, ${openQuestions.length} open questions${droppedIds > 0 ? ` (${droppedIds} unknown ids dropped)` : ''}, $${response.cost.usd.toFixed(4)} ${describeCacheUse(response.cost)}`);
+		}
+		return { matrix: { themes, openQuestions, cost: response.cost } };
+	} catch (err) {
+		xLog.error(`[SynthesisMatrix] ${err.message}`);
+		return { matrix: { ...empty, cost: response.cost, error: err.message } };
+	}
+};
+
+export { synthesisMatrix, DEFAULT_SYNTHESIS_MATRIX_PROMPT };
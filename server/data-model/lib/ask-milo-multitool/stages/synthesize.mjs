@@ -7,6 +7,10 @@ const require = createRequire(import.meta.url);
 import { query } from "@anthropic-ai/claude-agent-sdk";
 import { buildSdkEnv } from "./expand.mjs";
 
+const { buildUserText } = require('../lib/promptCache');
+const { GAP_REPORT_INSTRUCTION } = require('../lib/researchRounds');
+const { CLAIM_CITATION_INSTRUCTION, describeClaims } = require('../lib/claims');
+
 const synthesize = async ({ originalPrompt, instructions, results, config }) => {
 	if (config.mockApi) {
 		const { mockSynthesize } = require('../lib/mockApi');
@@ -17,16 +21,20 @@ const synthesize = async ({ originalPrompt, instructions, results, config }) =>
 	const verbose = config.verbose;
 	const systemPrompt = config.summarizerPromptText;
 
-	// Build user message: original prompt + all perspective findings
+	// Build user message: original prompt + all perspective findings (+ -crossExamine critiques, -extractClaims claims)
 	const perspectiveSections = results.map((r) => {
-		return `=== Perspective ${r.id}: ${r.perspective} ===\nMethodology: ${(instructions.find(i => i.id === r.id) || {}).methodology || 'N/A'}\n\nFindings:\n${r.findings}`;
+		return `=== Perspective ${r.id}: ${r.perspective} ===\nMethodology: ${(instructions.find(i => i.id === r.id) || {}).methodology || 'N/A'}\n\nFindings:\n${r.findings}` +
+			(r.critique ? `\n\nCross-examination (this analyst on the others' findings):\n${r.critique.text}` : '') +
+			(r.claims && r.claims.items.length > 0 ? `\n\nClaims:\n${describeClaims(r.claims.items)}` : '');
 	}).join('\n\n');
 
 	const userMessage = `ORIGINAL RESEARCH QUESTION:\n${originalPrompt}\n\n` +
-		`FINDINGS FROM ${results.length} INDEPENDENT ANALYSTS:\n\n${perspectiveSections}`;
+		`FINDINGS FROM ${results.length} INDEPENDENT ANALYSTS:\n\n${perspectiveSections}` +
+		(results.some(r => r.claims && r.claims.items.length > 0) ? `\n\n${CLAIM_CITATION_INSTRUCTION}` : '') +
+		(config.rounds > 1 ? `\n\n${GAP_REPORT_INSTRUCTION}` : '');
 
 	if (verbose) {
-		xLog.status(`[Synthesize-SDK] Calling query() with model=${config.expandModel}...`);
+		xLog.status(`[Synthesize-SDK] Calling query() with model=${config.synthModel}...`);
 		xLog.status(`[Synthesize-SDK] User message length: ${userMessage.length} chars`);
 	}
 
@@ -34,9 +42,9 @@ const synthesize = async ({ originalPrompt, instructions, results, config }) =>
 	let synthesisCost = { inputTokens: 0, outputTokens: 0, usd: 0 };
 
 	for await (const message of query({
-		prompt: userMessage,
+		prompt: buildUserText({ prompt: userMessage, attachmentContext: config.attachmentContext }),
 		options: {
-			model: config.expandModel,
+			model: config.synthModel,
 			systemPrompt: systemPrompt,
 			permissionMode: "bypassPermissions",
 			allowDangerouslySkipPermissions: true,
@@ -67,6 +75,8 @@ const synthesize = async ({ originalPrompt, instructions, results, config }) =>
 				synthesisCost = {
 					inputTokens: (message.usage && message.usage.input_tokens) || 0,
 					outputTokens: (message.usage && message.usage.output_tokens) || 0,
+					cacheReadTokens: (message.usage && message.usage.cache_read_input_tokens) || 0,
+					cacheWriteTokens: (message.usage && message.usage.cache_creation_input_tokens) || 0,
 					usd: message.total_cost_usd || 0,
 				};
 				if (verbose) {
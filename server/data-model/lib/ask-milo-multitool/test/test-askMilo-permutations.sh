@@ -3,6 +3,7 @@
 #
 # Default: runs with -mockApi (no API calls, fast, free)
 # Pass -prod to run with real API calls (costs money, slower)
+# Pass -record=DIR to run with real API calls and save them, -replay=DIR to re-run from them
 #
 # Usage:
 #   ./test-askMilo-permutations.sh              # all groups, mock mode
@@ -10,28 +11,44 @@
 #   ./test-askMilo-permutations.sh single-call   # one group, mock mode
 #   ./test-askMilo-permutations.sh -prod chorus  # one group, live API
 #   ./test-askMilo-permutations.sh -verbose       # all groups, show full output
+#   ./test-askMilo-permutations.sh -record=/tmp/rec   # all groups, live API, recorded
+#   ./test-askMilo-permutations.sh -replay=/tmp/rec   # all groups, replayed (no API calls)
 #
-# Groups: single-call, chorus, prompts, interrogate, confluence, sessions, output, json-stdin, edge
+# Groups: single-call, chorus, prompts, interrogate, confluence, sessions, output, json-stdin, edge, fixtures
+#
+# The fixtures group always replays the recordings in fixtures/replay/ against fixtures/askMilo.ini
+# (ASKMILO_CONFIG_DIR), whatever the mode: each directory is one scripted run.
 
 PASSED=0
 FAILED=0
 SKIPPED=0
 TOTAL=0
 PROD_MODE=false
+RECORD_DIR=""
+REPLAY_DIR=""
 VERBOSE=false
 GROUP_FILTER=""
 TEST_SESSION_NAME="__TEST_permutation_$(date +%s)"
+FIXTURE_DIR="$(cd "$(dirname "$0")" && pwd)/fixtures"
 
 # Parse args
 for arg in "$@"; do
 	case "$arg" in
 		-prod) PROD_MODE=true ;;
 		-verbose) VERBOSE=true ;;
+		-record=*) RECORD_DIR="${arg#-record=}" ;;
+		-replay=*) REPLAY_DIR="${arg#-replay=}" ;;
 		*) GROUP_FILTER="$arg" ;;
 	esac
 done
 
-if [ "$PROD_MODE" = true ]; then
+if [ -n "$RECORD_DIR" ]; then
+	MOCK_FLAG="--record=$RECORD_DIR"
+	echo "=== RECORD MODE: Real API calls (costs money), saved to $RECORD_DIR ==="
+elif [ -n "$REPLAY_DIR" ]; then
+	MOCK_FLAG="--replay=$REPLAY_DIR"
+	echo "=== REPLAY MODE: Recorded API calls from $REPLAY_DIR ==="
+elif [ "$PROD_MODE" = true ]; then
 	MOCK_FLAG=""
 	echo "=== PROD MODE: Real API calls (costs money) ==="
 else
@@ -58,7 +75,7 @@ run_test() {
 
 	if [ "$expect_pass" = "pass" ]; then
 		if [ -n "$grep_pattern" ]; then
-			if echo "$output" | grep -qiE "$grep_pattern"; then
+			if echo "$output" | grep -qiE -e "$grep_pattern"; then
 				result="PASS"
 			fi
 		else
@@ -70,7 +87,7 @@ run_test() {
 	elif [ "$expect_pass" = "fail" ]; then
 		# We expect the command to fail or produce an error
 		if [ -n "$grep_pattern" ]; then
-			if echo "$output" | grep -qiE "$grep_pattern"; then
+			if echo "$output" | grep -qiE -e "$grep_pattern"; then
 				result="PASS"
 			fi
 		else
@@ -141,6 +158,21 @@ if should_run "chorus"; then
 	run_test "dryRun shows perspectives only" "pass" "perspective|instruction" \
 		askMilo $MOCK_FLAG -noSave --perspectives=3 -dryRun "Evaluate something"
 
+	run_test "chorus bounded pool (fanOutConcurrency=2)" "pass" "perspective" \
+		askMilo $MOCK_FLAG -noSave --perspectives=3 --fanOutConcurrency=2 "Compare frameworks"
+
+	run_test "verbose shows pool fan-out mode" "pass" "pool of 2" \
+		askMilo $MOCK_FLAG -noSave -verbose --perspectives=2 --fanOutConcurrency=2 "Compare things"
+
+	run_test "run cost limit skips agents and synthesis" "pass" "skipped.*run cost limit" \
+		askMilo $MOCK_FLAG -noSave -json --perspectives=2 -summarize --maxRunCostUsd=0.0003 "Compare things"
+
+	run_test "run cost limit holds parallel agents to the cap" "pass" "spent \\\$0\\.0008, projected" \
+		askMilo $MOCK_FLAG -noSave -json --perspectives=3 --maxRunCostUsd=0.0008 "Compare things"
+
+	run_test "run cost limit skips expansion" "pass" "Expansion skipped: run cost limit" \
+		askMilo $MOCK_FLAG -noSave -json --perspectives=2 --maxRunCostUsd=0.0001 "Compare things"
+
 	echo ""
 fi
 
@@ -192,6 +224,9 @@ if should_run "confluence"; then
 	run_test "tools=confluence verbose shows config" "pass" "confluence|tool" \
 		askMilo $MOCK_FLAG -noSave --tools=confluence -verbose "test"
 
+	run_test "tools=confluence chorus agents" "pass" "Tool loop.*max 3 iterations" \
+		askMilo $MOCK_FLAG -noSave --tools=confluence --perspectives=2 --maxToolIterations=3 -verbose "Search for SIF standards"
+
 	echo ""
 fi
 
@@ -207,16 +242,68 @@ if should_run "sessions"; then
 	run_test "listSessions" "pass" "session|name|date" \
 		askMilo -listSessions
 
+	run_test "listSessions --filter" "pass" "$TEST_SESSION_NAME" \
+		askMilo -listSessions --filter="$TEST_SESSION_NAME"
+
+	run_test "searchSessions finds saved prompt" "pass" "$TEST_SESSION_NAME.*\*\*session\*\*" \
+		askMilo --searchSessions="session test"
+
+	run_test "migrateSessions from missing directory (error)" "fail" "session directory not found" \
+		askMilo -migrateSessions --from=/nonexistent/askMilo/sessions
+
 	run_test "viewSession" "pass" "session test prompt|$TEST_SESSION_NAME" \
 		askMilo --viewSession="$TEST_SESSION_NAME"
 
 	run_test "resumeSession" "pass" "" \
 		askMilo $MOCK_FLAG --resumeSession="$TEST_SESSION_NAME" "Follow up question"
 
-	run_test "renameSession" "pass" "" \
+	run_test "resumeSession compacted context (verbose)" "pass" "\[Context\] turn 1 summarized" \
+		askMilo $MOCK_FLAG -verbose --resumeSession="$TEST_SESSION_NAME" --contextTurns=1 --contextBudgetTokens=10 --contextRecentTurns=0 "Second follow up"
+
+	run_test "contextTurns malformed (error)" "fail" "contextTurns expects" \
+		askMilo $MOCK_FLAG --resumeSession="$TEST_SESSION_NAME" --contextTurns=first "Follow up"
+
+	run_test "retryFailed on non-chorus session (error)" "fail" "no chorus turns" \
+		askMilo $MOCK_FLAG --retryFailed="$TEST_SESSION_NAME"
+
+	run_test "exportSession bundle" "pass" "session exported" \
+		askMilo --exportSession="$TEST_SESSION_NAME" --out="/tmp/${TEST_SESSION_NAME}.askmilo.json"
+
+	run_test "importSession under a new name" "pass" "session imported: ${TEST_SESSION_NAME}_imported" \
+		askMilo --importSession="/tmp/${TEST_SESSION_NAME}.askmilo.json" --sessionName="${TEST_SESSION_NAME}_imported"
+
+	run_test "deleteSession (import cleanup)" "pass" "" \
+		askMilo --deleteSession="${TEST_SESSION_NAME}_imported"
+	rm -f "/tmp/${TEST_SESSION_NAME}.askmilo.json"
+
+	run_test "forkSession from turn 1" "pass" "session forked.*${TEST_SESSION_NAME}_fork" \
+		askMilo --forkSession="$TEST_SESSION_NAME" --fromTurn=1 --sessionName="${TEST_SESSION_NAME}_fork"
+
+	run_test "listSessions shows lineage" "pass" "${TEST_SESSION_NAME}@1" \
+		askMilo -listSessions --filter="${TEST_SESSION_NAME}_fork"
+
+	run_test "forkSession past the last turn (error)" "fail" "fromTurn must be a turn" \
+		askMilo --forkSession="$TEST_SESSION_NAME" --fromTurn=99
+
+	run_test "deleteSession (fork cleanup)" "pass" "" \
+		askMilo --deleteSession="${TEST_SESSION_NAME}_fork"
+
+	run_test "annotateSession tags and pin" "pass" "tags: permutation-test" \
+		askMilo --annotateSession="$TEST_SESSION_NAME" --addTags=Permutation-Test --note="permutation run" -pin
+
+	run_test "listSessions --tag filter" "pass" "\(pinned\) permutation-test" \
+		askMilo -listSessions --tag=permutation-test --since=1d
+
+	run_test "listSessions bad --since (error)" "fail" "--since must be a date" \
+		askMilo -listSessions --since=yesterday
+
+	run_test "pruneSessions -dryRun" "pass" "retention|nothing to prune|would prune" \
+		askMilo -pruneSessions -dryRun
+
+	run_test "renameSession" "pass" "session renamed: ${TEST_SESSION_NAME} -> ${TEST_SESSION_NAME}_renamed" \
 		askMilo --renameSession="$TEST_SESSION_NAME" --sessionName="${TEST_SESSION_NAME}_renamed"
 
-	run_test "deleteSession (cleanup)" "pass" "" \
+	run_test "deleteSession (cleanup)" "pass" "session deleted: ${TEST_SESSION_NAME}_renamed" \
 		askMilo --deleteSession="${TEST_SESSION_NAME}_renamed"
 
 	run_test "resumeSession auto-creates missing" "pass" "not found.*starting new|session saved.*${TEST_SESSION_NAME}_autocreate" \
@@ -238,9 +325,36 @@ if should_run "output"; then
 	run_test "json chorus" "pass" "perspectives|question" \
 		askMilo $MOCK_FLAG -noSave -json --perspectives=2 "Compare things"
 
+	run_test "json chorus crossExamine" "pass" "critique" \
+		askMilo $MOCK_FLAG -noSave -json --perspectives=2 -crossExamine "Compare things"
+
+	run_test "json chorus extractClaims" "pass" "confidence" \
+		askMilo $MOCK_FLAG -noSave -json --perspectives=2 -extractClaims "Compare things"
+
+	run_test "json chorus rounds (stops at no gaps)" "pass" "noGaps" \
+		askMilo $MOCK_FLAG -noSave -json --perspectives=2 -summarize --rounds=3 "Compare things"
+
+	run_test "json chorus synthesisMatrix" "pass" "openQuestions" \
+		askMilo $MOCK_FLAG -noSave -json --perspectives=2 -summarize -synthesisMatrix "Compare things"
+
 	run_test "verbose + json" "pass" "" \
 		askMilo $MOCK_FLAG -noSave -verbose -json "test"
 
+	run_test "markdown chorus report" "pass" "## Contents|Cost Appendix" \
+		askMilo $MOCK_FLAG -noSave --format=markdown --perspectives=2 -summarize "Compare things"
+
+	run_test "html report" "pass" "<!DOCTYPE html>" \
+		askMilo $MOCK_FLAG -noSave --format=html "What is 2+2?"
+
+	run_test "unknown format (error)" "fail" "unknown --format" \
+		askMilo $MOCK_FLAG -noSave --format=pdf "test"
+
+	run_test "unknown provider (error)" "fail" "unknown provider" \
+		askMilo $MOCK_FLAG -noSave --agentProvider=nowhere "test"
+
+	run_test "missing replay directory (error)" "fail" "replay directory not found" \
+		askMilo -noSave --replay=/nonexistent/askMilo-recordings "test"
+
 	echo ""
 fi
 
@@ -258,6 +372,9 @@ if should_run "json-stdin"; then
 	run_test "json stdin chorus" "pass" "perspective" \
 		bash -c 'echo "{\"switches\":{\"mockApi\":true,\"noSave\":true},\"values\":{\"perspectives\":[\"2\"]},\"fileList\":[\"Compare X and Y\"]}" | askMilo'
 
+	run_test "json stdin caller-supplied perspectives" "pass" "userSupplied" \
+		bash -c 'echo "{\"switches\":{\"mockApi\":true,\"noSave\":true,\"json\":true},\"values\":{\"perspectives\":[\"3\"]},\"fileList\":[\"Should we adopt SSO?\"],\"perspectives\":[\"Security architect\",{\"name\":\"CFO\",\"methodology\":\"Cost model\",\"instruction\":\"Estimate the three-year cost\"}]}" | askMilo'
+
 	run_test "json argv direct" "pass" "" \
 		askMilo '{"switches":{"mockApi":true,"noSave":true},"values":{},"fileList":["Tell me a joke"]}'
 
@@ -277,6 +394,61 @@ if should_run "edge"; then
 	run_test "noSave flag (no session created)" "pass" "" \
 		askMilo $MOCK_FLAG -noSave "ephemeral test"
 
+	run_test "inline attachment recorded in json" "pass" "sha256" \
+		bash -c 'echo "{\"switches\":{\"mockApi\":true,\"noSave\":true,\"json\":true},\"values\":{},\"fileList\":[\"Summarize the notes\"],\"attachments\":[{\"name\":\"notes.md\",\"content\":\"# Notes\"}]}" | askMilo'
+
+	run_test "per-stage models and sampling (verbose)" "pass" "Synth model: +claude-haiku" \
+		askMilo $MOCK_FLAG -noSave -verbose --perspectives=2 -summarize --synthModel=haiku --agentTemperature=0.2 "test"
+
+	run_test "missing attachment (error)" "fail" "attachment not found" \
+		askMilo $MOCK_FLAG -noSave --attach=/nonexistent/notes.md "test"
+
+	echo ""
+fi
+
+# ── Group: fixtures ──────────────────────────────────────────────────
+
+replay_fixture() {
+	local fixture="$1"
+	shift
+	env ASKMILO_CONFIG_DIR="$FIXTURE_DIR" askMilo --replay="$FIXTURE_DIR/replay/$fixture" "$@"
+}
+
+if should_run "fixtures"; then
+	echo "── Recorded Fixtures ──"
+	run_test "prompt cache tokens reach the cost summary" "pass" "Prompt cache: +1500 read / 1500 written" \
+		replay_fixture prompt-cache -noSave --perspectives=2 "Compare things"
+
+	run_test "prompt cache tokens per perspective" "pass" "1500 cache read / 0 cache write" \
+		replay_fixture prompt-cache -noSave --perspectives=2 "Compare things"
+
+	run_test "openai provider agents priced at zero" "pass" "Perspective 2: +\\\$0\\.0000" \
+		replay_fixture prompt-cache -noSave --perspectives=2 --agentProvider=local "Compare things"
+
+	run_test "run cost limit stops an agent's tool loop" "pass" "STOPPED: run cost limit reached before tool iteration 2" \
+		replay_fixture tool-loop-cost-limit -noSave --perspectives=2 -serialFanOut --tools=confluence --maxRunCostUsd=0.42 "Compare things"
+
+	run_test "expansion repairs invalid JSON" "pass" "Success: 2 instructions after 1 repair" \
+		replay_fixture expansion-repair-json -noSave -verbose --perspectives=2 "Compare things"
+
+	run_test "expansion repairs a short perspective count" "pass" "Invalid expansion \(EXPANSION_COUNT\)" \
+		replay_fixture expansion-short-count -noSave -verbose --perspectives=2 "Compare things"
+
+	run_test "short count repair reaches the agents" "pass" "Risk findings: the second thing" \
+		replay_fixture expansion-short-count -noSave --perspectives=2 "Compare things"
+
+	run_test "expansion out of repairs reports a structured error" "pass" "\"attempts\": 2" \
+		replay_fixture expansion-repair-exhausted -noSave -json --perspectives=2 "Compare things"
+
+	run_test "expansion out of repairs fails the run" "fail" "Pipeline error: Expansion JSON has no" \
+		replay_fixture expansion-repair-exhausted --sessionName="${TEST_SESSION_NAME}_expand" --perspectives=2 "Compare things"
+
+	run_test "expansion error is kept in the session" "pass" "failed in expand \(EXPANSION_SCHEMA\)" \
+		askMilo --viewSession="${TEST_SESSION_NAME}_expand"
+
+	run_test "remove the failed expansion session" "pass" "session deleted: ${TEST_SESSION_NAME}_expand" \
+		askMilo --deleteSession="${TEST_SESSION_NAME}_expand"
+
 	echo ""
 fi
 
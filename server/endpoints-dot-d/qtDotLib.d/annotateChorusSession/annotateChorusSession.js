@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ENDPOINT: ANNOTATE CHORUS SESSION
+ *
+ * POST /api/annotateChorusSession
+ *
+ * Body: { sessionName, addTags?, removeTags?, notes?, pinned? } where the tag
+ * lists are arrays or comma-separated strings, notes '' clears the notes and
+ * pinned is true or false. Pinned sessions are never pruned by askMilo
+ * -pruneSessions. Returns [{ sessionName, tags, notes, pinned }].
+ *
+ * Permission: signed-in users
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({
+	dotD: endpointsDotD,
+	passThroughParameters,
+}) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+	const localConfig = getConfig(moduleName);
+
+	const {
+		expressApp,
+		accessTokenHeaderTools,
+		accessPointsDotD,
+		routingPrefix,
+	} = passThroughParameters;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (permissionValidator) => (xReq, xRes, next) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: PERMISSION VALIDATION
+
+		taskList.push((args, next) =>
+			args.permissionValidator(
+				xReq.appValueGetter('authclaims'),
+				forwardArgs({ next, args }),
+			),
+		);
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: CALL ANNOTATE-CHORUS-SESSION ACCESS POINT
+
+		taskList.push((args, next) => {
+			const { accessPointsDotD, requestBody } = args;
+
+			const localCallback = (err, { annotation } = {}) => {
+				if (err) {
+					next(err, args);
+					return;
+				}
+				next('', { ...args, annotation });
+			};
+
+			accessPointsDotD['annotate-chorus-session'](requestBody, localCallback);
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION AND HTTP RESPONSE
+
+		const requestBody = xReq.body || {};
+		const initialData = { accessPointsDotD, requestBody, permissionValidator };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { annotation } = args;
+
+			if (err) {
+				const errorId = qt.generateShortId();
+				xLog.error(`annotateChorusSession error (${errorId}): ${err}`);
+				xRes.status(400).send(`${err.toString()} (${errorId})`);
+				return;
+			}
+
+			xRes.send([annotation]);
+		});
+	};
+
+	// ================================================================================
+	// ENDPOINT REGISTRATION
+
+	const addEndpoint = ({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	}) => {
+		expressApp[method](routePath, serviceFunction(permissionValidator));
+		endpointsDotD.logList.push(name);
+	};
+
+	const method = 'post';
+	const thisEndpointName = 'annotateChorusSession';
+	const routePath = `${routingPrefix}${thisEndpointName}`;
+	const name = routePath;
+
+	const permissionValidator = accessTokenHeaderTools.getValidator([
+		'user',
+		'client',
+		'admin',
+		'super',
+	]);
+	addEndpoint({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	});
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
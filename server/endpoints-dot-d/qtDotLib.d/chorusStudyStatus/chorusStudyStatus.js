@@ -4,10 +4,12 @@
 /**
  * ENDPOINT: CHORUS STUDY STATUS
  *
- * GET /api/chorusStudyStatus?sessionName=X&turnNumber=N
+ * GET /api/chorusStudyStatus?sessionName=X&turnNumber=N[&format=markdown|html|text|json]
  *
  * Returns the status of a previously submitted chorus study.
  * Reads the session file and reports: running, complete, or error.
+ * With a format other than json (the default), a complete turn comes back
+ * rendered as `report` instead of the raw turn in `result`.
  *
  * Permission: public (no payment required — status checks are free)
  */
@@ -73,6 +75,7 @@ const moduleFunction = function ({
 		const requestBody = {
 			sessionName: xReq.qtGetSurePath('query.sessionName', ''),
 			turnNumber: xReq.qtGetSurePath('query.turnNumber', '0'),
+			format: xReq.qtGetSurePath('query.format', 'json'),
 		};
 		const initialData = { accessPointsDotD, requestBody, permissionValidator };
 		pipeRunner(taskList.getList(), initialData, (err, args) => {
@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ENDPOINT: EXPORT CHORUS SESSION
+ *
+ * GET /api/exportChorusSession?sessionName=X
+ *
+ * Returns the session as a bundle (the file askMilo --exportSession writes):
+ *   [{ format, version, exportedAt, sessionName, session, report, attachments, prompts, checksum }]
+ * Post it to importChorusSession, or save it for askMilo --importSession.
+ *
+ * Permission: signed-in users
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({
+	dotD: endpointsDotD,
+	passThroughParameters,
+}) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+	const localConfig = getConfig(moduleName);
+
+	const {
+		expressApp,
+		accessTokenHeaderTools,
+		accessPointsDotD,
+		routingPrefix,
+	} = passThroughParameters;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (permissionValidator) => (xReq, xRes, next) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: PERMISSION VALIDATION
+
+		taskList.push((args, next) =>
+			args.permissionValidator(
+				xReq.appValueGetter('authclaims'),
+				forwardArgs({ next, args }),
+			),
+		);
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: CALL EXPORT-CHORUS-SESSION ACCESS POINT
+
+		taskList.push((args, next) => {
+			const { accessPointsDotD, requestBody } = args;
+
+			const localCallback = (err, { bundle } = {}) => {
+				if (err) {
+					next(err, args);
+					return;
+				}
+				next('', { ...args, bundle });
+			};
+
+			accessPointsDotD['export-chorus-session'](requestBody, localCallback);
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION AND HTTP RESPONSE
+
+		const requestBody = {
+			sessionName: xReq.qtGetSurePath('query.sessionName', ''),
+		};
+		const initialData = { accessPointsDotD, requestBody, permissionValidator };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { bundle } = args;
+
+			if (err) {
+				const errorId = qt.generateShortId();
+				xLog.error(`exportChorusSession error (${errorId}): ${err}`);
+				xRes.status(400).send(`${err.toString()} (${errorId})`);
+				return;
+			}
+
+			xRes.send([bundle]);
+		});
+	};
+
+	// ================================================================================
+	// ENDPOINT REGISTRATION
+
+	const addEndpoint = ({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	}) => {
+		expressApp[method](routePath, serviceFunction(permissionValidator));
+		endpointsDotD.logList.push(name);
+	};
+
+	const method = 'get';
+	const thisEndpointName = 'exportChorusSession';
+	const routePath = `${routingPrefix}${thisEndpointName}`;
+	const name = routePath;
+
+	const permissionValidator = accessTokenHeaderTools.getValidator([
+		'user',
+		'client',
+		'admin',
+		'super',
+	]);
+	addEndpoint({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	});
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
@@ -0,0 +1,133 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ENDPOINT: IMPORT CHORUS SESSION
+ *
+ * POST /api/importChorusSession
+ *
+ * Body: { bundle, sessionName? } where bundle is a session bundle from
+ * exportChorusSession or askMilo --exportSession. The bundle's checksum is
+ * verified before anything is stored; a taken name gets a _2, _3, ... suffix.
+ * Returns [{ sessionName, originalName, renamed }].
+ *
+ * Permission: signed-in users
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({
+	dotD: endpointsDotD,
+	passThroughParameters,
+}) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+	const localConfig = getConfig(moduleName);
+
+	const {
+		expressApp,
+		accessTokenHeaderTools,
+		accessPointsDotD,
+		routingPrefix,
+	} = passThroughParameters;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (permissionValidator) => (xReq, xRes, next) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: PERMISSION VALIDATION
+
+		taskList.push((args, next) =>
+			args.permissionValidator(
+				xReq.appValueGetter('authclaims'),
+				forwardArgs({ next, args }),
+			),
+		);
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: CALL IMPORT-CHORUS-SESSION ACCESS POINT
+
+		taskList.push((args, next) => {
+			const { accessPointsDotD, requestBody } = args;
+
+			const localCallback = (err, { imported } = {}) => {
+				if (err) {
+					next(err, args);
+					return;
+				}
+				next('', { ...args, imported });
+			};
+
+			accessPointsDotD['import-chorus-session'](requestBody, localCallback);
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION AND HTTP RESPONSE
+
+		const requestBody = xReq.body || {};
+		const initialData = { accessPointsDotD, requestBody, permissionValidator };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { imported } = args;
+
+			if (err) {
+				const errorId = qt.generateShortId();
+				xLog.error(`importChorusSession error (${errorId}): ${err}`);
+				xRes.status(400).send(`${err.toString()} (${errorId})`);
+				return;
+			}
+
+			xRes.send([imported]);
+		});
+	};
+
+	// ================================================================================
+	// ENDPOINT REGISTRATION
+
+	const addEndpoint = ({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	}) => {
+		expressApp[method](routePath, serviceFunction(permissionValidator));
+		endpointsDotD.logList.push(name);
+	};
+
+	const method = 'post';
+	const thisEndpointName = 'importChorusSession';
+	const routePath = `${routingPrefix}${thisEndpointName}`;
+	const name = routePath;
+
+	const permissionValidator = accessTokenHeaderTools.getValidator([
+		'user',
+		'client',
+		'admin',
+		'super',
+	]);
+	addEndpoint({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	});
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
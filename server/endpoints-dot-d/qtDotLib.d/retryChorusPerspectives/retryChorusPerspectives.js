@@ -0,0 +1,131 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ENDPOINT: RETRY CHORUS PERSPECTIVES
+ *
+ * POST /api/retryChorusPerspectives
+ *
+ * Request body:
+ *   { sessionName, turnNumber?, switches?: {}, values?: {} }
+ *
+ * Delegates to the retry-chorus-perspectives access point which re-runs
+ * only the failed perspectives of a saved chorus turn (askMilo --retryFailed)
+ * as a detached child process. Returns immediately; poll the
+ * chorusStudyStatus endpoint for the updated turn.
+ *
+ * Permission: public (x402 payment gating happens at the MCP layer)
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({
+	dotD: endpointsDotD,
+	passThroughParameters,
+}) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+	const localConfig = getConfig(moduleName);
+
+	const {
+		expressApp,
+		accessTokenHeaderTools,
+		accessPointsDotD,
+		routingPrefix,
+	} = passThroughParameters;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (permissionValidator) => (xReq, xRes, next) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: PERMISSION VALIDATION
+
+		taskList.push((args, next) =>
+			args.permissionValidator(
+				xReq.appValueGetter('authclaims'),
+				forwardArgs({ next, args }),
+			),
+		);
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: CALL RETRY-CHORUS-PERSPECTIVES ACCESS POINT
+
+		taskList.push((args, next) => {
+			const { accessPointsDotD, requestBody } = args;
+
+			const localCallback = (err, { retryResult } = {}) => {
+				if (err) {
+					next(err, args);
+					return;
+				}
+				next('', { ...args, retryResult });
+			};
+
+			accessPointsDotD['retry-chorus-perspectives'](requestBody, localCallback);
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION AND HTTP RESPONSE
+
+		const requestBody = xReq.body || {};
+		const initialData = { accessPointsDotD, requestBody, permissionValidator };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { retryResult } = args;
+
+			if (err) {
+				const errorId = `Q${Math.random().toString().slice(2, 18)}`;
+				xLog.error(`retryChorusPerspectives error: ${err} (${errorId})`);
+				xRes.status(500).send(`${err.toString()} (${errorId})`);
+				return;
+			}
+
+			xRes.send(Array.isArray(retryResult) ? retryResult : [retryResult]);
+		});
+	};
+
+	// ================================================================================
+	// ENDPOINT REGISTRATION
+
+	const addEndpoint = ({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	}) => {
+		expressApp[method](routePath, serviceFunction(permissionValidator));
+		endpointsDotD.logList.push(name);
+	};
+
+	const method = 'post';
+	const thisEndpointName = 'retryChorusPerspectives';
+	const routePath = `${routingPrefix}${thisEndpointName}`;
+	const name = routePath;
+
+	const permissionValidator = accessTokenHeaderTools.getValidator(['public']);
+	addEndpoint({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	});
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
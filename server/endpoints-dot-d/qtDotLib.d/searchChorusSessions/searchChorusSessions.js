@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+'use strict';
+
+/**
+ * ENDPOINT: SEARCH CHORUS SESSIONS
+ *
+ * GET /api/searchChorusSessions?q=QUERY[&limit=N]
+ *
+ * Full-text search over saved chorus sessions: prompts, perspective names and
+ * findings, syntheses and single-call responses. Returns ranked hits, best first:
+ *   [{ sessionName, turnNumber, kind, perspectiveId?, perspective?, snippet, score }]
+ * Matched words in the snippet are wrapped in **. Words must all match;
+ * "quoted words" match as a phrase.
+ *
+ * Permission: signed-in users (session text can hold anything a study was asked)
+ */
+
+const moduleName = __filename.replace(__dirname + '/', '').replace(/.js$/, '');
+const qt = require('qtools-functional-library');
+const { pipeRunner, taskListPlus, mergeArgs, forwardArgs } = new require(
+	'qtools-asynchronous-pipe-plus',
+)();
+
+//START OF moduleFunction() ============================================================
+
+const moduleFunction = function ({
+	dotD: endpointsDotD,
+	passThroughParameters,
+}) {
+	const { xLog, getConfig, commandLineParameters } = process.global;
+	const localConfig = getConfig(moduleName);
+
+	const {
+		expressApp,
+		accessTokenHeaderTools,
+		accessPointsDotD,
+		routingPrefix,
+	} = passThroughParameters;
+
+	// ================================================================================
+	// SERVICE FUNCTION
+
+	const serviceFunction = (permissionValidator) => (xReq, xRes, next) => {
+		const taskList = new taskListPlus();
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 1: PERMISSION VALIDATION
+
+		taskList.push((args, next) =>
+			args.permissionValidator(
+				xReq.appValueGetter('authclaims'),
+				forwardArgs({ next, args }),
+			),
+		);
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE STAGE 2: CALL SEARCH-CHORUS-SESSIONS ACCESS POINT
+
+		taskList.push((args, next) => {
+			const { accessPointsDotD, requestBody } = args;
+
+			const localCallback = (err, { hits } = {}) => {
+				if (err) {
+					next(err, args);
+					return;
+				}
+				next('', { ...args, hits });
+			};
+
+			accessPointsDotD['search-chorus-sessions'](requestBody, localCallback);
+		});
+
+		// --------------------------------------------------------------------------------
+		// PIPELINE EXECUTION AND HTTP RESPONSE
+
+		const requestBody = {
+			query: xReq.qtGetSurePath('query.q', ''),
+			limit: xReq.qtGetSurePath('query.limit', ''),
+		};
+		const initialData = { accessPointsDotD, requestBody, permissionValidator };
+		pipeRunner(taskList.getList(), initialData, (err, args) => {
+			const { hits } = args;
+
+			if (err) {
+				const errorId = qt.generateShortId();
+				xLog.error(`searchChorusSessions error (${errorId}): ${err}`);
+				xRes.status(400).send(`${err.toString()} (${errorId})`);
+				return;
+			}
+
+			xRes.send(hits);
+		});
+	};
+
+	// ================================================================================
+	// ENDPOINT REGISTRATION
+
+	const addEndpoint = ({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	}) => {
+		expressApp[method](routePath, serviceFunction(permissionValidator));
+		endpointsDotD.logList.push(name);
+	};
+
+	const method = 'get';
+	const thisEndpointName = 'searchChorusSessions';
+	const routePath = `${routingPrefix}${thisEndpointName}`;
+	const name = routePath;
+
+	const permissionValidator = accessTokenHeaderTools.getValidator([
+		'user',
+		'client',
+		'admin',
+		'super',
+	]);
+	addEndpoint({
+		name,
+		method,
+		routePath,
+		serviceFunction,
+		expressApp,
+		endpointsDotD,
+		permissionValidator,
+	});
+
+	return {};
+};
+
+//END OF moduleFunction() ============================================================
+
+module.exports = moduleFunction;
@@ -68,6 +68,7 @@ const moduleFunction =
 			staticPathPrefix,
 			allowQueryStringInLog,
 			suppressPictureRequestLogging,
+			bundleBodyLimit,
 		} = getConfig(moduleName);
 
 		if (suppressPictureRequestLogging) {
@@ -106,6 +107,9 @@ const moduleFunction =
 			next();
 		});
 
+		// Session bundles outgrow body-parser's 100kb default. Only the signed-in import route gets
+		// the larger limit; it is parsed here first, so the general parser below leaves it alone.
+		expressApp.use('/api/importChorusSession', bodyParser.json({ limit: bundleBodyLimit || '20mb' }));
 		expressApp.use(bodyParser.json({ extended: true })); //https://stackabuse.com/get-http-post-body-in-express-js/
 
 		// --------------------------------------------------------------------------------